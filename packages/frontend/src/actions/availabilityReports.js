@@ -0,0 +1,27 @@
+import 'whatwg-fetch'
+import { sendRequest, buildHeaders } from 'utils/fetch'
+import { apiURL } from 'utils/settings'
+
+export const SET_AVAILABILITY_REPORT = 'SET_AVAILABILITY_REPORT'
+
+export function setAvailabilityReport (json) {
+  return {
+    type: SET_AVAILABILITY_REPORT,
+    report: json
+  }
+}
+
+export const fetchAvailabilityReport = (period, excludeMaintenances, callbacks = {}) => {
+  return async dispatch => {
+    try {
+      const queryParam = `period=${encodeURIComponent(period)}&excludeMaintenances=${!!excludeMaintenances}`
+      const json = await sendRequest(`${apiURL}availability-reports?${queryParam}`, {
+        headers: await buildHeaders()
+      }, callbacks)
+      dispatch(setAvailabilityReport(json))
+    } catch (error) {
+      console.error(error.message)
+      console.error(error.stack)
+    }
+  }
+}
@@ -0,0 +1,97 @@
+import 'whatwg-fetch'
+import { sendRequest, buildHeaders } from 'utils/fetch'
+import { apiURL } from 'utils/settings'
+
+export const LIST_COMPONENT_GROUPS = 'LIST_COMPONENT_GROUPS'
+export const ADD_COMPONENT_GROUP = 'ADD_COMPONENT_GROUP'
+export const EDIT_COMPONENT_GROUP = 'EDIT_COMPONENT_GROUP'
+export const REMOVE_COMPONENT_GROUP = 'REMOVE_COMPONENT_GROUP'
+
+export function listComponentGroups (json) {
+  return {
+    type: LIST_COMPONENT_GROUPS,
+    componentGroups: json
+  }
+}
+
+export function addComponentGroup (json) {
+  return {
+    type: ADD_COMPONENT_GROUP,
+    componentGroup: json
+  }
+}
+
+export function editComponentGroup (json) {
+  return {
+    type: EDIT_COMPONENT_GROUP,
+    componentGroup: json
+  }
+}
+
+export function removeComponentGroup (groupID) {
+  return {
+    type: REMOVE_COMPONENT_GROUP,
+    groupID
+  }
+}
+
+export const fetchComponentGroups = (callbacks = {}) => {
+  return async dispatch => {
+    try {
+      const json = await sendRequest(apiURL + 'component-groups', {}, callbacks)
+      dispatch(listComponentGroups(json))
+    } catch (error) {
+      console.error(error.message)
+      console.error(error.stack)
+    }
+  }
+}
+
+export const postComponentGroup = (name, description, callbacks = {}) => {
+  return async dispatch => {
+    try {
+      const body = { name, description }
+      const json = await sendRequest(apiURL + 'component-groups', {
+        headers: await buildHeaders(),
+        method: 'POST',
+        body: JSON.stringify(body)
+      }, callbacks)
+      dispatch(addComponentGroup(json))
+    } catch (error) {
+      console.error(error.message)
+      console.error(error.stack)
+    }
+  }
+}
+
+export const updateComponentGroup = (groupID, name, description, order, callbacks = {}) => {
+  return async dispatch => {
+    try {
+      const body = { name, description, order }
+      const json = await sendRequest(apiURL + 'component-groups/' + groupID, {
+        headers: await buildHeaders(),
+        method: 'PATCH',
+        body: JSON.stringify(body)
+      }, callbacks)
+      dispatch(editComponentGroup(json))
+    } catch (error) {
+      console.error(error.message)
+      console.error(error.stack)
+    }
+  }
+}
+
+export const deleteComponentGroup = (groupID, callbacks = {}) => {
+  return async dispatch => {
+    try {
+      await sendRequest(apiURL + 'component-groups/' + groupID, {
+        headers: await buildHeaders(),
+        method: 'DELETE'
+      }, callbacks)
+      dispatch(removeComponentGroup(groupID))
+    } catch (error) {
+      console.error(error.message)
+      console.error(error.stack)
+    }
+  }
+}
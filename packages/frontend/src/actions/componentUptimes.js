@@ -0,0 +1,33 @@
+import 'whatwg-fetch'
+import { sendRequest } from 'utils/fetch'
+
+export const LIST_COMPONENT_UPTIMES = 'LIST_COMPONENT_UPTIMES'
+
+export function listComponentUptimes (json) {
+  return {
+    type: LIST_COMPONENT_UPTIMES,
+    uptimes: json
+  }
+}
+
+// The uptimes are updated once a day and stored in the status page bucket.
+export const fetchComponentUptimes = (statusPageURL, callbacks = {}) => {
+  let url = statusPageURL
+  if (url.length > 0 && statusPageURL[statusPageURL.length - 1] === '/') {
+    url = url.slice(0, url.length - 1)
+  }
+
+  return async dispatch => {
+    try {
+      const respBody = await sendRequest(`${url}/components/uptimes.json`, {cache: 'no-cache', mode: 'cors'},
+                                         callbacks)
+      if (typeof respBody === 'object') {
+        dispatch(listComponentUptimes(respBody))
+      }
+    } catch (error) {
+      // The uptimes don't exist until the daily job runs for the first time.
+      console.error(error.message)
+      console.error(error.stack)
+    }
+  }
+}
@@ -6,6 +6,7 @@ export const LIST_COMPONENTS = 'LIST_COMPONENTS'
 export const ADD_COMPONENT = 'ADD_COMPONENT'
 export const EDIT_COMPONENT = 'EDIT_COMPONENT'
 export const REMOVE_COMPONENT = 'REMOVE_COMPONENT'
+export const LIST_COMPONENT_HISTORY = 'LIST_COMPONENT_HISTORY'
 
 export function listComponents (json) {
   return {
@@ -35,6 +36,14 @@ export function removeComponent (componentID) {
   }
 }
 
+export function listComponentHistory (json, componentID) {
+  return {
+    type: LIST_COMPONENT_HISTORY,
+    statusHistory: json,
+    componentID
+  }
+}
+
 export const fetchComponents = (callbacks = {}) => {
   return async dispatch => {
     try {
@@ -47,10 +56,24 @@ export const fetchComponents = (callbacks = {}) => {
   }
 }
 
-export const postComponent = (name, description, status, callbacks = {}) => {
+export const fetchComponentHistory = (componentID, callbacks = {}) => {
+  return async dispatch => {
+    try {
+      const json = await sendRequest(apiURL + 'components/' + componentID + '/history', {
+        headers: await buildHeaders()
+      }, callbacks)
+      dispatch(listComponentHistory(json, componentID))
+    } catch (error) {
+      console.error(error.message)
+      console.error(error.stack)
+    }
+  }
+}
+
+export const postComponent = (name, description, status, groupID, dependencies, callbacks = {}) => {
   return async dispatch => {
     try {
-      const body = { name, description, status }
+      const body = { name, description, status, groupID, dependencies }
       const json = await sendRequest(apiURL + 'components', {
         headers: await buildHeaders(),
         method: 'POST',
@@ -64,10 +87,11 @@ export const postComponent = (name, description, status, callbacks = {}) => {
   }
 }
 
-export const updateComponent = (componentID, name, description, status, order, callbacks = {}) => {
+export const updateComponent = (componentID, name, description, status, order, groupID, dependencies,
+                                callbacks = {}) => {
   return async dispatch => {
     try {
-      const body = { name, description, status, order }
+      const body = { name, description, status, order, groupID, dependencies }
       const json = await sendRequest(apiURL + 'components/' + componentID, {
         headers: await buildHeaders(),
         method: 'PATCH',
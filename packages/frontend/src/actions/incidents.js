@@ -3,6 +3,7 @@ import { sendRequest, buildHeaders } from 'utils/fetch'
 import { apiURL } from 'utils/settings'
 
 export const LIST_INCIDENTS = 'LIST_INCIDENTS'
+export const LIST_DRAFT_INCIDENTS = 'LIST_DRAFT_INCIDENTS'
 export const LIST_INCIDENT_UPDATES = 'LIST_INCIDENT_UPDATES'
 export const ADD_INCIDENT = 'ADD_INCIDENT'
 export const EDIT_INCIDENT = 'EDIT_INCIDENT'
@@ -15,6 +16,13 @@ export function listIncidents (json) {
   }
 }
 
+export function listDraftIncidents (json) {
+  return {
+    type: LIST_DRAFT_INCIDENTS,
+    draftIncidents: json
+  }
+}
+
 export function listIncidentUpdates (json, incidentID) {
   return {
     type: LIST_INCIDENT_UPDATES,
@@ -56,6 +64,20 @@ export const fetchIncidents = (callbacks = {}) => {
   }
 }
 
+export const fetchDraftIncidents = (callbacks = {}) => {
+  return async dispatch => {
+    try {
+      const json = await sendRequest(apiURL + 'draft-incidents', {
+        headers: await buildHeaders()
+      }, callbacks)
+      dispatch(listDraftIncidents(json))
+    } catch (error) {
+      console.error(error.message)
+      console.error(error.stack)
+    }
+  }
+}
+
 export const fetchIncidentUpdates = (incidentID, callbacks = {}) => {
   return async dispatch => {
     try {
@@ -68,12 +90,13 @@ export const fetchIncidentUpdates = (incidentID, callbacks = {}) => {
   }
 }
 
-export const postIncident = (name, incidentStatus, message, components, callbacks = {}) => {
+export const postIncident = (name, incidentStatus, impact, message, components, callbacks = {}) => {
   return async dispatch => {
     try {
       const body = {
         name: name,
         incidentStatus: incidentStatus,
+        impact: impact,
         message: message,
         components: components
       }
@@ -90,12 +113,13 @@ export const postIncident = (name, incidentStatus, message, components, callback
   }
 }
 
-export const updateIncident = (incidentID, name, incidentStatus, message, components, callbacks = {}) => {
+export const updateIncident = (incidentID, name, incidentStatus, impact, message, components, callbacks = {}) => {
   return async dispatch => {
     try {
       const body = {
         name: name,
         incidentStatus: incidentStatus,
+        impact: impact,
         message: message,
         components: components
       }
@@ -68,10 +68,13 @@ export const fetchMaintenanceUpdates = (maintenanceID, callbacks = {}) => {
   }
 }
 
-export const postMaintenance = (name, maintenanceStatus, startAt, endAt, message, components, callbacks = {}) => {
+// `componentIDs` is the components set under maintenance automatically when the maintenance starts.
+// `recurrence` is like {frequency: 'weekly', interval: 1, until} or null if the maintenance doesn't recur.
+export const postMaintenance = (name, maintenanceStatus, startAt, endAt, message, components, componentIDs,
+                                recurrence, callbacks = {}) => {
   return async dispatch => {
     try {
-      const body = { name, maintenanceStatus, startAt, endAt, message, components }
+      const body = { name, maintenanceStatus, startAt, endAt, message, components, componentIDs, recurrence }
       const json = await sendRequest(apiURL + 'maintenances', {
         headers: await buildHeaders(),
         method: 'POST',
@@ -86,10 +89,10 @@ export const postMaintenance = (name, maintenanceStatus, startAt, endAt, message
 }
 
 export const updateMaintenance = (maintenanceID, name, maintenanceStatus, startAt, endAt, message,
-                                  components, callbacks = {}) => {
+                                  components, componentIDs, callbacks = {}) => {
   return async dispatch => {
     try {
-      const body = { name, maintenanceStatus, startAt, endAt, message, components }
+      const body = { name, maintenanceStatus, startAt, endAt, message, components, componentIDs }
       const json = await sendRequest(apiURL + 'maintenances/' + maintenanceID, {
         headers: await buildHeaders(),
         method: 'PATCH',
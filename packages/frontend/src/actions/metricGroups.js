@@ -0,0 +1,111 @@
+import 'whatwg-fetch'
+import { sendRequest, buildHeaders } from 'utils/fetch'
+import { apiURL } from 'utils/settings'
+
+export const LIST_METRIC_GROUPS = 'LIST_METRIC_GROUPS'
+export const ADD_METRIC_GROUP = 'ADD_METRIC_GROUP'
+export const EDIT_METRIC_GROUP = 'EDIT_METRIC_GROUP'
+export const REMOVE_METRIC_GROUP = 'REMOVE_METRIC_GROUP'
+
+export function listMetricGroups (json) {
+  return {
+    type: LIST_METRIC_GROUPS,
+    metricGroups: json
+  }
+}
+
+export function addMetricGroup (json) {
+  return {
+    type: ADD_METRIC_GROUP,
+    metricGroup: json
+  }
+}
+
+export function editMetricGroup (json) {
+  return {
+    type: EDIT_METRIC_GROUP,
+    metricGroup: json
+  }
+}
+
+export function removeMetricGroup (groupID) {
+  return {
+    type: REMOVE_METRIC_GROUP,
+    groupID
+  }
+}
+
+export const fetchMetricGroups = (callbacks = {}) => {
+  return async dispatch => {
+    try {
+      const json = await sendRequest(apiURL + 'metric-groups', {
+        headers: await buildHeaders()
+      }, callbacks)
+      dispatch(listMetricGroups(json))
+    } catch (error) {
+      console.error(error.message)
+      console.error(error.stack)
+    }
+  }
+}
+
+export const fetchPublicMetricGroups = (callbacks = {}) => {
+  return async dispatch => {
+    try {
+      const json = await sendRequest(apiURL + 'public-metric-groups', {}, callbacks)
+      dispatch(listMetricGroups(json))
+    } catch (error) {
+      console.error(error.message)
+      console.error(error.stack)
+    }
+  }
+}
+
+export const postMetricGroup = (title, description, metricIDs, status, callbacks = {}) => {
+  return async dispatch => {
+    try {
+      const body = { title, description, metricIDs, status }
+      const json = await sendRequest(apiURL + 'metric-groups', {
+        headers: await buildHeaders(),
+        method: 'POST',
+        body: JSON.stringify(body)
+      }, callbacks)
+      dispatch(addMetricGroup(json))
+    } catch (error) {
+      console.error(error.message)
+      console.error(error.stack)
+    }
+  }
+}
+
+export const updateMetricGroup = (groupID, title, description, metricIDs, status, order, callbacks = {}) => {
+  return async dispatch => {
+    try {
+      const body = { title, description, metricIDs, status, order }
+      const json = await sendRequest(apiURL + 'metric-groups/' + groupID, {
+        headers: await buildHeaders(),
+        method: 'PATCH',
+        body: JSON.stringify(body)
+      }, callbacks)
+      dispatch(editMetricGroup(json))
+    } catch (error) {
+      console.error(error.message)
+      console.error(error.stack)
+    }
+  }
+}
+
+export const deleteMetricGroup = (groupID, callbacks = {}) => {
+  return async dispatch => {
+    try {
+      await sendRequest(apiURL + 'metric-groups/' + groupID, {
+        headers: await buildHeaders(),
+        method: 'DELETE'
+      }, callbacks)
+      dispatch(removeMetricGroup(groupID))
+    } catch (error) {
+      console.error(error.message)
+      console.error(error.stack)
+    }
+  }
+}
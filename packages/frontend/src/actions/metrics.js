@@ -1,10 +1,12 @@
 import 'whatwg-fetch'
 import { sendRequest, buildHeaders } from 'utils/fetch'
 import { apiURL } from 'utils/settings'
+import { importChunkSize } from 'utils/metricsImport'
 
 export const LIST_METRICS = 'LIST_METRICS'
 export const LIST_EXTERNAL_METRICS = 'LIST_EXTERNAL_METRICS'
 export const LIST_METRICS_DATA = 'LIST_METRICS_DATA'
+export const LIST_METRICS_ROLLUP = 'LIST_METRICS_ROLLUP'
 export const ADD_METRIC = 'ADD_METRIC'
 export const EDIT_METRIC = 'EDIT_METRIC'
 export const REMOVE_METRIC = 'REMOVE_METRIC'
@@ -36,6 +38,15 @@ export function listMetricsData (metricID, year, month, date, metricsData) {
   }
 }
 
+export function listMetricsRollup (metricID, rollupName, rollup) {
+  return {
+    type: LIST_METRICS_ROLLUP,
+    metricID,
+    rollupName,
+    rollup
+  }
+}
+
 export function addMetric (json) {
   return {
     type: ADD_METRIC,
@@ -91,7 +102,7 @@ export const fetchExternalMetrics = (metricsType, filters = {}, callbacks = {})
 
       let queryParam = `type=${encodeURIComponent(metricsType)}`
       if (filters) {
-        queryParam += `${queryParam}&filters=${encodeURIComponent(JSON.stringify(filters))}`
+        queryParam += `&filters=${encodeURIComponent(JSON.stringify(filters))}`
       }
       let nextCursor
       let metrics = []
@@ -121,10 +132,11 @@ export const fetchExternalMetrics = (metricsType, filters = {}, callbacks = {})
   }
 }
 
-export const postMetric = (type, props, title, status, unit, description, callbacks = {}) => {
+export const postMetric = (type, props, title, status, unit, description, collectionInterval, alertRules,
+                           displayOptions, callbacks = {}) => {
   return async dispatch => {
     try {
-      const body = { type, props, title, status, unit, description }
+      const body = { type, props, title, status, unit, description, collectionInterval, alertRules, displayOptions }
       const json = await sendRequest(apiURL + 'metrics', {
         headers: await buildHeaders(),
         method: 'POST',
@@ -138,10 +150,13 @@ export const postMetric = (type, props, title, status, unit, description, callba
   }
 }
 
-export const updateMetric = (metricID, type, props, title, status, unit, description, order, callbacks = {}) => {
+export const updateMetric = (metricID, type, props, title, status, unit, description, order, collectionInterval,
+                             alertRules, displayOptions, callbacks = {}) => {
   return async dispatch => {
     try {
-      const body = { type, props, title, status, unit, description, order }
+      const body = {
+        type, props, title, status, unit, description, order, collectionInterval, alertRules, displayOptions
+      }
       const json = await sendRequest(apiURL + 'metrics/' + metricID, {
         headers: await buildHeaders(),
         method: 'PATCH',
@@ -170,6 +185,31 @@ export const deleteMetric = (metricID, callbacks = {}) => {
   }
 }
 
+// The datapoints are sent in the chunks. `onProgress` is called with the number of the datapoints sent so far.
+export const importMetricsData = (metricID, datapoints, callbacks = {}) => {
+  const { onLoad, onSuccess, onFailure, onProgress } = callbacks
+  return async dispatch => {
+    try {
+      if (onLoad && typeof onLoad === 'function') onLoad()
+      for (let i = 0; i < datapoints.length; i += importChunkSize) {
+        const body = { datapoints: datapoints.slice(i, i + importChunkSize) }
+        await sendRequest(apiURL + 'metrics/' + metricID + '/data', {
+          headers: await buildHeaders(),
+          method: 'POST',
+          body: JSON.stringify(body)
+        }, { onFailure })
+        if (onProgress && typeof onProgress === 'function') {
+          onProgress(Math.min(i + importChunkSize, datapoints.length))
+        }
+      }
+      if (onSuccess && typeof onSuccess === 'function') onSuccess()
+    } catch (error) {
+      console.error(error.message)
+      console.error(error.stack)
+    }
+  }
+}
+
 export const fetchMetricsData = (statusPageURL, metricID, year, month, date, callbacks = {}) => {
   let url = statusPageURL
   if (url.length > 0 && statusPageURL[statusPageURL.length - 1] === '/') {
@@ -189,3 +229,25 @@ export const fetchMetricsData = (statusPageURL, metricID, year, month, date, cal
     }
   }
 }
+
+export const fetchMetricsRollup = (statusPageURL, metricID, rollupName, callbacks = {}) => {
+  let url = statusPageURL
+  if (url.length > 0 && statusPageURL[statusPageURL.length - 1] === '/') {
+    url = url.slice(0, url.length - 1)
+  }
+
+  return async dispatch => {
+    try {
+      const respBody = await sendRequest(`${url}/metrics/${metricID}/rollups/${rollupName}.json`,
+                                         {cache: 'no-cache', mode: 'cors'}, callbacks)
+      if (typeof respBody === 'object') {
+        dispatch(listMetricsRollup(metricID, rollupName, respBody))
+      }
+    } catch (error) {
+      console.error(error.message)
+      console.error(error.stack)
+      // The rollup doesn't exist until the first datapoint is collected.
+      dispatch(listMetricsRollup(metricID, rollupName, []))
+    }
+  }
+}
@@ -61,10 +61,19 @@ export const fetchPublicSettings = (callbacks = {}) => {
   }
 }
 
-export const updateSettings = (serviceName, adminPageURL, statusPageURL, callbacks = {}) => {
+export const updateSettings = (serviceName, adminPageURL, statusPageURL, metricsRetentionDays, showAffectedVia,
+                               maintenanceStartMessage, maintenanceEndMessage, callbacks = {}) => {
   return async dispatch => {
     try {
-      const body = { serviceName, adminPageURL, statusPageURL }
+      const body = {
+        serviceName,
+        adminPageURL,
+        statusPageURL,
+        metricsRetentionDays,
+        showAffectedVia,
+        maintenanceStartMessage,
+        maintenanceEndMessage
+      }
       const json = await sendRequest(apiURL + 'settings', {
         headers: await buildHeaders(),
         method: 'PATCH',
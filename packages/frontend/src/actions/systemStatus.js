@@ -0,0 +1,24 @@
+import 'whatwg-fetch'
+import { sendRequest } from 'utils/fetch'
+import { apiURL } from 'utils/settings'
+
+export const SET_SYSTEM_STATUS = 'SET_SYSTEM_STATUS'
+
+export function setSystemStatus (json) {
+  return {
+    type: SET_SYSTEM_STATUS,
+    status: json.status
+  }
+}
+
+export const fetchSystemStatus = (callbacks = {}) => {
+  return async dispatch => {
+    try {
+      const json = await sendRequest(apiURL + 'system-status', {}, callbacks)
+      dispatch(setSystemStatus(json))
+    } catch (error) {
+      console.error(error.message)
+      console.error(error.stack)
+    }
+  }
+}
@@ -0,0 +1,178 @@
+import React, { PropTypes } from 'react'
+import Button from 'components/common/Button'
+import DropdownList from 'components/common/DropdownList'
+import ErrorMessage from 'components/common/ErrorMessage'
+import TextField from 'components/common/TextField'
+import { alertRuleComparators, alertRuleRecoveryActions, componentStatuses } from 'utils/status'
+import classes from './AlertRulesEditor.scss'
+
+const defaultRule = {
+  comparator: alertRuleComparators[0],
+  threshold: 0,
+  duration: 5,
+  componentIDs: [],
+  componentStatus: 'Major Outage',
+  incidentName: '',
+  draft: false,
+  recoveryAction: alertRuleRecoveryActions[0].id
+}
+
+// The numbers are sent as they are if they can't be parsed, so that the server rejects them.
+const toNumber = (text) => {
+  return /^-?[0-9]+(\.[0-9]+)?$/.test(text) ? parseFloat(text) : text
+}
+
+export default class AlertRulesEditor extends React.Component {
+  static propTypes = {
+    onChange: PropTypes.func.isRequired,
+    alertRules: PropTypes.arrayOf(PropTypes.object.isRequired),
+    components: PropTypes.arrayOf(PropTypes.shape({
+      componentID: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired
+    }).isRequired).isRequired,
+    fetchComponents: PropTypes.func.isRequired
+  }
+
+  constructor (props) {
+    super(props)
+    const alertRules = props.alertRules || []
+    this.state = {
+      rules: alertRules.map(rule => {
+        return Object.assign({}, rule, {threshold: String(rule.threshold), duration: String(rule.duration)})
+      }),
+      message: ''
+    }
+  }
+
+  componentDidMount () {
+    this.props.fetchComponents({
+      onFailure: (msg) => {
+        this.setState({message: msg})
+      }
+    })
+  }
+
+  notifyChange = (rules) => {
+    this.props.onChange(rules.map(rule => {
+      return Object.assign({}, rule, {threshold: toNumber(rule.threshold), duration: toNumber(rule.duration)})
+    }))
+  }
+
+  updateRules = (rules) => {
+    this.setState({rules})
+    this.notifyChange(rules)
+  }
+
+  handleClickAddButton = () => {
+    const rule = Object.assign({}, defaultRule, {
+      threshold: String(defaultRule.threshold),
+      duration: String(defaultRule.duration)
+    })
+    this.updateRules(this.state.rules.concat([rule]))
+  }
+
+  handleClickRemoveButton = (i) => {
+    return () => {
+      this.updateRules(this.state.rules.filter((rule, j) => j !== i))
+    }
+  }
+
+  handleChange = (i, key) => {
+    return (value) => {
+      this.updateRules(this.state.rules.map((rule, j) => {
+        return j === i ? Object.assign({}, rule, {[key]: value}) : rule
+      }))
+    }
+  }
+
+  handleChangeRecoveryAction = (i) => {
+    return (name) => {
+      this.handleChange(i, 'recoveryAction')(alertRuleRecoveryActions.find(action => action.name === name).id)
+    }
+  }
+
+  handleToggleComponent = (i, componentID) => {
+    return (e) => {
+      const { componentIDs } = this.state.rules[i]
+      if (e.target.checked) {
+        this.handleChange(i, 'componentIDs')(componentIDs.concat([componentID]))
+      } else {
+        this.handleChange(i, 'componentIDs')(componentIDs.filter(id => id !== componentID))
+      }
+    }
+  }
+
+  handleToggleDraft = (i) => {
+    return (e) => {
+      this.handleChange(i, 'draft')(e.target.checked)
+    }
+  }
+
+  renderRule = (rule, i) => {
+    const components = this.props.components.map(component => {
+      const checked = rule.componentIDs.indexOf(component.componentID) >= 0
+      return (
+        <label key={component.componentID}>
+          <input type='checkbox' checked={checked} onChange={this.handleToggleComponent(i, component.componentID)} />
+          {component.name}
+        </label>
+      )
+    })
+    const recoveryAction = alertRuleRecoveryActions.find(action => action.id === rule.recoveryAction)
+
+    return (
+      <div key={i} className={classes.rule}>
+        <div className={classes.condition}>
+          <div>
+            <label className={classes.label} htmlFor={`comparator${i}`}>Comparator</label>
+            <div id={`comparator${i}`} className={classes['dropdown-list']}>
+              <DropdownList onChange={this.handleChange(i, 'comparator')} list={alertRuleComparators}
+                initialValue={rule.comparator} />
+            </div>
+          </div>
+          <TextField label='Threshold' text={rule.threshold} rows={1} onChange={this.handleChange(i, 'threshold')} />
+          <TextField label='Duration (minutes)' text={rule.duration} rows={1}
+            onChange={this.handleChange(i, 'duration')}
+            information='How long the value keeps crossing the threshold before the incident is opened.' />
+        </div>
+
+        <label className={classes.label}>Affected Components</label>
+        <div className={classes.components}>
+          {components}
+        </div>
+        <label className={classes.label} htmlFor={`componentStatus${i}`}>Status on alert</label>
+        <div id={`componentStatus${i}`} className={classes['dropdown-list']}>
+          <DropdownList onChange={this.handleChange(i, 'componentStatus')} list={componentStatuses}
+            initialValue={rule.componentStatus} />
+        </div>
+
+        <TextField label='Incident Name' text={rule.incidentName} rows={1}
+          onChange={this.handleChange(i, 'incidentName')} />
+        <label className={classes.label} htmlFor={`recoveryAction${i}`}>On recovery</label>
+        <div id={`recoveryAction${i}`} className={classes['dropdown-list']}>
+          <DropdownList onChange={this.handleChangeRecoveryAction(i)}
+            list={alertRuleRecoveryActions.map(action => action.name)}
+            initialValue={recoveryAction ? recoveryAction.name : ''} />
+        </div>
+
+        <div className={classes.actions}>
+          <label>
+            <input type='checkbox' checked={rule.draft} onChange={this.handleToggleDraft(i)} />
+            Open the incident as a draft (no notification)
+          </label>
+          <Button onClick={this.handleClickRemoveButton(i)} name='Remove Rule' />
+        </div>
+      </div>
+    )
+  }
+
+  render () {
+    return (
+      <div>
+        <ErrorMessage message={this.state.message} />
+        {this.state.rules.map(this.renderRule)}
+        <Button onClick={this.handleClickAddButton} name='Add Alert Rule' />
+      </div>
+    )
+  }
+}
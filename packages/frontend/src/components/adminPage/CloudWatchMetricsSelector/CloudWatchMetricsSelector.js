@@ -4,7 +4,7 @@ import classnames from 'classnames'
 import DropdownList from 'components/common/DropdownList'
 import Spinner from 'components/common/Spinner'
 import { apiURL } from 'utils/settings'
-import { regions, cloudWatchMonitoringService } from 'utils/status'
+import { regions, cloudWatchMonitoringService, cloudWatchStatistics, cloudWatchPeriods } from 'utils/status'
 import classes from './CloudWatchMetricsSelector.scss'
 
 export default class CloudWatchMetricsSelector extends React.Component {
@@ -32,10 +32,25 @@ export default class CloudWatchMetricsSelector extends React.Component {
     const regionName = regions.find(r => r.id === region).name
     const namespace = props.props ? props.props.Namespace : ''
     const metric = props.props ? this.buildMetricExpression(props.props) : ''
+    const statistic = (props.props && props.props.Statistic) ? props.props.Statistic : cloudWatchStatistics[0]
+    const period = (props.props && props.props.Period) ? props.props.Period : cloudWatchPeriods[0].seconds
+
+    // The metric may be created via the API with the statistic or period not in the list.
+    this.statistics = cloudWatchStatistics.slice()
+    if (this.statistics.indexOf(statistic) < 0) {
+      this.statistics.push(statistic)
+    }
+    this.periods = cloudWatchPeriods.slice()
+    if (!this.periods.find(p => p.seconds === period)) {
+      this.periods.push({seconds: period, name: `${period} seconds`})
+    }
+
     this.state = {
       regionName,
       namespace,
       metric,
+      statistic,
+      period,
       isFetching: false
     }
   }
@@ -75,14 +90,34 @@ export default class CloudWatchMetricsSelector extends React.Component {
 
   handleChangeMetric = (value) => {
     this.setState({metric: value})
+    this.notifyChange(value, this.state.statistic, this.state.period)
+  }
+
+  handleChangeStatistic = (value) => {
+    this.setState({statistic: value})
+    if (this.state.metric !== '') {
+      this.notifyChange(this.state.metric, value, this.state.period)
+    }
+  }
+
+  handleChangePeriod = (value) => {
+    const period = this.periods.find(p => p.name === value).seconds
+    this.setState({period})
+    if (this.state.metric !== '') {
+      this.notifyChange(this.state.metric, this.state.statistic, period)
+    }
+  }
 
-    const { metricName, dimensions } = this.parseMetricExpression(value)
+  notifyChange = (metric, statistic, period) => {
+    const { metricName, dimensions } = this.parseMetricExpression(metric)
     const regionID = regions.find(r => r.name === this.state.regionName).id
     this.props.onChange({
       Region: regionID,
       Namespace: this.state.namespace,
       MetricName: metricName,
-      Dimensions: dimensions
+      Dimensions: dimensions,
+      Statistic: statistic,
+      Period: period
     })
   }
 
@@ -110,6 +145,17 @@ export default class CloudWatchMetricsSelector extends React.Component {
     return { metricName, dimensions }
   }
 
+  // CloudWatch keeps the datapoints of the short period only for 15 days, so the backend doesn't backfill the older
+  // dates. See aws/cloudWatch in the lambda package.
+  renderPeriodNote = () => {
+    if (this.state.period >= 300) return null
+    return (
+      <div className={classes.note}>
+        CloudWatch keeps the data of this period for 15 days. The older dates are not collected.
+      </div>
+    )
+  }
+
   render () {
     let namespaces = ['']
     let metrics = ['']
@@ -171,6 +217,24 @@ export default class CloudWatchMetricsSelector extends React.Component {
             list={metrics} initialValue={this.state.metric} />
         </div>
 
+        <div className={classes.aggregation}>
+          <div>
+            <label className={classes.label} htmlFor='statistic'>Statistic</label>
+            <div id='statistic' className={classes['dropdown-list']}>
+              <DropdownList onChange={this.handleChangeStatistic} list={this.statistics}
+                initialValue={this.state.statistic} />
+            </div>
+          </div>
+          <div>
+            <label className={classes.label} htmlFor='period'>Period</label>
+            <div id='period' className={classes['dropdown-list']}>
+              <DropdownList onChange={this.handleChangePeriod} list={this.periods.map(p => p.name)}
+                initialValue={this.periods.find(p => p.seconds === this.state.period).name} />
+            </div>
+          </div>
+        </div>
+        {this.renderPeriodNote()}
+
         <ReactTooltip id='cloudWatchInfo' effect='solid' place='right' delayHide={5000} className={classes.tooltip}>
           <div>
             Access
@@ -2,6 +2,7 @@ import React, { PropTypes } from 'react'
 import ReactDOM from 'react-dom'
 import classnames from 'classnames'
 import Button from 'components/common/Button'
+import DropdownList from 'components/common/DropdownList'
 import ErrorMessage from 'components/common/ErrorMessage'
 import TextField from 'components/common/TextField'
 import { mountDialog, unmountDialog } from 'utils/dialog'
@@ -21,8 +22,18 @@ export default class ComponentDialog extends React.Component {
       name: PropTypes.string.isRequired,
       description: PropTypes.string.isRequired,
       status: PropTypes.string.isRequired,
-      order: PropTypes.number.isRequired
+      order: PropTypes.number.isRequired,
+      groupID: PropTypes.string,
+      dependencies: PropTypes.arrayOf(PropTypes.string)
     }),
+    components: PropTypes.arrayOf(PropTypes.shape({
+      componentID: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired
+    }).isRequired).isRequired,
+    componentGroups: PropTypes.arrayOf(PropTypes.shape({
+      groupID: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired
+    }).isRequired).isRequired,
     dialogType: PropTypes.number.isRequired,
     postComponent: PropTypes.func.isRequired,
     updateComponent: PropTypes.func.isRequired
@@ -34,13 +45,17 @@ export default class ComponentDialog extends React.Component {
       this.state = {
         name: props.component.name,
         description: props.component.description,
-        status: props.component.status
+        status: props.component.status,
+        groupID: props.component.groupID || '',
+        dependencies: props.component.dependencies || []
       }
     } else {
       this.state = {
         name: '',
         description: '',
-        status: componentStatuses[0]
+        status: componentStatuses[0],
+        groupID: '',
+        dependencies: []
       }
     }
     this.state.isUpdating = false
@@ -59,6 +74,22 @@ export default class ComponentDialog extends React.Component {
     this.setState({description: value})
   }
 
+  handleChangeGroup = (name) => {
+    const group = this.props.componentGroups.find(group => group.name === name)
+    this.setState({groupID: group ? group.groupID : ''})
+  }
+
+  handleToggleDependency = (componentID) => {
+    return (e) => {
+      const { dependencies } = this.state
+      if (e.target.checked) {
+        this.setState({dependencies: dependencies.concat(componentID)})
+      } else {
+        this.setState({dependencies: dependencies.filter(id => id !== componentID)})
+      }
+    }
+  }
+
   updateCallbacks = {
     onLoad: () => { this.setState({isUpdating: true}) },
     onSuccess: () => {
@@ -71,12 +102,14 @@ export default class ComponentDialog extends React.Component {
   }
 
   handleClickAddButton = (e) => {
-    this.props.postComponent(this.state.name, this.state.description, this.state.status, this.updateCallbacks)
+    this.props.postComponent(this.state.name, this.state.description, this.state.status, this.state.groupID,
+                             this.state.dependencies, this.updateCallbacks)
   }
 
   handleClickEditButton = (e) => {
     this.props.updateComponent(this.props.component.componentID, this.state.name, this.state.description,
-                               this.state.status, this.props.component.order, this.updateCallbacks)
+                               this.state.status, this.props.component.order, this.state.groupID,
+                               this.state.dependencies, this.updateCallbacks)
   }
 
   handleHideDialog = () => {
@@ -84,6 +117,46 @@ export default class ComponentDialog extends React.Component {
     this.props.onClosed()
   }
 
+  renderGroupSelector = () => {
+    const { componentGroups } = this.props
+    const group = componentGroups.find(group => group.groupID === this.state.groupID)
+    const names = [''].concat(componentGroups.map(group => group.name))
+    return (
+      <div>
+        <label className={classes.label} htmlFor='componentGroup'>Group (optional)</label>
+        <div id='componentGroup'>
+          <DropdownList onChange={this.handleChangeGroup} list={names} initialValue={group ? group.name : ''} />
+        </div>
+      </div>
+    )
+  }
+
+  renderDependenciesSelector = () => {
+    const { component } = this.props
+    const candidates = this.props.components.filter(candidate => {
+      return !component || candidate.componentID !== component.componentID
+    })
+    if (candidates.length === 0) return null
+
+    return (
+      <div>
+        <label className={classes.label}>Depends on (optional)</label>
+        <div className={classes.dependencies}>
+          {candidates.map(candidate => {
+            const checked = this.state.dependencies.indexOf(candidate.componentID) >= 0
+            return (
+              <label key={candidate.componentID}>
+                <input type='checkbox' checked={checked}
+                  onChange={this.handleToggleDependency(candidate.componentID)} />
+                {candidate.name}
+              </label>
+            )
+          })}
+        </div>
+      </div>
+    )
+  }
+
   render () {
     let actionName, clickHandler
     switch (this.props.dialogType) {
@@ -108,6 +181,8 @@ export default class ComponentDialog extends React.Component {
         <TextField label='Name' text={this.state.name} rows={1} onChange={this.handleChangeName} />
         <TextField label='Description (optional)' text={this.state.description} rows={2}
           onChange={this.handleChangeDescription} />
+        {this.renderGroupSelector()}
+        {this.renderDependenciesSelector()}
       </div>
       <div className='mdl-dialog__actions'>
         <Button onClick={clickHandler} name={actionName}
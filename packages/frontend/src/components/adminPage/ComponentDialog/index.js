@@ -4,7 +4,10 @@ import { postComponent, updateComponent } from 'actions/components'
 import ComponentDialog, { dialogType } from './ComponentDialog'
 
 const mapStateToProps = (state) => {
-  return {}
+  return {
+    components: state.components.components,
+    componentGroups: state.componentGroups.componentGroups
+  }
 }
 
 function mapDispatchToProps (dispatch) {
@@ -0,0 +1,23 @@
+import { connect } from 'react-redux'
+import { bindActionCreators } from 'redux'
+import { postComponentGroup, updateComponentGroup } from 'actions/componentGroups'
+import ComponentGroupDialog, { dialogType } from './ComponentGroupDialog'
+
+const mapStateToProps = (state, ownProps) => {
+  let focusedGroup
+  state.componentGroups.componentGroups.forEach((group) => {
+    if (group.groupID === ownProps.groupID) {
+      focusedGroup = group
+    }
+  })
+  return {
+    componentGroup: focusedGroup
+  }
+}
+
+function mapDispatchToProps (dispatch) {
+  return bindActionCreators({postComponentGroup, updateComponentGroup}, dispatch)
+}
+
+export default connect(mapStateToProps, mapDispatchToProps)(ComponentGroupDialog)
+export const componentGroupDialogType = dialogType
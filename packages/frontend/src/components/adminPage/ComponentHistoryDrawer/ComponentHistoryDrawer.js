@@ -0,0 +1,119 @@
+import React, { PropTypes } from 'react'
+import classnames from 'classnames'
+import ErrorMessage from 'components/common/ErrorMessage'
+import { getComponentColor } from 'utils/status'
+import { getFormattedDateTime } from 'utils/datetime'
+import classes from './ComponentHistoryDrawer.scss'
+
+const causeLabels = {
+  incident: 'Incident',
+  maintenance: 'Maintenance',
+  manual: 'Manual change',
+  monitoring: 'Monitoring'
+}
+
+// The panel on the right side which shows the status changes of the component from latest to oldest.
+export default class ComponentHistoryDrawer extends React.Component {
+  static propTypes = {
+    componentID: PropTypes.string.isRequired,
+    onClosed: PropTypes.func.isRequired,
+    component: PropTypes.shape({
+      componentID: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+      statusHistory: PropTypes.arrayOf(PropTypes.shape({
+        changedAt: PropTypes.string.isRequired,
+        previousStatus: PropTypes.string.isRequired,
+        status: PropTypes.string.isRequired,
+        actor: PropTypes.string.isRequired,
+        cause: PropTypes.string.isRequired,
+        causeID: PropTypes.string.isRequired
+      }).isRequired)
+    }),
+    fetchComponentHistory: PropTypes.func.isRequired
+  }
+
+  constructor () {
+    super()
+    this.state = {
+      isFetching: false,
+      message: ''
+    }
+  }
+
+  callbacks = {
+    onLoad: () => { this.setState({isFetching: true}) },
+    onSuccess: () => { this.setState({isFetching: false}) },
+    onFailure: (msg) => {
+      this.setState({isFetching: false, message: msg})
+    }
+  }
+
+  componentDidMount () {
+    this.props.fetchComponentHistory(this.props.componentID, this.callbacks)
+  }
+
+  handleClickCloseButton = () => {
+    this.props.onClosed()
+  }
+
+  renderStatus = (status) => {
+    return (
+      <span className={classes.status}>
+        <i className={classnames(classes['status-icon'], 'material-icons')}
+          style={{color: getComponentColor(status)}}>lens</i>
+        {status}
+      </span>
+    )
+  }
+
+  renderCause = (change) => {
+    const label = causeLabels[change.cause]
+    if (!label) return null
+    const causeID = change.causeID ? ` (${change.causeID})` : ''
+    return <div className={classes.cause}>{label}{causeID}</div>
+  }
+
+  renderChange = (change) => {
+    const previousStatus = change.previousStatus ? this.renderStatus(change.previousStatus) : 'Created'
+    return (
+      <li key={change.changedAt} className={classes.change}>
+        <div className={classes['changed-at']}>{getFormattedDateTime(change.changedAt)}</div>
+        <div>
+          {previousStatus}
+          <i className={classnames(classes.arrow, 'material-icons')}>arrow_forward</i>
+          {this.renderStatus(change.status)}
+        </div>
+        {this.renderCause(change)}
+        {change.actor ? <div className={classes.actor}>by {change.actor}</div> : null}
+      </li>
+    )
+  }
+
+  render () {
+    const { component } = this.props
+    if (!component) return null
+    const statusHistory = component.statusHistory || []
+
+    let changes
+    if (statusHistory.length === 0 && !this.state.isFetching) {
+      changes = <li className={classes.change}>No status change recorded yet.</li>
+    } else {
+      changes = statusHistory.map(this.renderChange)
+    }
+
+    return (
+      <div className={classnames(classes.drawer, 'mdl-shadow--4dp')}
+        style={{ opacity: this.state.isFetching ? 0.5 : 1 }}>
+        <div className={classes.header}>
+          <h5 className={classes.title}>{component.name}</h5>
+          <i className={classnames(classes['close-icon'], 'material-icons')}
+            onClick={this.handleClickCloseButton}>close</i>
+        </div>
+        <ErrorMessage message={this.state.message} />
+        <ul className={classes.timeline}>
+          {changes}
+        </ul>
+      </div>
+    )
+  }
+}
@@ -0,0 +1,22 @@
+import { connect } from 'react-redux'
+import { bindActionCreators } from 'redux'
+import { fetchComponentHistory } from 'actions/components'
+import ComponentHistoryDrawer from './ComponentHistoryDrawer'
+
+const mapStateToProps = (state, ownProps) => {
+  let focusedComponent
+  state.components.components.forEach((component) => {
+    if (component.componentID === ownProps.componentID) {
+      focusedComponent = component
+    }
+  })
+  return {
+    component: focusedComponent
+  }
+}
+
+function mapDispatchToProps (dispatch) {
+  return bindActionCreators({fetchComponentHistory}, dispatch)
+}
+
+export default connect(mapStateToProps, mapDispatchToProps)(ComponentHistoryDrawer)
@@ -1,6 +1,8 @@
 import React, { PropTypes } from 'react'
 import classnames from 'classnames'
 import ComponentDialog, { componentDialogType } from 'components/adminPage/ComponentDialog'
+import ComponentGroupDialog, { componentGroupDialogType } from 'components/adminPage/ComponentGroupDialog'
+import ComponentHistoryDrawer from 'components/adminPage/ComponentHistoryDrawer'
 import FoolproofDialog from 'components/adminPage/FoolproofDialog'
 import Button from 'components/common/Button'
 import Tooltip from 'components/common/Tooltip'
@@ -13,7 +15,18 @@ const dialogType = {
   none: 0,
   add: 1,
   edit: 2,
-  delete: 3
+  delete: 3,
+  addGroup: 4,
+  editGroup: 5,
+  deleteGroup: 6,
+  history: 7
+}
+
+// Returns the order which moves the i-th item below the next one.
+const getDownwardOrder = (items, i) => {
+  const orderA = items[i + 1].order
+  const orderB = (i + 2 < items.length ? items[i + 2].order : Math.floor(new Date().getTime() / 1000))
+  return Math.floor((orderA + orderB) / 2)
 }
 
 export default class Components extends React.Component {
@@ -23,11 +36,21 @@ export default class Components extends React.Component {
       name: PropTypes.string.isRequired,
       description: PropTypes.string.isRequired,
       status: PropTypes.string.isRequired,
+      order: PropTypes.number.isRequired,
+      groupID: PropTypes.string
+    }).isRequired).isRequired,
+    componentGroups: PropTypes.arrayOf(PropTypes.shape({
+      groupID: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+      description: PropTypes.string.isRequired,
       order: PropTypes.number.isRequired
     }).isRequired).isRequired,
     fetchComponents: PropTypes.func.isRequired,
+    fetchComponentGroups: PropTypes.func.isRequired,
     updateComponent: PropTypes.func.isRequired,
-    deleteComponent: PropTypes.func.isRequired
+    deleteComponent: PropTypes.func.isRequired,
+    updateComponentGroup: PropTypes.func.isRequired,
+    deleteComponentGroup: PropTypes.func.isRequired
   }
 
   constructor () {
@@ -35,6 +58,7 @@ export default class Components extends React.Component {
     this.state = {
       dialogType: dialogType.none,
       component: null,
+      group: null,
       isFetching: false,
       message: ''
     }
@@ -50,10 +74,11 @@ export default class Components extends React.Component {
 
   componentDidMount () {
     this.props.fetchComponents(this.callbacks)
+    this.props.fetchComponentGroups(this.callbacks)
   }
 
-  handleShowDialog = (type, component) => {
-    this.setState({ component: component, dialogType: type })
+  handleShowDialog = (type, component, group) => {
+    this.setState({ component: component, group: group, dialogType: type })
   }
 
   handleShowAddDialog = () => {
@@ -68,29 +93,71 @@ export default class Components extends React.Component {
     return () => this.handleShowDialog(dialogType.delete, component)
   }
 
+  handleShowHistory = (component) => {
+    return () => this.handleShowDialog(dialogType.history, component)
+  }
+
+  handleShowAddGroupDialog = () => {
+    return () => this.handleShowDialog(dialogType.addGroup)
+  }
+
+  handleShowEditGroupDialog = (group) => {
+    return () => this.handleShowDialog(dialogType.editGroup, null, group)
+  }
+
+  handleShowDeleteGroupDialog = (group) => {
+    return () => this.handleShowDialog(dialogType.deleteGroup, null, group)
+  }
+
   handleCloseDialog = () => {
-    this.setState({ component: null, dialogType: dialogType.none })
+    this.setState({ component: null, group: null, dialogType: dialogType.none })
   }
 
-  handleClickArrowUpward = (i) => {
+  // The components are ordered within the group they belong to.
+  handleClickArrowUpward = (components, i) => {
     if (i === 0) { return () => {} }
-    return this.handleClickArrowDownward(i - 1)
+    return this.handleClickArrowDownward(components, i - 1)
   }
 
-  handleClickArrowDownward = (i) => {
+  handleClickArrowDownward = (components, i) => {
     return () => {
-      if (i === this.props.components.length - 1) { return }
-      const { components } = this.props
+      if (i === components.length - 1) { return }
       const clickedComp = components[i]
-      const orderA = components[i + 1].order
-      const orderB = (i + 2 < components.length ? components[i + 2].order : Math.floor(new Date().getTime() / 1000))
-      const newOrder = Math.floor((orderA + orderB) / 2)
       this.props.updateComponent(clickedComp.componentID, clickedComp.name, clickedComp.description,
-                                 clickedComp.status, newOrder, this.callbacks)
+                                 clickedComp.status, getDownwardOrder(components, i), clickedComp.groupID,
+                                 clickedComp.dependencies, this.callbacks)
+    }
+  }
+
+  handleClickGroupArrowUpward = (i) => {
+    if (i === 0) { return () => {} }
+    return this.handleClickGroupArrowDownward(i - 1)
+  }
+
+  handleClickGroupArrowDownward = (i) => {
+    return () => {
+      const { componentGroups } = this.props
+      if (i === componentGroups.length - 1) { return }
+      const clickedGroup = componentGroups[i]
+      this.props.updateComponentGroup(clickedGroup.groupID, clickedGroup.name, clickedGroup.description,
+                                      getDownwardOrder(componentGroups, i), this.callbacks)
     }
   }
 
-  renderListItem = (component, i) => {
+  renderOrderButtons = (onClickUpward, onClickDownward) => {
+    return (
+      <div className={classnames(classes['order-buttons'])}>
+        <i className={classnames(classes['order-icon'], 'material-icons')} onClick={onClickUpward}>
+          arrow_upward
+        </i>
+        <i className={classnames(classes['order-icon'], 'material-icons')} onClick={onClickDownward}>
+          arrow_downward
+        </i>
+      </div>
+    )
+  }
+
+  renderListItem = (component, i, components) => {
     let statusColor = getComponentColor(component.status)
     return (
       <li key={component.componentID} className='mdl-list__item mdl-list__item--two-line mdl-shadow--2dp'>
@@ -102,22 +169,39 @@ export default class Components extends React.Component {
           <span className='mdl-list__item-sub-title'>{component.description}</span>
         </span>
         <span className={classnames('mdl-list__item-secondary-content', classes['buttons'])}>
+          <Button plain name='History' onClick={this.handleShowHistory(component)} />
           <Button plain name='Edit' onClick={this.handleShowEditDialog(component)} />
           <Button plain name='Delete' onClick={this.handleShowDeleteDialog(component)} />
-          <div className={classnames(classes['order-buttons'])}>
-            <i className={classnames(classes['order-icon'], 'material-icons')} onClick={this.handleClickArrowUpward(i)}>
-              arrow_upward
-            </i>
-            <i className={classnames(classes['order-icon'], 'material-icons')}
-              onClick={this.handleClickArrowDownward(i)}>
-              arrow_downward
-            </i>
-          </div>
+          {this.renderOrderButtons(this.handleClickArrowUpward(components, i),
+                                   this.handleClickArrowDownward(components, i))}
         </span>
       </li>
     )
   }
 
+  renderGroup = (group, i) => {
+    const members = this.props.components.filter(component => component.groupID === group.groupID)
+    return (
+      <div key={group.groupID} className={classes.group}>
+        <div className={classnames('mdl-list__item', 'mdl-list__item--two-line', classes['group-header'])}>
+          <span className='mdl-list__item-primary-content'>
+            <i className={classnames(classes.icon, 'material-icons', 'mdl-list__item-avatar')}>folder</i>
+            <span>{group.name}</span>
+            <span className='mdl-list__item-sub-title'>{group.description}</span>
+          </span>
+          <span className={classnames('mdl-list__item-secondary-content', classes['buttons'])}>
+            <Button plain name='Edit' onClick={this.handleShowEditGroupDialog(group)} />
+            <Button plain name='Delete' onClick={this.handleShowDeleteGroupDialog(group)} />
+            {this.renderOrderButtons(this.handleClickGroupArrowUpward(i), this.handleClickGroupArrowDownward(i))}
+          </span>
+        </div>
+        <ul className={classnames('mdl-list', classes['group-members'])}>
+          {members.map(this.renderListItem)}
+        </ul>
+      </div>
+    )
+  }
+
   renderDialog = () => {
     let dialog
     switch (this.state.dialogType) {
@@ -137,6 +221,23 @@ export default class Components extends React.Component {
           name={this.state.component.name} ID={this.state.component.componentID}
           deleteFunction={this.props.deleteComponent} />
         break
+      case dialogType.addGroup:
+        dialog = <ComponentGroupDialog onClosed={this.handleCloseDialog}
+          dialogType={componentGroupDialogType.add} />
+        break
+      case dialogType.editGroup:
+        dialog = <ComponentGroupDialog onClosed={this.handleCloseDialog}
+          groupID={this.state.group.groupID} dialogType={componentGroupDialogType.edit} />
+        break
+      case dialogType.deleteGroup:
+        dialog = <FoolproofDialog onClosed={this.handleCloseDialog}
+          name={this.state.group.name} ID={this.state.group.groupID}
+          deleteFunction={this.props.deleteComponentGroup} />
+        break
+      case dialogType.history:
+        dialog = <ComponentHistoryDrawer onClosed={this.handleCloseDialog}
+          componentID={this.state.component.componentID} />
+        break
       default:
         console.warn('unknown dialog type: ', this.state.dialogType)
     }
@@ -144,20 +245,29 @@ export default class Components extends React.Component {
   }
 
   render () {
-    const componentItems = this.props.components.map(this.renderListItem)
+    const { components, componentGroups } = this.props
+    const groupIDs = componentGroups.map(group => group.groupID)
+    const ungroupedComponents = components.filter(component => groupIDs.indexOf(component.groupID) < 0)
+    const componentItems = ungroupedComponents.map(this.renderListItem)
+    const groupItems = componentGroups.map(this.renderGroup)
 
     const dialog = this.renderDialog()
     const textInButton = (<div>
       <i className='material-icons'>add</i>
       Component
     </div>)
+    const textInGroupButton = (<div>
+      <i className='material-icons'>add</i>
+      Group
+    </div>)
 
     return (<div className={classnames(classes.layout, 'mdl-grid')}
       style={{ opacity: this.state.isFetching ? 0.5 : 1 }}>
-      <div className='mdl-cell mdl-cell--9-col mdl-cell--middle'>
+      <div className='mdl-cell mdl-cell--6-col mdl-cell--middle'>
         <h4>Components</h4>
       </div>
-      <div className={classnames(classes.showDialogButton, 'mdl-cell mdl-cell--3-col mdl-cell--middle')}>
+      <div className={classnames(classes.showDialogButton, 'mdl-cell mdl-cell--6-col mdl-cell--middle')}>
+        <Button onClick={this.handleShowAddGroupDialog()} name={textInGroupButton} />
         <Button onClick={this.handleShowAddDialog()} name={textInButton} class='mdl-button--accent' />
       </div>
       <div className='mdl-cell mdl-cell--12-col mdl-list'>
@@ -166,6 +276,9 @@ export default class Components extends React.Component {
       <ul className='mdl-cell mdl-cell--12-col mdl-list'>
         {componentItems}
       </ul>
+      <div className='mdl-cell mdl-cell--12-col'>
+        {groupItems}
+      </div>
       <div id={innerDialogID}>
         {dialog}
       </div>
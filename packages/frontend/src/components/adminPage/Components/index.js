@@ -1,16 +1,20 @@
 import { connect } from 'react-redux'
 import { bindActionCreators } from 'redux'
 import { fetchComponents, updateComponent, deleteComponent } from 'actions/components'
+import { fetchComponentGroups, updateComponentGroup, deleteComponentGroup } from 'actions/componentGroups'
 import Components from './Components'
 
 const mapStateToProps = (state) => {
   return {
-    components: state.components.components
+    components: state.components.components,
+    componentGroups: state.componentGroups.componentGroups
   }
 }
 
 function mapDispatchToProps (dispatch) {
-  return bindActionCreators({fetchComponents, updateComponent, deleteComponent}, dispatch)
+  return bindActionCreators({
+    fetchComponents, updateComponent, deleteComponent, fetchComponentGroups, updateComponentGroup, deleteComponentGroup
+  }, dispatch)
 }
 
 export default connect(mapStateToProps, mapDispatchToProps)(Components)
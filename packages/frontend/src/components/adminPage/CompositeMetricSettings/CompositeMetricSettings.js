@@ -0,0 +1,55 @@
+import React, { PropTypes } from 'react'
+import DropdownList from 'components/common/DropdownList'
+import TextField from 'components/common/TextField'
+import classes from './CompositeMetricSettings.scss'
+
+export default class CompositeMetricSettings extends React.Component {
+  static propTypes = {
+    onChange: PropTypes.func.isRequired,
+    props: PropTypes.object,
+    metricID: PropTypes.string,
+    metrics: PropTypes.arrayOf(PropTypes.shape({
+      metricID: PropTypes.string.isRequired,
+      title: PropTypes.string.isRequired
+    }).isRequired).isRequired
+  }
+
+  constructor (props) {
+    super(props)
+    const expression = (props.props && props.props.Expression) ? props.props.Expression : ''
+    this.state = {
+      expression
+    }
+  }
+
+  handleChangeExpression = (value) => {
+    this.setState({expression: value})
+    this.props.onChange({Expression: value})
+  }
+
+  // Appends the reference to the selected metric.
+  handleSelectMetric = (title) => {
+    const metric = this.props.metrics.find(metric => metric.title === title)
+    if (!metric) return
+    const { expression } = this.state
+    const separator = (expression === '' || expression.endsWith(' ')) ? '' : ' '
+    this.handleChangeExpression(`${expression}${separator}{${metric.metricID}}`)
+  }
+
+  render () {
+    // The metric can't reference itself.
+    const metrics = this.props.metrics.filter(metric => metric.metricID !== this.props.metricID)
+    const titles = [''].concat(metrics.map(metric => metric.title))
+
+    return (
+      <div>
+        <TextField label='Expression' text={this.state.expression} rows={2} onChange={this.handleChangeExpression}
+          information='The arithmetic of the other metrics, e.g. {metricID1} / {metricID2} * 100.' />
+        <label className={classes.label} htmlFor='metricReference'>Insert a reference to</label>
+        <div id='metricReference' className={classes['dropdown-list']}>
+          <DropdownList onChange={this.handleSelectMetric} list={titles} initialValue='' />
+        </div>
+      </div>
+    )
+  }
+}
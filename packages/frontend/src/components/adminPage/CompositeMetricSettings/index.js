@@ -0,0 +1,10 @@
+import { connect } from 'react-redux'
+import CompositeMetricSettings from './CompositeMetricSettings'
+
+const mapStateToProps = (state) => {
+  return {
+    metrics: state.metrics.metrics
+  }
+}
+
+export default connect(mapStateToProps)(CompositeMetricSettings)
@@ -20,6 +20,14 @@ const components = {
     name: 'Metrics',
     path: '/metrics'
   },
+  metricGroups: {
+    name: 'Metric Groups',
+    path: '/metric-groups'
+  },
+  reports: {
+    name: 'Reports',
+    path: '/reports'
+  },
   users: {
     name: 'Users',
     path: '/users'
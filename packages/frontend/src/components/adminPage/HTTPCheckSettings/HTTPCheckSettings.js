@@ -0,0 +1,150 @@
+import React, { PropTypes } from 'react'
+import DropdownList from 'components/common/DropdownList'
+import ErrorMessage from 'components/common/ErrorMessage'
+import TextField from 'components/common/TextField'
+import { componentStatuses, httpCheckMethods } from 'utils/status'
+import classes from './HTTPCheckSettings.scss'
+
+const defaultProps = {
+  URL: '',
+  Method: httpCheckMethods[0],
+  ExpectedStatus: 200,
+  BodyRegex: '',
+  Timeout: 10000,
+  FailureThreshold: 3,
+  ComponentID: '',
+  ComponentStatus: 'Major Outage'
+}
+
+// The numbers are sent as they are if they can't be parsed, so that the server rejects them.
+const toInteger = (text) => {
+  return /^[0-9]+$/.test(text) ? parseInt(text, 10) : text
+}
+
+export default class HTTPCheckSettings extends React.Component {
+  static propTypes = {
+    onChange: PropTypes.func.isRequired,
+    props: PropTypes.object,
+    components: PropTypes.arrayOf(PropTypes.shape({
+      componentID: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired
+    }).isRequired).isRequired,
+    fetchComponents: PropTypes.func.isRequired
+  }
+
+  constructor (props) {
+    super(props)
+    const settings = Object.assign({}, defaultProps, props.props)
+    this.state = {
+      url: settings.URL,
+      method: settings.Method,
+      expectedStatus: String(settings.ExpectedStatus),
+      bodyRegex: settings.BodyRegex,
+      timeout: String(settings.Timeout),
+      failureThreshold: String(settings.FailureThreshold),
+      componentID: settings.ComponentID,
+      componentStatus: settings.ComponentStatus,
+      message: ''
+    }
+  }
+
+  componentDidMount () {
+    this.props.fetchComponents({
+      onFailure: (msg) => {
+        this.setState({message: msg})
+      }
+    })
+    // The dialog doesn't know the default values until this component notifies them.
+    this.notifyChange(this.state)
+  }
+
+  notifyChange = (state) => {
+    const props = {
+      URL: state.url,
+      Method: state.method,
+      ExpectedStatus: toInteger(state.expectedStatus),
+      BodyRegex: state.bodyRegex,
+      Timeout: toInteger(state.timeout),
+      FailureThreshold: toInteger(state.failureThreshold)
+    }
+    if (state.componentID !== '') {
+      props.ComponentID = state.componentID
+      props.ComponentStatus = state.componentStatus
+    }
+    this.props.onChange(props)
+  }
+
+  handleChange = (key) => {
+    return (value) => {
+      const newState = {[key]: value}
+      this.setState(newState)
+      this.notifyChange(Object.assign({}, this.state, newState))
+    }
+  }
+
+  handleChangeComponent = (name) => {
+    let componentID = ''
+    this.props.components.forEach((component) => {
+      if (component.name === name) {
+        componentID = component.componentID
+      }
+    })
+    this.handleChange('componentID')(componentID)
+  }
+
+  render () {
+    const componentNames = [''].concat(this.props.components.map(component => component.name))
+    let selectedComponentName = ''
+    this.props.components.forEach((component) => {
+      if (component.componentID === this.state.componentID) {
+        selectedComponentName = component.name
+      }
+    })
+
+    let componentStatusSelector
+    if (this.state.componentID !== '') {
+      componentStatusSelector = (
+        <div>
+          <label className={classes.label} htmlFor='componentStatus'>Status on failure</label>
+          <div id='componentStatus' className={classes['dropdown-list']}>
+            <DropdownList onChange={this.handleChange('componentStatus')} list={componentStatuses}
+              initialValue={this.state.componentStatus} />
+          </div>
+        </div>
+      )
+    }
+
+    return (
+      <div>
+        <ErrorMessage message={this.state.message} />
+        <TextField label='URL' text={this.state.url} rows={1} onChange={this.handleChange('url')}
+          information='The endpoint is checked from AWS Lambda every minute.' />
+
+        <label className={classes.label} htmlFor='method'>Method</label>
+        <div id='method' className={classes['dropdown-list']}>
+          <DropdownList onChange={this.handleChange('method')} list={httpCheckMethods}
+            initialValue={this.state.method} />
+        </div>
+
+        <div className={classes.numbers}>
+          <TextField label='Expected Status Code' text={this.state.expectedStatus} rows={1}
+            onChange={this.handleChange('expectedStatus')} />
+          <TextField label='Timeout (ms)' text={this.state.timeout} rows={1}
+            onChange={this.handleChange('timeout')} />
+        </div>
+        <TextField label='Body Regex (optional)' text={this.state.bodyRegex} rows={1}
+          onChange={this.handleChange('bodyRegex')} />
+
+        <label className={classes.label} htmlFor='component'>Linked Component (optional)</label>
+        <div id='component' className={classes['dropdown-list']}>
+          <DropdownList onChange={this.handleChangeComponent} list={componentNames}
+            initialValue={selectedComponentName} />
+        </div>
+        {componentStatusSelector}
+        <TextField label='Failure Threshold' text={this.state.failureThreshold} rows={1}
+          onChange={this.handleChange('failureThreshold')}
+          information='The number of consecutive failures before the status of the component is changed.' />
+      </div>
+    )
+  }
+}
@@ -0,0 +1,16 @@
+import { connect } from 'react-redux'
+import { bindActionCreators } from 'redux'
+import { fetchComponents } from 'actions/components'
+import HTTPCheckSettings from './HTTPCheckSettings'
+
+const mapStateToProps = (state) => {
+  return {
+    components: state.components.components
+  }
+}
+
+function mapDispatchToProps (dispatch) {
+  return bindActionCreators({fetchComponents}, dispatch)
+}
+
+export default connect(mapStateToProps, mapDispatchToProps)(HTTPCheckSettings)
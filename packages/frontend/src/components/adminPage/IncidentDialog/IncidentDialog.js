@@ -7,7 +7,8 @@ import TextField from 'components/common/TextField'
 import ErrorMessage from 'components/common/ErrorMessage'
 import ComponentStatusSelector from 'components/adminPage/ComponentStatusSelector'
 import IncidentUpdateItem from 'components/adminPage/IncidentUpdateItem'
-import { incidentStatuses } from 'utils/status'
+import { incidentStatuses, incidentImpacts, getComponentColor } from 'utils/status'
+import { getDownstreamSuggestions } from 'utils/dependencies'
 import { mountDialog, unmountDialog } from 'utils/dialog'
 import classes from './IncidentDialog.scss'
 
@@ -25,6 +26,8 @@ export default class IncidentDialog extends React.Component {
       incidentID: PropTypes.string.isRequired,
       name: PropTypes.string.isRequired,
       status: PropTypes.string.isRequired,
+      impact: PropTypes.string,
+      draft: PropTypes.bool,
       incidentUpdates: PropTypes.arrayOf(PropTypes.shape({
         incidentUpdateID: PropTypes.string.isRequired,
         incidentStatus: PropTypes.string.isRequired,
@@ -35,7 +38,8 @@ export default class IncidentDialog extends React.Component {
     components: PropTypes.arrayOf(PropTypes.shape({
       componentID: PropTypes.string.isRequired,
       name: PropTypes.string.isRequired,
-      status: PropTypes.string.isRequired
+      status: PropTypes.string.isRequired,
+      dependencies: PropTypes.arrayOf(PropTypes.string)
     }).isRequired).isRequired,
     fetchComponents: PropTypes.func.isRequired,
     fetchIncidentUpdates: PropTypes.func.isRequired,
@@ -48,12 +52,14 @@ export default class IncidentDialog extends React.Component {
     if (props.incident) {
       this.state = {
         name: props.incident.name,
-        incidentStatus: props.incident.status
+        incidentStatus: props.incident.status,
+        impact: props.incident.impact || incidentImpacts[0]
       }
     } else {
       this.state = {
         name: '',
-        incidentStatus: incidentStatuses[0]
+        incidentStatus: incidentStatuses[0],
+        impact: incidentImpacts[0]
       }
     }
     this.state.components = props.components
@@ -69,7 +75,8 @@ export default class IncidentDialog extends React.Component {
       }
     }
     this.props.fetchComponents(fetchCallbacks)
-    if (this.props.incident) {
+    // The updates of the draft incident are fetched with the draft.
+    if (this.props.incident && !this.props.incident.draft) {
       this.props.fetchIncidentUpdates(this.props.incident.incidentID, fetchCallbacks)
     }
 
@@ -86,15 +93,30 @@ export default class IncidentDialog extends React.Component {
 
   handleChangeComponentStatus = (componentID) => {
     return (status) => {
-      let newComponents = this.state.components.map((component) => {
-        if (component.componentID === componentID) {
-          return Object.assign({}, component, {
-            status: status
-          })
-        }
-        return component
+      this.applyComponentStatuses({[componentID]: status})
+    }
+  }
+
+  // `statuses` is the map from the component ID to the new status.
+  applyComponentStatuses = (statuses) => {
+    let newComponents = this.state.components.map((component) => {
+      if (statuses.hasOwnProperty(component.componentID)) {
+        return Object.assign({}, component, {
+          status: statuses[component.componentID]
+        })
+      }
+      return component
+    })
+    this.setState({components: newComponents})
+  }
+
+  handleApplySuggestions = (suggestions) => {
+    return () => {
+      const statuses = {}
+      suggestions.forEach(suggestion => {
+        statuses[suggestion.componentID] = suggestion.status
       })
-      this.setState({components: newComponents})
+      this.applyComponentStatuses(statuses)
     }
   }
 
@@ -102,6 +124,10 @@ export default class IncidentDialog extends React.Component {
     this.setState({incidentStatus: value})
   }
 
+  handleChangeImpact = (value) => {
+    this.setState({impact: value})
+  }
+
   handleChangeIncidentMessage = (value) => {
     this.setState({incidentMessage: value})
   }
@@ -118,13 +144,13 @@ export default class IncidentDialog extends React.Component {
   }
 
   handleClickAddButton = (e) => {
-    this.props.postIncident(this.state.name, this.state.incidentStatus,
+    this.props.postIncident(this.state.name, this.state.incidentStatus, this.state.impact,
       this.state.incidentMessage, this.state.components, this.updateCallbacks)
   }
 
   handleClickUpdateButton = (e) => {
     this.props.updateIncident(this.props.incident.incidentID, this.state.name,
-      this.state.incidentStatus, this.state.incidentMessage, this.state.components,
+      this.state.incidentStatus, this.state.impact, this.state.incidentMessage, this.state.components,
       this.updateCallbacks)
   }
 
@@ -154,6 +180,34 @@ export default class IncidentDialog extends React.Component {
     )
   }
 
+  renderSuggestions = () => {
+    const suggestions = getDownstreamSuggestions(this.state.components)
+    if (suggestions.length === 0) return null
+
+    return (
+      <div className={classes.suggestions}>
+        <label className={classes.label}>Suggested Components</label>
+        <ul className='mdl-list'>
+          {suggestions.map(suggestion => {
+            return (
+              <li key={suggestion.componentID} className={classes.suggestion}>
+                <span>
+                  {suggestion.name}
+                  {' '}
+                  <span style={{color: getComponentColor(suggestion.status)}}>{suggestion.status}</span>
+                  {' '}
+                  (via {suggestion.via.join(', ')})
+                </span>
+                <Button plain name='Apply' onClick={this.handleApplySuggestions([suggestion])} />
+              </li>
+            )
+          })}
+        </ul>
+        <Button plain name='Apply All' onClick={this.handleApplySuggestions(suggestions)} />
+      </div>
+    )
+  }
+
   render () {
     let actionName, clickHandler
     switch (this.props.dialogType) {
@@ -162,7 +216,8 @@ export default class IncidentDialog extends React.Component {
         clickHandler = this.handleClickAddButton
         break
       case dialogType.update:
-        actionName = 'Update'
+        // Any update publishes the draft incident.
+        actionName = this.props.incident && this.props.incident.draft ? 'Publish' : 'Update'
         clickHandler = this.handleClickUpdateButton
         break
       default:
@@ -174,6 +229,11 @@ export default class IncidentDialog extends React.Component {
         checkedCandidate={this.state.incidentStatus} onClicked={this.handleChangeIncidentStatus} />
     )
 
+    const impactSelector = (
+      <RadioButtonGroup title='Impact' candidates={incidentImpacts}
+        checkedCandidate={this.state.impact} onClicked={this.handleChangeImpact} />
+    )
+
     const componentStatusSelectors = (
       <div>
         <label className={classes.label} htmlFor='components'>Component Status</label>
@@ -195,9 +255,11 @@ export default class IncidentDialog extends React.Component {
         <ErrorMessage message={this.state.message} />
         <TextField label='Name' text={this.state.name} rows={1} onChange={this.handleChangeName} />
         {incidentStatusSelector}
+        {impactSelector}
         <TextField label='Message' text={this.state.incidentMessage} rows={2}
           onChange={this.handleChangeIncidentMessage} />
         {componentStatusSelectors}
+        {this.renderSuggestions()}
         {incidentUpdates}
       </div>
       <div className='mdl-dialog__actions'>
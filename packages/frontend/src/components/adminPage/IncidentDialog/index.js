@@ -6,7 +6,7 @@ import IncidentDialog, { dialogType } from './IncidentDialog'
 
 const mapStateToProps = (state, ownProps) => {
   let focusedIncident
-  state.incidents.incidents.forEach((incident) => {
+  state.incidents.incidents.concat(state.incidents.draftIncidents).forEach((incident) => {
     if (incident.incidentID === ownProps.incidentID) {
       focusedIncident = incident
     }
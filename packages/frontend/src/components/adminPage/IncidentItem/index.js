@@ -14,6 +14,7 @@ export default class IncidentItem extends React.Component {
       incidentID: PropTypes.string.isRequired,
       name: PropTypes.string.isRequired,
       status: PropTypes.string.isRequired,
+      draft: PropTypes.bool,
       updatedAt: PropTypes.string.isRequired
     }).isRequired
   }
@@ -35,7 +36,7 @@ export default class IncidentItem extends React.Component {
           <i className={classnames(classes.icon, 'material-icons', 'mdl-list__item-avatar')}
             style={{ color: statusColor }} data-tip={incident.status}>report</i>
           <Tooltip />
-          <span>{incident.name}</span>
+          <span>{incident.name}{incident.draft ? ' (draft)' : ''}</span>
           <span className='mdl-list__item-sub-title'>
             updated at {getFormattedDateTime(incident.updatedAt)}
           </span>
@@ -24,7 +24,14 @@ export default class Incidents extends React.Component {
       status: PropTypes.string.isRequired,
       updatedAt: PropTypes.string.isRequired
     }).isRequired).isRequired,
+    draftIncidents: PropTypes.arrayOf(PropTypes.shape({
+      incidentID: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+      status: PropTypes.string.isRequired,
+      updatedAt: PropTypes.string.isRequired
+    }).isRequired).isRequired,
     fetchIncidents: PropTypes.func.isRequired,
+    fetchDraftIncidents: PropTypes.func.isRequired,
     deleteIncident: PropTypes.func.isRequired
   }
 
@@ -39,13 +46,15 @@ export default class Incidents extends React.Component {
   }
 
   componentDidMount () {
-    this.props.fetchIncidents({
+    const callbacks = {
       onLoad: () => { this.setState({isFetching: true}) },
       onSuccess: () => { this.setState({isFetching: false}) },
       onFailure: (msg) => {
         this.setState({isFetching: false, message: msg})
       }
-    })
+    }
+    this.props.fetchIncidents(callbacks)
+    this.props.fetchDraftIncidents(callbacks)
   }
 
   handleShowDialog = (type, incidentID) => {
@@ -84,7 +93,7 @@ export default class Incidents extends React.Component {
         break
       case dialogType.delete:
         let incidentName
-        this.props.incidents.forEach((incident) => {
+        this.props.incidents.concat(this.props.draftIncidents).forEach((incident) => {
           if (incident.incidentID === this.state.incidentID) {
             incidentName = incident.name
           }
@@ -99,15 +108,32 @@ export default class Incidents extends React.Component {
     return dialog
   }
 
-  render () {
-    const { incidents } = this.props
-    const incidentItems = incidents.map((incident) => {
+  renderIncidentItems = (incidents) => {
+    return incidents.map((incident) => {
       return (
         <IncidentItem key={incident.incidentID} onUpdateClicked={this.handleShowUpdateDialog(incident.incidentID)}
           onDeleteClicked={this.handleShowDeleteDialog(incident.incidentID)} incident={incident}
           getIncidentColor={getIncidentColor} />
       )
     })
+  }
+
+  renderDraftIncidents = () => {
+    const { draftIncidents } = this.props
+    if (draftIncidents.length === 0) return null
+
+    return (
+      <div className='mdl-cell mdl-cell--12-col'>
+        <h5>Drafts</h5>
+        <ul className='mdl-list'>
+          {this.renderIncidentItems(draftIncidents)}
+        </ul>
+      </div>
+    )
+  }
+
+  render () {
+    const incidentItems = this.renderIncidentItems(this.props.incidents)
     const dialog = this.renderDialog()
     const textInButton = (<div>
       <i className='material-icons'>add</i>
@@ -125,6 +151,7 @@ export default class Incidents extends React.Component {
       <div className='mdl-cell mdl-cell--12-col mdl-list'>
         <ErrorMessage message={this.state.message} />
       </div>
+      {this.renderDraftIncidents()}
       <ul className='mdl-cell mdl-cell--12-col mdl-list'>
         {incidentItems}
       </ul>
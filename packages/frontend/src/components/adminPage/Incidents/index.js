@@ -1,16 +1,17 @@
 import { connect } from 'react-redux'
 import { bindActionCreators } from 'redux'
-import { fetchIncidents, deleteIncident } from 'actions/incidents'
+import { fetchIncidents, fetchDraftIncidents, deleteIncident } from 'actions/incidents'
 import Incidents from './Incidents'
 
 const mapStateToProps = (state) => {
   return {
-    incidents: state.incidents.incidents
+    incidents: state.incidents.incidents,
+    draftIncidents: state.incidents.draftIncidents
   }
 }
 
 function mapDispatchToProps (dispatch) {
-  return bindActionCreators({fetchIncidents, deleteIncident}, dispatch)
+  return bindActionCreators({fetchIncidents, fetchDraftIncidents, deleteIncident}, dispatch)
 }
 
 export default connect(mapStateToProps, mapDispatchToProps)(Incidents)
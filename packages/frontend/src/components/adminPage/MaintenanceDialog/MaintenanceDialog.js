@@ -10,6 +10,7 @@ import TimeSelector from 'components/adminPage/TimeSelector'
 import IncidentUpdateItem from 'components/adminPage/IncidentUpdateItem'
 import { getDateTime } from 'utils/datetime'
 import { maintenanceStatuses } from 'utils/status'
+import { recurrenceFrequencies } from 'utils/maintenances'
 import { mountDialog, unmountDialog } from 'utils/dialog'
 import classes from './MaintenanceDialog.scss'
 
@@ -18,6 +19,14 @@ export const dialogType = {
   update: 2
 }
 
+const noRecurrence = 'none'
+const repeatCandidates = [noRecurrence].concat(recurrenceFrequencies)
+const intervalUnits = {
+  daily: 'days',
+  weekly: 'weeks',
+  monthly: 'months'
+}
+
 export default class MaintenanceDialog extends React.Component {
   static propTypes = {
     onClosed: PropTypes.func.isRequired,
@@ -29,6 +38,8 @@ export default class MaintenanceDialog extends React.Component {
       status: PropTypes.string.isRequired,
       startAt: PropTypes.string.isRequired,
       endAt: PropTypes.string.isRequired,
+      componentIDs: PropTypes.arrayOf(PropTypes.string.isRequired),
+      seriesID: PropTypes.string,
       maintenanceUpdates: PropTypes.arrayOf(PropTypes.shape({
         maintenanceUpdateID: PropTypes.string.isRequired,
         maintenanceStatus: PropTypes.string.isRequired,
@@ -54,7 +65,9 @@ export default class MaintenanceDialog extends React.Component {
         name: props.maintenance.name,
         maintenanceStatus: props.maintenance.status,
         startAt: getDateTime(props.maintenance.startAt),
-        endAt: getDateTime(props.maintenance.endAt)
+        endAt: getDateTime(props.maintenance.endAt),
+        componentIDs: props.maintenance.componentIDs || [],
+        repeat: noRecurrence
       }
     } else {
       const currDateTime = getDateTime(new Date().toISOString())
@@ -63,7 +76,11 @@ export default class MaintenanceDialog extends React.Component {
         name: '',
         maintenanceStatus: maintenanceStatuses[0],
         startAt: currDateTime,
-        endAt: currDateTime
+        endAt: currDateTime,
+        componentIDs: [],
+        repeat: noRecurrence,
+        interval: '1',
+        until: currDateTime.clone().add(1, 'months')
       }
     }
     this.state.components = props.components
@@ -120,6 +137,26 @@ export default class MaintenanceDialog extends React.Component {
     this.setState({maintenanceStatus: value})
   }
 
+  handleToggleComponentID = (componentID) => {
+    return (e) => {
+      const componentIDs = this.state.componentIDs.filter(id => id !== componentID)
+      if (e.target.checked) componentIDs.push(componentID)
+      this.setState({componentIDs})
+    }
+  }
+
+  handleChangeRepeat = (value) => {
+    this.setState({repeat: value})
+  }
+
+  handleChangeInterval = (value) => {
+    this.setState({interval: value})
+  }
+
+  handleChangeUntil = (value) => {
+    this.setState({until: value})
+  }
+
   handleChangeMaintenanceMessage = (value) => {
     this.setState({maintenanceMessage: value})
   }
@@ -135,15 +172,30 @@ export default class MaintenanceDialog extends React.Component {
     }
   }
 
+  // The invalid interval is sent as it is to let the server tell the reason.
+  buildRecurrence = () => {
+    const { repeat, interval, until } = this.state
+    if (repeat === noRecurrence) return null
+    return {
+      frequency: repeat,
+      interval: /^\d+$/.test(interval) ? parseInt(interval, 10) : interval,
+      until: until.toISOString()
+    }
+  }
+
   handleClickAddButton = (e) => {
-    this.props.postMaintenance(this.state.name, this.state.maintenanceStatus, this.state.startAt.toISOString(),
-      this.state.endAt.toISOString(), this.state.maintenanceMessage, this.state.components, this.updateCallbacks)
+    const recurrence = this.buildRecurrence()
+    // The recurring maintenance is always scheduled. Its occurrences are started one by one.
+    const maintenanceStatus = recurrence ? maintenanceStatuses[0] : this.state.maintenanceStatus
+    this.props.postMaintenance(this.state.name, maintenanceStatus, this.state.startAt.toISOString(),
+      this.state.endAt.toISOString(), this.state.maintenanceMessage, this.state.components, this.state.componentIDs,
+      recurrence, this.updateCallbacks)
   }
 
   handleClickUpdateButton = (e) => {
     this.props.updateMaintenance(this.props.maintenance.maintenanceID, this.state.name,
       this.state.maintenanceStatus, this.state.startAt.toISOString(), this.state.endAt.toISOString(),
-      this.state.maintenanceMessage, this.state.components, this.updateCallbacks)
+      this.state.maintenanceMessage, this.state.components, this.state.componentIDs, this.updateCallbacks)
   }
 
   handleHideDialog = () => {
@@ -196,10 +248,57 @@ export default class MaintenanceDialog extends React.Component {
         onSelected={this.handleChangeEndAt} />
     )
 
-    const maintenanceStatusSelector = (
-      <RadioButtonGroup title='Maintenance Status' candidates={maintenanceStatuses}
-        checkedCandidate={this.state.maintenanceStatus} onClicked={this.handleChangeMaintenanceStatus}
-        className={classes.status} />
+    let maintenanceStatusSelector
+    if (this.state.repeat === noRecurrence) {
+      maintenanceStatusSelector = (
+        <RadioButtonGroup title='Maintenance Status' candidates={maintenanceStatuses}
+          checkedCandidate={this.state.maintenanceStatus} onClicked={this.handleChangeMaintenanceStatus}
+          className={classes.status} />
+      )
+    }
+
+    let recurrenceSelector
+    if (this.props.dialogType === dialogType.add) {
+      let recurrenceDetail
+      if (this.state.repeat !== noRecurrence) {
+        recurrenceDetail = (
+          <div>
+            <TextField label={`Interval (${intervalUnits[this.state.repeat]})`} text={this.state.interval} rows={1}
+              onChange={this.handleChangeInterval} />
+            <TimeSelector title='Repeat Until' default={this.state.until} onSelected={this.handleChangeUntil}
+              className={classes.timeselector} />
+          </div>
+        )
+      }
+      recurrenceSelector = (
+        <div>
+          <RadioButtonGroup title='Repeat' candidates={repeatCandidates} checkedCandidate={this.state.repeat}
+            onClicked={this.handleChangeRepeat} className={classes.status} />
+          {recurrenceDetail}
+        </div>
+      )
+    } else if (this.props.maintenance && this.props.maintenance.seriesID) {
+      recurrenceSelector = (
+        <p className={classes.label}>
+          This is an occurrence of the recurring maintenance. The changes apply only to this occurrence.
+        </p>
+      )
+    }
+
+    // The components are set to 'Under Maintenance' when the maintenance starts, and restored when it ends.
+    const scheduledComponents = (
+      <div className={classes.scheduledComponents}>
+        <label className={classes.label} htmlFor='componentIDs'>Components Under Maintenance</label>
+        {this.props.components.map((component) => {
+          return (
+            <label key={component.componentID} className={classes.checkbox}>
+              <input type='checkbox' checked={this.state.componentIDs.indexOf(component.componentID) >= 0}
+                onChange={this.handleToggleComponentID(component.componentID)} />
+              {component.name}
+            </label>
+          )
+        })}
+      </div>
     )
 
     let componentStatusSelectors
@@ -228,8 +327,10 @@ export default class MaintenanceDialog extends React.Component {
         {maintenanceStatusSelector}
         {startTimeSelector}
         {endTimeSelector}
+        {recurrenceSelector}
         <TextField label='Message' text={this.state.maintenanceMessage} rows={2}
           onChange={this.handleChangeMaintenanceMessage} />
+        {scheduledComponents}
         {componentStatusSelectors}
         {maintenanceUpdates}
       </div>
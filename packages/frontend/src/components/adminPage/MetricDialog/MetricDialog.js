@@ -6,10 +6,19 @@ import RadioButtonGroup from 'components/common/RadioButtonGroup'
 import TextField from 'components/common/TextField'
 import ErrorMessage from 'components/common/ErrorMessage'
 import CloudWatchMetricsSelector from 'components/adminPage/CloudWatchMetricsSelector'
-import { monitoringServices, metricStatuses, cloudWatchMonitoringService } from 'utils/status'
+import PrometheusMetricsSelector from 'components/adminPage/PrometheusMetricsSelector'
+import HTTPCheckSettings from 'components/adminPage/HTTPCheckSettings'
+import CompositeMetricSettings from 'components/adminPage/CompositeMetricSettings'
+import AlertRulesEditor from 'components/adminPage/AlertRulesEditor'
+import MetricDisplayOptionsEditor from 'components/adminPage/MetricDisplayOptionsEditor'
+import { MetricPreview } from 'components/adminPage/MetricPreviewDialog'
+import { monitoringServices, metricStatuses, cloudWatchMonitoringService,
+         prometheusMonitoringService, httpCheckMonitoringService, compositeMonitoringService } from 'utils/status'
 import { mountDialog, unmountDialog } from 'utils/dialog'
 import classes from './MetricDialog.scss'
 
+const defaultCollectionInterval = 1
+
 export const dialogType = {
   add: 1,
   edit: 2
@@ -27,7 +36,10 @@ export default class MetricDialog extends React.Component {
       status: PropTypes.string.isRequired,
       unit: PropTypes.string.isRequired,
       description: PropTypes.string.isRequired,
-      order: PropTypes.number.isRequired
+      order: PropTypes.number.isRequired,
+      collectionInterval: PropTypes.number,
+      alertRules: PropTypes.arrayOf(PropTypes.object.isRequired),
+      displayOptions: PropTypes.object
     }),
     dialogType: PropTypes.number.isRequired,
     postMetric: PropTypes.func.isRequired,
@@ -43,7 +55,10 @@ export default class MetricDialog extends React.Component {
         title: props.metric.title,
         status: props.metric.status,
         unit: props.metric.unit,
-        description: props.metric.description
+        description: props.metric.description,
+        collectionInterval: String(props.metric.collectionInterval || defaultCollectionInterval),
+        alertRules: props.metric.alertRules || [],
+        displayOptions: props.metric.displayOptions || {}
       }
     } else {
       this.state = {
@@ -52,7 +67,10 @@ export default class MetricDialog extends React.Component {
         title: '',
         status: metricStatuses[0],
         unit: '',
-        description: ''
+        description: '',
+        collectionInterval: String(defaultCollectionInterval),
+        alertRules: [],
+        displayOptions: {}
       }
     }
     this.state.isUpdating = false
@@ -64,7 +82,9 @@ export default class MetricDialog extends React.Component {
   }
 
   handleChangeType = (value) => {
-    this.setState({type: value})
+    if (value === this.state.type) return
+    // The props of one monitoring service are meaningless to the others.
+    this.setState({type: value, props: null})
   }
 
   handleChangeProps = (value) => {
@@ -87,6 +107,24 @@ export default class MetricDialog extends React.Component {
     this.setState({description: value})
   }
 
+  handleChangeCollectionInterval = (value) => {
+    this.setState({collectionInterval: value})
+  }
+
+  handleChangeAlertRules = (value) => {
+    this.setState({alertRules: value})
+  }
+
+  handleChangeDisplayOptions = (value) => {
+    this.setState({displayOptions: value})
+  }
+
+  // The invalid value is sent as it is, so that the server tells what is wrong.
+  getCollectionInterval = () => {
+    const { collectionInterval } = this.state
+    return /^[0-9]+$/.test(collectionInterval) ? parseInt(collectionInterval, 10) : collectionInterval
+  }
+
   updateCallbacks = {
     onLoad: () => { this.setState({isUpdating: true}) },
     onSuccess: () => {
@@ -100,13 +138,15 @@ export default class MetricDialog extends React.Component {
 
   handleClickAddButton = (e) => {
     this.props.postMetric(this.state.type, this.state.props, this.state.title, this.state.status,
-                          this.state.unit, this.state.description, this.updateCallbacks)
+                          this.state.unit, this.state.description, this.getCollectionInterval(),
+                          this.state.alertRules, this.state.displayOptions, this.updateCallbacks)
   }
 
   handleClickEditButton = (e) => {
     this.props.updateMetric(this.props.metric.metricID, this.state.type, this.state.props,
                             this.state.title, this.state.status, this.state.unit,
-                            this.state.description, this.props.metric.order, this.updateCallbacks)
+                            this.state.description, this.props.metric.order, this.getCollectionInterval(),
+                            this.state.alertRules, this.state.displayOptions, this.updateCallbacks)
   }
 
   handleHideDialog = () => {
@@ -118,6 +158,13 @@ export default class MetricDialog extends React.Component {
     switch (this.state.type) {
       case cloudWatchMonitoringService:
         return (<CloudWatchMetricsSelector onChange={this.handleChangeProps} props={this.state.props} />)
+      case prometheusMonitoringService:
+        return (<PrometheusMetricsSelector onChange={this.handleChangeProps} props={this.state.props} />)
+      case httpCheckMonitoringService:
+        return (<HTTPCheckSettings onChange={this.handleChangeProps} props={this.state.props} />)
+      case compositeMonitoringService:
+        return (<CompositeMetricSettings onChange={this.handleChangeProps} props={this.state.props}
+          metricID={this.props.metricID} />)
       default:
         console.error('Unknown monitoring service:', this.state.type)
         return null
@@ -147,6 +194,22 @@ export default class MetricDialog extends React.Component {
     )
     const metrics = this.renderMetrics()
 
+    let collectionIntervalField
+    if (this.state.type !== httpCheckMonitoringService) {
+      // The http check runs every minute regardless of the interval.
+      collectionIntervalField = (
+        <TextField label='Collection Interval (minutes)' text={this.state.collectionInterval} rows={1}
+          onChange={this.handleChangeCollectionInterval}
+          information='How often the data is collected from the monitoring service.' />
+      )
+    }
+
+    let preview
+    if (this.props.metric) {
+      // The new metric has no data to preview yet.
+      preview = (<MetricPreview metricID={this.props.metric.metricID} displayOptions={this.state.displayOptions} />)
+    }
+
     const metricStatusSelector = (
       <div className={classes['metric-status']}>
         <RadioButtonGroup title='Metric Status' candidates={metricStatuses}
@@ -167,7 +230,18 @@ export default class MetricDialog extends React.Component {
         <TextField label='Unit' text={this.state.unit} rows={1} onChange={this.handleChangeUnit} />
         <TextField label='Description (optional)' text={this.state.description} rows={2}
           onChange={this.handleChangeDescription} />
+        {collectionIntervalField}
         {metricStatusSelector}
+        <div className={classes['display-options']}>
+          <label className={classes.label}>Display Options</label>
+          <MetricDisplayOptionsEditor onChange={this.handleChangeDisplayOptions}
+            displayOptions={this.state.displayOptions} />
+          {preview}
+        </div>
+        <div className={classes['alert-rules']}>
+          <label className={classes.label}>Alert Rules</label>
+          <AlertRulesEditor onChange={this.handleChangeAlertRules} alertRules={this.state.alertRules} />
+        </div>
       </div>
       <div className='mdl-dialog__actions'>
         <Button onClick={clickHandler} name={actionName}
@@ -0,0 +1,81 @@
+import React, { PropTypes } from 'react'
+import RadioButtonGroup from 'components/common/RadioButtonGroup'
+import TextField from 'components/common/TextField'
+import { chartTypes, getDisplayOptions, maxDecimals } from 'utils/metricDisplay'
+import classes from './MetricDisplayOptionsEditor.scss'
+
+// The numbers are sent as they are if they can't be parsed, so that the server rejects them.
+const toNumber = (text) => {
+  return /^-?[0-9]+(\.[0-9]+)?$/.test(text) ? parseFloat(text) : text
+}
+
+// The empty bound means the bound is computed from the values.
+const toBound = (text) => {
+  return text === '' ? null : toNumber(text)
+}
+
+const toText = (bound) => {
+  return bound === null ? '' : String(bound)
+}
+
+export default class MetricDisplayOptionsEditor extends React.Component {
+  static propTypes = {
+    onChange: PropTypes.func.isRequired,
+    displayOptions: PropTypes.object
+  }
+
+  constructor (props) {
+    super(props)
+    const displayOptions = getDisplayOptions({displayOptions: props.displayOptions})
+    this.state = {
+      chartType: displayOptions.chartType,
+      decimals: String(displayOptions.decimals),
+      yMin: toText(displayOptions.yMin),
+      yMax: toText(displayOptions.yMax),
+      scaleUnit: displayOptions.scaleUnit
+    }
+  }
+
+  notifyChange = (state) => {
+    this.props.onChange({
+      chartType: state.chartType,
+      decimals: toNumber(state.decimals),
+      yMin: toBound(state.yMin),
+      yMax: toBound(state.yMax),
+      scaleUnit: state.scaleUnit
+    })
+  }
+
+  handleChange = (key) => {
+    return (value) => {
+      const state = Object.assign({}, this.state, {[key]: value})
+      this.setState(state)
+      this.notifyChange(state)
+    }
+  }
+
+  handleToggleScaleUnit = (e) => {
+    this.handleChange('scaleUnit')(e.target.checked)
+  }
+
+  render () {
+    return (
+      <div>
+        <RadioButtonGroup title='Chart Type' candidates={chartTypes}
+          checkedCandidate={this.state.chartType} onClicked={this.handleChange('chartType')} />
+        <div className={classes.numbers}>
+          <TextField label='Decimal Places' text={this.state.decimals} rows={1}
+            onChange={this.handleChange('decimals')} information={`0 to ${maxDecimals}.`} />
+          <TextField label='Y-Axis Min (optional)' text={this.state.yMin} rows={1}
+            onChange={this.handleChange('yMin')} />
+          <TextField label='Y-Axis Max (optional)' text={this.state.yMax} rows={1}
+            onChange={this.handleChange('yMax')} />
+        </div>
+        <label>
+          <input type='checkbox' checked={this.state.scaleUnit} onChange={this.handleToggleScaleUnit} />
+          Scale the unit automatically (e.g. ms to s, bytes to KB, MB and GB)
+        </label>
+      </div>
+    )
+  }
+}
@@ -0,0 +1,212 @@
+import React, { PropTypes } from 'react'
+import ReactDOM from 'react-dom'
+import classnames from 'classnames'
+import Button from 'components/common/Button'
+import DropdownList from 'components/common/DropdownList'
+import RadioButtonGroup from 'components/common/RadioButtonGroup'
+import TextField from 'components/common/TextField'
+import ErrorMessage from 'components/common/ErrorMessage'
+import { metricStatuses } from 'utils/status'
+import { mountDialog, unmountDialog } from 'utils/dialog'
+import classes from './MetricGroupDialog.scss'
+
+export const dialogType = {
+  add: 1,
+  edit: 2
+}
+
+export default class MetricGroupDialog extends React.Component {
+  static propTypes = {
+    onClosed: PropTypes.func.isRequired,
+    groupID: PropTypes.string,
+    metricGroup: PropTypes.shape({
+      groupID: PropTypes.string.isRequired,
+      title: PropTypes.string.isRequired,
+      description: PropTypes.string.isRequired,
+      metricIDs: PropTypes.arrayOf(PropTypes.string.isRequired).isRequired,
+      status: PropTypes.string.isRequired,
+      order: PropTypes.number.isRequired
+    }),
+    metrics: PropTypes.arrayOf(PropTypes.shape({
+      metricID: PropTypes.string.isRequired,
+      title: PropTypes.string.isRequired,
+      unit: PropTypes.string.isRequired
+    }).isRequired).isRequired,
+    dialogType: PropTypes.number.isRequired,
+    postMetricGroup: PropTypes.func.isRequired,
+    updateMetricGroup: PropTypes.func.isRequired
+  }
+
+  constructor (props) {
+    super(props)
+    if (props.metricGroup) {
+      const { metricGroup } = props
+      this.state = {
+        title: metricGroup.title,
+        description: metricGroup.description,
+        // The deleted metrics are dropped.
+        metricIDs: metricGroup.metricIDs.filter(metricID => this.findMetric(metricID) !== undefined),
+        status: metricGroup.status
+      }
+    } else {
+      this.state = {
+        title: '',
+        description: '',
+        metricIDs: [],
+        status: metricStatuses[0]
+      }
+    }
+    this.state.isUpdating = false
+    this.state.message = ''
+  }
+
+  componentDidMount () {
+    mountDialog(ReactDOM.findDOMNode(this.refs.dialog))
+  }
+
+  findMetric = (metricID) => {
+    return this.props.metrics.find(metric => metric.metricID === metricID)
+  }
+
+  handleChangeTitle = (value) => {
+    this.setState({title: value})
+  }
+
+  handleChangeDescription = (value) => {
+    this.setState({description: value})
+  }
+
+  handleChangeStatus = (value) => {
+    this.setState({status: value})
+  }
+
+  handleSelectMetric = (title) => {
+    const metric = this.getSelectableMetrics().find(metric => metric.title === title)
+    if (!metric) return
+    this.setState({metricIDs: this.state.metricIDs.concat([metric.metricID])})
+  }
+
+  handleClickRemoveMetric = (i) => {
+    return () => {
+      this.setState({metricIDs: this.state.metricIDs.filter((metricID, j) => j !== i)})
+    }
+  }
+
+  handleClickMoveUpMetric = (i) => {
+    return () => {
+      if (i === 0) return
+      const metricIDs = this.state.metricIDs.slice()
+      metricIDs[i - 1] = this.state.metricIDs[i]
+      metricIDs[i] = this.state.metricIDs[i - 1]
+      this.setState({metricIDs})
+    }
+  }
+
+  // The metrics in the group must share the unit, so only the metrics with the unit of the first member are listed.
+  getSelectableMetrics = () => {
+    const first = this.findMetric(this.state.metricIDs[0])
+    return this.props.metrics.filter(metric => {
+      if (this.state.metricIDs.indexOf(metric.metricID) >= 0) return false
+      return first === undefined || metric.unit === first.unit
+    })
+  }
+
+  updateCallbacks = {
+    onLoad: () => { this.setState({isUpdating: true}) },
+    onSuccess: () => {
+      this.setState({isUpdating: false})
+      this.handleHideDialog()
+    },
+    onFailure: (msg) => {
+      this.setState({isUpdating: false, message: msg})
+    }
+  }
+
+  handleClickAddButton = (e) => {
+    this.props.postMetricGroup(this.state.title, this.state.description, this.state.metricIDs, this.state.status,
+                               this.updateCallbacks)
+  }
+
+  handleClickEditButton = (e) => {
+    this.props.updateMetricGroup(this.props.metricGroup.groupID, this.state.title, this.state.description,
+                                 this.state.metricIDs, this.state.status, this.props.metricGroup.order,
+                                 this.updateCallbacks)
+  }
+
+  handleHideDialog = () => {
+    unmountDialog(ReactDOM.findDOMNode(this.refs.dialog))
+    this.props.onClosed()
+  }
+
+  renderMembers = () => {
+    const members = this.state.metricIDs.map((metricID, i) => {
+      const metric = this.findMetric(metricID)
+      return (
+        <li key={metricID}>
+          <span>
+            {metric.title}
+            <span className={classes['member-unit']}>{metric.unit}</span>
+          </span>
+          <span>
+            <i className={classnames(classes['member-icon'], 'material-icons')}
+              onClick={this.handleClickMoveUpMetric(i)}>arrow_upward</i>
+            <i className={classnames(classes['member-icon'], 'material-icons')}
+              onClick={this.handleClickRemoveMetric(i)}>close</i>
+          </span>
+        </li>
+      )
+    })
+    const titles = [''].concat(this.getSelectableMetrics().map(metric => metric.title))
+
+    return (
+      <div>
+        <label className={classes.label}>Metrics</label>
+        <ul className={classes.members}>
+          {members}
+        </ul>
+        <label className={classes.label} htmlFor='metricGroupMember'>Add a metric</label>
+        <div id='metricGroupMember' className={classes['dropdown-list']}>
+          <DropdownList onChange={this.handleSelectMetric} list={titles} initialValue='' />
+        </div>
+      </div>
+    )
+  }
+
+  render () {
+    let actionName, clickHandler
+    switch (this.props.dialogType) {
+      case dialogType.add:
+        actionName = 'Add'
+        clickHandler = this.handleClickAddButton
+        break
+      case dialogType.edit:
+        actionName = 'Edit'
+        clickHandler = this.handleClickEditButton
+        break
+      default:
+        console.warn('unknown dialog type: ', this.props.dialogType)
+    }
+
+    return (<dialog className={classnames('mdl-dialog', classes.dialog)} ref='dialog'>
+      <h2 className={classnames('mdl-dialog__title', classes.title)}>
+        {actionName} Metric Group
+      </h2>
+      <div className='mdl-dialog__content'>
+        <ErrorMessage message={this.state.message} />
+        <TextField label='Title' text={this.state.title} rows={1} onChange={this.handleChangeTitle} />
+        <TextField label='Description (optional)' text={this.state.description} rows={2}
+          onChange={this.handleChangeDescription} />
+        {this.renderMembers()}
+        <div className={classes['metric-status']}>
+          <RadioButtonGroup title='Metric Group Status' candidates={metricStatuses}
+            checkedCandidate={this.state.status} onClicked={this.handleChangeStatus} />
+        </div>
+      </div>
+      <div className='mdl-dialog__actions'>
+        <Button onClick={clickHandler} name={actionName}
+          class='mdl-button--accent' disabled={this.state.isUpdating} />
+        <Button onClick={this.handleHideDialog} name='Cancel' />
+      </div>
+    </dialog>)
+  }
+}
@@ -0,0 +1,24 @@
+import { connect } from 'react-redux'
+import { bindActionCreators } from 'redux'
+import { postMetricGroup, updateMetricGroup } from 'actions/metricGroups'
+import MetricGroupDialog, { dialogType } from './MetricGroupDialog'
+
+const mapStateToProps = (state, ownProps) => {
+  let focusedGroup
+  state.metricGroups.metricGroups.forEach((group) => {
+    if (group.groupID === ownProps.groupID) {
+      focusedGroup = group
+    }
+  })
+  return {
+    metricGroup: focusedGroup,
+    metrics: state.metrics.metrics
+  }
+}
+
+function mapDispatchToProps (dispatch) {
+  return bindActionCreators({postMetricGroup, updateMetricGroup}, dispatch)
+}
+
+export default connect(mapStateToProps, mapDispatchToProps)(MetricGroupDialog)
+export const metricGroupDialogType = dialogType
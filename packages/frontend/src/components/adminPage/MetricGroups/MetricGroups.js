@@ -0,0 +1,188 @@
+import React, { PropTypes } from 'react'
+import classnames from 'classnames'
+import Button from 'components/common/Button'
+import ErrorMessage from 'components/common/ErrorMessage'
+import Tooltip from 'components/common/Tooltip'
+import MetricGroupDialog, { metricGroupDialogType } from 'components/adminPage/MetricGroupDialog'
+import FoolproofDialog from 'components/adminPage/FoolproofDialog'
+import { getMetricColor } from 'utils/status'
+import { innerDialogID } from 'utils/dialog'
+import classes from './MetricGroups.scss'
+
+const dialogType = {
+  none: 0,
+  add: 1,
+  edit: 2,
+  delete: 3
+}
+
+export default class MetricGroups extends React.Component {
+  static propTypes = {
+    metricGroups: PropTypes.arrayOf(PropTypes.shape({
+      groupID: PropTypes.string.isRequired,
+      title: PropTypes.string.isRequired,
+      description: PropTypes.string.isRequired,
+      metricIDs: PropTypes.arrayOf(PropTypes.string.isRequired).isRequired,
+      status: PropTypes.string.isRequired,
+      order: PropTypes.number.isRequired
+    }).isRequired).isRequired,
+    metrics: PropTypes.arrayOf(PropTypes.shape({
+      metricID: PropTypes.string.isRequired,
+      title: PropTypes.string.isRequired,
+      unit: PropTypes.string.isRequired
+    }).isRequired).isRequired,
+    fetchMetrics: PropTypes.func.isRequired,
+    fetchMetricGroups: PropTypes.func.isRequired,
+    updateMetricGroup: PropTypes.func.isRequired,
+    deleteMetricGroup: PropTypes.func.isRequired
+  }
+
+  constructor () {
+    super()
+    this.state = {
+      dialogType: dialogType.none,
+      groupID: null,
+      isFetching: false,
+      message: ''
+    }
+  }
+
+  callbacks = {
+    onLoad: () => { this.setState({isFetching: true}) },
+    onSuccess: () => { this.setState({isFetching: false}) },
+    onFailure: (msg) => {
+      this.setState({isFetching: false, message: msg})
+    }
+  }
+
+  componentDidMount () {
+    // The metrics are necessary to show the titles of the members.
+    this.props.fetchMetrics(this.callbacks)
+    this.props.fetchMetricGroups(this.callbacks)
+  }
+
+  handleShowDialog = (type, groupID) => {
+    this.setState({ groupID, dialogType: type })
+  }
+
+  handleShowAddDialog = () => {
+    return () => this.handleShowDialog(dialogType.add)
+  }
+
+  handleShowEditDialog = (groupID) => {
+    return () => this.handleShowDialog(dialogType.edit, groupID)
+  }
+
+  handleShowDeleteDialog = (groupID) => {
+    return () => this.handleShowDialog(dialogType.delete, groupID)
+  }
+
+  handleCloseDialog = () => {
+    this.setState({ groupID: null, dialogType: dialogType.none })
+  }
+
+  handleClickArrowUpward = (i) => {
+    if (i === 0) { return () => {} }
+    return this.handleClickArrowDownward(i - 1)
+  }
+
+  handleClickArrowDownward = (i) => {
+    return () => {
+      if (i === this.props.metricGroups.length - 1) { return }
+      const { metricGroups } = this.props
+      const clickedGroup = metricGroups[i]
+      const orderA = metricGroups[i + 1].order
+      const orderB = (i + 2 < metricGroups.length ? metricGroups[i + 2].order
+                      : Math.floor(new Date().getTime() / 1000))
+      const newOrder = Math.floor((orderA + orderB) / 2)
+      this.props.updateMetricGroup(clickedGroup.groupID, clickedGroup.title, clickedGroup.description,
+                                   clickedGroup.metricIDs, clickedGroup.status, newOrder, this.callbacks)
+    }
+  }
+
+  renderListItem = (group, i) => {
+    const statusColor = getMetricColor(group.status)
+    const members = group.metricIDs.map(metricID => this.props.metrics.find(metric => metric.metricID === metricID))
+      .filter(metric => metric !== undefined)
+    const unit = members.length > 0 ? members[0].unit : ''
+    return (
+      <li key={group.groupID} className='mdl-list__item mdl-list__item--two-line mdl-shadow--2dp'>
+        <span className='mdl-list__item-primary-content'>
+          <i className={classnames(classes.icon, 'material-icons', 'mdl-list__item-avatar')}
+            style={{color: statusColor}} data-tip={group.status}>multiline_chart</i>
+          <Tooltip />
+          <span>{group.title}</span>
+          <span className='mdl-list__item-sub-title'>{members.map(metric => metric.title).join(', ')}</span>
+        </span>
+        <span className={classnames('mdl-list__item-secondary-content', classes['buttons'])}>
+          <span className={classes.unit}>{unit}</span>
+          <Button plain name='Edit' onClick={this.handleShowEditDialog(group.groupID)} />
+          <Button plain name='Delete' onClick={this.handleShowDeleteDialog(group.groupID)} />
+          <div className={classnames(classes['order-buttons'])}>
+            <i className={classnames(classes['order-icon'], 'material-icons')} onClick={this.handleClickArrowUpward(i)}>
+              arrow_upward
+            </i>
+            <i className={classnames(classes['order-icon'], 'material-icons')}
+              onClick={this.handleClickArrowDownward(i)}>
+              arrow_downward
+            </i>
+          </div>
+        </span>
+      </li>
+    )
+  }
+
+  renderDialog = () => {
+    let dialog
+    switch (this.state.dialogType) {
+      case dialogType.none:
+        dialog = null
+        break
+      case dialogType.add:
+        dialog = <MetricGroupDialog onClosed={this.handleCloseDialog}
+          dialogType={metricGroupDialogType.add} />
+        break
+      case dialogType.edit:
+        dialog = <MetricGroupDialog onClosed={this.handleCloseDialog}
+          groupID={this.state.groupID} dialogType={metricGroupDialogType.edit} />
+        break
+      case dialogType.delete:
+        const group = this.props.metricGroups.find(group => group.groupID === this.state.groupID)
+        dialog = <FoolproofDialog onClosed={this.handleCloseDialog}
+          name={group.title} ID={group.groupID}
+          deleteFunction={this.props.deleteMetricGroup} />
+        break
+      default:
+        console.warn('unknown dialog type: ', this.state.dialogType)
+    }
+    return dialog
+  }
+
+  render () {
+    const groupItems = this.props.metricGroups.map(this.renderListItem)
+    const dialog = this.renderDialog()
+    const textInButton = (<div>
+      <i className='material-icons'>add</i>
+      Metric Group
+    </div>)
+
+    return (<div className={classnames(classes.layout, 'mdl-grid')}
+      style={{ opacity: this.state.isFetching ? 0.5 : 1 }}>
+      <div className='mdl-cell mdl-cell--9-col mdl-cell--middle'>
+        <h4>Metric Groups</h4>
+      </div>
+      <div className={classnames(classes.showDialogButton, 'mdl-cell mdl-cell--3-col mdl-cell--middle')}>
+        <Button onClick={this.handleShowAddDialog()} name={textInButton} class='mdl-button--accent' />
+      </div>
+      <div className='mdl-cell mdl-cell--12-col mdl-list'>
+        <ErrorMessage message={this.state.message} />
+      </div>
+      <ul className='mdl-cell mdl-cell--12-col mdl-list'>
+        {groupItems}
+      </ul>
+      <div id={innerDialogID}>
+        {dialog}
+      </div>
+    </div>)
+  }
+}
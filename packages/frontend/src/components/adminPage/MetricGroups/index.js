@@ -0,0 +1,18 @@
+import { connect } from 'react-redux'
+import { bindActionCreators } from 'redux'
+import { fetchMetrics } from 'actions/metrics'
+import { fetchMetricGroups, updateMetricGroup, deleteMetricGroup } from 'actions/metricGroups'
+import MetricGroups from './MetricGroups'
+
+const mapStateToProps = (state) => {
+  return {
+    metricGroups: state.metricGroups.metricGroups,
+    metrics: state.metrics.metrics
+  }
+}
+
+function mapDispatchToProps (dispatch) {
+  return bindActionCreators({fetchMetrics, fetchMetricGroups, updateMetricGroup, deleteMetricGroup}, dispatch)
+}
+
+export default connect(mapStateToProps, mapDispatchToProps)(MetricGroups)
@@ -0,0 +1,156 @@
+import React, { PropTypes } from 'react'
+import ReactDOM from 'react-dom'
+import classnames from 'classnames'
+import MetricsGraph from 'components/common/MetricsGraph'
+import Button from 'components/common/Button'
+import ErrorMessage from 'components/common/ErrorMessage'
+import RadioButton from 'components/common/RadioButton'
+import { timeframes, getNumDates } from 'utils/status'
+import { getFormattedDateTime } from 'utils/datetime'
+import { parseDatapoints } from 'utils/metricsImport'
+import { mountDialog, unmountDialog } from 'utils/dialog'
+import classes from './MetricImportDialog.scss'
+
+export default class MetricImportDialog extends React.Component {
+  static propTypes = {
+    metricID: PropTypes.string.isRequired,
+    onClosed: PropTypes.func.isRequired,
+    importMetricsData: PropTypes.func.isRequired
+  }
+
+  constructor (props) {
+    super(props)
+    this.state = {
+      datapoints: [],
+      timeframe: timeframes[0],
+      numImportedDatapoints: 0,
+      isUpdating: false,
+      message: ''
+    }
+  }
+
+  componentDidMount () {
+    mountDialog(ReactDOM.findDOMNode(this.refs.dialog))
+  }
+
+  handleChangeFile = (e) => {
+    const file = e.target.files[0]
+    if (!file) return
+    const reader = new FileReader()
+    reader.onload = () => { this.handleLoadFile(file.name, reader.result) }
+    reader.onerror = () => { this.setState({datapoints: [], message: 'failed to read the file'}) }
+    reader.readAsText(file)
+  }
+
+  handleLoadFile = (fileName, text) => {
+    let datapoints
+    try {
+      datapoints = parseDatapoints(fileName, text)
+    } catch (error) {
+      this.setState({datapoints: [], message: error.message})
+      return
+    }
+    this.setState({
+      datapoints,
+      timeframe: this.getTimeframeCoveringDatapoints(datapoints),
+      numImportedDatapoints: 0,
+      message: ''
+    })
+  }
+
+  // Returns the shortest timeframe in which all the datapoints are drawn.
+  getTimeframeCoveringDatapoints = (datapoints) => {
+    if (datapoints.length === 0) return timeframes[0]
+    const span = new Date(datapoints[datapoints.length - 1].timestamp) - new Date(datapoints[0].timestamp)
+    const timeframe = timeframes.find(timeframe => span <= getNumDates(timeframe) * 24 * 60 * 60 * 1000)
+    return timeframe || timeframes[timeframes.length - 1]
+  }
+
+  handleChangeTimeframe = (value) => {
+    this.setState({timeframe: value})
+  }
+
+  importCallbacks = {
+    onLoad: () => { this.setState({isUpdating: true, numImportedDatapoints: 0}) },
+    onProgress: (numImportedDatapoints) => { this.setState({numImportedDatapoints}) },
+    onSuccess: () => {
+      this.setState({isUpdating: false})
+      this.handleHideDialog()
+    },
+    onFailure: (msg) => {
+      this.setState({isUpdating: false, message: msg})
+    }
+  }
+
+  handleClickImportButton = () => {
+    this.props.importMetricsData(this.props.metricID, this.state.datapoints, this.importCallbacks)
+  }
+
+  handleHideDialog = () => {
+    unmountDialog(ReactDOM.findDOMNode(this.refs.dialog))
+    this.props.onClosed()
+  }
+
+  renderPreview = () => {
+    const { datapoints } = this.state
+    if (datapoints.length === 0) return null
+
+    const timeframesSelector = timeframes.map((timeframe) => {
+      let checked = timeframe === this.state.timeframe
+      return (
+        <RadioButton key={timeframe} onChange={this.handleChangeTimeframe} label={timeframe}
+          checked={checked} groupName='importTimeframes' />
+      )
+    })
+    const first = getFormattedDateTime(datapoints[0].timestamp)
+    const last = getFormattedDateTime(datapoints[datapoints.length - 1].timestamp)
+
+    let progress
+    if (this.state.isUpdating || this.state.numImportedDatapoints > 0) {
+      progress = (
+        <div className={classes.progress}>
+          Imported {this.state.numImportedDatapoints} / {datapoints.length} datapoints
+        </div>
+      )
+    }
+
+    return (
+      <div>
+        <div className={classes.summary}>
+          {datapoints.length} datapoints from {first} to {last}
+        </div>
+        <div className={classes.timeframes}>
+          {timeframesSelector}
+        </div>
+        <div className='mdl-list'>
+          <MetricsGraph metricID={this.props.metricID} timeframe={this.state.timeframe} datapoints={datapoints} />
+        </div>
+        {progress}
+      </div>
+    )
+  }
+
+  render () {
+    return (<dialog className={classnames('mdl-dialog', classes.dialog)} ref='dialog'>
+      <h2 className={classnames('mdl-dialog__title', classes.title)}>
+        Import Data
+      </h2>
+      <div className='mdl-dialog__content'>
+        <ErrorMessage message={this.state.message} />
+        <div className={classes.file}>
+          <input type='file' accept='.csv,.json' onChange={this.handleChangeFile} disabled={this.state.isUpdating} />
+          <div className={classes.note}>
+            The rows of CSV are "timestamp,value". JSON is an array of the objects with timestamp and value.
+            The existing datapoints at the same timestamps are overwritten.
+          </div>
+        </div>
+        {this.renderPreview()}
+      </div>
+      <div className='mdl-dialog__actions'>
+        <Button onClick={this.handleClickImportButton} name='Import' class='mdl-button--accent'
+          disabled={this.state.isUpdating || this.state.datapoints.length === 0} />
+        <Button onClick={this.handleHideDialog} name='Cancel' disabled={this.state.isUpdating} />
+      </div>
+    </dialog>)
+  }
+}
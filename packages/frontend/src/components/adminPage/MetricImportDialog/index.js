@@ -0,0 +1,10 @@
+import { connect } from 'react-redux'
+import { bindActionCreators } from 'redux'
+import { importMetricsData } from 'actions/metrics'
+import MetricImportDialog from './MetricImportDialog'
+
+function mapDispatchToProps (dispatch) {
+  return bindActionCreators({importMetricsData}, dispatch)
+}
+
+export default connect(null, mapDispatchToProps)(MetricImportDialog)
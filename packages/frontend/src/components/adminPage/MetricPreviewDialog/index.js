@@ -8,10 +8,12 @@ import { timeframes } from 'utils/status'
 import { mountDialog, unmountDialog } from 'utils/dialog'
 import classes from './MetricPreviewDialog.scss'
 
-export default class MetricPreviewDialog extends React.Component {
+// The graph of the metric with the timeframe selector. `displayOptions` overrides the saved options, so that the
+// admin can see how the unsaved options look.
+export class MetricPreview extends React.Component {
   static propTypes = {
     metricID: PropTypes.string.isRequired,
-    onClosed: PropTypes.func.isRequired
+    displayOptions: PropTypes.object
   }
 
   constructor (props) {
@@ -19,19 +21,10 @@ export default class MetricPreviewDialog extends React.Component {
     this.state = { timeframe: timeframes[0] }
   }
 
-  componentDidMount () {
-    mountDialog(ReactDOM.findDOMNode(this.refs.dialog))
-  }
-
   handleChangeTimeframe = (value) => {
     this.setState({timeframe: value})
   }
 
-  handleHideDialog = () => {
-    unmountDialog(ReactDOM.findDOMNode(this.refs.dialog))
-    this.props.onClosed()
-  }
-
   render () {
     const timeframesSelector = timeframes.map((timeframe) => {
       let checked = timeframe === this.state.timeframe
@@ -41,17 +34,42 @@ export default class MetricPreviewDialog extends React.Component {
       )
     })
 
-    return (<dialog className={classnames('mdl-dialog', classes.dialog)} ref='dialog'>
-      <h2 className={classnames('mdl-dialog__title', classes.title)}>
-        Preview
-      </h2>
-      <div className='mdl-dialog__content'>
+    return (
+      <div>
         <div className={classes.timeframes}>
           {timeframesSelector}
         </div>
         <div className='mdl-list'>
-          <MetricsGraph metricID={this.props.metricID} timeframe={this.state.timeframe} />
+          <MetricsGraph metricID={this.props.metricID} timeframe={this.state.timeframe}
+            displayOptions={this.props.displayOptions} />
         </div>
+      </div>
+    )
+  }
+}
+
+export default class MetricPreviewDialog extends React.Component {
+  static propTypes = {
+    metricID: PropTypes.string.isRequired,
+    onClosed: PropTypes.func.isRequired
+  }
+
+  componentDidMount () {
+    mountDialog(ReactDOM.findDOMNode(this.refs.dialog))
+  }
+
+  handleHideDialog = () => {
+    unmountDialog(ReactDOM.findDOMNode(this.refs.dialog))
+    this.props.onClosed()
+  }
+
+  render () {
+    return (<dialog className={classnames('mdl-dialog', classes.dialog)} ref='dialog'>
+      <h2 className={classnames('mdl-dialog__title', classes.title)}>
+        Preview
+      </h2>
+      <div className='mdl-dialog__content'>
+        <MetricPreview metricID={this.props.metricID} />
         Note: if the metric added just now, try again in 1 minute. Data will be backfilled up to 30 days in the past.
         <div className='mdl-dialog__actions'>
           <Button onClick={this.handleHideDialog} name='Cancel' />
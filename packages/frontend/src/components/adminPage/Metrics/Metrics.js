@@ -5,7 +5,9 @@ import ErrorMessage from 'components/common/ErrorMessage'
 import Tooltip from 'components/common/Tooltip'
 import MetricDialog, { metricDialogType } from 'components/adminPage/MetricDialog'
 import MetricPreviewDialog from 'components/adminPage/MetricPreviewDialog'
+import MetricImportDialog from 'components/adminPage/MetricImportDialog'
 import FoolproofDialog from 'components/adminPage/FoolproofDialog'
+import { getFormattedDateTime } from 'utils/datetime'
 import { getMetricColor } from 'utils/status'
 import { innerDialogID } from 'utils/dialog'
 import classes from './Metrics.scss'
@@ -15,7 +17,8 @@ const dialogType = {
   add: 1,
   preview: 2,
   edit: 3,
-  delete: 4
+  delete: 4,
+  import: 5
 }
 
 export default class Metrics extends React.Component {
@@ -28,7 +31,14 @@ export default class Metrics extends React.Component {
       status: PropTypes.string.isRequired,
       unit: PropTypes.string.isRequired,
       description: PropTypes.string.isRequired,
-      order: PropTypes.number.isRequired
+      order: PropTypes.number.isRequired,
+      collectionInterval: PropTypes.number,
+      displayOptions: PropTypes.object,
+      collectionStatus: PropTypes.shape({
+        lastSuccessAt: PropTypes.string,
+        lastErrorAt: PropTypes.string,
+        lastError: PropTypes.string
+      })
     }).isRequired).isRequired,
     fetchMetrics: PropTypes.func.isRequired,
     updateMetric: PropTypes.func.isRequired,
@@ -73,6 +83,10 @@ export default class Metrics extends React.Component {
     return () => this.handleShowDialog(dialogType.edit, metricID)
   }
 
+  handleShowImportDialog = (metricID) => {
+    return () => this.handleShowDialog(dialogType.import, metricID)
+  }
+
   handleShowDeleteDialog = (metricID) => {
     return () => this.handleShowDialog(dialogType.delete, metricID)
   }
@@ -96,10 +110,33 @@ export default class Metrics extends React.Component {
       const newOrder = Math.floor((orderA + orderB) / 2)
       this.props.updateMetric(clickedMetric.metricID, clickedMetric.type, clickedMetric.props,
                               clickedMetric.title, clickedMetric.status, clickedMetric.unit,
-                              clickedMetric.description, newOrder, this.callbacks)
+                              clickedMetric.description, newOrder, clickedMetric.collectionInterval,
+                              clickedMetric.alertRules, clickedMetric.displayOptions, this.callbacks)
     }
   }
 
+  renderCollectionStatus = (metric) => {
+    if (!metric.collectionStatus) return null
+    const { lastSuccessAt, lastErrorAt, lastError } = metric.collectionStatus
+    // The timestamps are ISO 8601 strings, so they can be compared as strings.
+    if (lastErrorAt && (!lastSuccessAt || lastErrorAt > lastSuccessAt)) {
+      return (
+        <span className={classnames(classes['collection-status'], classes['collection-error'])} data-tip={lastError}>
+          <i className='material-icons'>error_outline</i>
+          Failed at {getFormattedDateTime(lastErrorAt)}
+        </span>
+      )
+    }
+    if (lastSuccessAt) {
+      return (
+        <span className={classes['collection-status']}>
+          Collected at {getFormattedDateTime(lastSuccessAt)}
+        </span>
+      )
+    }
+    return null
+  }
+
   renderListItem = (metric, i) => {
     let statusColor = getMetricColor(metric.status)
     return (
@@ -112,8 +149,10 @@ export default class Metrics extends React.Component {
           <span className='mdl-list__item-sub-title'>{metric.description}</span>
         </span>
         <span className={classnames('mdl-list__item-secondary-content', classes['buttons'])}>
+          {this.renderCollectionStatus(metric)}
           <Button plain name='Preview' onClick={this.handleShowPreviewDialog(metric.metricID)} />
           <Button plain name='Edit' onClick={this.handleShowEditDialog(metric.metricID)} />
+          <Button plain name='Import' onClick={this.handleShowImportDialog(metric.metricID)} />
           <Button plain name='Delete' onClick={this.handleShowDeleteDialog(metric.metricID)} />
           <div className={classnames(classes['order-buttons'])}>
             <i className={classnames(classes['order-icon'], 'material-icons')} onClick={this.handleClickArrowUpward(i)}>
@@ -146,6 +185,9 @@ export default class Metrics extends React.Component {
         dialog = <MetricDialog onClosed={this.handleCloseDialog}
           metricID={this.state.metricID} dialogType={metricDialogType.edit} />
         break
+      case dialogType.import:
+        dialog = <MetricImportDialog onClosed={this.handleCloseDialog} metricID={this.state.metricID} />
+        break
       case dialogType.delete:
         let metricName
         this.props.metrics.forEach((metric) => {
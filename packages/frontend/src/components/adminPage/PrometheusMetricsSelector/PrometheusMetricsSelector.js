@@ -0,0 +1,121 @@
+import React, { PropTypes } from 'react'
+import Button from 'components/common/Button'
+import DropdownList from 'components/common/DropdownList'
+import ErrorMessage from 'components/common/ErrorMessage'
+import Spinner from 'components/common/Spinner'
+import TextField from 'components/common/TextField'
+import { prometheusMonitoringService } from 'utils/status'
+import classes from './PrometheusMetricsSelector.scss'
+
+export default class PrometheusMetricsSelector extends React.Component {
+  static propTypes = {
+    onChange: PropTypes.func.isRequired,
+    filters: PropTypes.object,
+    metrics: PropTypes.arrayOf(PropTypes.string.isRequired),
+    props: PropTypes.object,
+    fetchExternalMetrics: PropTypes.func.isRequired
+  }
+
+  constructor (props) {
+    super(props)
+
+    const url = (props.props && props.props.URL) ? props.props.URL : ''
+    const query = (props.props && props.props.Query) ? props.props.Query : ''
+    this.state = {
+      url,
+      query,
+      isFetching: false,
+      message: ''
+    }
+  }
+
+  callbacks = {
+    onLoad: () => { this.setState({isFetching: true, message: ''}) },
+    onSuccess: () => { this.setState({isFetching: false}) },
+    onFailure: (msg) => {
+      this.setState({isFetching: false, message: msg})
+    }
+  }
+
+  componentDidMount () {
+    if (this.state.url !== '' && this.needFetching()) {
+      this.fetchSeries(this.state.url)
+    }
+  }
+
+  needFetching = () => {
+    if (!this.props.metrics || !this.props.filters) { return true }
+    return this.props.filters.url !== this.state.url
+  }
+
+  fetchSeries = (url) => {
+    this.props.fetchExternalMetrics(prometheusMonitoringService, {url}, this.callbacks)
+  }
+
+  notifyChange = (url, query) => {
+    this.props.onChange({
+      URL: url,
+      Query: query
+    })
+  }
+
+  handleChangeURL = (value) => {
+    this.setState({url: value})
+    this.notifyChange(value, this.state.query)
+  }
+
+  handleClickFetchButton = () => {
+    this.fetchSeries(this.state.url)
+  }
+
+  handleChangeSeries = (value) => {
+    this.setState({query: value})
+    this.notifyChange(this.state.url, value)
+  }
+
+  handleChangeQuery = (value) => {
+    this.setState({query: value})
+    this.notifyChange(this.state.url, value)
+  }
+
+  render () {
+    let series = ['']
+    if (!this.needFetching()) {
+      series = series.concat(this.props.metrics.slice().sort())
+    }
+    // The query can be any PromQL expression. Show it only if it's one of the series.
+    const selectedSeries = series.indexOf(this.state.query) >= 0 ? this.state.query : ''
+
+    let spinner
+    if (this.state.isFetching) {
+      spinner = <Spinner enable class={classes['spinner']} />
+    }
+
+    return (
+      <div>
+        <ErrorMessage message={this.state.message} />
+        <div className={classes.url}>
+          <TextField label='Prometheus Server URL' text={this.state.url} rows={1}
+            onChange={this.handleChangeURL} onEnterKey={this.fetchSeries}
+            information='e.g. http://prometheus.example.com:9090. The server must be reachable from AWS Lambda.' />
+          <Button plain name='Load Series' onClick={this.handleClickFetchButton}
+            disabled={this.state.isFetching || this.state.url === ''} />
+        </div>
+
+        <label className={classes.label} htmlFor='series'>
+          <div className={classes['spinner-box']}>
+            Series
+            {spinner}
+          </div>
+        </label>
+        <div id='series' className={classes['dropdown-list']}>
+          <DropdownList disabled={this.state.isFetching} onChange={this.handleChangeSeries}
+            list={series} initialValue={selectedSeries} />
+        </div>
+
+        <TextField label='PromQL Query' text={this.state.query} rows={2} onChange={this.handleChangeQuery}
+          information='The query must return one series. Use an aggregation like sum() or avg() if needed.' />
+      </div>
+    )
+  }
+}
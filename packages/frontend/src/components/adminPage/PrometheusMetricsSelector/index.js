@@ -0,0 +1,20 @@
+import { connect } from 'react-redux'
+import { bindActionCreators } from 'redux'
+import { fetchExternalMetrics } from 'actions/metrics'
+import { prometheusMonitoringService } from 'utils/status'
+import PrometheusMetricsSelector from './PrometheusMetricsSelector'
+
+const mapStateToProps = (state) => {
+  let filters, metrics
+  if (state.metrics.externalMetrics[prometheusMonitoringService]) {
+    filters = state.metrics.externalMetrics[prometheusMonitoringService].filters
+    metrics = state.metrics.externalMetrics[prometheusMonitoringService].metrics
+  }
+  return { metrics, filters }
+}
+
+function mapDispatchToProps (dispatch) {
+  return bindActionCreators({fetchExternalMetrics}, dispatch)
+}
+
+export default connect(mapStateToProps, mapDispatchToProps)(PrometheusMetricsSelector)
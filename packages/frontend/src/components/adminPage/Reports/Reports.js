@@ -0,0 +1,161 @@
+import React, { PropTypes } from 'react'
+import classnames from 'classnames'
+import Button from 'components/common/Button'
+import DropdownList from 'components/common/DropdownList'
+import ErrorMessage from 'components/common/ErrorMessage'
+import { listPeriods, formatAvailability, formatDuration, buildReportCSV,
+  buildReportHTML } from 'utils/availabilityReports'
+import classes from './Reports.scss'
+
+export default class Reports extends React.Component {
+  static propTypes = {
+    report: PropTypes.shape({
+      period: PropTypes.string.isRequired,
+      startAt: PropTypes.string.isRequired,
+      endAt: PropTypes.string.isRequired,
+      excludeMaintenances: PropTypes.bool.isRequired,
+      components: PropTypes.arrayOf(PropTypes.shape({
+        componentID: PropTypes.string.isRequired,
+        name: PropTypes.string.isRequired,
+        availability: PropTypes.number,
+        downtime: PropTypes.number.isRequired,
+        incidents: PropTypes.arrayOf(PropTypes.shape({
+          incidentID: PropTypes.string.isRequired,
+          name: PropTypes.string.isRequired,
+          downtime: PropTypes.number.isRequired
+        }).isRequired).isRequired
+      }).isRequired).isRequired
+    }),
+    serviceName: PropTypes.string,
+    fetchAvailabilityReport: PropTypes.func.isRequired
+  }
+
+  constructor () {
+    super()
+    this.periods = listPeriods()
+    this.state = {
+      period: this.periods[0],
+      excludeMaintenances: false,
+      isFetching: false,
+      message: ''
+    }
+  }
+
+  callbacks = {
+    onLoad: () => { this.setState({isFetching: true}) },
+    onSuccess: () => { this.setState({isFetching: false, message: ''}) },
+    onFailure: (msg) => {
+      this.setState({isFetching: false, message: msg})
+    }
+  }
+
+  componentDidMount () {
+    this.props.fetchAvailabilityReport(this.state.period, this.state.excludeMaintenances, this.callbacks)
+  }
+
+  handleChangePeriod = (period) => {
+    this.setState({period})
+    this.props.fetchAvailabilityReport(period, this.state.excludeMaintenances, this.callbacks)
+  }
+
+  handleToggleExcludeMaintenances = (e) => {
+    const excludeMaintenances = e.target.checked
+    this.setState({excludeMaintenances})
+    this.props.fetchAvailabilityReport(this.state.period, excludeMaintenances, this.callbacks)
+  }
+
+  handleClickCSVButton = () => {
+    const { report } = this.props
+    const blob = new Blob([buildReportCSV(report)], {type: 'text/csv'})
+    const link = document.createElement('a')
+    link.href = URL.createObjectURL(blob)
+    link.download = `availability-${report.period}.csv`
+    document.body.appendChild(link)
+    link.click()
+    document.body.removeChild(link)
+    URL.revokeObjectURL(link.href)
+  }
+
+  handleClickPrintButton = () => {
+    const printWindow = window.open('', '_blank')
+    printWindow.document.write(buildReportHTML(this.props.report, this.props.serviceName))
+    printWindow.document.close()
+    printWindow.focus()
+    printWindow.print()
+  }
+
+  renderIncidents = (incidents) => {
+    if (incidents.length === 0) return null
+    return (
+      <ul className={classes.incidents}>
+        {incidents.map(incident => {
+          return (
+            <li key={incident.incidentID}>
+              {incident.name || incident.incidentID} ({formatDuration(incident.downtime)})
+            </li>
+          )
+        })}
+      </ul>
+    )
+  }
+
+  renderRow = (component) => {
+    return (
+      <tr key={component.componentID}>
+        <td className='mdl-data-table__cell--non-numeric'>{component.name}</td>
+        <td>{formatAvailability(component.availability)}</td>
+        <td>{formatDuration(component.downtime)}</td>
+        <td className='mdl-data-table__cell--non-numeric'>{this.renderIncidents(component.incidents)}</td>
+      </tr>
+    )
+  }
+
+  renderReport = () => {
+    const { report } = this.props
+    // The report of the other period may remain in the store until the new one is fetched.
+    if (!report || report.period !== this.state.period) return null
+    return (
+      <div className='mdl-cell mdl-cell--12-col'>
+        <table className={classnames('mdl-data-table', classes.table)}>
+          <thead>
+            <tr>
+              <th className='mdl-data-table__cell--non-numeric'>Component</th>
+              <th>Availability</th>
+              <th>Downtime</th>
+              <th className='mdl-data-table__cell--non-numeric'>Incidents</th>
+            </tr>
+          </thead>
+          <tbody>
+            {report.components.map(this.renderRow)}
+          </tbody>
+        </table>
+      </div>
+    )
+  }
+
+  render () {
+    const hasReport = !!this.props.report && this.props.report.period === this.state.period
+    return (<div className={classnames(classes.layout, 'mdl-grid')}
+      style={{ opacity: this.state.isFetching ? 0.5 : 1 }}>
+      <div className='mdl-cell mdl-cell--6-col mdl-cell--middle'>
+        <h4>Availability Report</h4>
+      </div>
+      <div className={classnames(classes.exportButtons, 'mdl-cell mdl-cell--6-col mdl-cell--middle')}>
+        <Button onClick={this.handleClickCSVButton} name='CSV' disabled={!hasReport} />
+        <Button onClick={this.handleClickPrintButton} name='Print' disabled={!hasReport} />
+      </div>
+      <div className='mdl-cell mdl-cell--12-col mdl-cell--middle'>
+        <DropdownList onChange={this.handleChangePeriod} list={this.periods} initialValue={this.state.period} />
+        <label className={classes.checkbox}>
+          <input type='checkbox' checked={this.state.excludeMaintenances}
+            onChange={this.handleToggleExcludeMaintenances} />
+          Exclude scheduled maintenance windows
+        </label>
+      </div>
+      <div className='mdl-cell mdl-cell--12-col mdl-list'>
+        <ErrorMessage message={this.state.message} />
+      </div>
+      {this.renderReport()}
+    </div>)
+  }
+}
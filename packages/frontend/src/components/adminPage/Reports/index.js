@@ -0,0 +1,17 @@
+import { connect } from 'react-redux'
+import { bindActionCreators } from 'redux'
+import { fetchAvailabilityReport } from 'actions/availabilityReports'
+import Reports from './Reports'
+
+const mapStateToProps = (state) => {
+  return {
+    report: state.availabilityReports.report,
+    serviceName: state.settings.settings.serviceName
+  }
+}
+
+function mapDispatchToProps (dispatch) {
+  return bindActionCreators({fetchAvailabilityReport}, dispatch)
+}
+
+export default connect(mapStateToProps, mapDispatchToProps)(Reports)
@@ -7,6 +7,8 @@ import Incidents from 'components/adminPage/Incidents'
 import Maintenances from 'components/adminPage/Maintenances'
 import Users from 'components/adminPage/Users'
 import Metrics from 'components/adminPage/Metrics'
+import MetricGroups from 'components/adminPage/MetricGroups'
+import Reports from 'components/adminPage/Reports'
 import Settings from 'components/adminPage/Settings'
 import Signin from 'components/adminPage/Signin'
 import NotFound from 'components/adminPage/NotFound'
@@ -36,6 +38,8 @@ const routes = (
     <Route path='maintenances' component={Maintenances} onEnter={requireAuth} />
     <Route path='users' component={Users} onEnter={requireAuth} />
     <Route path='metrics' component={Metrics} onEnter={requireAuth} />
+    <Route path='metric-groups' component={MetricGroups} onEnter={requireAuth} />
+    <Route path='reports' component={Reports} onEnter={requireAuth} />
     <Route path='settings' component={Settings} onEnter={requireAuth} />
     <Route path='signin' component={Signin} onEnter={guestOnly} />
     <Route path='*' component={NotFound} />
@@ -12,6 +12,10 @@ export default class Settings extends React.Component {
       adminPageURL: PropTypes.string,
       statusPageURL: PropTypes.string,
       serviceName: PropTypes.string,
+      metricsRetentionDays: PropTypes.number,
+      showAffectedVia: PropTypes.bool,
+      maintenanceStartMessage: PropTypes.string,
+      maintenanceEndMessage: PropTypes.string,
       apiKeys: PropTypes.arrayOf(PropTypes.shape({
         id: PropTypes.string.isRequired,
         value: PropTypes.string.isRequired,
@@ -32,6 +36,10 @@ export default class Settings extends React.Component {
       adminPageURL: props.settings.adminPageURL || '',
       statusPageURL: props.settings.statusPageURL || '',
       serviceName: props.settings.serviceName || '',
+      metricsRetentionDays: String(props.settings.metricsRetentionDays || 0),
+      showAffectedVia: !!props.settings.showAffectedVia,
+      maintenanceStartMessage: props.settings.maintenanceStartMessage || '',
+      maintenanceEndMessage: props.settings.maintenanceEndMessage || '',
       apiKeys: props.settings.apiKeys ? props.settings.apiKeys.map(key => {
         return { ...key, status: apiKeyStatuses.created }
       }) : []
@@ -55,6 +63,10 @@ export default class Settings extends React.Component {
       adminPageURL: nextProps.settings.adminPageURL,
       statusPageURL: nextProps.settings.statusPageURL,
       serviceName: nextProps.settings.serviceName,
+      metricsRetentionDays: String(nextProps.settings.metricsRetentionDays || 0),
+      showAffectedVia: !!nextProps.settings.showAffectedVia,
+      maintenanceStartMessage: nextProps.settings.maintenanceStartMessage || '',
+      maintenanceEndMessage: nextProps.settings.maintenanceEndMessage || '',
       apiKeys: nextProps.settings.apiKeys.map(key => {
         return { ...key, status: apiKeyStatuses.created }
       })
@@ -88,6 +100,10 @@ export default class Settings extends React.Component {
     }
   }
 
+  handleToggleShowAffectedVia = (e) => {
+    this.setState({showAffectedVia: e.target.checked})
+  }
+
   handleClickSaveButton = () => {
     this.state.apiKeys.forEach(key => {
       switch (key.status) {
@@ -103,8 +119,12 @@ export default class Settings extends React.Component {
           throw new Error('unknown status', key.status)
       }
     })
+    // The invalid text is sent as it is to let the server tell the reason.
+    const retentionDays = this.state.metricsRetentionDays
+    const metricsRetentionDays = /^\d+$/.test(retentionDays) ? parseInt(retentionDays, 10) : retentionDays
     this.props.updateSettings(this.state.serviceName, this.state.adminPageURL, this.state.statusPageURL,
-                              this.callbacks)
+                              metricsRetentionDays, this.state.showAffectedVia, this.state.maintenanceStartMessage,
+                              this.state.maintenanceEndMessage, this.callbacks)
   }
 
   renderApiKeysSelector = () => {
@@ -115,6 +135,17 @@ export default class Settings extends React.Component {
     )
   }
 
+  renderShowAffectedVia = () => {
+    return (
+      <ul key='showAffectedVia' className={classnames(classes.item, 'mdl-cell', 'mdl-cell--9-col', 'mdl-list')}>
+        <label>
+          <input type='checkbox' checked={this.state.showAffectedVia} onChange={this.handleToggleShowAffectedVia} />
+          Show the degraded dependencies of the components on the status page (e.g. affected via Database)
+        </label>
+      </ul>
+    )
+  }
+
   renderItem = (setting) => {
     const { key, info } = setting
     const text = key.charAt(0).toUpperCase() + key.slice(1)
@@ -129,12 +160,18 @@ export default class Settings extends React.Component {
   render () {
     // eslint-disable-next-line
     const urlSettingInfo = 'Affects the links in email notifications, RSS feeds, and so on. It doesn\'t change your DNS setting.'
+    const metricsRetentionDaysInfo = 'The metrics data older than the days is deleted once a day. 0 keeps it forever.'
+    const maintenanceMessageInfo = 'Posted as the maintenance update when the scheduled maintenance starts or ends.'
     const settings = [
       {key: 'serviceName'},
       {key: 'statusPageURL', info: urlSettingInfo},
-      {key: 'adminPageURL', info: urlSettingInfo}
+      {key: 'adminPageURL', info: urlSettingInfo},
+      {key: 'metricsRetentionDays', info: metricsRetentionDaysInfo},
+      {key: 'maintenanceStartMessage', info: maintenanceMessageInfo},
+      {key: 'maintenanceEndMessage', info: maintenanceMessageInfo}
     ]
     const settingItems = settings.map(this.renderItem)
+    settingItems.push(this.renderShowAffectedVia())
     settingItems.push(this.renderApiKeysSelector())
 
     let errMsg
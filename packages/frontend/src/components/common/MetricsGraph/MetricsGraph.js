@@ -1,24 +1,75 @@
 import React, { PropTypes } from 'react'
 import classnames from 'classnames'
+import { Link } from 'react-router'
 import c3 from 'c3'
 import 'c3/c3.css'
-import { timeframes, getXAxisFormat, getTooltipTitleFormat, getIncrementTimestampFunc, getNumDates } from 'utils/status'
+import { timeframes, getXAxisFormat, getTooltipTitleFormat, getIncrementTimestampFunc, getNumDates,
+         getRollupName } from 'utils/status'
+import { chartTypes, getDisplayOptions, getUnitScale, formatValue } from 'utils/metricDisplay'
 import classes from './MetricsGraph.scss'
 import './MetricsGraph.global.scss'
 
+const escapeHTML = (text) => {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+}
+
 export default class MetricsGraph extends React.Component {
   static propTypes = {
     metricID: PropTypes.string,
     metric: PropTypes.shape({
       title: PropTypes.string.isRequired,
       unit: PropTypes.string.isRequired,
-      data: PropTypes.object
+      data: PropTypes.object,
+      rollups: PropTypes.object,
+      displayOptions: PropTypes.shape({
+        chartType: PropTypes.oneOf(chartTypes),
+        decimals: PropTypes.number,
+        yMin: PropTypes.number,
+        yMax: PropTypes.number,
+        scaleUnit: PropTypes.bool
+      })
     }),
+    // The display options which override the metric's ones. Used to preview the unsaved options.
+    displayOptions: PropTypes.object,
     settings: PropTypes.shape({
       statusPageURL: PropTypes.string
     }).isRequired,
     timeframe: PropTypes.oneOf(timeframes).isRequired,
-    fetchData: PropTypes.func.isRequired
+    fetchData: PropTypes.func.isRequired,
+    fetchRollup: PropTypes.func.isRequired,
+    // The sorted datapoints to preview. If given, they are drawn instead of the data in the status page bucket and
+    // the timeframe ends at the last datapoint.
+    datapoints: PropTypes.arrayOf(PropTypes.shape({
+      timestamp: PropTypes.string.isRequired,
+      value: PropTypes.number.isRequired
+    })),
+    // If true, the incidents and maintenances within the timeframe are drawn over the graph.
+    annotated: PropTypes.bool,
+    incidents: PropTypes.arrayOf(PropTypes.shape({
+      incidentID: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+      status: PropTypes.string.isRequired,
+      updatedAt: PropTypes.string.isRequired,
+      incidentUpdates: PropTypes.arrayOf(PropTypes.shape({
+        updatedAt: PropTypes.string.isRequired
+      }))
+    })),
+    maintenances: PropTypes.arrayOf(PropTypes.shape({
+      maintenanceID: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+      startAt: PropTypes.string.isRequired,
+      endAt: PropTypes.string.isRequired
+    })),
+    navigate: PropTypes.func,
+    // If given, the graph is the multi-series graph of the metric group and each metric is drawn as one line.
+    // `metric` has the title and the unit of the group then.
+    groupID: PropTypes.string,
+    series: PropTypes.arrayOf(PropTypes.shape({
+      metricID: PropTypes.string.isRequired,
+      title: PropTypes.string.isRequired,
+      data: PropTypes.object,
+      rollups: PropTypes.object
+    }).isRequired)
   }
 
   constructor (props) {
@@ -29,7 +80,7 @@ export default class MetricsGraph extends React.Component {
   }
 
   componentDidMount () {
-    if (this.areAllDataFetched(this.props.metric.data)) {
+    if (this.areAllSeriesFetched()) {
       // The chart width is wrong if update the graph here. Let componentDidUpdate update it instead.
       this.setState({needUpdateGraph: true})
       return
@@ -48,7 +99,7 @@ export default class MetricsGraph extends React.Component {
       return
     }
 
-    if (this.areAllDataFetched(this.props.metric.data)) {
+    if (this.areAllSeriesFetched()) {
       // all data were fetched. Just update the graph.
       this.updateGraph()
       return
@@ -60,17 +111,157 @@ export default class MetricsGraph extends React.Component {
     }
   }
 
+  // Returns the metrics drawn in the graph.
+  getSeries = () => {
+    if (this.props.series) {
+      return this.props.series
+    }
+    return [Object.assign({}, this.props.metric, {metricID: this.props.metricID})]
+  }
+
+  getDisplayOptions = () => {
+    return getDisplayOptions(this.props.metric, this.props.displayOptions)
+  }
+
+  // Returns the unit and the divisor of the values. All the values in the graph share the unit scaled by `maxValue`.
+  getUnitScale = (maxValue) => {
+    const { unit } = this.props.metric
+    if (!this.getDisplayOptions().scaleUnit) {
+      return {unit, divisor: 1}
+    }
+    return getUnitScale(unit, maxValue)
+  }
+
+  getElementID = () => {
+    if (this.props.groupID) {
+      return 'metricGroupID' + this.props.groupID
+    }
+    return 'metricID' + this.props.metricID
+  }
+
   fetchMetricData = () => {
+    if (this.props.datapoints) return
+
+    const rollupName = getRollupName(this.props.timeframe)
     const numDates = getNumDates(this.props.timeframe)
-    const currDate = new Date()
-    for (let i = 0; i < numDates + 1; i++) {
-      this.props.fetchData(this.props.settings.statusPageURL, this.props.metricID, currDate.getUTCFullYear(),
-        currDate.getUTCMonth() + 1, currDate.getUTCDate())
-      currDate.setDate(currDate.getDate() - 1)
+    this.getSeries().forEach(metric => {
+      if (rollupName) {
+        this.props.fetchRollup(this.props.settings.statusPageURL, metric.metricID, rollupName)
+        return
+      }
+
+      const currDate = new Date()
+      for (let i = 0; i < numDates + 1; i++) {
+        this.props.fetchData(this.props.settings.statusPageURL, metric.metricID, currDate.getUTCFullYear(),
+          currDate.getUTCMonth() + 1, currDate.getUTCDate())
+        currDate.setDate(currDate.getDate() - 1)
+      }
+    })
+  }
+
+  getEndDate = () => {
+    const { datapoints } = this.props
+    if (datapoints && datapoints.length > 0) {
+      return new Date(datapoints[datapoints.length - 1].timestamp)
+    }
+    return new Date()
+  }
+
+  getDatapointsWithinTimeframe = () => {
+    const endDate = this.getEndDate()
+    const beginDate = new Date(endDate.getTime())
+    beginDate.setDate(beginDate.getDate() - getNumDates(this.props.timeframe))
+    const beginDateStr = beginDate.toISOString()
+    const endDateStr = endDate.toISOString()
+    return this.props.datapoints.filter(datapoint => {
+      return beginDateStr <= datapoint.timestamp && datapoint.timestamp <= endDateStr
+    })
+  }
+
+  // Returns the incidents and maintenances which overlap the range as {type, name, link, start, end}.
+  // The incident starts at its first update and lasts until it's resolved. The updates are available only if
+  // they are fetched, so the incident may be the point at the last update.
+  getAnnotations = (beginDateStr, endDateStr) => {
+    if (!this.props.annotated) return []
+
+    const annotations = []
+    const incidents = this.props.incidents || []
+    incidents.forEach(incident => {
+      const updates = incident.incidentUpdates || []
+      const timestamps = updates.map(update => update.updatedAt).concat([incident.updatedAt]).sort()
+      annotations.push({
+        type: 'incident',
+        name: incident.name,
+        link: `/incidents/${incident.incidentID}`,
+        start: timestamps[0],
+        end: incident.status === 'Resolved' ? timestamps[timestamps.length - 1] : endDateStr
+      })
+    })
+    const maintenances = this.props.maintenances || []
+    maintenances.forEach(maintenance => {
+      annotations.push({
+        type: 'maintenance',
+        name: maintenance.name,
+        link: `/maintenances/${maintenance.maintenanceID}`,
+        start: maintenance.startAt,
+        end: maintenance.endAt
+      })
+    })
+
+    return annotations.filter(annotation => annotation.start <= endDateStr && beginDateStr <= annotation.end)
+      .map(annotation => {
+        return Object.assign({}, annotation, {
+          start: annotation.start < beginDateStr ? beginDateStr : annotation.start,
+          end: annotation.end > endDateStr ? endDateStr : annotation.end
+        })
+      })
+      .sort((a, b) => {
+        if (a.start < b.start) return -1
+        if (a.start > b.start) return 1
+        return 0
+      })
+  }
+
+  getTimeframeRange = () => {
+    const endDate = this.getEndDate()
+    const beginDate = new Date(endDate.getTime())
+    beginDate.setDate(beginDate.getDate() - getNumDates(this.props.timeframe))
+    return [beginDate.toISOString(), endDate.toISOString()]
+  }
+
+  // Returns the annotations which overlap the interval of the graph beginning at `date`.
+  findAnnotationsAt = (annotations, date, intervalInMs) => {
+    const time = date.getTime()
+    return annotations.filter(annotation => {
+      const start = new Date(annotation.start).getTime()
+      const end = new Date(annotation.end).getTime()
+      return start < time + intervalInMs && time <= end
+    })
+  }
+
+  getRollup = (metric = this.props.metric) => {
+    const rollupName = getRollupName(this.props.timeframe)
+    if (!rollupName || !metric.rollups) {
+      return undefined
     }
+    return metric.rollups[rollupName]
   }
 
-  areAllDataFetched = (data) => {
+  // Returns the buckets of the rollup within the timeframe as the datapoints.
+  collectRollupWithinRange = (rollup, beginDate, endDate) => {
+    return rollup.filter(bucket => beginDate <= bucket.timestamp && bucket.timestamp <= endDate)
+      .map(bucket => Object.assign({}, bucket, {value: bucket.avg}))
+  }
+
+  areAllDataFetched = (data, metric = this.props.metric) => {
+    if (this.props.datapoints) {
+      return true
+    }
+
+    if (getRollupName(this.props.timeframe)) {
+      return this.getRollup(metric) !== undefined
+    }
+
     if (!data) {
       return false
     }
@@ -85,14 +276,18 @@ export default class MetricsGraph extends React.Component {
     return true
   }
 
-  collectDataWithinRange = (dates, beginDate, endDate) => {
+  areAllSeriesFetched = () => {
+    return this.getSeries().every(metric => this.areAllDataFetched(metric.data, metric))
+  }
+
+  collectDataWithinRange = (dates, beginDate, endDate, metricData = this.props.metric.data) => {
     const data = []
     dates.forEach(date => {
-      if (!this.props.metric.data[date]) {
+      if (!metricData[date]) {
         return
       }
 
-      this.props.metric.data[date].forEach(dataPoint => {
+      metricData[date].forEach(dataPoint => {
         if (beginDate > dataPoint.timestamp || dataPoint.timestamp > endDate) {
           return
         }
@@ -154,7 +349,7 @@ export default class MetricsGraph extends React.Component {
 
   updateGraph = () => {
     const numDates = getNumDates(this.props.timeframe)
-    let now = new Date()
+    let now = this.getEndDate()
     let currDate = new Date(now.getTime())
     const endDateStr = currDate.toISOString()
     currDate.setDate(currDate.getDate() - numDates)
@@ -167,27 +362,78 @@ export default class MetricsGraph extends React.Component {
       currDate.setDate(currDate.getDate() + 1)
     }
 
-    const data = this.collectDataWithinRange(dates, beginDateStr, endDateStr)
-    if (data.length === 0) {
+    const series = this.getSeries()
+    const dataList = series.map(metric => {
+      const rollup = this.getRollup(metric)
+      if (this.props.datapoints) {
+        return this.getDatapointsWithinTimeframe()
+      } else if (rollup) {
+        return this.collectRollupWithinRange(rollup, beginDateStr, endDateStr)
+      }
+      return this.collectDataWithinRange(dates, beginDateStr, endDateStr, metric.data)
+    })
+    if (dataList.every(data => data.length === 0)) {
       return
     }
 
-    currDate = new Date(now.getTime())
-    currDate.setDate(currDate.getDate() - numDates)
+    const startDate = new Date(now.getTime())
+    startDate.setDate(startDate.getDate() - numDates)
     const incrementTimestamp = getIncrementTimestampFunc(this.props.timeframe)
-    const { timestamps, values } = this.averageDataByInterval(data, currDate, now, incrementTimestamp)
+    let timestamps
+    const rawValuesList = dataList.map(data => {
+      const averaged = this.averageDataByInterval(data, startDate, now, incrementTimestamp)
+      timestamps = averaged.timestamps
+      return averaged.values
+    })
+    const rawValues = [].concat(...rawValuesList).filter(value => value !== null)
+    const absMaxValue = rawValues.reduce((max, curr) => Math.max(max, Math.abs(curr)), 0)
+    const { chartType, decimals, yMin, yMax } = this.getDisplayOptions()
+    const { unit, divisor } = this.getUnitScale(absMaxValue)
+    const valuesList = rawValuesList.map(values => values.map(value => value === null ? null : value / divisor))
+    const values = [].concat(...valuesList)
 
     const minValue = values.reduce((min, curr) => (min === undefined || min > curr) ? curr : min, undefined)
     const maxValue = values.reduce((max, curr) => (max === undefined || max < curr) ? curr : max, undefined)
-    const ceilMaxValue = this.ceil(maxValue)
-    const floorMinValue = this.floor(minValue)
+    // The fixed bounds are in the metric's unit.
+    const ceilMaxValue = yMax !== null ? yMax / divisor : this.ceil(maxValue)
+    const floorMinValue = yMin !== null ? yMin / divisor : this.floor(minValue)
 
     const yTicks = [floorMinValue, (ceilMaxValue + floorMinValue) / 2, ceilMaxValue]
     const xTickFormat = getXAxisFormat(this.props.timeframe)
     const tooltipTitleFormat = getTooltipTitleFormat(this.props.timeframe)
 
+    const annotations = this.getAnnotations(beginDateStr, endDateStr)
+    const intervalInMs = timestamps.length > 1 ? timestamps[1].getTime() - timestamps[0].getTime() : 0
+    const regions = annotations.map(annotation => {
+      // The point-like annotation is widened to one interval so that it's visible.
+      const start = new Date(annotation.start)
+      const end = new Date(Math.max(new Date(annotation.end).getTime(), start.getTime() + intervalInMs))
+      return {axis: 'x', start, end, class: `annotation-${annotation.type}`}
+    })
+    // The tooltip tells the incidents and maintenances at the point. Clicking the point opens the first one.
+    const tooltipTitle = (x) => {
+      const names = this.findAnnotationsAt(annotations, x, intervalInMs).map(annotation => {
+        return `<div class='annotation-${annotation.type}'>${escapeHTML(annotation.name)}</div>`
+      })
+      return tooltipTitleFormat(x) + names.join('')
+    }
+    const handleClick = (d) => {
+      const matched = this.findAnnotationsAt(annotations, d.x, intervalInMs)
+      if (matched.length > 0 && this.props.navigate) {
+        this.props.navigate(matched[0].link)
+      }
+    }
+
+    // The single metric keeps the id `data`. The metric group uses the metric IDs and shows the legend.
+    const multiSeries = this.props.series !== undefined
+    const seriesIDs = series.map(metric => multiSeries ? metric.metricID : 'data')
+    const seriesTitles = {}
+    series.forEach((metric, i) => {
+      seriesTitles[seriesIDs[i]] = metric.title
+    })
+
     c3.generate({
-      bindto: '#metricID' + this.props.metricID,
+      bindto: '#' + this.getElementID(),
       size: {
         height: 120
       },
@@ -196,9 +442,13 @@ export default class MetricsGraph extends React.Component {
         xFormat: '%Y-%m-%dT%H:%M:%S.%LZ',
         columns: [
           ['x', ...timestamps],
-          ['data', ...values]
-        ]
+          ...valuesList.map((values, i) => [seriesIDs[i], ...values])
+        ],
+        names: seriesTitles,
+        type: chartType,
+        onclick: handleClick
       },
+      regions,
       point: {
         show: true,
         r: 1,
@@ -239,13 +489,13 @@ export default class MetricsGraph extends React.Component {
       },
       tooltip: {
         format: {
-          title: tooltipTitleFormat,
-          name: () => { return this.props.metric.title },
-          value: (value) => { return Math.round(value) + this.props.metric.unit }
+          title: tooltipTitle,
+          name: (name, ratio, id) => { return multiSeries ? seriesTitles[id] : this.props.metric.title },
+          value: (value) => { return formatValue(value, decimals) + unit }
         }
       },
       legend: {
-        show: false
+        show: multiSeries
       }
     })
   }
@@ -264,10 +514,40 @@ export default class MetricsGraph extends React.Component {
     if (count === 0) {
       return 0
     }
-    return Math.round(sum / count)
+    return sum / count
+  }
+
+  // The buckets have the number of datapoints, so the average is weighted by it.
+  calculateRollupAvg = (rollup) => {
+    let sum = 0
+    let count = 0
+    rollup.forEach((bucket) => {
+      sum += bucket.avg * bucket.count
+      count += bucket.count
+    })
+
+    if (count === 0) {
+      return 0
+    }
+    return sum / count
+  }
+
+  getRollupWithinTimeframe = (metric = this.props.metric) => {
+    const endDate = new Date()
+    const beginDate = new Date(endDate.getTime())
+    beginDate.setDate(beginDate.getDate() - getNumDates(this.props.timeframe))
+    return this.collectRollupWithinRange(this.getRollup(metric), beginDate.toISOString(), endDate.toISOString())
   }
 
-  hasDatapoints = (data) => {
+  hasDatapoints = (data, metric = this.props.metric) => {
+    if (this.props.datapoints) {
+      return this.getDatapointsWithinTimeframe().length !== 0
+    }
+
+    if (getRollupName(this.props.timeframe)) {
+      return this.getRollupWithinTimeframe(metric).length !== 0
+    }
+
     if (!data) {
       return false
     }
@@ -284,29 +564,68 @@ export default class MetricsGraph extends React.Component {
     return false
   }
 
+  hasAnySeriesDatapoints = () => {
+    return this.getSeries().some(metric => this.hasDatapoints(metric.data, metric))
+  }
+
+  renderAnnotations = () => {
+    const [beginDateStr, endDateStr] = this.getTimeframeRange()
+    const annotations = this.getAnnotations(beginDateStr, endDateStr)
+    if (annotations.length === 0) return null
+
+    const items = annotations.map(annotation => {
+      return (
+        <li key={annotation.link} className={classes[`annotation-${annotation.type}`]}>
+          <Link to={annotation.link}>{annotation.name}</Link>
+        </li>
+      )
+    })
+    return (<ul className={classes.annotations}>{items}</ul>)
+  }
+
   render () {
     let graph = (<div className={classnames(classes.loading)} >Fetching...</div>)
     let average = 0
-    if (this.areAllDataFetched(this.props.metric.data)) {
-      if (!this.hasDatapoints(this.props.metric.data)) {
+    let annotations
+    if (this.areAllSeriesFetched()) {
+      if (!this.hasAnySeriesDatapoints()) {
         graph = (<div className={classnames(classes.loading)} >No data for this time period yet.</div>)
       } else {
-        graph = (<div id={'metricID' + this.props.metricID} />)
-        average = this.calculateAvg(this.props.metric.data)
+        graph = (<div id={this.getElementID()} />)
+        annotations = this.renderAnnotations()
+        if (this.props.series) {
+          // The average of the different metrics means nothing.
+          average = undefined
+        } else if (this.props.datapoints) {
+          average = this.calculateAvg({preview: this.getDatapointsWithinTimeframe()})
+        } else if (getRollupName(this.props.timeframe)) {
+          average = this.calculateRollupAvg(this.getRollupWithinTimeframe())
+        } else {
+          average = this.calculateAvg(this.props.metric.data)
+        }
       }
     }
 
+    let averageLabel
+    if (average !== undefined) {
+      const { unit, divisor } = this.getUnitScale(average)
+      averageLabel = (
+        <span className={classnames(classes.average)}>
+          {`${formatValue(average / divisor, this.getDisplayOptions().decimals)}${unit}`}
+        </span>
+      )
+    }
+
     return (
-      <li key={this.props.metricID} className={classnames('mdl-list__item',
+      <li key={this.getElementID()} className={classnames('mdl-list__item',
         'mdl-list__item--two-line', 'mdl-shadow--2dp', classes.item)}>
         <span className={classnames('mdl-list__item-primary-content', classes.item_primary)}>
           <div className={classnames(classes.title)}>
             {this.props.metric.title}
-            <span className={classnames(classes.average)}>
-              {`${average}${this.props.metric.unit}`}
-            </span>
+            {averageLabel}
           </div>
           {graph}
+          {annotations}
         </span>
       </li>
     )
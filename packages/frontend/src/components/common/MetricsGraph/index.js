@@ -1,23 +1,47 @@
 import { connect } from 'react-redux'
 import { bindActionCreators } from 'redux'
-import { fetchMetricsData } from 'actions/metrics'
+import { push } from 'react-router-redux'
+import { fetchMetricsData, fetchMetricsRollup } from 'actions/metrics'
 import MetricsGraph from './MetricsGraph'
 
-const mapStateToProps = (state, ownProps) => {
-  let focusedMetric
-  state.metrics.metrics.forEach((metric) => {
-    if (metric.metricID === ownProps.metricID) {
-      focusedMetric = metric
-    }
-  })
+// The metric group is drawn as the multi-series graph of its metrics. The metrics not in the store are skipped.
+// The metrics share the unit, so the group is drawn with the display options of the first metric.
+const mapGroupToProps = (state, groupID) => {
+  const group = state.metricGroups.metricGroups.find(group => group.groupID === groupID)
+  const series = group.metricIDs.map(metricID => state.metrics.metrics.find(metric => metric.metricID === metricID))
+    .filter(metric => metric !== undefined)
   return {
-    metric: focusedMetric,
-    settings: state.settings.settings
+    metric: {
+      title: group.title,
+      unit: series.length > 0 ? series[0].unit : '',
+      displayOptions: series.length > 0 ? series[0].displayOptions : undefined
+    },
+    series
   }
 }
 
+const mapStateToProps = (state, ownProps) => {
+  let props
+  if (ownProps.groupID) {
+    props = mapGroupToProps(state, ownProps.groupID)
+  } else {
+    let focusedMetric
+    state.metrics.metrics.forEach((metric) => {
+      if (metric.metricID === ownProps.metricID) {
+        focusedMetric = metric
+      }
+    })
+    props = {metric: focusedMetric}
+  }
+  return Object.assign(props, {
+    settings: state.settings.settings,
+    incidents: state.incidents.incidents,
+    maintenances: state.maintenances.maintenances
+  })
+}
+
 function mapDispatchToProps (dispatch, ownProps) {
-  return bindActionCreators({fetchData: fetchMetricsData}, dispatch)
+  return bindActionCreators({fetchData: fetchMetricsData, fetchRollup: fetchMetricsRollup, navigate: push}, dispatch)
 }
 
 export default connect(mapStateToProps, mapDispatchToProps)(MetricsGraph)
@@ -1,40 +1,136 @@
 import React, { PropTypes } from 'react'
-import { getComponentColor } from 'utils/status'
+import classnames from 'classnames'
+import { getComponentColor, getWorstComponentStatus } from 'utils/status'
+import { getAffectedVia } from 'utils/dependencies'
+import UptimeBars from 'components/statusPage/UptimeBars'
+import classes from './Components.scss'
 
 export default class Components extends React.Component {
   static propTypes = {
     components: PropTypes.arrayOf(PropTypes.shape({
       componentID: PropTypes.string.isRequired,
       name: PropTypes.string.isRequired,
-      status: PropTypes.string.isRequired
+      status: PropTypes.string.isRequired,
+      order: PropTypes.number,
+      groupID: PropTypes.string,
+      dependencies: PropTypes.arrayOf(PropTypes.string)
     }).isRequired).isRequired,
+    componentGroups: PropTypes.arrayOf(PropTypes.shape({
+      groupID: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+      order: PropTypes.number.isRequired
+    }).isRequired).isRequired,
+    uptimes: PropTypes.object.isRequired,
+    settings: PropTypes.shape({
+      statusPageURL: PropTypes.string,
+      showAffectedVia: PropTypes.bool
+    }).isRequired,
     classNames: PropTypes.string,
-    fetchComponents: PropTypes.func.isRequired
+    fetchComponents: PropTypes.func.isRequired,
+    fetchComponentGroups: PropTypes.func.isRequired,
+    fetchComponentUptimes: PropTypes.func.isRequired
+  }
+
+  constructor () {
+    super()
+    this.state = {
+      expandedGroups: {}
+    }
   }
 
   componentDidMount () {
     this.props.fetchComponents(this.fetchCallbacks)
+    this.props.fetchComponentGroups(this.fetchCallbacks)
+    if (this.props.settings.statusPageURL) {
+      this.props.fetchComponentUptimes(this.props.settings.statusPageURL)
+    }
   }
 
-  render () {
-    const components = this.props.components.map(component => {
-      let statusColor = getComponentColor(component.status)
-      return (
-        <li key={component.componentID} className='mdl-list__item mdl-list__item--two-line mdl-shadow--2dp'>
+  componentDidUpdate (prevProps) {
+    if (!prevProps.settings.statusPageURL && this.props.settings.statusPageURL) {
+      // When componentDidMount was called, url was unknown. So fetch the uptimes now.
+      this.props.fetchComponentUptimes(this.props.settings.statusPageURL)
+    }
+  }
+
+  handleClickGroup = (groupID) => {
+    return () => {
+      const expandedGroups = Object.assign({}, this.state.expandedGroups)
+      expandedGroups[groupID] = !expandedGroups[groupID]
+      this.setState({ expandedGroups })
+    }
+  }
+
+  // `affectedVia` is the names of the degraded components this component depends on, if any.
+  renderComponent = (component, affectedVia) => {
+    let statusColor = getComponentColor(component.status)
+    let affectedViaNote
+    if (affectedVia) {
+      affectedViaNote = <span className={classes['affected-via']}>affected via {affectedVia.join(', ')}</span>
+    }
+    let uptimeBars
+    if (this.props.uptimes.hasOwnProperty(component.componentID)) {
+      uptimeBars = <UptimeBars uptimes={this.props.uptimes[component.componentID]} />
+    }
+    return (
+      <li key={component.componentID} className={classnames('mdl-shadow--2dp', classes.component)}>
+        <div className='mdl-list__item mdl-list__item--two-line'>
           <span className='mdl-list__item-primary-content'>
-            <span>{component.name}</span>
+            <span>{component.name}{affectedViaNote}</span>
             <span className='mdl-list__item-sub-title'>{component.description}</span>
           </span>
           <span className='mdl-list__item-secondary-content' style={{color: statusColor}}>
             {component.status}
           </span>
-        </li>
-      )
-    })
+        </div>
+        {uptimeBars}
+      </li>
+    )
+  }
+
+  renderGroup = (group, affectedVia) => {
+    const members = this.props.components.filter(component => component.groupID === group.groupID)
+    if (members.length === 0) return null
+
+    const status = getWorstComponentStatus(members.map(component => component.status))
+    const expanded = !!this.state.expandedGroups[group.groupID]
+    return (
+      <li key={group.groupID} className={classes.group}>
+        <div className={classnames('mdl-list__item', 'mdl-shadow--2dp', classes['group-header'])}
+          onClick={this.handleClickGroup(group.groupID)}>
+          <span className='mdl-list__item-primary-content'>
+            <i className='material-icons'>{expanded ? 'expand_less' : 'expand_more'}</i>
+            <span>{group.name}</span>
+          </span>
+          <span className='mdl-list__item-secondary-content' style={{color: getComponentColor(status)}}>
+            {status}
+          </span>
+        </div>
+        {expanded ? <ul className={classnames('mdl-list', classes['group-members'])}>
+          {members.map(component => this.renderComponent(component, affectedVia[component.componentID]))}
+        </ul> : null}
+      </li>
+    )
+  }
+
+  render () {
+    const { components, componentGroups, settings } = this.props
+    const affectedVia = settings.showAffectedVia ? getAffectedVia(components) : {}
+    const groupIDs = componentGroups.map(group => group.groupID)
+    // The groups are placed among the ungrouped components by their order.
+    const items = [].concat(
+      components.filter(component => groupIDs.indexOf(component.groupID) < 0)
+        .map(component => {
+          const element = this.renderComponent(component, affectedVia[component.componentID])
+          return { order: component.order, element }
+        }),
+      componentGroups.map(group => ({ order: group.order, element: this.renderGroup(group, affectedVia) }))
+    )
+    items.sort((a, b) => a.order - b.order)
 
     return (
       <ul className={this.props.classNames}>
-        {components}
+        {items.map(item => item.element)}
       </ul>
     )
   }
@@ -1,16 +1,21 @@
 import { connect } from 'react-redux'
 import { bindActionCreators } from 'redux'
 import { fetchComponents } from 'actions/components'
+import { fetchComponentGroups } from 'actions/componentGroups'
+import { fetchComponentUptimes } from 'actions/componentUptimes'
 import Components from './Components'
 
 const mapStateToProps = (state) => {
   return {
-    components: state.components.components
+    components: state.components.components,
+    componentGroups: state.componentGroups.componentGroups,
+    uptimes: state.componentUptimes.uptimes,
+    settings: state.settings.settings
   }
 }
 
 function mapDispatchToProps (dispatch) {
-  return bindActionCreators({fetchComponents}, dispatch)
+  return bindActionCreators({fetchComponents, fetchComponentGroups, fetchComponentUptimes}, dispatch)
 }
 
 export default connect(mapStateToProps, mapDispatchToProps)(Components)
@@ -1,17 +1,23 @@
 import React, { PropTypes } from 'react'
 import classnames from 'classnames'
+import Button from 'components/common/Button'
 import Link from 'components/common/Link'
 import Title from 'components/statusPage/Title'
 import SubscribeButton from 'components/statusPage/SubscribeButton'
 import IncidentItem from 'components/statusPage/IncidentItem'
 import MaintenanceItem from 'components/statusPage/MaintenanceItem'
+import { incidentImpacts } from 'utils/status'
 import { getFormattedDateTime } from 'utils/datetime'
+import { hideLaterOccurrences } from 'utils/maintenances'
 import classes from './History.scss'
 
+const allImpacts = 'all'
+
 export default class History extends React.Component {
   static propTypes = {
     incidents: PropTypes.arrayOf(PropTypes.shape({
       incidentID: PropTypes.string.isRequired,
+      impact: PropTypes.string,
       updatedAt: PropTypes.string.isRequired
     }).isRequired).isRequired,
     maintenances: PropTypes.arrayOf(PropTypes.shape({
@@ -28,7 +34,8 @@ export default class History extends React.Component {
   constructor () {
     super()
     this.state = {
-      isFetching: false
+      isFetching: false,
+      impactFilter: allImpacts
     }
   }
 
@@ -45,6 +52,30 @@ export default class History extends React.Component {
     this.props.fetchMaintenances(this.fetchCallbacks)
   }
 
+  clickHandler = (impactFilter) => {
+    return () => { this.setState({impactFilter}) }
+  }
+
+  renderImpactFilter = () => {
+    return [allImpacts].concat(incidentImpacts).map((impact, i) => {
+      let text = impact
+      if (impact === this.state.impactFilter) {
+        text = <span className={classes['filter-checked']}>{impact}</span>
+      }
+      return (
+        <Button plain name={text} class={(i === 0 ? classes['filter-left'] : classes.filter)}
+          key={impact} onClick={this.clickHandler(impact)} />
+      )
+    })
+  }
+
+  // Returns the events matching the impact filter. The maintenances are shown only if no impact is selected.
+  filterEvents = (events) => {
+    const { impactFilter } = this.state
+    if (impactFilter === allImpacts) return events
+    return events.filter(event => event.hasOwnProperty('incidentID') && event.impact === impactFilter)
+  }
+
   renderEventItems = (month, events) => {
     const eventItems = events.map(event => {
       if (event.hasOwnProperty('incidentID')) {
@@ -91,7 +122,7 @@ export default class History extends React.Component {
 
   render () {
     const { incidents, maintenances, settings } = this.props
-    const events = incidents.concat(maintenances)
+    const events = this.filterEvents(incidents.concat(hideLaterOccurrences(maintenances)))
     const eventsByMonth = this.renderEventsByMonth(events)
 
     return (
@@ -102,7 +133,12 @@ export default class History extends React.Component {
           <SubscribeButton />
         </div>
         <div className='mdl-cell mdl-cell--12-col'>
-          <h4>Incident History</h4>
+          <h4>
+            Incident History
+            <span className={classes.filters}>
+              {this.renderImpactFilter()}
+            </span>
+          </h4>
         </div>
         <div className='mdl-cell mdl-cell--12-col mdl-list'>
           {eventsByMonth}
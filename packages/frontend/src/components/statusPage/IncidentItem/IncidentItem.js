@@ -3,7 +3,7 @@ import { Link } from 'react-router'
 import classnames from 'classnames'
 import Button from 'components/common/Button'
 import AutolinkedText from 'components/common/AutolinkedText'
-import { getIncidentColor } from 'utils/status'
+import { getIncidentImpactColor } from 'utils/status'
 import { getFormattedDateTime } from 'utils/datetime'
 import classes from './IncidentItem.scss'
 
@@ -14,6 +14,7 @@ export default class IncidentItem extends React.Component {
       incidentID: PropTypes.string.isRequired,
       name: PropTypes.string.isRequired,
       status: PropTypes.string,
+      impact: PropTypes.string,
       incidentUpdates: PropTypes.arrayOf(PropTypes.shape({
         incidentUpdateID: PropTypes.string.isRequired,
         incidentStatus: PropTypes.string.isRequired,
@@ -52,7 +53,7 @@ export default class IncidentItem extends React.Component {
 
   render () {
     const { incident } = this.props
-    const statusColor = getIncidentColor(incident.status)
+    const impactColor = getIncidentImpactColor(incident.impact)
     let incidentUpdateItems, updatedAt, detailButton
     if (incident.hasOwnProperty('incidentUpdates')) {
       incidentUpdateItems = incident.incidentUpdates.map(this.renderIncidentUpdateItem)
@@ -76,7 +77,7 @@ export default class IncidentItem extends React.Component {
         <div className={classes.item_headline}>
           <span className={classnames('mdl-list__item-primary-content', classes.item_primary)}>
             <Link to={`/incidents/${this.props.incidentID}`} className={classes.item_primary_link}
-              style={{color: statusColor}}>
+              style={{color: impactColor}}>
               {incident.status} - {incident.name}
             </Link>
             {updatedAt}
@@ -1,6 +1,7 @@
 import React, { PropTypes } from 'react'
 import classnames from 'classnames'
 import { maintenanceStatuses } from 'utils/status'
+import { hideLaterOccurrences } from 'utils/maintenances'
 import MaintenanceItem from 'components/statusPage/MaintenanceItem'
 import classes from './ScheduledMaintenances.scss'
 
@@ -26,7 +27,7 @@ export default class ScheduledMaintenaces extends React.Component {
     if (!maintenances) {
       return null
     }
-    const filteredMaintenances = maintenances.filter(maint => {
+    const filteredMaintenances = hideLaterOccurrences(maintenances).filter(maint => {
       return maint.status !== maintenanceStatuses[maintenanceStatuses.length - 1]
     })
     if (filteredMaintenances.length === 0) {
@@ -0,0 +1,29 @@
+import React, { PropTypes } from 'react'
+import classnames from 'classnames'
+import { getSystemStatusColor } from 'utils/status'
+import classes from './StatusBanner.scss'
+
+// StatusBanner shows the overall system status, which the backend computes from the component statuses and the
+// open incidents.
+export default class StatusBanner extends React.Component {
+  static propTypes = {
+    status: PropTypes.string.isRequired,
+    classNames: PropTypes.string,
+    fetchSystemStatus: PropTypes.func.isRequired
+  }
+
+  componentDidMount () {
+    this.props.fetchSystemStatus()
+  }
+
+  render () {
+    const { status } = this.props
+    if (!status) return null
+    return (
+      <div className={classnames(this.props.classNames, 'mdl-shadow--2dp', classes.banner)}
+        style={{backgroundColor: getSystemStatusColor(status)}}>
+        {status}
+      </div>
+    )
+  }
+}
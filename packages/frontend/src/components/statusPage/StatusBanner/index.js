@@ -0,0 +1,16 @@
+import { connect } from 'react-redux'
+import { bindActionCreators } from 'redux'
+import { fetchSystemStatus } from 'actions/systemStatus'
+import StatusBanner from './StatusBanner'
+
+const mapStateToProps = (state) => {
+  return {
+    status: state.systemStatus.status
+  }
+}
+
+function mapDispatchToProps (dispatch) {
+  return bindActionCreators({fetchSystemStatus}, dispatch)
+}
+
+export default connect(mapStateToProps, mapDispatchToProps)(StatusBanner)
@@ -5,6 +5,7 @@ import Link from 'components/common/Link'
 import MetricsGraph from 'components/common/MetricsGraph'
 import Title from 'components/statusPage/Title'
 import SubscribeButton from 'components/statusPage/SubscribeButton'
+import StatusBanner from 'components/statusPage/StatusBanner'
 import Components from 'components/statusPage/Components'
 import Incidents from 'components/statusPage/Incidents'
 import ScheduledMaintenances from 'components/statusPage/ScheduledMaintenances'
@@ -14,12 +15,19 @@ import classes from './Statuses.scss'
 export default class Statuses extends React.Component {
   static propTypes = {
     metrics: PropTypes.arrayOf(PropTypes.shape({
-      metricID: PropTypes.string.isRequired
+      metricID: PropTypes.string.isRequired,
+      order: PropTypes.number.isRequired
+    }).isRequired).isRequired,
+    metricGroups: PropTypes.arrayOf(PropTypes.shape({
+      groupID: PropTypes.string.isRequired,
+      metricIDs: PropTypes.arrayOf(PropTypes.string.isRequired).isRequired,
+      order: PropTypes.number.isRequired
     }).isRequired).isRequired,
     settings: PropTypes.shape({
       serviceName: PropTypes.string
     }).isRequired,
-    fetchPublicMetrics: PropTypes.func.isRequired
+    fetchPublicMetrics: PropTypes.func.isRequired,
+    fetchPublicMetricGroups: PropTypes.func.isRequired
   }
 
   constructor () {
@@ -41,6 +49,7 @@ export default class Statuses extends React.Component {
 
   componentDidMount () {
     this.props.fetchPublicMetrics(this.fetchCallbacks)
+    this.props.fetchPublicMetricGroups(this.fetchCallbacks)
   }
 
   clickHandler = (timeframe) => {
@@ -63,20 +72,45 @@ export default class Statuses extends React.Component {
     return candidates
   }
 
-  renderMetrics = (metric) => {
-    return <MetricsGraph key={metric.metricID} metricID={metric.metricID} timeframe={this.state.timeframe} />
+  // Returns the groups and the metrics not in any group, sorted by the order. The group is drawn only if some of
+  // its metrics are visible.
+  getMetricItems = () => {
+    const { metrics, metricGroups } = this.props
+    const visibleMetricIDs = metrics.map(metric => metric.metricID)
+    const groups = metricGroups.filter(group => {
+      return group.metricIDs.some(metricID => visibleMetricIDs.indexOf(metricID) >= 0)
+    })
+    const groupedMetricIDs = [].concat(...groups.map(group => group.metricIDs))
+    const items = groups.map(group => ({group, order: group.order}))
+      .concat(metrics.filter(metric => groupedMetricIDs.indexOf(metric.metricID) < 0)
+        .map(metric => ({metric, order: metric.order})))
+    return items.sort((a, b) => a.order - b.order)
+  }
+
+  renderMetrics = (item) => {
+    if (item.group) {
+      return (
+        <MetricsGraph key={item.group.groupID} groupID={item.group.groupID} timeframe={this.state.timeframe}
+          annotated />
+      )
+    }
+    const { metric } = item
+    return (
+      <MetricsGraph key={metric.metricID} metricID={metric.metricID} timeframe={this.state.timeframe} annotated />
+    )
   }
 
   render () {
-    const { metrics, settings } = this.props
+    const { settings } = this.props
     const components = (<Components classNames='mdl-cell mdl-cell--12-col mdl-list' />)
     const timeframeSelector = this.renderTimeframeSelector()
     const incidents = (<Incidents classNames='mdl-cell mdl-cell--12-col mdl-list' />)
     const maintenances = (<ScheduledMaintenances classNames='mdl-cell mdl-cell--12-col mdl-list' />)
 
     let metricsTitle, metricsContent
-    if (metrics.length !== 0) {
-      let metricItems = metrics.map(this.renderMetrics)
+    const items = this.getMetricItems()
+    if (items.length !== 0) {
+      let metricItems = items.map(this.renderMetrics)
       metricsTitle = (
         <div className='mdl-cell mdl-cell--12-col'>
           <h4 className={classnames(classes.title)}>
@@ -103,6 +137,7 @@ export default class Statuses extends React.Component {
           <Title service_name={settings.serviceName} />
           <SubscribeButton />
         </div>
+        <StatusBanner classNames='mdl-cell mdl-cell--12-col' />
         {components}
         {maintenances}
         {metricsTitle}
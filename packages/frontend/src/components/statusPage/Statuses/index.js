@@ -2,18 +2,20 @@ import { connect } from 'react-redux'
 import { bindActionCreators } from 'redux'
 import { fetchComponents } from 'actions/components'
 import { fetchPublicMetrics } from 'actions/metrics'
+import { fetchPublicMetricGroups } from 'actions/metricGroups'
 import Statuses from './Statuses'
 
 const mapStateToProps = (state) => {
   return {
     components: state.components.components,
     metrics: state.metrics.metrics,
+    metricGroups: state.metricGroups.metricGroups,
     settings: state.settings.settings
   }
 }
 
 function mapDispatchToProps (dispatch) {
-  return bindActionCreators({fetchComponents, fetchPublicMetrics}, dispatch)
+  return bindActionCreators({fetchComponents, fetchPublicMetrics, fetchPublicMetricGroups}, dispatch)
 }
 
 export default connect(mapStateToProps, mapDispatchToProps)(Statuses)
@@ -0,0 +1,48 @@
+import React, { PropTypes } from 'react'
+import Tooltip from 'components/common/Tooltip'
+import { getComponentColor, getAverageAvailability } from 'utils/status'
+import classes from './UptimeBars.scss'
+
+const noDataColor = '#e0e0e0'
+
+export default class UptimeBars extends React.Component {
+  static propTypes = {
+    // The daily uptimes from the oldest to today. See model/componentUptimes in the lambda package.
+    uptimes: PropTypes.arrayOf(PropTypes.shape({
+      date: PropTypes.string.isRequired,
+      availability: PropTypes.number,
+      status: PropTypes.string
+    }).isRequired).isRequired
+  }
+
+  renderBar = (uptime) => {
+    let color = noDataColor
+    let tip = `${uptime.date}: No data`
+    if (uptime.status !== null) {
+      color = getComponentColor(uptime.status)
+      tip = `${uptime.date}: ${(uptime.availability * 100).toFixed(2)}% (${uptime.status})`
+    }
+    return <span key={uptime.date} className={classes.bar} style={{backgroundColor: color}} data-tip={tip} />
+  }
+
+  render () {
+    const { uptimes } = this.props
+    if (uptimes.length === 0) return null
+
+    const availability = getAverageAvailability(uptimes)
+    const uptimeText = availability === null ? 'No data' : `${(availability * 100).toFixed(2)}% uptime`
+    return (
+      <div className={classes.uptimes}>
+        <div className={classes.bars}>
+          {uptimes.map(this.renderBar)}
+        </div>
+        <Tooltip />
+        <div className={classes.legend}>
+          <span>{uptimes.length} days ago</span>
+          <span>{uptimeText}</span>
+          <span>Today</span>
+        </div>
+      </div>
+    )
+  }
+}
@@ -0,0 +1,18 @@
+import { SET_AVAILABILITY_REPORT } from 'actions/availabilityReports'
+
+function setAvailabilityReportHandler (state = { }, action) {
+  return Object.assign({}, state, {
+    report: action.report
+  })
+}
+
+const ACTION_HANDLERS = {
+  [SET_AVAILABILITY_REPORT]: setAvailabilityReportHandler
+}
+
+export default function availabilityReportsReducer (state = {
+  report: null
+}, action) {
+  const handler = ACTION_HANDLERS[action.type]
+  return handler ? handler(state, action) : state
+}
@@ -0,0 +1,58 @@
+import { LIST_COMPONENT_GROUPS, ADD_COMPONENT_GROUP, EDIT_COMPONENT_GROUP,
+         REMOVE_COMPONENT_GROUP } from 'actions/componentGroups'
+
+function listComponentGroupsHandler (state = { }, action) {
+  return Object.assign({}, state, {
+    componentGroups: action.componentGroups
+  })
+}
+
+function addComponentGroupHandler (state = { }, action) {
+  return Object.assign({}, state, {
+    componentGroups: [
+      ...state.componentGroups,
+      action.componentGroup
+    ]
+  })
+}
+
+function editComponentGroupHandler (state = { }, action) {
+  let editedGroup = action.componentGroup
+
+  const newGroups = state.componentGroups.map((group) => {
+    if (group.groupID === editedGroup.groupID) {
+      return Object.assign({}, group, editedGroup)
+    }
+    return group
+  })
+
+  newGroups.sort((a, b) => a.order - b.order)
+
+  return Object.assign({}, state, {
+    componentGroups: newGroups
+  })
+}
+
+function removeComponentGroupHandler (state = { }, action) {
+  let componentGroups = state.componentGroups.filter((group) => {
+    return group.groupID !== action.groupID
+  })
+
+  return Object.assign({}, state, {
+    componentGroups
+  })
+}
+
+const ACTION_HANDLERS = {
+  [LIST_COMPONENT_GROUPS]: listComponentGroupsHandler,
+  [ADD_COMPONENT_GROUP]: addComponentGroupHandler,
+  [EDIT_COMPONENT_GROUP]: editComponentGroupHandler,
+  [REMOVE_COMPONENT_GROUP]: removeComponentGroupHandler
+}
+
+export default function componentGroupsReducer (state = {
+  componentGroups: []
+}, action) {
+  const handler = ACTION_HANDLERS[action.type]
+  return handler ? handler(state, action) : state
+}
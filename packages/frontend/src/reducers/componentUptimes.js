@@ -0,0 +1,18 @@
+import { LIST_COMPONENT_UPTIMES } from 'actions/componentUptimes'
+
+function listComponentUptimesHandler (state = { }, action) {
+  return Object.assign({}, state, {
+    uptimes: action.uptimes
+  })
+}
+
+const ACTION_HANDLERS = {
+  [LIST_COMPONENT_UPTIMES]: listComponentUptimesHandler
+}
+
+export default function componentUptimesReducer (state = {
+  uptimes: {}
+}, action) {
+  const handler = ACTION_HANDLERS[action.type]
+  return handler ? handler(state, action) : state
+}
@@ -1,4 +1,6 @@
-import { LIST_COMPONENTS, ADD_COMPONENT, EDIT_COMPONENT, REMOVE_COMPONENT } from 'actions/components'
+import { LIST_COMPONENTS, ADD_COMPONENT, EDIT_COMPONENT, REMOVE_COMPONENT,
+  LIST_COMPONENT_HISTORY } from 'actions/components'
+import { REMOVE_COMPONENT_GROUP } from 'actions/componentGroups'
 
 function listComponentsHandler (state = { }, action) {
   return Object.assign({}, state, {
@@ -32,9 +34,45 @@ function editComponentHandler (state = { }, action) {
   })
 }
 
+function listComponentHistoryHandler (state = { }, action) {
+  const components = state.components.map((component) => {
+    if (component.componentID === action.componentID) {
+      return Object.assign({}, component, {
+        statusHistory: action.statusHistory
+      })
+    }
+    return component
+  })
+
+  return Object.assign({}, state, {
+    components
+  })
+}
+
+// The backend removes the deleted component from the dependencies of the others, so do the same here.
 function removeComponentHandler (state = { }, action) {
   let components = state.components.filter((component) => {
     return component.componentID !== action.componentID
+  }).map((component) => {
+    if (component.dependencies && component.dependencies.indexOf(action.componentID) >= 0) {
+      const dependencies = component.dependencies.filter(id => id !== action.componentID)
+      return Object.assign({}, component, {dependencies})
+    }
+    return component
+  })
+
+  return Object.assign({}, state, {
+    components
+  })
+}
+
+// The backend removes the components from the deleted group, so do the same here.
+function removeComponentGroupHandler (state = { }, action) {
+  const components = state.components.map((component) => {
+    if (component.groupID === action.groupID) {
+      return Object.assign({}, component, {groupID: ''})
+    }
+    return component
   })
 
   return Object.assign({}, state, {
@@ -46,7 +84,9 @@ const ACTION_HANDLERS = {
   [LIST_COMPONENTS]: listComponentsHandler,
   [ADD_COMPONENT]: addComponentHandler,
   [EDIT_COMPONENT]: editComponentHandler,
-  [REMOVE_COMPONENT]: removeComponentHandler
+  [REMOVE_COMPONENT]: removeComponentHandler,
+  [LIST_COMPONENT_HISTORY]: listComponentHistoryHandler,
+  [REMOVE_COMPONENT_GROUP]: removeComponentGroupHandler
 }
 
 export default function componentsReducer (state = {
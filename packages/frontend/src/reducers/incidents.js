@@ -1,4 +1,4 @@
-import { LIST_INCIDENTS, LIST_INCIDENT_UPDATES, ADD_INCIDENT, EDIT_INCIDENT,
+import { LIST_INCIDENTS, LIST_DRAFT_INCIDENTS, LIST_INCIDENT_UPDATES, ADD_INCIDENT, EDIT_INCIDENT,
   REMOVE_INCIDENT } from 'actions/incidents'
 
 function listIncidentsHandler (state = { }, action) {
@@ -12,6 +12,17 @@ function listIncidentsHandler (state = { }, action) {
   })
 }
 
+function listDraftIncidentsHandler (state = { }, action) {
+  const draftIncidents = action.draftIncidents
+  draftIncidents.sort((a, b) => {
+    return a.updatedAt < b.updatedAt
+  })
+
+  return Object.assign({}, state, {
+    draftIncidents: draftIncidents
+  })
+}
+
 function listIncidentUpdatesHandler (state = { }, action) {
   const incidentUpdates = action.incidentUpdates
   incidentUpdates.sort((a, b) => {
@@ -50,6 +61,23 @@ function editIncidentHandler (state = { }, action) {
     incident: updatedIncident
   } = action.response
 
+  // The draft incident is published by any update.
+  const draftIncidents = state.draftIncidents || []
+  const isPublished = draftIncidents.some((incident) => {
+    return incident.incidentID === updatedIncident.incidentID
+  })
+  if (isPublished) {
+    return Object.assign({}, state, {
+      incidents: [
+        updatedIncident,
+        ...state.incidents
+      ],
+      draftIncidents: draftIncidents.filter((incident) => {
+        return incident.incidentID !== updatedIncident.incidentID
+      })
+    })
+  }
+
   const newIncidents = state.incidents.map((incident) => {
     if (incident.incidentID === updatedIncident.incidentID) {
       return updatedIncident
@@ -66,14 +94,19 @@ function removeIncidentHandler (state = { }, action) {
   const newIncidents = state.incidents.filter((incident) => {
     return incident.incidentID !== action.incidentID
   })
+  const newDraftIncidents = (state.draftIncidents || []).filter((incident) => {
+    return incident.incidentID !== action.incidentID
+  })
 
   return Object.assign({}, state, {
-    incidents: newIncidents
+    incidents: newIncidents,
+    draftIncidents: newDraftIncidents
   })
 }
 
 const ACTION_HANDLERS = {
   [LIST_INCIDENTS]: listIncidentsHandler,
+  [LIST_DRAFT_INCIDENTS]: listDraftIncidentsHandler,
   [LIST_INCIDENT_UPDATES]: listIncidentUpdatesHandler,
   [ADD_INCIDENT]: addIncidentHandler,
   [EDIT_INCIDENT]: editIncidentHandler,
@@ -81,7 +114,8 @@ const ACTION_HANDLERS = {
 }
 
 export default function incidentsReducer (state = {
-  incidents: []
+  incidents: [],
+  draftIncidents: []
 }, action) {
   const handler = ACTION_HANDLERS[action.type]
   return handler ? handler(state, action) : state
@@ -1,19 +1,29 @@
 import { routerReducer as router } from 'react-router-redux'
 import { combineReducers } from 'redux'
+import availabilityReportsReducer from 'reducers/availabilityReports'
 import componentReducer from 'reducers/components'
+import componentGroupsReducer from 'reducers/componentGroups'
+import componentUptimesReducer from 'reducers/componentUptimes'
 import incidentReducer from 'reducers/incidents'
 import maintenanceReducer from 'reducers/maintenances'
 import metricsReducer from 'reducers/metrics'
+import metricGroupsReducer from 'reducers/metricGroups'
 import userReducer from 'reducers/users'
 import settingsReducer from 'reducers/settings'
+import systemStatusReducer from 'reducers/systemStatus'
 
 const rootReducer = combineReducers({
+  availabilityReports: availabilityReportsReducer,
   components: componentReducer,
+  componentGroups: componentGroupsReducer,
+  componentUptimes: componentUptimesReducer,
   incidents: incidentReducer,
   maintenances: maintenanceReducer,
   user: userReducer,
   settings: settingsReducer,
   metrics: metricsReducer,
+  metricGroups: metricGroupsReducer,
+  systemStatus: systemStatusReducer,
   router
 })
 
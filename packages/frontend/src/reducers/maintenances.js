@@ -34,12 +34,15 @@ function listMaintenanceUpdatesHandler (state = { }, action) {
 
 function addMaintenanceHandler (state = { }, action) {
   const {
-    maintenance
+    maintenance,
+    occurrences
   } = action.response
 
+  // The recurring maintenance is listed as its occurrences.
+  const newMaintenances = maintenance.recurrence ? occurrences : [maintenance]
   return Object.assign({}, state, {
     maintenances: [
-      maintenance,
+      ...newMaintenances,
       ...state.maintenances
     ]
   })
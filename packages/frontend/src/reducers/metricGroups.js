@@ -0,0 +1,57 @@
+import { LIST_METRIC_GROUPS, ADD_METRIC_GROUP, EDIT_METRIC_GROUP, REMOVE_METRIC_GROUP } from 'actions/metricGroups'
+
+function listMetricGroupsHandler (state = { }, action) {
+  return Object.assign({}, state, {
+    metricGroups: action.metricGroups
+  })
+}
+
+function addMetricGroupHandler (state = { }, action) {
+  return Object.assign({}, state, {
+    metricGroups: [
+      ...state.metricGroups,
+      action.metricGroup
+    ]
+  })
+}
+
+function editMetricGroupHandler (state = { }, action) {
+  let editedGroup = action.metricGroup
+
+  const newGroups = state.metricGroups.map((group) => {
+    if (group.groupID === editedGroup.groupID) {
+      return Object.assign({}, group, editedGroup)
+    }
+    return group
+  })
+
+  newGroups.sort((a, b) => a.order - b.order)
+
+  return Object.assign({}, state, {
+    metricGroups: newGroups
+  })
+}
+
+function removeMetricGroupHandler (state = { }, action) {
+  let metricGroups = state.metricGroups.filter((group) => {
+    return group.groupID !== action.groupID
+  })
+
+  return Object.assign({}, state, {
+    metricGroups
+  })
+}
+
+const ACTION_HANDLERS = {
+  [LIST_METRIC_GROUPS]: listMetricGroupsHandler,
+  [ADD_METRIC_GROUP]: addMetricGroupHandler,
+  [EDIT_METRIC_GROUP]: editMetricGroupHandler,
+  [REMOVE_METRIC_GROUP]: removeMetricGroupHandler
+}
+
+export default function metricGroupsReducer (state = {
+  metricGroups: []
+}, action) {
+  const handler = ACTION_HANDLERS[action.type]
+  return handler ? handler(state, action) : state
+}
@@ -1,11 +1,14 @@
 import { LIST_METRICS, LIST_EXTERNAL_METRICS, ADD_METRIC, EDIT_METRIC,
-         REMOVE_METRIC, LIST_METRICS_DATA } from 'actions/metrics'
+         REMOVE_METRIC, LIST_METRICS_DATA, LIST_METRICS_ROLLUP } from 'actions/metrics'
 
 function listMetricsHandler (state = { }, action) {
   const newMetrics = action.metrics
   state.metrics.forEach((metric) => {
     newMetrics.forEach((newMetric) => {
-      if (newMetric.metricID === metric.metricID) newMetric.data = metric.data
+      if (newMetric.metricID === metric.metricID) {
+        newMetric.data = metric.data
+        newMetric.rollups = metric.rollups
+      }
     })
   })
 
@@ -87,13 +90,36 @@ function listMetricsDataHandler (state = { }, action) {
   })
 }
 
+function listMetricsRollupHandler (state = { }, action) {
+  const {
+    metricID,
+    rollupName,
+    rollup
+  } = action
+
+  const newMetrics = state.metrics.map((metric) => {
+    if (metric.metricID === metricID) {
+      const newRollups = Object.assign({}, metric.rollups, {
+        [rollupName]: rollup
+      })
+      return Object.assign({}, metric, {rollups: newRollups})
+    }
+    return metric
+  })
+
+  return Object.assign({}, state, {
+    metrics: newMetrics
+  })
+}
+
 const ACTION_HANDLERS = {
   [LIST_METRICS]: listMetricsHandler,
   [LIST_EXTERNAL_METRICS]: listExternalMetricsHandler,
   [ADD_METRIC]: addMetricHandler,
   [EDIT_METRIC]: editMetricHandler,
   [REMOVE_METRIC]: removeMetricHandler,
-  [LIST_METRICS_DATA]: listMetricsDataHandler
+  [LIST_METRICS_DATA]: listMetricsDataHandler,
+  [LIST_METRICS_ROLLUP]: listMetricsRollupHandler
 }
 
 export default function metricsReducer (state = {
@@ -0,0 +1,18 @@
+import { SET_SYSTEM_STATUS } from 'actions/systemStatus'
+
+function setSystemStatusHandler (state = { }, action) {
+  return Object.assign({}, state, {
+    status: action.status
+  })
+}
+
+const ACTION_HANDLERS = {
+  [SET_SYSTEM_STATUS]: setSystemStatusHandler
+}
+
+export default function systemStatusReducer (state = {
+  status: ''
+}, action) {
+  const handler = ACTION_HANDLERS[action.type]
+  return handler ? handler(state, action) : state
+}
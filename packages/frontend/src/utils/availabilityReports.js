@@ -0,0 +1,93 @@
+// Returns the periods the report can be built for, from the latest. The period is the month like '2017-01' or the
+// quarter like '2017-Q1' in UTC.
+export const listPeriods = (now = new Date(), numMonths = 12, numQuarters = 4) => {
+  const year = now.getUTCFullYear()
+  const month = now.getUTCMonth()
+  const months = []
+  for (let i = 0; i < numMonths; i++) {
+    const date = new Date(Date.UTC(year, month - i, 1))
+    months.push(`${date.getUTCFullYear()}-${('0' + (date.getUTCMonth() + 1)).slice(-2)}`)
+  }
+  const quarters = []
+  for (let i = 0; i < numQuarters; i++) {
+    const date = new Date(Date.UTC(year, month - i * 3, 1))
+    quarters.push(`${date.getUTCFullYear()}-Q${Math.floor(date.getUTCMonth() / 3) + 1}`)
+  }
+  return months.concat(quarters)
+}
+
+export const formatAvailability = (availability) => {
+  if (availability === null || availability === undefined) return 'N/A'
+  return `${(availability * 100).toFixed(3)}%`
+}
+
+// Formats the seconds like '1h 30m'. The seconds less than 1 minute are rounded down.
+export const formatDuration = (seconds) => {
+  const minutes = Math.floor(seconds / 60)
+  const hours = Math.floor(minutes / 60)
+  const days = Math.floor(hours / 24)
+  if (days > 0) return `${days}d ${hours % 24}h ${minutes % 60}m`
+  if (hours > 0) return `${hours}h ${minutes % 60}m`
+  return `${minutes}m`
+}
+
+const escapeCSV = (value) => {
+  const str = String(value)
+  if (/[",\r\n]/.test(str)) {
+    return `"${str.replace(/"/g, '""')}"`
+  }
+  return str
+}
+
+const describeIncident = (incident) => `${incident.name || incident.incidentID} (${formatDuration(incident.downtime)})`
+
+// Returns the CSV with one row per component. The incidents are joined into one column.
+export const buildReportCSV = (report) => {
+  const rows = [['component', 'availability', 'downtime_seconds', 'incidents']]
+  report.components.forEach(component => {
+    const availability = component.availability === null ? '' : (component.availability * 100).toFixed(3)
+    rows.push([component.name, availability, component.downtime, component.incidents.map(describeIncident).join('; ')])
+  })
+  return rows.map(row => row.map(escapeCSV).join(',')).join('\n') + '\n'
+}
+
+const escapeHTML = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+// Returns the standalone HTML document of the report, which is opened in a new window to print.
+export const buildReportHTML = (report, serviceName = '') => {
+  const title = `${serviceName ? serviceName + ' ' : ''}Availability Report: ${report.period}`
+  const rows = report.components.map(component => {
+    const incidents = component.incidents.map(incident => `<li>${escapeHTML(describeIncident(incident))}</li>`)
+    return `<tr><td>${escapeHTML(component.name)}</td><td>${formatAvailability(component.availability)}</td>` +
+      `<td>${formatDuration(component.downtime)}</td><td><ul>${incidents.join('')}</ul></td></tr>`
+  })
+  const maintenanceNote = report.excludeMaintenances ? 'Scheduled maintenance windows are excluded.' : ''
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHTML(title)}</title>
+<style>
+body { font-family: sans-serif; margin: 40px; }
+table { border-collapse: collapse; width: 100%; }
+th, td { border: 1px solid #ccc; padding: 6px 8px; text-align: left; vertical-align: top; }
+ul { margin: 0; padding-left: 16px; }
+</style>
+</head>
+<body>
+<h1>${escapeHTML(title)}</h1>
+<p>${escapeHTML(report.startAt)} - ${escapeHTML(report.endAt)}. ${maintenanceNote}</p>
+<table>
+<thead><tr><th>Component</th><th>Availability</th><th>Downtime</th><th>Incidents</th></tr></thead>
+<tbody>${rows.join('')}</tbody>
+</table>
+</body>
+</html>
+`
+}
@@ -0,0 +1,73 @@
+import { getWorstComponentStatus } from 'utils/status'
+
+// The statuses which affect the components depending on the component.
+const degradedStatuses = ['Degraded Performance', 'Partial Outage', 'Major Outage']
+
+const isDegraded = (status) => degradedStatuses.indexOf(status) >= 0
+
+const listDegradedDependencies = (component, statuses) => {
+  return (component.dependencies || []).filter(componentID => isDegraded(statuses[componentID]))
+}
+
+const buildNameMap = (components) => {
+  const names = {}
+  components.forEach(component => {
+    names[component.componentID] = component.name
+  })
+  return names
+}
+
+// Returns the map from the component ID to the names of the degraded components it directly depends on.
+// The component without any degraded dependency is not included.
+export const getAffectedVia = (components) => {
+  const names = buildNameMap(components)
+  const statuses = {}
+  components.forEach(component => {
+    statuses[component.componentID] = component.status
+  })
+
+  const affectedVia = {}
+  components.forEach(component => {
+    const dependencies = listDegradedDependencies(component, statuses)
+    if (dependencies.length > 0) {
+      affectedVia[component.componentID] = dependencies.map(componentID => names[componentID])
+    }
+  })
+  return affectedVia
+}
+
+// Returns the operational components which (maybe indirectly) depend on the degraded components, as the list of
+// {componentID, name, status, via}. `status` is the worst status of the degraded dependencies and `via` is their names.
+export const getDownstreamSuggestions = (components) => {
+  const names = buildNameMap(components)
+  const statuses = {}
+  components.forEach(component => {
+    statuses[component.componentID] = component.status
+  })
+
+  const candidates = components.filter(component => component.status === 'Operational')
+  // The dependencies have no cycle, so the statuses settle within the number of the components.
+  for (let i = 0; i < components.length; i++) {
+    let changed = false
+    candidates.forEach(component => {
+      const dependencies = listDegradedDependencies(component, statuses)
+      const status = getWorstComponentStatus(dependencies.map(componentID => statuses[componentID]))
+      if (status !== statuses[component.componentID]) {
+        statuses[component.componentID] = status
+        changed = true
+      }
+    })
+    if (!changed) break
+  }
+
+  return candidates
+    .filter(component => statuses[component.componentID] !== component.status)
+    .map(component => {
+      return {
+        componentID: component.componentID,
+        name: component.name,
+        status: statuses[component.componentID],
+        via: listDegradedDependencies(component, statuses).map(componentID => names[componentID])
+      }
+    })
+}
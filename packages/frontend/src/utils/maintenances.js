@@ -0,0 +1,22 @@
+// The subset of RRULE the recurring maintenance supports.
+export const recurrenceFrequencies = ['daily', 'weekly', 'monthly']
+
+const scheduledStatus = 'Scheduled'
+
+// Returns the maintenances without the scheduled occurrences after the next one of each recurring maintenance, so
+// that the status page doesn't list the whole series.
+export const hideLaterOccurrences = (maintenances) => {
+  const nextOccurrences = {}
+  maintenances.forEach(maintenance => {
+    const { seriesID, status, startAt } = maintenance
+    if (!seriesID || status !== scheduledStatus) return
+    const next = nextOccurrences[seriesID]
+    if (!next || startAt < next.startAt) {
+      nextOccurrences[seriesID] = maintenance
+    }
+  })
+  return maintenances.filter(maintenance => {
+    const { seriesID, status } = maintenance
+    return !seriesID || status !== scheduledStatus || nextOccurrences[seriesID] === maintenance
+  })
+}
@@ -0,0 +1,52 @@
+// Same as the API. The metrics saved before the display options were introduced lack them.
+export const chartTypes = ['line', 'area', 'bar']
+export const defaultDisplayOptions = {chartType: 'line', decimals: 0, yMin: null, yMax: null, scaleUnit: false}
+export const maxDecimals = 6
+
+// The units which can be scaled. Each family is sorted from the smallest unit and `factor` is in the smallest one.
+const unitFamilies = [
+  [
+    {names: ['ms', 'msec'], factor: 1},
+    {names: ['s', 'sec'], factor: 1000},
+    {names: ['min'], factor: 60 * 1000},
+    {names: ['h'], factor: 60 * 60 * 1000}
+  ],
+  [
+    {names: ['B', 'bytes'], factor: 1},
+    {names: ['KB'], factor: 1024},
+    {names: ['MB'], factor: 1024 * 1024},
+    {names: ['GB'], factor: 1024 * 1024 * 1024},
+    {names: ['TB'], factor: 1024 * 1024 * 1024 * 1024}
+  ]
+]
+
+// Returns the largest unit in which `maxValue` is still 1 or more, e.g. 's' for 1500 'ms'. `divisor` converts the
+// values into the returned unit. The unknown unit and the unit smaller than the given one are never returned.
+export const getUnitScale = (unit, maxValue) => {
+  const noScale = {unit, divisor: 1}
+  for (let i = 0; i < unitFamilies.length; i++) {
+    const family = unitFamilies[i]
+    const index = family.findIndex(scale => scale.names.indexOf(unit) >= 0)
+    if (index < 0) continue
+
+    const base = family[index]
+    const absMaxValue = Math.abs(maxValue)
+    if (!isFinite(absMaxValue)) return noScale
+    let scale = base
+    for (let j = index + 1; j < family.length; j++) {
+      if (absMaxValue * base.factor < family[j].factor) break
+      scale = family[j]
+    }
+    return {unit: scale === base ? unit : scale.names[0], divisor: scale.factor / base.factor}
+  }
+  return noScale
+}
+
+export const formatValue = (value, decimals = defaultDisplayOptions.decimals) => {
+  return Number(value).toFixed(decimals)
+}
+
+// Fills in the options the metric lacks. `overrides` has priority, so that the admin can preview the unsaved options.
+export const getDisplayOptions = (metric, overrides) => {
+  return Object.assign({}, defaultDisplayOptions, metric ? metric.displayOptions : undefined, overrides)
+}
@@ -0,0 +1,66 @@
+// The number of datapoints sent by one request. The API rejects more than 5000 datapoints.
+export const importChunkSize = 1000
+
+const toDatapoint = (timestamp, value, location) => {
+  if (typeof timestamp !== 'string' || isNaN(Date.parse(timestamp))) {
+    throw new Error(`invalid timestamp at ${location}`)
+  }
+  // The timestamp in the future is rejected by the API, which tolerates the clock skew.
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    throw new Error(`invalid value at ${location}`)
+  }
+  return { timestamp: new Date(timestamp).toISOString(), value }
+}
+
+// Parses the CSV whose rows are `timestamp,value`. The header row is optional.
+export const parseCSV = (text) => {
+  const datapoints = []
+  text.split(/\r?\n/).forEach((line, i) => {
+    if (line.trim() === '') return
+    const columns = line.split(',').map(column => column.trim())
+    if (i === 0 && columns[0] === 'timestamp') return
+    if (columns.length !== 2) {
+      throw new Error(`invalid row at line ${i + 1}`)
+    }
+    const value = columns[1] === '' ? NaN : Number(columns[1])
+    datapoints.push(toDatapoint(columns[0], value, `line ${i + 1}`))
+  })
+  return datapoints
+}
+
+// Parses the JSON array of `{timestamp, value}`, which is the same format as the metric objects.
+export const parseJSON = (text) => {
+  let json
+  try {
+    json = JSON.parse(text)
+  } catch (error) {
+    throw new Error('invalid JSON')
+  }
+  if (!Array.isArray(json)) {
+    throw new Error('the JSON must be an array of datapoints')
+  }
+  return json.map((datapoint, i) => {
+    if (datapoint === null || typeof datapoint !== 'object') {
+      throw new Error(`invalid datapoint at index ${i}`)
+    }
+    return toDatapoint(datapoint.timestamp, datapoint.value, `index ${i}`)
+  })
+}
+
+// Returns the datapoints sorted by the timestamp. The format is determined by the extension of the file.
+export const parseDatapoints = (fileName, text) => {
+  let datapoints
+  if (/\.csv$/i.test(fileName)) {
+    datapoints = parseCSV(text)
+  } else if (/\.json$/i.test(fileName)) {
+    datapoints = parseJSON(text)
+  } else {
+    throw new Error('the file must be CSV or JSON')
+  }
+  datapoints.sort((a, b) => {
+    if (a.timestamp < b.timestamp) return -1
+    if (a.timestamp > b.timestamp) return 1
+    return 0
+  })
+  return datapoints
+}
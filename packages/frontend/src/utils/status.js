@@ -18,6 +18,21 @@ export const getComponentColor = (status) => {
   }
 }
 
+// Returns the most severe status. `componentStatuses` is sorted by the severity.
+export const getWorstComponentStatus = (statuses) => {
+  return statuses.reduce((worst, status) => {
+    return componentStatuses.indexOf(status) > componentStatuses.indexOf(worst) ? status : worst
+  }, componentStatuses[0])
+}
+
+// Returns the average availability of the dates with data, or null if there is no such date.
+// `uptimes` is the list of {date, availability, status}.
+export const getAverageAvailability = (uptimes) => {
+  const availabilities = uptimes.map(uptime => uptime.availability).filter(availability => availability !== null)
+  if (availabilities.length === 0) return null
+  return availabilities.reduce((sum, availability) => sum + availability, 0) / availabilities.length
+}
+
 export const incidentStatuses = ['Investigating', 'Identified', 'Monitoring', 'Resolved']
 
 export const getIncidentColor = (impact) => {
@@ -35,9 +50,58 @@ export const getIncidentColor = (impact) => {
   }
 }
 
+// Sorted by the severity.
+export const incidentImpacts = ['none', 'minor', 'major', 'critical']
+
+export const getIncidentImpactColor = (impact) => {
+  switch (impact) {
+    case 'none':
+      return '#616161'
+    case 'minor':
+      return '#fbc02d'
+    case 'major':
+      return '#ef6c00'
+    case 'critical':
+      return '#c62828'
+    default:
+      return '#9e9e9e'
+  }
+}
+
+export const systemStatuses = ['All Systems Operational', 'Service Under Maintenance', 'Minor Service Outage',
+  'Partial System Outage', 'Major Outage']
+
+export const getSystemStatusColor = (status) => {
+  switch (status) {
+    case 'All Systems Operational':
+      return '#388e3c'
+    case 'Service Under Maintenance':
+      return '#0277bd'
+    case 'Minor Service Outage':
+      return '#fbc02d'
+    case 'Partial System Outage':
+      return '#ef6c00'
+    case 'Major Outage':
+      return '#c62828'
+    default:
+      return '#9e9e9e'
+  }
+}
+
 export const cloudWatchMonitoringService = 'CloudWatch'
-export const monitoringServices = [cloudWatchMonitoringService]
+export const prometheusMonitoringService = 'Prometheus'
+export const httpCheckMonitoringService = 'HTTPCheck'
+export const compositeMonitoringService = 'Composite'
+export const monitoringServices = [cloudWatchMonitoringService, prometheusMonitoringService,
+  httpCheckMonitoringService, compositeMonitoringService]
+
+export const httpCheckMethods = ['GET', 'HEAD', 'POST']
 export const metricStatuses = ['Hidden', 'Visible']
+export const alertRuleComparators = ['>', '>=', '<', '<=']
+export const alertRuleRecoveryActions = [
+  {id: 'resolve', name: 'Resolve the incident'},
+  {id: 'update', name: 'Post an update'}
+]
 
 export const getMetricColor = (impact) => {
   switch (impact) {
@@ -125,6 +189,29 @@ export const getNumDates = (timeframe) => {
   }
 }
 
+// The long timeframes use the rollup, which is the datapoints aggregated by the same interval as the graph.
+export const getRollupName = (timeframe) => {
+  switch (timeframe) {
+    case 'Week':
+      return 'hourly'
+    case 'Month':
+      return '3hourly'
+    default:
+      return undefined
+  }
+}
+
+export const cloudWatchStatistics = ['Average', 'Sum', 'Minimum', 'Maximum', 'SampleCount',
+  'p50', 'p90', 'p95', 'p99', 'p99.9']
+
+// in seconds
+export const cloudWatchPeriods = [
+  {seconds: 60, name: '1 minute'},
+  {seconds: 300, name: '5 minutes'},
+  {seconds: 900, name: '15 minutes'},
+  {seconds: 3600, name: '1 hour'}
+]
+
 export const regions = [
   {id: 'us-east-1', name: 'US East (N. Virginia)'},
   {id: 'us-east-2', name: 'US East (Ohio)'},
@@ -0,0 +1,54 @@
+import fetchMock from 'fetch-mock'
+import { SET_AVAILABILITY_REPORT, fetchAvailabilityReport } from 'actions/availabilityReports'
+
+describe('Actions/AvailabilityReports', () => {
+  const report = {period: '2017-01', excludeMaintenances: true, components: []}
+  let dispatchSpy, callbacks
+
+  beforeEach(() => {
+    dispatchSpy = sinon.spy(() => {})
+    callbacks = {
+      onLoad: sinon.spy(),
+      onSuccess: sinon.spy(),
+      onFailure: sinon.spy()
+    }
+  })
+
+  afterEach(() => {
+    fetchMock.restore()
+  })
+
+  describe('fetchAvailabilityReport', () => {
+    it('should return a function.', () => {
+      assert(typeof fetchAvailabilityReport() === 'function')
+    })
+
+    it('should fetch the availability report.', () => {
+      fetchMock.get(/.*\/availability-reports\?period=2017-01&excludeMaintenances=true/, {
+        body: report,
+        headers: {'Content-Type': 'application/json'}
+      })
+
+      return fetchAvailabilityReport('2017-01', true, callbacks)(dispatchSpy)
+        .then(() => {
+          assert(callbacks.onLoad.calledOnce)
+          assert(callbacks.onSuccess.calledOnce)
+          assert(callbacks.onFailure.notCalled)
+
+          assert(dispatchSpy.firstCall.args[0].type === SET_AVAILABILITY_REPORT)
+          assert.deepEqual(dispatchSpy.firstCall.args[0].report, report)
+        })
+    })
+
+    it('should handle error properly.', () => {
+      fetchMock.get(/.*\/availability-reports/, { status: 400, body: {} })
+
+      return fetchAvailabilityReport('2017-01', true, callbacks)(dispatchSpy)
+        .then(() => {
+          assert(callbacks.onSuccess.notCalled)
+          assert(callbacks.onFailure.calledOnce)
+          assert(dispatchSpy.notCalled)
+        })
+    })
+  })
+})
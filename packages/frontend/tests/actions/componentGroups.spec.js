@@ -0,0 +1,94 @@
+import fetchMock from 'fetch-mock'
+import {
+  LIST_COMPONENT_GROUPS,
+  ADD_COMPONENT_GROUP,
+  EDIT_COMPONENT_GROUP,
+  REMOVE_COMPONENT_GROUP,
+  fetchComponentGroups,
+  postComponentGroup,
+  updateComponentGroup,
+  deleteComponentGroup
+} from 'actions/componentGroups'
+
+describe('Actions/ComponentGroups', () => {
+  const group = {
+    groupID: '1',
+    name: 'API',
+    description: '',
+    order: 1
+  }
+  let dispatchSpy, callbacks
+
+  beforeEach(() => {
+    dispatchSpy = sinon.spy(() => {})
+    callbacks = {
+      onLoad: sinon.spy(),
+      onSuccess: sinon.spy(),
+      onFailure: sinon.spy()
+    }
+  })
+
+  afterEach(() => {
+    fetchMock.restore()
+  })
+
+  describe('fetchComponentGroups', () => {
+    it('should return a function.', () => {
+      assert(typeof fetchComponentGroups() === 'function')
+    })
+
+    it('should fetch component groups.', () => {
+      fetchMock.get(/.*\/component-groups/, { body: [group], headers: {'Content-Type': 'application/json'} })
+
+      return fetchComponentGroups(callbacks)(dispatchSpy)
+        .then(() => {
+          assert(callbacks.onLoad.calledOnce)
+          assert(callbacks.onSuccess.calledOnce)
+          assert(callbacks.onFailure.notCalled)
+
+          assert(dispatchSpy.firstCall.args[0].type === LIST_COMPONENT_GROUPS)
+          assert.deepEqual([group], dispatchSpy.firstCall.args[0].componentGroups)
+        })
+    })
+  })
+
+  describe('postComponentGroup', () => {
+    it('should post a new component group.', () => {
+      fetchMock.post(/.*\/component-groups/, { body: group, headers: {'Content-Type': 'application/json'} })
+
+      return postComponentGroup(group.name, group.description, callbacks)(dispatchSpy)
+        .then(() => {
+          assert(callbacks.onSuccess.calledOnce)
+          assert(JSON.parse(fetchMock.lastOptions().body).name === group.name)
+          assert(dispatchSpy.firstCall.args[0].type === ADD_COMPONENT_GROUP)
+          assert.deepEqual(group, dispatchSpy.firstCall.args[0].componentGroup)
+        })
+    })
+  })
+
+  describe('updateComponentGroup', () => {
+    it('should update the existing component group.', () => {
+      fetchMock.patch(/.*\/component-groups\/.*/, { body: group, headers: {'Content-Type': 'application/json'} })
+
+      return updateComponentGroup('1', undefined, undefined, undefined, callbacks)(dispatchSpy)
+        .then(() => {
+          assert(callbacks.onSuccess.calledOnce)
+          assert(dispatchSpy.firstCall.args[0].type === EDIT_COMPONENT_GROUP)
+          assert.deepEqual(group, dispatchSpy.firstCall.args[0].componentGroup)
+        })
+    })
+  })
+
+  describe('deleteComponentGroup', () => {
+    it('should delete the component group.', () => {
+      fetchMock.delete(/.*\/component-groups\/.*/, 204)
+
+      return deleteComponentGroup('1', callbacks)(dispatchSpy)
+        .then(() => {
+          assert(callbacks.onSuccess.calledOnce)
+          assert(dispatchSpy.firstCall.args[0].type === REMOVE_COMPONENT_GROUP)
+          assert(dispatchSpy.firstCall.args[0].groupID === '1')
+        })
+    })
+  })
+})
@@ -0,0 +1,40 @@
+import fetchMock from 'fetch-mock'
+import { LIST_COMPONENT_UPTIMES, fetchComponentUptimes } from 'actions/componentUptimes'
+
+describe('Actions/ComponentUptimes', () => {
+  let dispatchSpy, callbacks
+
+  beforeEach(() => {
+    dispatchSpy = sinon.spy(() => {})
+    callbacks = {
+      onLoad: sinon.spy(),
+      onSuccess: sinon.spy(),
+      onFailure: sinon.spy()
+    }
+  })
+
+  afterEach(() => {
+    fetchMock.restore()
+  })
+
+  describe('fetchComponentUptimes', () => {
+    it('should return a function.', () => {
+      assert(typeof fetchComponentUptimes('') === 'function')
+    })
+
+    it('should fetch the uptimes.', () => {
+      const uptimes = {'1': [{date: '2017-01-01', availability: 1, status: 'Operational'}]}
+      fetchMock.get('https://example.com/components/uptimes.json', {
+        body: uptimes,
+        headers: {'Content-Type': 'application/json'}
+      })
+
+      return fetchComponentUptimes('https://example.com/', callbacks)(dispatchSpy)
+        .then(() => {
+          assert(callbacks.onSuccess.calledOnce)
+          assert(dispatchSpy.firstCall.args[0].type === LIST_COMPONENT_UPTIMES)
+          assert.deepEqual(dispatchSpy.firstCall.args[0].uptimes, uptimes)
+        })
+    })
+  })
+})
@@ -4,7 +4,9 @@ import {
   ADD_COMPONENT,
   EDIT_COMPONENT,
   REMOVE_COMPONENT,
+  LIST_COMPONENT_HISTORY,
   fetchComponents,
+  fetchComponentHistory,
   postComponent,
   updateComponent,
   deleteComponent
@@ -66,6 +68,41 @@ describe('Actions/Components', () => {
     })
   })
 
+  describe('fetchComponentHistory', () => {
+    it('should return a function.', () => {
+      assert(typeof fetchComponentHistory() === 'function')
+    })
+
+    it('should fetch the status history of the component.', () => {
+      const history = [{componentID: '1', changedAt: '1', previousStatus: 'Operational', status: 'Major Outage'}]
+      fetchMock.get(/.*\/components\/1\/history/, { body: history, headers: {'Content-Type': 'application/json'} })
+
+      return fetchComponentHistory('1', callbacks)(dispatchSpy)
+        .then(() => {
+          assert(callbacks.onLoad.calledOnce)
+          assert(callbacks.onSuccess.calledOnce)
+          assert(!callbacks.onFailure.called)
+
+          assert(dispatchSpy.firstCall.args[0].type === LIST_COMPONENT_HISTORY)
+          assert(dispatchSpy.firstCall.args[0].componentID === '1')
+          assert.deepEqual(history, dispatchSpy.firstCall.args[0].statusHistory)
+        })
+    })
+
+    it('should handle error properly.', () => {
+      fetchMock.get(/.*\/components\/1\/history/, { status: 400, body: {} })
+
+      return fetchComponentHistory('1', callbacks)(dispatchSpy)
+        .then(() => {
+          assert(callbacks.onLoad.calledOnce)
+          assert(!callbacks.onSuccess.called)
+          assert(callbacks.onFailure.calledOnce)
+
+          assert(!dispatchSpy.called)
+        })
+    })
+  })
+
   describe('postComponent', () => {
     it('should return a function.', () => {
       assert(typeof postComponent() === 'function')
@@ -74,7 +111,7 @@ describe('Actions/Components', () => {
     it('should post a new component.', () => {
       fetchMock.post(/.*\/components/, { body: comp, headers: {'Content-Type': 'application/json'} })
 
-      return postComponent(undefined, undefined, undefined, callbacks)(dispatchSpy)
+      return postComponent(undefined, undefined, undefined, undefined, undefined, callbacks)(dispatchSpy)
         .then(() => {
           assert(callbacks.onLoad.calledOnce)
           assert(callbacks.onSuccess.calledOnce)
@@ -88,7 +125,7 @@ describe('Actions/Components', () => {
     it('should handle error properly.', () => {
       fetchMock.post(/.*\/components/, { status: 400, body: {} })
 
-      return postComponent(undefined, undefined, undefined, callbacks)(dispatchSpy)
+      return postComponent(undefined, undefined, undefined, undefined, undefined, callbacks)(dispatchSpy)
         .then(() => {
           assert(callbacks.onLoad.calledOnce)
           assert(!callbacks.onSuccess.called)
@@ -107,7 +144,7 @@ describe('Actions/Components', () => {
     it('should update the existing component.', () => {
       fetchMock.patch(/.*\/components\/.*/, { body: comp, headers: {'Content-Type': 'application/json'} })
 
-      return updateComponent('c1', undefined, undefined, undefined, undefined, callbacks)(dispatchSpy)
+      return updateComponent('c1', undefined, undefined, undefined, undefined, undefined, undefined, callbacks)(dispatchSpy)
         .then(() => {
           assert(callbacks.onLoad.calledOnce)
           assert(callbacks.onSuccess.calledOnce)
@@ -121,7 +158,7 @@ describe('Actions/Components', () => {
     it('should handle error properly.', () => {
       fetchMock.patch(/.*\/components\/.*/, { status: 400, body: {} })
 
-      return updateComponent('c1', undefined, undefined, undefined, undefined, callbacks)(dispatchSpy)
+      return updateComponent('c1', undefined, undefined, undefined, undefined, undefined, undefined, callbacks)(dispatchSpy)
         .then(() => {
           assert(callbacks.onLoad.calledOnce)
           assert(!callbacks.onSuccess.called)
@@ -1,11 +1,13 @@
 import fetchMock from 'fetch-mock'
 import {
   LIST_INCIDENTS,
+  LIST_DRAFT_INCIDENTS,
   LIST_INCIDENT_UPDATES,
   ADD_INCIDENT,
   EDIT_INCIDENT,
   REMOVE_INCIDENT,
   fetchIncidents,
+  fetchDraftIncidents,
   fetchIncidentUpdates,
   postIncident,
   updateIncident,
@@ -63,6 +65,40 @@ describe('Actions/Incidents', () => {
     })
   })
 
+  describe('fetchDraftIncidents', () => {
+    it('should return a function.', () => {
+      assert(typeof fetchDraftIncidents() === 'function')
+    })
+
+    it('should fetch draft incidents.', () => {
+      const draftIncident = { ...incident, draft: true }
+      fetchMock.get(/.*\/draft-incidents/, { body: [draftIncident], headers: {'Content-Type': 'application/json'} })
+
+      return fetchDraftIncidents(callbacks)(dispatchSpy)
+        .then(() => {
+          assert(callbacks.onLoad.calledOnce)
+          assert(callbacks.onSuccess.calledOnce)
+          assert(!callbacks.onFailure.called)
+
+          assert(dispatchSpy.firstCall.args[0].type === LIST_DRAFT_INCIDENTS)
+          assert.deepEqual([draftIncident], dispatchSpy.firstCall.args[0].draftIncidents)
+        })
+    })
+
+    it('should handle error properly.', () => {
+      fetchMock.get(/.*\/draft-incidents/, { status: 400, body: {} })
+
+      return fetchDraftIncidents(callbacks)(dispatchSpy)
+        .then(() => {
+          assert(callbacks.onLoad.calledOnce)
+          assert(!callbacks.onSuccess.called)
+          assert(callbacks.onFailure.calledOnce)
+
+          assert(!dispatchSpy.called)
+        })
+    })
+  })
+
   describe('fetchIncidentUpdates', () => {
     it('should return a function.', () => {
       assert(typeof fetchIncidentUpdates() === 'function')
@@ -106,7 +142,7 @@ describe('Actions/Incidents', () => {
     it('should post a new incident.', () => {
       fetchMock.post(/.*\/incidents/, { body: [incident], headers: {'Content-Type': 'application/json'} })
 
-      return postIncident(undefined, undefined, undefined, undefined, callbacks)(dispatchSpy)
+      return postIncident(undefined, undefined, undefined, undefined, undefined, callbacks)(dispatchSpy)
         .then(() => {
           assert(callbacks.onLoad.calledOnce)
           assert(callbacks.onSuccess.calledOnce)
@@ -120,7 +156,7 @@ describe('Actions/Incidents', () => {
     it('should handle error properly.', () => {
       fetchMock.post(/.*\/incidents/, { status: 400, body: {} })
 
-      return postIncident(undefined, undefined, undefined, undefined, callbacks)(dispatchSpy)
+      return postIncident(undefined, undefined, undefined, undefined, undefined, callbacks)(dispatchSpy)
         .then(() => {
           assert(callbacks.onLoad.calledOnce)
           assert(!callbacks.onSuccess.called)
@@ -140,7 +176,7 @@ describe('Actions/Incidents', () => {
       fetchMock.patch(/.*\/incidents\/.*/,
                       { body: [incident], headers: {'Content-Type': 'application/json'} })
 
-      return updateIncident('id', undefined, undefined, undefined, undefined, callbacks)(dispatchSpy)
+      return updateIncident('id', undefined, undefined, undefined, undefined, undefined, callbacks)(dispatchSpy)
         .then(() => {
           assert(callbacks.onLoad.calledOnce)
           assert(callbacks.onSuccess.calledOnce)
@@ -154,7 +190,7 @@ describe('Actions/Incidents', () => {
     it('should handle error properly.', () => {
       fetchMock.patch(/.*\/incidents\/.*/, { status: 400, body: {} })
 
-      return updateIncident('id', undefined, undefined, undefined, undefined, callbacks)(dispatchSpy)
+      return updateIncident('id', undefined, undefined, undefined, undefined, undefined, callbacks)(dispatchSpy)
         .then(() => {
           assert(callbacks.onLoad.calledOnce)
           assert(!callbacks.onSuccess.called)
@@ -98,7 +98,8 @@ describe('Actions/Maintenances', () => {
     it('should post a new maintenance.', async () => {
       fetchMock.post(/.*\/maintenances/, { body: [maintenance], headers: {'Content-Type': 'application/json'} })
 
-      await postMaintenance(undefined, undefined, undefined, undefined, undefined, undefined, callbacks)(dispatchSpy)
+      await postMaintenance(undefined, undefined, undefined, undefined, undefined, undefined, undefined, undefined,
+        callbacks)(dispatchSpy)
       assert(callbacks.onLoad.calledOnce)
       assert(callbacks.onSuccess.calledOnce)
       assert(!callbacks.onFailure.called)
@@ -110,7 +111,8 @@ describe('Actions/Maintenances', () => {
     it('should handle error properly.', async () => {
       fetchMock.post(/.*\/maintenances/, { status: 400, body: {} })
 
-      await postMaintenance(undefined, undefined, undefined, undefined, undefined, undefined, callbacks)(dispatchSpy)
+      await postMaintenance(undefined, undefined, undefined, undefined, undefined, undefined, undefined, undefined,
+        callbacks)(dispatchSpy)
       assert(callbacks.onLoad.calledOnce)
       assert(!callbacks.onSuccess.called)
       assert(callbacks.onFailure.calledOnce)
@@ -128,7 +130,8 @@ describe('Actions/Maintenances', () => {
       fetchMock.patch(/.*\/maintenances\/.*/,
                       { body: [maintenance], headers: {'Content-Type': 'application/json'} })
 
-      await updateMaintenance('id', undefined, undefined, undefined, undefined, undefined, undefined, callbacks)(dispatchSpy)
+      await updateMaintenance('id', undefined, undefined, undefined, undefined, undefined, undefined, undefined,
+        callbacks)(dispatchSpy)
       assert(callbacks.onLoad.calledOnce)
       assert(callbacks.onSuccess.calledOnce)
       assert(!callbacks.onFailure.called)
@@ -140,7 +143,8 @@ describe('Actions/Maintenances', () => {
     it('should handle error properly.', async () => {
       fetchMock.patch(/.*\/maintenances\/.*/, { status: 400, body: {} })
 
-      await updateMaintenance('id', undefined, undefined, undefined, undefined, undefined, undefined, callbacks)(dispatchSpy)
+      await updateMaintenance('id', undefined, undefined, undefined, undefined, undefined, undefined, undefined,
+        callbacks)(dispatchSpy)
       assert(callbacks.onLoad.calledOnce)
       assert(!callbacks.onSuccess.called)
       assert(callbacks.onFailure.calledOnce)
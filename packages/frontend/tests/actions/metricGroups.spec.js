@@ -0,0 +1,121 @@
+import fetchMock from 'fetch-mock'
+import {
+  LIST_METRIC_GROUPS,
+  ADD_METRIC_GROUP,
+  EDIT_METRIC_GROUP,
+  REMOVE_METRIC_GROUP,
+  fetchMetricGroups,
+  fetchPublicMetricGroups,
+  postMetricGroup,
+  updateMetricGroup,
+  deleteMetricGroup
+} from 'actions/metricGroups'
+
+describe('Actions/MetricGroups', () => {
+  const group = {
+    groupID: '1',
+    title: 'Latency',
+    description: '',
+    metricIDs: ['1', '2'],
+    status: 'Visible',
+    order: 1
+  }
+  let dispatchSpy, callbacks
+
+  beforeEach(() => {
+    dispatchSpy = sinon.spy(() => {})
+    callbacks = {
+      onLoad: sinon.spy(),
+      onSuccess: sinon.spy(),
+      onFailure: sinon.spy()
+    }
+  })
+
+  afterEach(() => {
+    fetchMock.restore()
+  })
+
+  describe('fetchMetricGroups', () => {
+    it('should return a function.', () => {
+      assert(typeof fetchMetricGroups() === 'function')
+    })
+
+    it('should fetch metric groups.', () => {
+      fetchMock.get(/.*\/metric-groups/, { body: [group], headers: {'Content-Type': 'application/json'} })
+
+      return fetchMetricGroups(callbacks)(dispatchSpy)
+        .then(() => {
+          assert(callbacks.onLoad.calledOnce)
+          assert(callbacks.onSuccess.calledOnce)
+          assert(callbacks.onFailure.notCalled)
+
+          assert(dispatchSpy.firstCall.args[0].type === LIST_METRIC_GROUPS)
+          assert.deepEqual([group], dispatchSpy.firstCall.args[0].metricGroups)
+        })
+    })
+  })
+
+  describe('fetchPublicMetricGroups', () => {
+    it('should fetch public metric groups.', () => {
+      fetchMock.get(/.*\/public-metric-groups/, { body: [group], headers: {'Content-Type': 'application/json'} })
+
+      return fetchPublicMetricGroups(callbacks)(dispatchSpy)
+        .then(() => {
+          assert(callbacks.onSuccess.calledOnce)
+          assert(dispatchSpy.firstCall.args[0].type === LIST_METRIC_GROUPS)
+          assert.deepEqual([group], dispatchSpy.firstCall.args[0].metricGroups)
+        })
+    })
+  })
+
+  describe('postMetricGroup', () => {
+    it('should post a new metric group.', () => {
+      fetchMock.post(/.*\/metric-groups/, { body: group, headers: {'Content-Type': 'application/json'} })
+
+      return postMetricGroup(group.title, group.description, group.metricIDs, group.status, callbacks)(dispatchSpy)
+        .then(() => {
+          assert(callbacks.onSuccess.calledOnce)
+          assert.deepEqual(JSON.parse(fetchMock.lastOptions().body).metricIDs, group.metricIDs)
+          assert(dispatchSpy.firstCall.args[0].type === ADD_METRIC_GROUP)
+          assert.deepEqual(group, dispatchSpy.firstCall.args[0].metricGroup)
+        })
+    })
+
+    it('should handle error properly.', () => {
+      fetchMock.post(/.*\/metric-groups/, { status: 400, body: {} })
+
+      return postMetricGroup(undefined, undefined, undefined, undefined, callbacks)(dispatchSpy)
+        .then(() => {
+          assert(callbacks.onSuccess.notCalled)
+          assert(callbacks.onFailure.calledOnce)
+          assert(dispatchSpy.notCalled)
+        })
+    })
+  })
+
+  describe('updateMetricGroup', () => {
+    it('should update the existing metric group.', () => {
+      fetchMock.patch(/.*\/metric-groups\/.*/, { body: group, headers: {'Content-Type': 'application/json'} })
+
+      return updateMetricGroup('1', undefined, undefined, undefined, undefined, undefined, callbacks)(dispatchSpy)
+        .then(() => {
+          assert(callbacks.onSuccess.calledOnce)
+          assert(dispatchSpy.firstCall.args[0].type === EDIT_METRIC_GROUP)
+          assert.deepEqual(group, dispatchSpy.firstCall.args[0].metricGroup)
+        })
+    })
+  })
+
+  describe('deleteMetricGroup', () => {
+    it('should delete the metric group.', () => {
+      fetchMock.delete(/.*\/metric-groups\/.*/, 204)
+
+      return deleteMetricGroup('1', callbacks)(dispatchSpy)
+        .then(() => {
+          assert(callbacks.onSuccess.calledOnce)
+          assert(dispatchSpy.firstCall.args[0].type === REMOVE_METRIC_GROUP)
+          assert(dispatchSpy.firstCall.args[0].groupID === '1')
+        })
+    })
+  })
+})
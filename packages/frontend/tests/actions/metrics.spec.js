@@ -3,6 +3,7 @@ import {
   LIST_METRICS,
   LIST_EXTERNAL_METRICS,
   LIST_METRICS_DATA,
+  LIST_METRICS_ROLLUP,
   ADD_METRIC,
   EDIT_METRIC,
   REMOVE_METRIC,
@@ -10,6 +11,8 @@ import {
   fetchPublicMetrics,
   fetchExternalMetrics,
   fetchMetricsData,
+  fetchMetricsRollup,
+  importMetricsData,
   postMetric,
   updateMetric,
   deleteMetric
@@ -146,6 +149,7 @@ describe('Actions/Metrics', () => {
           const lastURL = fetchMock.lastUrl(/.*\/external-metrics/)
           assert(lastURL.match(/type=%26!%3D/))
           assert(lastURL.match(/filters=%7B%22a%22%3A%221%22%7D/))
+          assert(lastURL.match(/type=/g).length === 1)
         })
     })
 
@@ -188,7 +192,7 @@ describe('Actions/Metrics', () => {
     it('should post a new metric.', () => {
       fetchMock.post(/.*\/metrics/, { body: metrics[0], headers: {'Content-Type': 'application/json'} })
 
-      return postMetric('', '', '', '', '', '', callbacks)(dispatchSpy)
+      return postMetric('', '', '', '', '', '', 1, [], {}, callbacks)(dispatchSpy)
         .then(() => {
           assert(callbacks.onLoad.calledOnce)
           assert(callbacks.onSuccess.calledOnce)
@@ -202,7 +206,7 @@ describe('Actions/Metrics', () => {
     it('should handle error properly.', () => {
       fetchMock.post(/.*\/metrics/, { status: 400, body: {} })
 
-      return postMetric('', '', '', '', '', '', callbacks)(dispatchSpy)
+      return postMetric('', '', '', '', '', '', 1, [], {}, callbacks)(dispatchSpy)
         .then(() => {
           assert(callbacks.onLoad.calledOnce)
           assert(callbacks.onSuccess.notCalled)
@@ -221,7 +225,7 @@ describe('Actions/Metrics', () => {
     it('should update the existing metric.', () => {
       fetchMock.patch(/.*\/metrics\/.*/, { body: metrics[0], headers: {'Content-Type': 'application/json'} })
 
-      return updateMetric('', '', '', '', '', '', '', '', callbacks)(dispatchSpy)
+      return updateMetric('', '', '', '', '', '', '', '', 1, [], {}, callbacks)(dispatchSpy)
         .then(() => {
           assert(callbacks.onLoad.calledOnce)
           assert(callbacks.onSuccess.calledOnce)
@@ -235,7 +239,7 @@ describe('Actions/Metrics', () => {
     it('should handle error properly.', () => {
       fetchMock.patch(/.*\/metrics\/.*/, { status: 400, body: {} })
 
-      return updateMetric('', '', '', '', '', '', '', '', callbacks)(dispatchSpy)
+      return updateMetric('', '', '', '', '', '', '', '', 1, [], {}, callbacks)(dispatchSpy)
         .then(() => {
           assert(callbacks.onLoad.calledOnce)
           assert(!callbacks.onSuccess.called)
@@ -333,4 +337,68 @@ describe('Actions/Metrics', () => {
         })
     })
   })
+
+  describe('importMetricsData', () => {
+    it('should post the datapoints in chunks.', () => {
+      fetchMock.post(/.*\/metrics\/id\/data/, { body: [], headers: {'Content-Type': 'application/json'} })
+      callbacks.onProgress = sinon.spy()
+      const datapoints = Array.apply(null, {length: 1500}).map((value, i) => {
+        return {timestamp: new Date(i * 60 * 1000).toISOString(), value: i}
+      })
+
+      return importMetricsData('id', datapoints, callbacks)(dispatchSpy)
+        .then(() => {
+          const calls = fetchMock.calls(/.*\/metrics\/id\/data/)
+          assert(calls.length === 2)
+          assert(JSON.parse(calls[0][1].body).datapoints.length === 1000)
+          assert(JSON.parse(calls[1][1].body).datapoints.length === 500)
+          assert(callbacks.onLoad.calledOnce)
+          assert(callbacks.onSuccess.calledOnce)
+          assert(callbacks.onProgress.firstCall.args[0] === 1000)
+          assert(callbacks.onProgress.secondCall.args[0] === 1500)
+        })
+    })
+
+    it('should stop posting if one of the chunks failed.', () => {
+      fetchMock.post(/.*\/metrics\/id\/data/, {
+        status: 400, body: {errorMessage: 'error'}, headers: {'Content-Type': 'application/json'}
+      })
+      const datapoints = Array.apply(null, {length: 1500}).map((value, i) => {
+        return {timestamp: new Date(i * 60 * 1000).toISOString(), value: i}
+      })
+
+      return importMetricsData('id', datapoints, callbacks)(dispatchSpy)
+        .then(() => {
+          assert(fetchMock.calls(/.*\/metrics\/id\/data/).length === 1)
+          assert(callbacks.onFailure.calledOnce)
+          assert(!callbacks.onSuccess.called)
+        })
+    })
+  })
+
+  describe('fetchMetricsRollup', () => {
+    it('should fetch the rollup.', () => {
+      const rollup = [{timestamp: '2017-06-27T00:00:00.000Z', min: 0, avg: 0, max: 0, count: 2}]
+      fetchMock.get(/.*\/metrics\/id\/rollups\/hourly\.json/,
+                    { body: rollup, headers: {'Content-Type': 'application/json'} })
+
+      return fetchMetricsRollup('', 'id', 'hourly', callbacks)(dispatchSpy)
+        .then(() => {
+          assert(dispatchSpy.firstCall.args[0].type === LIST_METRICS_ROLLUP)
+          assert(dispatchSpy.firstCall.args[0].metricID === 'id')
+          assert(dispatchSpy.firstCall.args[0].rollupName === 'hourly')
+          assert.deepEqual(dispatchSpy.firstCall.args[0].rollup, rollup)
+        })
+    })
+
+    it('should dispatch the empty rollup if the rollup is not found.', () => {
+      fetchMock.get(/.*\/metrics\/.*/, { status: 403, body: '<Error />', headers: {'Content-Type': 'text/xml'} })
+
+      return fetchMetricsRollup('', 'id', 'hourly', callbacks)(dispatchSpy)
+        .then(() => {
+          assert(dispatchSpy.firstCall.args[0].type === LIST_METRICS_ROLLUP)
+          assert.deepEqual(dispatchSpy.firstCall.args[0].rollup, [])
+        })
+    })
+  })
 })
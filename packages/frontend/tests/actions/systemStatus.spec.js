@@ -0,0 +1,53 @@
+import fetchMock from 'fetch-mock'
+import { SET_SYSTEM_STATUS, fetchSystemStatus } from 'actions/systemStatus'
+
+describe('Actions/SystemStatus', () => {
+  let dispatchSpy, callbacks
+
+  beforeEach(() => {
+    dispatchSpy = sinon.spy(() => {})
+    callbacks = {
+      onLoad: sinon.spy(),
+      onSuccess: sinon.spy(),
+      onFailure: sinon.spy()
+    }
+  })
+
+  afterEach(() => {
+    fetchMock.restore()
+  })
+
+  describe('fetchSystemStatus', () => {
+    it('should return a function.', () => {
+      assert(typeof fetchSystemStatus() === 'function')
+    })
+
+    it('should fetch the system status.', () => {
+      fetchMock.get(/.*\/system-status/, {
+        body: {status: 'Partial System Outage'},
+        headers: {'Content-Type': 'application/json'}
+      })
+
+      return fetchSystemStatus(callbacks)(dispatchSpy)
+        .then(() => {
+          assert(callbacks.onLoad.calledOnce)
+          assert(callbacks.onSuccess.calledOnce)
+          assert(callbacks.onFailure.notCalled)
+
+          assert(dispatchSpy.firstCall.args[0].type === SET_SYSTEM_STATUS)
+          assert(dispatchSpy.firstCall.args[0].status === 'Partial System Outage')
+        })
+    })
+
+    it('should handle error properly.', () => {
+      fetchMock.get(/.*\/system-status/, { status: 400, body: {} })
+
+      return fetchSystemStatus(callbacks)(dispatchSpy)
+        .then(() => {
+          assert(callbacks.onSuccess.notCalled)
+          assert(callbacks.onFailure.calledOnce)
+          assert(dispatchSpy.notCalled)
+        })
+    })
+  })
+})
@@ -0,0 +1,99 @@
+import React from 'react'
+import { mount } from 'enzyme'
+import TextField from 'components/common/TextField'
+import AlertRulesEditor from 'components/adminPage/AlertRulesEditor/AlertRulesEditor'
+
+describe('AlertRulesEditor', () => {
+  const generateProps = () => {
+    return {
+      onChange: sinon.spy(),
+      alertRules: [{ruleID: '1', comparator: '>', threshold: 100, duration: 5, componentIDs: ['1'],
+        componentStatus: 'Partial Outage', incidentName: 'High latency', draft: false, recoveryAction: 'resolve',
+        incidentID: '2'}],
+      components: [{componentID: '1', name: 'API'}, {componentID: '2', name: 'Website'}],
+      fetchComponents: sinon.spy()
+    }
+  }
+
+  describe('constructor', () => {
+    it('should initialize state by the given rules', () => {
+      const editor = new AlertRulesEditor(generateProps())
+      assert(editor.state.rules.length === 1)
+      assert(editor.state.rules[0].threshold === '100')
+      assert(editor.state.rules[0].duration === '5')
+      assert(editor.state.rules[0].incidentID === '2')
+    })
+
+    it('should set no rule if the rules are not given', () => {
+      const props = generateProps()
+      props.alertRules = undefined
+      const editor = new AlertRulesEditor(props)
+      assert(editor.state.rules.length === 0)
+    })
+  })
+
+  describe('componentDidMount', () => {
+    it('should fetch components', () => {
+      const props = generateProps()
+      mount(<AlertRulesEditor {...props} />)
+      assert(props.fetchComponents.calledOnce)
+    })
+  })
+
+  describe('handleClickAddButton', () => {
+    it('should notify the rules with the new rule', () => {
+      const props = generateProps()
+      const editor = mount(<AlertRulesEditor {...props} />)
+      editor.instance().handleClickAddButton()
+      const notified = props.onChange.lastCall.args[0]
+      assert(notified.length === 2)
+      assert(notified[1].duration === 5)
+      assert(notified[1].recoveryAction === 'resolve')
+    })
+  })
+
+  describe('handleClickRemoveButton', () => {
+    it('should notify the rules without the removed rule', () => {
+      const props = generateProps()
+      const editor = mount(<AlertRulesEditor {...props} />)
+      editor.instance().handleClickRemoveButton(0)()
+      assert(props.onChange.lastCall.args[0].length === 0)
+    })
+  })
+
+  describe('handleChange', () => {
+    it('should notify the numbers as numbers', () => {
+      const props = generateProps()
+      const editor = mount(<AlertRulesEditor {...props} />)
+      editor.find(TextField).at(0).props().onChange('-0.5')
+      assert(props.onChange.lastCall.args[0][0].threshold === -0.5)
+    })
+
+    it('should notify the invalid numbers as they are', () => {
+      const props = generateProps()
+      const editor = mount(<AlertRulesEditor {...props} />)
+      editor.find(TextField).at(1).props().onChange('abc')
+      assert(props.onChange.lastCall.args[0][0].duration === 'abc')
+    })
+  })
+
+  describe('handleToggleComponent', () => {
+    it('should add and remove the affected component', () => {
+      const props = generateProps()
+      const editor = mount(<AlertRulesEditor {...props} />)
+      editor.instance().handleToggleComponent(0, '2')({target: {checked: true}})
+      assert.deepEqual(props.onChange.lastCall.args[0][0].componentIDs, ['1', '2'])
+      editor.instance().handleToggleComponent(0, '1')({target: {checked: false}})
+      assert.deepEqual(props.onChange.lastCall.args[0][0].componentIDs, ['2'])
+    })
+  })
+
+  describe('handleChangeRecoveryAction', () => {
+    it('should notify the id of the action', () => {
+      const props = generateProps()
+      const editor = mount(<AlertRulesEditor {...props} />)
+      editor.instance().handleChangeRecoveryAction(0)('Post an update')
+      assert(props.onChange.lastCall.args[0][0].recoveryAction === 'update')
+    })
+  })
+})
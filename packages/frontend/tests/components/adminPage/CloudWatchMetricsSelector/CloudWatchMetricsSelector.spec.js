@@ -25,9 +25,27 @@ describe('CloudWatchMetricsSelector', () => {
       assert(selector.state.regionName === 'EU (Frankfurt)')
       assert(selector.state.namespace === props.props.Namespace)
       assert(selector.state.metric === selector.buildMetricExpression(props.props))
+      assert(selector.state.statistic === 'Average')
+      assert(selector.state.period === 60)
       assert(selector.state.isFetching === false)
     })
 
+    it('should add the given statistic and period to the candidates if they are not listed', () => {
+      const props = generateProps()
+      props.props = {
+        Region: 'eu-central-1',
+        Namespace: 'namespace',
+        MetricName: 'metricname',
+        Dimensions: [],
+        Statistic: 'p75',
+        Period: 120
+      }
+      const selector = new CloudWatchMetricsSelector(props)
+      assert(selector.state.statistic === 'p75')
+      assert(selector.statistics.indexOf('p75') >= 0)
+      assert(selector.periods.find(p => p.seconds === 120).name === '120 seconds')
+    })
+
     it('should set default values if props are empty', () => {
       const props = generateProps()
       const selector = new CloudWatchMetricsSelector(props)
@@ -38,6 +56,20 @@ describe('CloudWatchMetricsSelector', () => {
     })
   })
 
+  describe('renderPeriodNote', () => {
+    it('should note the retention of the data if the period is short', () => {
+      const selector = new CloudWatchMetricsSelector(generateProps())
+      assert(selector.renderPeriodNote() !== null)
+    })
+
+    it('should not note anything if the period is 5 minutes or longer', () => {
+      const props = generateProps()
+      props.props = {Dimensions: [], Period: 300}
+      const selector = new CloudWatchMetricsSelector(props)
+      assert(selector.renderPeriodNote() === null)
+    })
+  })
+
   describe('componentDidMount', () => {
     it('should fetch external metrics if no metrics', () => {
       const props = generateProps()
@@ -124,5 +156,27 @@ describe('CloudWatchMetricsSelector', () => {
 
       assert(props.onChange.calledOnce)
     })
+
+    it('should call onChange with the statistic and period', () => {
+      const props = generateProps()
+      props.metrics = [{Namespace: 'ns1', MetricName: 'm1', Dimensions: [{Name: 'name', Value: 'value'}]}]
+      props.filters = {region: 'ap-northeast-1'}
+      const selector = mount(<CloudWatchMetricsSelector {...props} />)
+      selector.instance().handleChangeMetric(selector.instance().buildMetricExpression(props.metrics[0]))
+      selector.instance().handleChangeStatistic('p99')
+      selector.instance().handleChangePeriod('5 minutes')
+
+      assert(props.onChange.calledThrice)
+      assert(props.onChange.lastCall.args[0].Statistic === 'p99')
+      assert(props.onChange.lastCall.args[0].Period === 300)
+    })
+
+    it('should not call onChange if the statistic is changed before the metric is selected', () => {
+      const props = generateProps()
+      const selector = mount(<CloudWatchMetricsSelector {...props} />)
+      selector.instance().handleChangeStatistic('Sum')
+
+      assert(props.onChange.notCalled)
+    })
   })
 })
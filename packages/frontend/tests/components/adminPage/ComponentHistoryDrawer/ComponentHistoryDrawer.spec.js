@@ -0,0 +1,40 @@
+import React from 'react'
+import ComponentHistoryDrawer from 'components/adminPage/ComponentHistoryDrawer/ComponentHistoryDrawer'
+import { shallow } from 'enzyme'
+
+describe('(Component) ComponentHistoryDrawer', () => {
+  const genChange = (changedAt, previousStatus, status, cause) => {
+    return {componentID: '1', changedAt, previousStatus, status, actor: 'alice', cause, causeID: ''}
+  }
+
+  it('Renders the status changes', () => {
+    const props = {
+      componentID: '1',
+      onClosed: () => {},
+      component: {
+        componentID: '1',
+        name: 'API',
+        statusHistory: [
+          genChange('2017-01-02T00:00:00.000Z', 'Operational', 'Major Outage', 'incident'),
+          genChange('2017-01-01T00:00:00.000Z', '', 'Operational', 'manual')
+        ]
+      },
+      fetchComponentHistory: sinon.spy()
+    }
+    const component = shallow(<ComponentHistoryDrawer {...props} />)
+    assert(component.find('h5').text() === 'API')
+    assert(component.find('li').length === 2)
+  })
+
+  it('Calls onClosed when the close icon is clicked', () => {
+    const props = {
+      componentID: '1',
+      onClosed: sinon.spy(),
+      component: {componentID: '1', name: 'API', statusHistory: []},
+      fetchComponentHistory: () => {}
+    }
+    const component = shallow(<ComponentHistoryDrawer {...props} />)
+    component.find('i').first().simulate('click')
+    assert(props.onClosed.calledOnce)
+  })
+})
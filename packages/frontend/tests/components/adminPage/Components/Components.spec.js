@@ -8,10 +8,14 @@ describe('(Component) Components', () => {
   beforeEach(() => {
     props = {
       components: [],
+      componentGroups: [],
       fetchComponents: () => {},
+      fetchComponentGroups: () => {},
       postComponent: () => {},
       updateComponent: () => {},
-      deleteComponent: () => {}
+      deleteComponent: () => {},
+      updateComponentGroup: () => {},
+      deleteComponentGroup: () => {}
     }
     component = shallow(<Components {...props} />)
   })
@@ -19,4 +23,17 @@ describe('(Component) Components', () => {
   it('Renders a headline', () => {
     assert(component.find('h4').text() === 'Components')
   })
+
+  it('Renders the components under their group', () => {
+    const genComponent = (componentID, groupID) => {
+      return {componentID, name: componentID, description: '', status: 'Operational', order: 0, groupID}
+    }
+    props.components = [genComponent('1', ''), genComponent('2', 'g1'), genComponent('3', 'unknown')]
+    props.componentGroups = [{groupID: 'g1', name: 'group', description: '', order: 0}]
+    component = shallow(<Components {...props} />)
+    const lists = component.find('ul')
+    assert(lists.length === 2)
+    assert(lists.at(0).find('li').length === 2)
+    assert(lists.at(1).find('li').length === 1)
+  })
 })
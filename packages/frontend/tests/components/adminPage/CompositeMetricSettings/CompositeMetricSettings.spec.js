@@ -0,0 +1,46 @@
+import React from 'react'
+import { shallow } from 'enzyme'
+import DropdownList from 'components/common/DropdownList'
+import CompositeMetricSettings from 'components/adminPage/CompositeMetricSettings/CompositeMetricSettings'
+
+describe('CompositeMetricSettings', () => {
+  const generateProps = () => {
+    return {
+      onChange: sinon.spy(),
+      props: {Expression: '{1}'},
+      metricID: '3',
+      metrics: [{metricID: '1', title: 'Errors'}, {metricID: '2', title: 'Requests'}, {metricID: '3', title: 'Rate'}]
+    }
+  }
+
+  describe('constructor', () => {
+    it('should initialize state by the given props', () => {
+      const settings = new CompositeMetricSettings(generateProps())
+      assert(settings.state.expression === '{1}')
+    })
+
+    it('should set the empty expression if props are empty', () => {
+      const props = generateProps()
+      props.props = null
+      const settings = new CompositeMetricSettings(props)
+      assert(settings.state.expression === '')
+    })
+  })
+
+  describe('handleSelectMetric', () => {
+    it('should append the reference to the selected metric', () => {
+      const props = generateProps()
+      const settings = shallow(<CompositeMetricSettings {...props} />)
+      settings.instance().handleChangeExpression('{1} /')
+      settings.instance().handleSelectMetric('Requests')
+      assert.deepEqual(props.onChange.lastCall.args[0], {Expression: '{1} / {2}'})
+    })
+  })
+
+  describe('render', () => {
+    it('should not list the metric itself', () => {
+      const settings = shallow(<CompositeMetricSettings {...generateProps()} />)
+      assert.deepEqual(settings.find(DropdownList).props().list, ['', 'Errors', 'Requests'])
+    })
+  })
+})
@@ -0,0 +1,87 @@
+import React from 'react'
+import { mount } from 'enzyme'
+import DropdownList from 'components/common/DropdownList'
+import TextField from 'components/common/TextField'
+import HTTPCheckSettings from 'components/adminPage/HTTPCheckSettings/HTTPCheckSettings'
+
+describe('HTTPCheckSettings', () => {
+  const generateProps = () => {
+    return {
+      onChange: sinon.spy(),
+      components: [{componentID: '1', name: 'API'}, {componentID: '2', name: 'Website'}],
+      fetchComponents: sinon.spy()
+    }
+  }
+
+  describe('constructor', () => {
+    it('should initialize state by the given props', () => {
+      const props = generateProps()
+      props.props = {URL: 'https://example.com', Method: 'HEAD', ExpectedStatus: 204, BodyRegex: '',
+        Timeout: 3000, FailureThreshold: 5, ComponentID: '2', ComponentStatus: 'Partial Outage'}
+      const settings = new HTTPCheckSettings(props)
+      assert(settings.state.url === 'https://example.com')
+      assert(settings.state.method === 'HEAD')
+      assert(settings.state.expectedStatus === '204')
+      assert(settings.state.timeout === '3000')
+      assert(settings.state.failureThreshold === '5')
+      assert(settings.state.componentID === '2')
+      assert(settings.state.componentStatus === 'Partial Outage')
+    })
+
+    it('should set default values if props are empty', () => {
+      const props = generateProps()
+      const settings = new HTTPCheckSettings(props)
+      assert(settings.state.url === '')
+      assert(settings.state.method === 'GET')
+      assert(settings.state.expectedStatus === '200')
+      assert(settings.state.componentID === '')
+    })
+  })
+
+  describe('componentDidMount', () => {
+    it('should fetch components and notify the default props', () => {
+      const props = generateProps()
+      mount(<HTTPCheckSettings {...props} />)
+      assert(props.fetchComponents.calledOnce)
+      assert(props.onChange.calledOnce)
+      const notified = props.onChange.firstCall.args[0]
+      assert(notified.ExpectedStatus === 200)
+      assert(notified.ComponentID === undefined)
+    })
+  })
+
+  describe('handleChange', () => {
+    it('should notify the numbers as integers', () => {
+      const props = generateProps()
+      const settings = mount(<HTTPCheckSettings {...props} />)
+      settings.find(TextField).at(1).props().onChange('503')
+      assert(props.onChange.lastCall.args[0].ExpectedStatus === 503)
+    })
+
+    it('should notify the invalid numbers as they are', () => {
+      const props = generateProps()
+      const settings = mount(<HTTPCheckSettings {...props} />)
+      settings.find(TextField).at(1).props().onChange('abc')
+      assert(props.onChange.lastCall.args[0].ExpectedStatus === 'abc')
+    })
+  })
+
+  describe('handleChangeComponent', () => {
+    it('should notify the component id of the selected component', () => {
+      const props = generateProps()
+      const settings = mount(<HTTPCheckSettings {...props} />)
+      settings.instance().handleChangeComponent('Website')
+      const notified = props.onChange.lastCall.args[0]
+      assert(notified.ComponentID === '2')
+      assert(notified.ComponentStatus === 'Major Outage')
+    })
+
+    it('should show the status selector only if the component is linked', () => {
+      const props = generateProps()
+      const settings = mount(<HTTPCheckSettings {...props} />)
+      assert(settings.find(DropdownList).length === 2)
+      settings.instance().handleChangeComponent('API')
+      assert(settings.find(DropdownList).length === 3)
+    })
+  })
+})
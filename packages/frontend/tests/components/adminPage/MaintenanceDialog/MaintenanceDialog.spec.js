@@ -0,0 +1,64 @@
+import React from 'react'
+import { shallow } from 'enzyme'
+import RadioButtonGroup from 'components/common/RadioButtonGroup'
+import MaintenanceDialog, { dialogType } from 'components/adminPage/MaintenanceDialog/MaintenanceDialog'
+
+describe('(Component) MaintenanceDialog', () => {
+  const generateProps = (type) => {
+    return {
+      onClosed: () => {},
+      dialogType: type,
+      components: [],
+      fetchComponents: () => {},
+      fetchMaintenanceUpdates: () => {},
+      postMaintenance: sinon.spy(),
+      updateMaintenance: sinon.spy()
+    }
+  }
+
+  it('Posts the maintenance without the recurrence by default', () => {
+    const props = generateProps(dialogType.add)
+    const dialog = shallow(<MaintenanceDialog {...props} />)
+    dialog.instance().handleClickAddButton()
+    assert(props.postMaintenance.firstCall.args[7] === null)
+  })
+
+  it('Posts the recurring maintenance as scheduled', () => {
+    const props = generateProps(dialogType.add)
+    const dialog = shallow(<MaintenanceDialog {...props} />)
+    dialog.instance().handleChangeMaintenanceStatus('In Progress')
+    dialog.instance().handleChangeRepeat('weekly')
+    dialog.instance().handleChangeInterval('2')
+    dialog.instance().handleClickAddButton()
+
+    const args = props.postMaintenance.firstCall.args
+    assert(args[1] === 'Scheduled')
+    assert(args[7].frequency === 'weekly')
+    assert(args[7].interval === 2)
+    assert(args[7].until === dialog.state('until').toISOString())
+  })
+
+  it('Hides the status selector while repeating', () => {
+    const props = generateProps(dialogType.add)
+    const dialog = shallow(<MaintenanceDialog {...props} />)
+    assert(dialog.find(RadioButtonGroup).length === 2)
+    dialog.instance().handleChangeRepeat('daily')
+    dialog.update()
+    assert(dialog.find(RadioButtonGroup).length === 1)
+  })
+
+  it('Does not show the recurrence controls for the occurrence', () => {
+    const props = generateProps(dialogType.update)
+    props.maintenance = {
+      maintenanceID: 's1-20170101T020000Z',
+      name: 'name',
+      status: 'Scheduled',
+      startAt: '2017-01-01T02:00:00.000Z',
+      endAt: '2017-01-01T04:00:00.000Z',
+      seriesID: 's1'
+    }
+    const dialog = shallow(<MaintenanceDialog {...props} />)
+    assert(dialog.find(RadioButtonGroup).length === 1)
+    assert(dialog.find('p').text().match(/only to this occurrence/))
+  })
+})
@@ -1,13 +1,30 @@
 import React from 'react'
 import { Provider } from 'react-redux'
 import { mount, shallow } from 'enzyme'
-import { monitoringServices, metricStatuses } from 'utils/status'
+import { monitoringServices, metricStatuses, prometheusMonitoringService,
+         httpCheckMonitoringService, compositeMonitoringService } from 'utils/status'
 import * as dialogUtil from 'utils/dialog'
 import Button from 'components/common/Button'
+import TextField from 'components/common/TextField'
 import CloudWatchMetricsSelector from 'components/adminPage/CloudWatchMetricsSelector'
+import PrometheusMetricsSelector from 'components/adminPage/PrometheusMetricsSelector'
+import HTTPCheckSettings from 'components/adminPage/HTTPCheckSettings'
+import AlertRulesEditor from 'components/adminPage/AlertRulesEditor'
+import CompositeMetricSettings from 'components/adminPage/CompositeMetricSettings'
+import MetricDisplayOptionsEditor from 'components/adminPage/MetricDisplayOptionsEditor'
+import { MetricPreview } from 'components/adminPage/MetricPreviewDialog'
 import MetricDialog, { dialogType } from 'components/adminPage/MetricDialog/MetricDialog'
 
 describe('MetricDialog', () => {
+  // The edit dialog draws the preview of the metric.
+  const storeState = {
+    components: {components: []},
+    metrics: {metrics: [{metricID: '1', title: 'Title', unit: 'ms'}]},
+    settings: {settings: {}},
+    incidents: {incidents: []},
+    maintenances: {maintenances: []}
+  }
+
   const generateProps = () => {
     return {
       onClosed: sinon.spy(),
@@ -63,7 +80,7 @@ describe('MetricDialog', () => {
       })
 
       const props = generateProps()
-      const store = buildEmptyStore({})
+      const store = buildEmptyStore(storeState)
       mount(<Provider store={store}><MetricDialog {...props} /></Provider>)
       assert(dialogDOM !== undefined)
 
@@ -80,7 +97,7 @@ describe('MetricDialog', () => {
       })
 
       const props = generateProps()
-      const store = buildEmptyStore({})
+      const store = buildEmptyStore(storeState)
       const dialog = mount(<Provider store={store}><MetricDialog {...props} /></Provider>)
       const cancel = dialog.find(Button).last()
       cancel.simulate('click')
@@ -105,6 +122,55 @@ describe('MetricDialog', () => {
       dialogUtil.mountDialog.restore()
     })
 
+    it('should show prometheus metrics selector if the type is prometheus', () => {
+      sinon.stub(dialogUtil, 'mountDialog', () => {})
+      const props = generateProps()
+      props.metric.type = prometheusMonitoringService
+      const dialog = shallow(<MetricDialog {...props} />)
+
+      assert(dialog.find(PrometheusMetricsSelector).length === 1)
+      assert(dialog.find(CloudWatchMetricsSelector).length === 0)
+
+      dialogUtil.mountDialog.restore()
+    })
+
+    it('should show http check settings if the type is http check', () => {
+      sinon.stub(dialogUtil, 'mountDialog', () => {})
+      const props = generateProps()
+      props.metric.type = httpCheckMonitoringService
+      const dialog = shallow(<MetricDialog {...props} />)
+
+      assert(dialog.find(HTTPCheckSettings).length === 1)
+      assert(dialog.find(CloudWatchMetricsSelector).length === 0)
+
+      dialogUtil.mountDialog.restore()
+    })
+
+    it('should show composite metric settings if the type is composite', () => {
+      sinon.stub(dialogUtil, 'mountDialog', () => {})
+      const props = generateProps()
+      props.metric.type = compositeMonitoringService
+      const dialog = shallow(<MetricDialog {...props} />)
+
+      assert(dialog.find(CompositeMetricSettings).length === 1)
+      assert(dialog.find(CloudWatchMetricsSelector).length === 0)
+
+      dialogUtil.mountDialog.restore()
+    })
+
+    it('should reset props if the type is changed', () => {
+      sinon.stub(dialogUtil, 'mountDialog', () => {})
+      const props = generateProps()
+      props.metric.props = {Namespace: 'ns'}
+      const dialog = shallow(<MetricDialog {...props} />)
+
+      dialog.instance().handleChangeType(prometheusMonitoringService)
+      assert(dialog.state().type === prometheusMonitoringService)
+      assert(dialog.state().props === null)
+
+      dialogUtil.mountDialog.restore()
+    })
+
     it('should call postMetric action if the add button is clicked', () => {
       sinon.stub(dialogUtil, 'mountDialog', () => {})
       const props = generateProps()
@@ -117,6 +183,77 @@ describe('MetricDialog', () => {
       dialogUtil.mountDialog.restore()
     })
 
+    it('should post the collection interval as a number', () => {
+      sinon.stub(dialogUtil, 'mountDialog', () => {})
+      const props = generateProps()
+      const dialog = shallow(<MetricDialog {...props} />)
+
+      dialog.instance().handleChangeCollectionInterval('5')
+      dialog.find(Button).first().simulate('click')
+      assert(props.postMetric.firstCall.args[6] === 5)
+
+      dialogUtil.mountDialog.restore()
+    })
+
+    it('should not show the collection interval if the type is http check', () => {
+      sinon.stub(dialogUtil, 'mountDialog', () => {})
+      const props = generateProps()
+      const dialog = shallow(<MetricDialog {...props} />)
+      const countIntervalFields = () => {
+        return dialog.find(TextField).filterWhere(field => field.prop('label').match(/Collection Interval/)).length
+      }
+      assert(countIntervalFields() === 1)
+
+      dialog.instance().handleChangeType(httpCheckMonitoringService)
+      assert(countIntervalFields() === 0)
+
+      dialogUtil.mountDialog.restore()
+    })
+
+    it('should post the alert rules', () => {
+      sinon.stub(dialogUtil, 'mountDialog', () => {})
+      const props = generateProps()
+      const dialog = shallow(<MetricDialog {...props} />)
+
+      const alertRules = [{comparator: '>', threshold: 100, duration: 5}]
+      dialog.find(AlertRulesEditor).props().onChange(alertRules)
+      dialog.find(Button).first().simulate('click')
+      assert.deepEqual(props.postMetric.firstCall.args[7], alertRules)
+
+      dialogUtil.mountDialog.restore()
+    })
+
+    it('should post the display options', () => {
+      sinon.stub(dialogUtil, 'mountDialog', () => {})
+      const props = generateProps()
+      const dialog = shallow(<MetricDialog {...props} />)
+
+      const displayOptions = {chartType: 'bar', decimals: 1, yMin: 0, yMax: null, scaleUnit: true}
+      dialog.find(MetricDisplayOptionsEditor).props().onChange(displayOptions)
+      dialog.find(Button).first().simulate('click')
+      assert.deepEqual(props.postMetric.firstCall.args[8], displayOptions)
+
+      dialogUtil.mountDialog.restore()
+    })
+
+    it('should preview the existing metric with the unsaved display options', () => {
+      sinon.stub(dialogUtil, 'mountDialog', () => {})
+      const props = generateProps()
+      props.dialogType = dialogType.edit
+      props.metric.displayOptions = {chartType: 'area'}
+      const dialog = shallow(<MetricDialog {...props} />)
+      assert.deepEqual(dialog.find(MetricPreview).props().displayOptions, {chartType: 'area'})
+
+      dialog.find(MetricDisplayOptionsEditor).props().onChange({chartType: 'bar'})
+      assert.deepEqual(dialog.find(MetricPreview).props().displayOptions, {chartType: 'bar'})
+
+      delete props.metric
+      props.dialogType = dialogType.add
+      assert(shallow(<MetricDialog {...props} />).find(MetricPreview).length === 0)
+
+      dialogUtil.mountDialog.restore()
+    })
+
     it('should call updateMetric action if the edit button is clicked', () => {
       sinon.stub(dialogUtil, 'mountDialog', () => {})
       const props = generateProps()
@@ -138,7 +275,7 @@ describe('MetricDialog', () => {
       })
 
       const props = generateProps()
-      props.postMetric = (t, p, ti, s, u, d, callbacks) => { callbacks.onSuccess() }
+      props.postMetric = (t, p, ti, s, u, d, ci, ar, dopts, callbacks) => { callbacks.onSuccess() }
       const dialog = shallow(<MetricDialog {...props} />)
 
       const add = dialog.find(Button).first()
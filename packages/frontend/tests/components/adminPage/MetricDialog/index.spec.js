@@ -32,7 +32,7 @@ describe('MetricDialog', () => {
         description: 'description',
         order: 0
       }
-      const store = buildEmptyStore({metrics: {metrics: [metric]}})
+      const store = buildEmptyStore({metrics: {metrics: [metric]}, components: {components: []}})
       const dialog = mount(<Provider store={store}><MetricDialog {...props} /></Provider>).find(RawMetricDialog)
       assert(dialog.props().metric.metricID === props.metricID)
 
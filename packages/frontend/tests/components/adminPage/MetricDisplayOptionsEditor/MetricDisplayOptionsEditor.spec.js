@@ -0,0 +1,62 @@
+import React from 'react'
+import { mount } from 'enzyme'
+import RadioButtonGroup from 'components/common/RadioButtonGroup'
+import TextField from 'components/common/TextField'
+import MetricDisplayOptionsEditor from 'components/adminPage/MetricDisplayOptionsEditor'
+import { defaultDisplayOptions } from 'utils/metricDisplay'
+
+describe('MetricDisplayOptionsEditor', () => {
+  const generateProps = () => {
+    return {
+      onChange: sinon.spy()
+    }
+  }
+
+  describe('constructor', () => {
+    it('should initialize state by the given options', () => {
+      const props = generateProps()
+      props.displayOptions = {chartType: 'bar', decimals: 2, yMin: 0, yMax: null, scaleUnit: true}
+      const editor = new MetricDisplayOptionsEditor(props)
+      assert(editor.state.chartType === 'bar')
+      assert(editor.state.decimals === '2')
+      assert(editor.state.yMin === '0')
+      assert(editor.state.yMax === '')
+      assert(editor.state.scaleUnit === true)
+    })
+
+    it('should set default values if the options are empty', () => {
+      const props = generateProps()
+      const editor = new MetricDisplayOptionsEditor(props)
+      assert(editor.state.chartType === defaultDisplayOptions.chartType)
+      assert(editor.state.decimals === String(defaultDisplayOptions.decimals))
+      assert(editor.state.yMin === '')
+      assert(editor.state.scaleUnit === false)
+    })
+  })
+
+  describe('handleChange', () => {
+    it('should notify all the options with the numbers parsed', () => {
+      const props = generateProps()
+      const editor = mount(<MetricDisplayOptionsEditor {...props} />)
+      editor.find(RadioButtonGroup).props().onClicked('area')
+      editor.find(TextField).at(0).props().onChange('1')
+      editor.find(TextField).at(1).props().onChange('-10.5')
+      assert.deepEqual(props.onChange.lastCall.args[0],
+                       {chartType: 'area', decimals: 1, yMin: -10.5, yMax: null, scaleUnit: false})
+    })
+
+    it('should notify the invalid number as it is', () => {
+      const props = generateProps()
+      const editor = mount(<MetricDisplayOptionsEditor {...props} />)
+      editor.find(TextField).at(2).props().onChange('abc')
+      assert(props.onChange.lastCall.args[0].yMax === 'abc')
+    })
+
+    it('should notify the scale unit option', () => {
+      const props = generateProps()
+      const editor = mount(<MetricDisplayOptionsEditor {...props} />)
+      editor.find('input[type="checkbox"]').simulate('change', {target: {checked: true}})
+      assert(props.onChange.lastCall.args[0].scaleUnit === true)
+    })
+  })
+})
@@ -0,0 +1,67 @@
+import React from 'react'
+import { shallow } from 'enzyme'
+import MetricGroupDialog, { dialogType } from 'components/adminPage/MetricGroupDialog/MetricGroupDialog'
+
+describe('MetricGroupDialog', () => {
+  const generateProps = () => {
+    return {
+      onClosed: sinon.spy(),
+      metricGroup: {groupID: 'g1', title: 'Latency', description: '', metricIDs: ['1', 'deleted'], status: 'Visible',
+        order: 1},
+      metrics: [
+        {metricID: '1', title: 'p50', unit: 'ms'},
+        {metricID: '2', title: 'p99', unit: 'ms'},
+        {metricID: '3', title: 'Errors', unit: '%'}
+      ],
+      dialogType: dialogType.edit,
+      postMetricGroup: sinon.spy(),
+      updateMetricGroup: sinon.spy()
+    }
+  }
+
+  describe('constructor', () => {
+    it('should drop the deleted metrics', () => {
+      const dialog = new MetricGroupDialog(generateProps())
+      assert.deepEqual(dialog.state.metricIDs, ['1'])
+      assert(dialog.state.title === 'Latency')
+    })
+  })
+
+  describe('getSelectableMetrics', () => {
+    it('should list the metrics with the same unit which are not in the group', () => {
+      const dialog = shallow(<MetricGroupDialog {...generateProps()} />)
+      const metricIDs = dialog.instance().getSelectableMetrics().map(metric => metric.metricID)
+      assert.deepEqual(metricIDs, ['2'])
+    })
+
+    it('should list all the metrics if the group is empty', () => {
+      const props = generateProps()
+      props.metricGroup.metricIDs = []
+      const dialog = shallow(<MetricGroupDialog {...props} />)
+      assert(dialog.instance().getSelectableMetrics().length === 3)
+    })
+  })
+
+  describe('members', () => {
+    it('should add, move and remove the metrics', () => {
+      const dialog = shallow(<MetricGroupDialog {...generateProps()} />)
+      const inst = dialog.instance()
+      inst.handleSelectMetric('p99')
+      assert.deepEqual(dialog.state('metricIDs'), ['1', '2'])
+      inst.handleClickMoveUpMetric(1)()
+      assert.deepEqual(dialog.state('metricIDs'), ['2', '1'])
+      inst.handleClickRemoveMetric(0)()
+      assert.deepEqual(dialog.state('metricIDs'), ['1'])
+    })
+  })
+
+  describe('handleClickEditButton', () => {
+    it('should update the metric group', () => {
+      const props = generateProps()
+      const dialog = shallow(<MetricGroupDialog {...props} />)
+      dialog.instance().handleClickEditButton()
+      assert(props.updateMetricGroup.calledOnce)
+      assert.deepEqual(props.updateMetricGroup.firstCall.args.slice(0, 6), ['g1', 'Latency', '', ['1'], 'Visible', 1])
+    })
+  })
+})
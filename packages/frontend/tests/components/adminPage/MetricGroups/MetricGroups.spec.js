@@ -0,0 +1,36 @@
+import React from 'react'
+import MetricGroups from 'components/adminPage/MetricGroups/MetricGroups'
+import { shallow } from 'enzyme'
+
+describe('(Component) MetricGroups', () => {
+  let props
+
+  beforeEach(() => {
+    props = {
+      metricGroups: [{groupID: '1', title: 'Latency', description: '', metricIDs: ['1', '2', '3'], status: 'Visible',
+        order: 1}],
+      metrics: [{metricID: '1', title: 'p50', unit: 'ms'}, {metricID: '2', title: 'p99', unit: 'ms'}],
+      fetchMetrics: sinon.spy(),
+      fetchMetricGroups: sinon.spy(),
+      updateMetricGroup: sinon.spy(),
+      deleteMetricGroup: sinon.spy()
+    }
+  })
+
+  it('Renders a headline', () => {
+    const component = shallow(<MetricGroups {...props} />)
+    assert(component.find('h4').text() === 'Metric Groups')
+  })
+
+  it('Lists the titles of the existing metrics in the group', () => {
+    const component = shallow(<MetricGroups {...props} />)
+    assert(component.find('.mdl-list__item-sub-title').text() === 'p50, p99')
+  })
+
+  it('Fetches the metrics and the groups', () => {
+    const component = shallow(<MetricGroups {...props} />)
+    component.instance().componentDidMount()
+    assert(props.fetchMetrics.calledOnce)
+    assert(props.fetchMetricGroups.calledOnce)
+  })
+})
@@ -0,0 +1,93 @@
+import React from 'react'
+import { shallow } from 'enzyme'
+import * as dialogUtil from 'utils/dialog'
+import Button from 'components/common/Button'
+import MetricsGraph from 'components/common/MetricsGraph'
+import MetricImportDialog from 'components/adminPage/MetricImportDialog/MetricImportDialog'
+
+describe('MetricImportDialog', () => {
+  const generateProps = () => {
+    return {
+      metricID: '1',
+      onClosed: sinon.spy(),
+      importMetricsData: sinon.spy()
+    }
+  }
+  const csv = 'timestamp,value\n2017-07-03T00:00:00.000Z,1\n2017-07-05T00:00:00.000Z,2'
+
+  beforeEach(() => {
+    sinon.stub(dialogUtil, 'mountDialog', () => {})
+  })
+
+  afterEach(() => {
+    dialogUtil.mountDialog.restore()
+  })
+
+  describe('handleLoadFile', () => {
+    it('should preview the datapoints in the file', () => {
+      const props = generateProps()
+      const dialog = shallow(<MetricImportDialog {...props} />)
+      assert(dialog.find(MetricsGraph).length === 0)
+
+      dialog.instance().handleLoadFile('data.csv', csv)
+      assert(dialog.state().datapoints.length === 2)
+      assert(dialog.state().timeframe === 'Week')
+      const graph = dialog.find(MetricsGraph)
+      assert(graph.length === 1)
+      assert(graph.prop('datapoints') === dialog.state().datapoints)
+    })
+
+    it('should show the error message if the file is invalid', () => {
+      const props = generateProps()
+      const dialog = shallow(<MetricImportDialog {...props} />)
+
+      dialog.instance().handleLoadFile('data.csv', 'timestamp,value\ninvalid,1')
+      assert(dialog.state().datapoints.length === 0)
+      assert(dialog.state().message.match(/line 2/))
+      assert(dialog.find(MetricsGraph).length === 0)
+    })
+  })
+
+  describe('getTimeframeCoveringDatapoints', () => {
+    it('should return the shortest timeframe covering the datapoints', () => {
+      const dialog = new MetricImportDialog(generateProps())
+      const build = (days) => [
+        {timestamp: '2017-07-01T00:00:00.000Z', value: 1},
+        {timestamp: new Date(Date.UTC(2017, 6, 1 + days)).toISOString(), value: 1}
+      ]
+      assert(dialog.getTimeframeCoveringDatapoints(build(1)) === 'Day')
+      assert(dialog.getTimeframeCoveringDatapoints(build(7)) === 'Week')
+      assert(dialog.getTimeframeCoveringDatapoints(build(100)) === 'Month')
+    })
+  })
+
+  describe('handleClickImportButton', () => {
+    it('should call importMetricsData with the datapoints', () => {
+      const props = generateProps()
+      const dialog = shallow(<MetricImportDialog {...props} />)
+      dialog.instance().handleLoadFile('data.csv', csv)
+
+      dialog.find(Button).first().simulate('click')
+      assert(props.importMetricsData.calledOnce)
+      assert(props.importMetricsData.firstCall.args[0] === '1')
+      assert(props.importMetricsData.firstCall.args[1].length === 2)
+    })
+
+    it('should disable the import button if no datapoints', () => {
+      const props = generateProps()
+      const dialog = shallow(<MetricImportDialog {...props} />)
+
+      assert(dialog.find(Button).first().prop('disabled') === true)
+    })
+
+    it('should show the progress', () => {
+      const props = generateProps()
+      const dialog = shallow(<MetricImportDialog {...props} />)
+      dialog.instance().handleLoadFile('data.csv', csv)
+
+      dialog.instance().importCallbacks.onLoad()
+      dialog.instance().importCallbacks.onProgress(1)
+      assert(dialog.text().match(/Imported 1 \/ 2 datapoints/))
+    })
+  })
+})
@@ -0,0 +1,105 @@
+import React from 'react'
+import { mount } from 'enzyme'
+import Button from 'components/common/Button'
+import DropdownList from 'components/common/DropdownList'
+import TextField from 'components/common/TextField'
+import PrometheusMetricsSelector from 'components/adminPage/PrometheusMetricsSelector/PrometheusMetricsSelector'
+
+describe('PrometheusMetricsSelector', () => {
+  const generateProps = () => {
+    return {
+      onChange: sinon.spy(),
+      fetchExternalMetrics: sinon.spy()
+    }
+  }
+
+  describe('constructor', () => {
+    it('should initialize state by the given props', () => {
+      const props = generateProps()
+      props.props = {URL: 'http://prometheus:9090', Query: 'up'}
+      const selector = new PrometheusMetricsSelector(props)
+      assert(selector.state.url === props.props.URL)
+      assert(selector.state.query === props.props.Query)
+      assert(selector.state.isFetching === false)
+    })
+
+    it('should set default values if props are empty', () => {
+      const props = generateProps()
+      const selector = new PrometheusMetricsSelector(props)
+      assert(selector.state.url === '')
+      assert(selector.state.query === '')
+    })
+  })
+
+  describe('componentDidMount', () => {
+    it('should not fetch series if the url is empty', () => {
+      const props = generateProps()
+      mount(<PrometheusMetricsSelector {...props} />)
+      assert(props.fetchExternalMetrics.notCalled)
+    })
+
+    it('should fetch series if the url is given', () => {
+      const props = generateProps()
+      props.props = {URL: 'http://prometheus:9090', Query: 'up'}
+      mount(<PrometheusMetricsSelector {...props} />)
+      assert(props.fetchExternalMetrics.calledOnce)
+      assert.deepEqual(props.fetchExternalMetrics.firstCall.args[1], {url: props.props.URL})
+    })
+
+    it('should not fetch series if series of the same server are already fetched', () => {
+      const props = generateProps()
+      props.props = {URL: 'http://prometheus:9090', Query: 'up'}
+      props.metrics = ['up']
+      props.filters = {url: props.props.URL}
+      mount(<PrometheusMetricsSelector {...props} />)
+      assert(props.fetchExternalMetrics.notCalled)
+    })
+  })
+
+  describe('render', () => {
+    it('should show the fetched series', () => {
+      const props = generateProps()
+      props.props = {URL: 'http://prometheus:9090', Query: 'up'}
+      props.metrics = ['up', 'go_goroutines']
+      props.filters = {url: props.props.URL}
+      const selector = mount(<PrometheusMetricsSelector {...props} />)
+
+      const dropdown = selector.find(DropdownList).first()
+      assert.deepEqual(dropdown.props().list, ['', 'go_goroutines', 'up'])
+      assert(dropdown.props().initialValue === 'up')
+    })
+
+    it('should notify the series as the query when the series is selected', () => {
+      const props = generateProps()
+      props.props = {URL: 'http://prometheus:9090', Query: ''}
+      props.metrics = ['up']
+      props.filters = {url: props.props.URL}
+      const selector = mount(<PrometheusMetricsSelector {...props} />)
+
+      selector.find(DropdownList).first().find('select').simulate('change', {target: {value: 'up'}})
+      assert(props.onChange.calledOnce)
+      assert.deepEqual(props.onChange.firstCall.args[0], {URL: props.props.URL, Query: 'up'})
+    })
+
+    it('should notify the query when it is edited', () => {
+      const props = generateProps()
+      props.props = {URL: 'http://prometheus:9090', Query: ''}
+      const selector = mount(<PrometheusMetricsSelector {...props} />)
+
+      const query = 'sum(rate(http_requests_total[5m]))'
+      selector.find(TextField).last().find('textarea').simulate('change', {target: {value: query}})
+      assert.deepEqual(props.onChange.lastCall.args[0], {URL: props.props.URL, Query: query})
+    })
+
+    it('should fetch series when the load button is clicked', () => {
+      const props = generateProps()
+      const selector = mount(<PrometheusMetricsSelector {...props} />)
+
+      const url = 'http://prometheus:9090'
+      selector.find(TextField).first().find('input').simulate('change', {target: {value: url}})
+      selector.find(Button).first().simulate('click')
+      assert(props.fetchExternalMetrics.calledOnce)
+      assert.deepEqual(props.fetchExternalMetrics.firstCall.args[1], {url})
+    })
+  })
+})
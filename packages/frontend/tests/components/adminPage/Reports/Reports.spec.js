@@ -0,0 +1,50 @@
+import React from 'react'
+import Reports from 'components/adminPage/Reports/Reports'
+import { shallow } from 'enzyme'
+
+describe('(Component) Reports', () => {
+  const genProps = (report) => {
+    return {
+      report,
+      serviceName: 'Lamb',
+      fetchAvailabilityReport: sinon.spy()
+    }
+  }
+
+  it('Fetches the report of the latest month', () => {
+    const props = genProps(null)
+    const component = shallow(<Reports {...props} />)
+    component.instance().componentDidMount()
+    assert(props.fetchAvailabilityReport.calledOnce)
+    assert(/^\d{4}-\d{2}$/.test(props.fetchAvailabilityReport.firstCall.args[0]))
+    assert(props.fetchAvailabilityReport.firstCall.args[1] === false)
+    assert(component.find('table').length === 0)
+  })
+
+  it('Renders the availability of the components', () => {
+    const props = genProps(null)
+    const component = shallow(<Reports {...props} />)
+    const report = {
+      period: component.state('period'),
+      startAt: '2017-01-01T00:00:00.000Z',
+      endAt: '2017-02-01T00:00:00.000Z',
+      excludeMaintenances: false,
+      components: [
+        {componentID: '1', name: 'API', availability: 0.99, downtime: 5400, incidents: [
+          {incidentID: 'i1', name: 'Outage', downtime: 5400}
+        ]},
+        {componentID: '2', name: 'Blog', availability: 1, downtime: 0, incidents: []}
+      ]
+    }
+    component.setProps({report})
+    assert(component.find('tbody tr').length === 2)
+    assert(component.find('tbody li').text() === 'Outage (1h 30m)')
+  })
+
+  it('Refetches the report when maintenances are excluded', () => {
+    const props = genProps(null)
+    const component = shallow(<Reports {...props} />)
+    component.find('input[type="checkbox"]').simulate('change', {target: {checked: true}})
+    assert(props.fetchAvailabilityReport.lastCall.args[1] === true)
+  })
+})
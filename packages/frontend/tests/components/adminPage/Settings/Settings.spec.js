@@ -11,6 +11,7 @@ describe('Settings', () => {
         adminPageURL: 'admin',
         statusPageURL: 'status',
         serviceName: 'service',
+        metricsRetentionDays: 30,
         apiKeys: [{id: '1', value: '1'}, {id: '2', value: '2'}]
       },
       fetchSettings: sinon.spy(),
@@ -27,6 +28,7 @@ describe('Settings', () => {
       assert(settings.state('adminPageURL') === props.settings.adminPageURL)
       assert(settings.state('statusPageURL') === props.settings.statusPageURL)
       assert(settings.state('serviceName') === props.settings.serviceName)
+      assert(settings.state('metricsRetentionDays') === '30')
       assert.deepEqual(settings.state('apiKeys')[0].id, props.settings.apiKeys[0].id)
       assert.deepEqual(settings.state('apiKeys')[0].status, apiKeyStatuses.created)
     })
@@ -83,6 +85,35 @@ describe('Settings', () => {
       assert(props.updateSettings.calledOnce)
     })
 
+    it('should pass the retention days as a number', () => {
+      const props = generateProps()
+      const settings = mount(<Settings {...props} />)
+      settings.getNode().handleChangeValue('metricsRetentionDays')('7')
+      settings.find(Button).simulate('click')
+
+      assert(props.updateSettings.firstCall.args[3] === 7)
+    })
+
+    it('should pass the option to show the affecting dependencies', () => {
+      const props = generateProps()
+      const settings = mount(<Settings {...props} />)
+      settings.find('input[type="checkbox"]').simulate('change', {target: {checked: true}})
+      settings.find(Button).simulate('click')
+
+      assert(props.updateSettings.firstCall.args[4] === true)
+    })
+
+    it('should pass the maintenance messages', () => {
+      const props = generateProps()
+      const settings = mount(<Settings {...props} />)
+      settings.getNode().handleChangeValue('maintenanceStartMessage')('started')
+      settings.getNode().handleChangeValue('maintenanceEndMessage')('completed')
+      settings.find(Button).simulate('click')
+
+      assert(props.updateSettings.firstCall.args[5] === 'started')
+      assert(props.updateSettings.firstCall.args[6] === 'completed')
+    })
+
     it('should call the postApiKey function', () => {
       const props = generateProps()
       const settings = mount(<Settings {...props} />)
@@ -12,7 +12,8 @@ describe('MetricsGraph', () => {
       metric: {title: '', unit: '', data: {}},
       settings: {statusPageURL: 'example.com'},
       timeframe: timeframes[0],
-      fetchData: sinon.spy()
+      fetchData: sinon.spy(),
+      fetchRollup: sinon.spy()
     }
   }
 
@@ -101,6 +102,18 @@ describe('MetricsGraph', () => {
 
       assert(props.fetchData.callCount === getNumDates(props.timeframe) + 1)
     })
+
+    it('should fetch the rollup if the timeframe is long', () => {
+      const props = generateProps()
+      props.settings.statusPageURL = undefined
+      props.timeframe = 'Month'
+      const graph = mount(<MetricsGraph {...props} />)
+      graph.instance().fetchMetricData()
+
+      assert(props.fetchData.notCalled)
+      assert(props.fetchRollup.calledOnce)
+      assert(props.fetchRollup.firstCall.args[2] === '3hourly')
+    })
   })
 
   describe('areAllDataFetched', () => {
@@ -134,6 +147,88 @@ describe('MetricsGraph', () => {
     })
   })
 
+  describe('areAllDataFetched with rollup', () => {
+    it('should return true if the rollup is fetched', () => {
+      const props = generateProps()
+      props.timeframe = 'Week'
+      props.metric.rollups = {hourly: []}
+      const graph = mount(<MetricsGraph {...props} />)
+
+      assert(graph.instance().areAllDataFetched(props.metric.data) === true)
+    })
+
+    it('should return false if the rollup of the timeframe is not fetched', () => {
+      const props = generateProps()
+      props.timeframe = 'Week'
+      props.metric.rollups = {'3hourly': []}
+      const graph = mount(<MetricsGraph {...props} />)
+
+      assert(graph.instance().areAllDataFetched(props.metric.data) === false)
+    })
+  })
+
+  describe('preview', () => {
+    const datapoints = [
+      {timestamp: '2017-06-01T00:00:00.000Z', value: 1},
+      {timestamp: '2017-06-09T00:00:00.000Z', value: 2},
+      {timestamp: '2017-06-10T00:00:00.000Z', value: 4}
+    ]
+
+    it('should not fetch the data if the datapoints are given', () => {
+      const props = generateProps()
+      props.datapoints = datapoints
+      const graph = mount(<MetricsGraph {...props} />)
+
+      assert(graph.instance().areAllDataFetched(props.metric.data) === true)
+      graph.instance().fetchMetricData()
+      assert(props.fetchData.notCalled)
+      assert(props.fetchRollup.notCalled)
+    })
+
+    it('should collect the datapoints within the timeframe ending at the last datapoint', () => {
+      const props = generateProps()
+      props.datapoints = datapoints
+      props.timeframe = 'Day'
+      const graph = mount(<MetricsGraph {...props} />)
+
+      assert(graph.instance().getEndDate().toISOString() === '2017-06-10T00:00:00.000Z')
+      assert.deepEqual(graph.instance().getDatapointsWithinTimeframe(), datapoints.slice(1))
+      assert(graph.instance().hasDatapoints(props.metric.data) === true)
+    })
+  })
+
+  describe('collectRollupWithinRange', () => {
+    it('should convert the buckets within the range to the datapoints', () => {
+      const rollup = [
+        {timestamp: '2017-06-01T00:00:00.000Z', min: 1, avg: 2, max: 3, count: 2},
+        {timestamp: '2017-06-01T01:00:00.000Z', min: 4, avg: 5, max: 6, count: 2},
+        {timestamp: '2017-06-01T02:00:00.000Z', min: 7, avg: 8, max: 9, count: 2}
+      ]
+      const props = generateProps()
+      const graph = mount(<MetricsGraph {...props} />)
+      const data = graph.instance().collectRollupWithinRange(rollup, '2017-06-01T00:30:00.000Z',
+                                                             '2017-06-01T02:00:00.000Z')
+
+      assert(data.length === 2)
+      assert(data[0].value === 5)
+      assert(data[1].value === 8)
+    })
+  })
+
+  describe('calculateRollupAvg', () => {
+    it('should return the average weighted by the count', () => {
+      const rollup = [
+        {timestamp: '2017-06-01T00:00:00.000Z', min: 1, avg: 1, max: 1, count: 3},
+        {timestamp: '2017-06-01T01:00:00.000Z', min: 5, avg: 5, max: 5, count: 1}
+      ]
+      const props = generateProps()
+      const graph = mount(<MetricsGraph {...props} />)
+
+      assert(graph.instance().calculateRollupAvg(rollup) === 2)
+      assert(graph.instance().calculateRollupAvg([]) === 0)
+    })
+  })
+
   describe('collectDataWithinRange', () => {
     it('should collect data within the specified range', () => {
       const props = generateProps()
@@ -316,6 +411,227 @@ describe('MetricsGraph', () => {
     })
   })
 
+  describe('updateGraph with display options', () => {
+    const drawGraph = (props, values) => {
+      let graphParams
+      sinon.stub(c3, 'generate', params => {
+        graphParams = params
+      })
+      const graph = mount(<MetricsGraph {...props} />)
+      const inst = graph.instance()
+      inst.collectDataWithinRange = sinon.stub().returns([1])
+      inst.averageDataByInterval = sinon.stub().returns({
+        timestamps: values.map(() => new Date()),
+        values
+      })
+      inst.updateGraph()
+      c3.generate.restore()
+      return graphParams
+    }
+
+    it('should draw the chart type with the decimal places', () => {
+      const props = generateProps()
+      props.metric.unit = 'ms'
+      props.metric.displayOptions = {chartType: 'bar', decimals: 2}
+      const graphParams = drawGraph(props, [1, 2, 3])
+
+      assert(graphParams.data.type === 'bar')
+      assert(graphParams.tooltip.format.value(1.5) === '1.50ms')
+    })
+
+    it('should fix the y-axis bounds', () => {
+      const props = generateProps()
+      props.metric.displayOptions = {yMin: 0, yMax: 100}
+      const graphParams = drawGraph(props, [10, 20, 30])
+
+      assert(graphParams.axis.y.min === 0)
+      assert(graphParams.axis.y.max === 100)
+      assert.deepEqual(graphParams.axis.y.tick.values, [0, 50, 100])
+    })
+
+    it('should scale the values and the unit', () => {
+      const props = generateProps()
+      props.metric.unit = 'ms'
+      props.metric.displayOptions = {decimals: 1, yMax: 3000, scaleUnit: true}
+      const graphParams = drawGraph(props, [500, null, 1500])
+
+      assert.deepEqual(graphParams.data.columns[1], ['data', 0.5, null, 1.5])
+      assert(graphParams.axis.y.max === 3)
+      assert(graphParams.tooltip.format.value(1.5) === '1.5s')
+    })
+
+    it('should prefer the display options in props', () => {
+      const props = generateProps()
+      props.metric.displayOptions = {chartType: 'bar'}
+      props.displayOptions = {chartType: 'area'}
+      const graphParams = drawGraph(props, [1, 2, 3])
+
+      assert(graphParams.data.type === 'area')
+    })
+  })
+
+  describe('multi-series', () => {
+    const generateGroupProps = (data) => {
+      const props = generateProps()
+      delete props.metricID
+      props.groupID = 'g1'
+      props.metric = {title: 'Latency', unit: 'ms'}
+      props.series = [
+        {metricID: '1', title: 'p50', unit: 'ms', data},
+        {metricID: '2', title: 'p99', unit: 'ms', data}
+      ]
+      return props
+    }
+
+    it('should fetch the data of all the metrics', () => {
+      const props = generateGroupProps({})
+      props.settings.statusPageURL = undefined
+      const graph = mount(<MetricsGraph {...props} />)
+      graph.instance().fetchMetricData()
+
+      assert(props.fetchData.callCount === (getNumDates(props.timeframe) + 1) * 2)
+      assert(props.fetchData.calledWith(undefined, '2'))
+    })
+
+    it('should wait until the data of all the metrics are fetched', () => {
+      const dates = buildDates()
+      const props = generateGroupProps({[dates[0]]: [], [dates[1]]: []})
+      props.series[1].data = {[dates[1]]: []}
+      const graph = mount(<MetricsGraph {...props} />)
+
+      assert(graph.instance().areAllSeriesFetched() === false)
+    })
+
+    it('should draw one line per metric with the legend', () => {
+      let graphParams
+      sinon.stub(c3, 'generate', params => {
+        graphParams = params
+      })
+
+      const dates = buildDates()
+      const props = generateGroupProps({[dates[0]]: [], [dates[1]]: []})
+      const graph = mount(<MetricsGraph {...props} />)
+      const inst = graph.instance()
+      inst.collectDataWithinRange = sinon.stub().returns([1])
+      inst.averageDataByInterval = sinon.stub()
+      inst.averageDataByInterval.onFirstCall().returns({timestamps: [new Date(), new Date()], values: [1, 2]})
+      inst.averageDataByInterval.onSecondCall().returns({timestamps: [new Date(), new Date()], values: [3, 4]})
+      inst.updateGraph()
+      c3.generate.restore()
+
+      assert(graphParams.bindto === '#metricGroupIDg1')
+      assert.deepEqual(graphParams.data.columns.slice(1), [['1', 1, 2], ['2', 3, 4]])
+      assert.deepEqual(graphParams.data.names, {'1': 'p50', '2': 'p99'})
+      assert(graphParams.legend.show === true)
+      assert(graphParams.tooltip.format.name('', 0, '2') === 'p99')
+      assert(graphParams.axis.y.min === 1)
+      assert(graphParams.axis.y.max === 4)
+    })
+
+    it('should render the graph without the average', () => {
+      const dates = buildDates()
+      const props = generateGroupProps({[dates[0]]: [{timestamp: 1, value: 1}], [dates[1]]: []})
+      const graph = mount(<MetricsGraph {...props} />)
+
+      assert(graph.find('#metricGroupIDg1').length === 1)
+      assert(graph.find(`.${classes.average}`).length === 0)
+    })
+  })
+
+  describe('getAnnotations', () => {
+    const begin = '2017-07-03T00:00:00.000Z'
+    const end = '2017-07-04T00:00:00.000Z'
+
+    it('should return nothing if the graph is not annotated', () => {
+      const props = generateProps()
+      props.incidents = [{incidentID: '1', name: 'outage', status: 'Resolved', updatedAt: '2017-07-03T01:00:00.000Z'}]
+      const inst = new MetricsGraph(props)
+      assert.deepEqual(inst.getAnnotations(begin, end), [])
+    })
+
+    it('should return the incidents from the first update until resolved', () => {
+      const props = generateProps()
+      props.annotated = true
+      props.incidents = [
+        {incidentID: '1', name: 'resolved', status: 'Resolved', updatedAt: '2017-07-03T02:00:00.000Z',
+          incidentUpdates: [{updatedAt: '2017-07-03T02:00:00.000Z'}, {updatedAt: '2017-07-03T01:00:00.000Z'}]},
+        {incidentID: '2', name: 'ongoing', status: 'Investigating', updatedAt: '2017-07-03T03:00:00.000Z'},
+        {incidentID: '3', name: 'old', status: 'Resolved', updatedAt: '2017-07-01T00:00:00.000Z'}
+      ]
+      const inst = new MetricsGraph(props)
+      assert.deepEqual(inst.getAnnotations(begin, end), [
+        {type: 'incident', name: 'resolved', link: '/incidents/1', start: '2017-07-03T01:00:00.000Z',
+          end: '2017-07-03T02:00:00.000Z'},
+        {type: 'incident', name: 'ongoing', link: '/incidents/2', start: '2017-07-03T03:00:00.000Z', end}
+      ])
+    })
+
+    it('should clip the maintenances to the range', () => {
+      const props = generateProps()
+      props.annotated = true
+      props.maintenances = [
+        {maintenanceID: '1', name: 'upgrade', startAt: '2017-07-02T23:00:00.000Z', endAt: '2017-07-03T01:00:00.000Z'},
+        {maintenanceID: '2', name: 'future', startAt: '2017-07-05T00:00:00.000Z', endAt: '2017-07-05T01:00:00.000Z'}
+      ]
+      const inst = new MetricsGraph(props)
+      assert.deepEqual(inst.getAnnotations(begin, end), [
+        {type: 'maintenance', name: 'upgrade', link: '/maintenances/1', start: begin,
+          end: '2017-07-03T01:00:00.000Z'}
+      ])
+    })
+  })
+
+  describe('findAnnotationsAt', () => {
+    it('should return the annotations overlapping the interval', () => {
+      const inst = new MetricsGraph(generateProps())
+      const annotations = [
+        {name: 'point', start: '2017-07-03T01:10:00.000Z', end: '2017-07-03T01:10:00.000Z'},
+        {name: 'range', start: '2017-07-03T00:00:00.000Z', end: '2017-07-03T00:30:00.000Z'}
+      ]
+      const intervalInMs = 60 * 60 * 1000
+      const names = (date) => inst.findAnnotationsAt(annotations, new Date(date), intervalInMs).map(a => a.name)
+      assert.deepEqual(names('2017-07-03T00:00:00.000Z'), ['range'])
+      assert.deepEqual(names('2017-07-03T01:00:00.000Z'), ['point'])
+      assert.deepEqual(names('2017-07-03T02:00:00.000Z'), [])
+    })
+  })
+
+  describe('updateGraph with annotations', () => {
+    it('should draw the regions and navigate to the clicked annotation', () => {
+      let graphParams
+      sinon.stub(c3, 'generate', params => {
+        graphParams = params
+      })
+
+      const props = generateProps()
+      props.annotated = true
+      props.navigate = sinon.spy()
+      const now = new Date()
+      const startAt = new Date(now.getTime() - 2 * 60 * 60 * 1000)
+      const endAt = new Date(now.getTime() - 60 * 60 * 1000)
+      props.maintenances = [
+        {maintenanceID: '1', name: '<upgrade>', startAt: startAt.toISOString(), endAt: endAt.toISOString()}
+      ]
+      const graph = mount(<MetricsGraph {...props} />)
+      const inst = graph.instance()
+      inst.collectDataWithinRange = sinon.stub().returns([1])
+      inst.averageDataByInterval = sinon.stub().returns({
+        timestamps: [startAt, endAt],
+        values: [1, 2]
+      })
+      inst.updateGraph()
+      c3.generate.restore()
+
+      assert(graphParams.regions.length === 1)
+      assert(graphParams.regions[0].class === 'annotation-maintenance')
+      assert(graphParams.axis.x.tick.format !== undefined)
+      assert(graphParams.tooltip.format.title(startAt).match(/&lt;upgrade&gt;/))
+
+      graphParams.data.onclick({x: startAt})
+      assert(props.navigate.calledWith('/maintenances/1'))
+    })
+  })
+
   describe('hasDatapoints', () => {
     it('should return true if there is any data', () => {
       const dates = buildDates()
@@ -359,6 +675,21 @@ describe('MetricsGraph', () => {
       assert(graph.find(`#metricID${props.metricID}`).length === 1)
     })
 
+    it('should render the average with the display options', () => {
+      const dates = buildDates()
+      const data = {
+        [dates[0]]: [{timestamp: 1, value: 1000}, {timestamp: 2, value: 2000}],
+        [dates[1]]: []
+      }
+      const props = generateProps()
+      props.metric.unit = 'ms'
+      props.metric.data = data
+      props.metric.displayOptions = {decimals: 2, scaleUnit: true}
+      const graph = mount(<MetricsGraph {...props} />)
+
+      assert(graph.text().indexOf('1.50s') >= 0)
+    })
+
     it('should render the fetching message if some data are not available', () => {
       const dates = buildDates()
       const data = {
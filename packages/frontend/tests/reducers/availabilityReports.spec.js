@@ -0,0 +1,12 @@
+import { setAvailabilityReport } from 'actions/availabilityReports'
+import availabilityReportsReducer from 'reducers/availabilityReports'
+
+describe('Reducers/availabilityReports', () => {
+  describe('setAvailabilityReportHandler', () => {
+    it('should update the `report` state.', () => {
+      const report = {period: '2017-01', excludeMaintenances: false, components: []}
+      const state = availabilityReportsReducer(undefined, setAvailabilityReport(report))
+      assert.deepEqual(state.report, report)
+    })
+  })
+})
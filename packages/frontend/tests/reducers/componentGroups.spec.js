@@ -0,0 +1,44 @@
+import { listComponentGroups, addComponentGroup, editComponentGroup,
+  removeComponentGroup } from 'actions/componentGroups'
+import componentGroupsReducer from 'reducers/componentGroups'
+
+describe('Reducers/componentGroups', () => {
+  const group = {
+    groupID: '1',
+    name: 'API',
+    description: '',
+    order: 0
+  }
+
+  describe('listComponentGroupsHandler', () => {
+    it('should update the `componentGroups` state.', () => {
+      const state = componentGroupsReducer(undefined, listComponentGroups([group]))
+      assert.deepEqual([group], state.componentGroups)
+    })
+  })
+
+  describe('addComponentGroupHandler', () => {
+    it('should add the new component group to the store.', () => {
+      const state = componentGroupsReducer({componentGroups: [group]}, addComponentGroup({...group, groupID: '2'}))
+
+      assert(state.componentGroups.length === 2)
+      assert(state.componentGroups[1].groupID === '2')
+    })
+  })
+
+  describe('editComponentGroupHandler', () => {
+    it('should sort the component groups using latest orders.', () => {
+      const groups = [group, {...group, groupID: '2'}]
+      const state = componentGroupsReducer({componentGroups: groups}, editComponentGroup({...group, order: 1}))
+
+      assert(state.componentGroups[0].groupID === '2')
+    })
+  })
+
+  describe('removeComponentGroupHandler', () => {
+    it('should delete the component group.', () => {
+      const state = componentGroupsReducer({componentGroups: [group]}, removeComponentGroup('1'))
+      assert(state.componentGroups.length === 0)
+    })
+  })
+})
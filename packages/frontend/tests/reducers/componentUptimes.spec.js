@@ -0,0 +1,12 @@
+import { listComponentUptimes } from 'actions/componentUptimes'
+import componentUptimesReducer from 'reducers/componentUptimes'
+
+describe('Reducers/componentUptimes', () => {
+  describe('listComponentUptimesHandler', () => {
+    it('should update the `uptimes` state.', () => {
+      const uptimes = {'1': [{date: '2017-01-01', availability: 1, status: 'Operational'}]}
+      const state = componentUptimesReducer(undefined, listComponentUptimes(uptimes))
+      assert.deepEqual(state.uptimes, uptimes)
+    })
+  })
+})
@@ -1,5 +1,6 @@
 import { listComponents, addComponent, editComponent,
-  removeComponent } from 'actions/components'
+  removeComponent, listComponentHistory } from 'actions/components'
+import { removeComponentGroup } from 'actions/componentGroups'
 import componentsReducer from 'reducers/components'
 
 describe('Reducers/components', () => {
@@ -47,10 +48,34 @@ describe('Reducers/components', () => {
     })
   })
 
+  describe('listComponentHistoryHandler', () => {
+    it('should update the status history of the component.', () => {
+      const statusHistory = [{componentID: '1', changedAt: '1', previousStatus: 'Operational', status: 'Major Outage'}]
+      const state = componentsReducer({components: [comp]}, listComponentHistory(statusHistory, '1'))
+      assert.deepEqual(state.components[0].statusHistory, statusHistory)
+    })
+  })
+
   describe('removeComponentHandler', () => {
     it('should delete the component.', () => {
       const state = componentsReducer({components: [comp]}, removeComponent('1'))
       assert(state.components.length === 0)
     })
+
+    it('should remove the component from the dependencies.', () => {
+      const comps = [comp, {...comp, componentID: '2', dependencies: ['1', '3']}]
+      const state = componentsReducer({components: comps}, removeComponent('1'))
+      assert.deepEqual(state.components[0].dependencies, ['3'])
+    })
+  })
+
+  describe('removeComponentGroupHandler', () => {
+    it('should remove the group from its components.', () => {
+      const comps = [{...comp, groupID: 'g1'}, {...comp, componentID: '2', groupID: 'g2'}]
+      const state = componentsReducer({components: comps}, removeComponentGroup('g1'))
+
+      assert(state.components[0].groupID === '')
+      assert(state.components[1].groupID === 'g2')
+    })
   })
 })
@@ -1,4 +1,4 @@
-import { listIncidents, listIncidentUpdates, addIncident, editIncident,
+import { listIncidents, listDraftIncidents, listIncidentUpdates, addIncident, editIncident,
          removeIncident } from 'actions/incidents'
 import incidentsReducer from 'reducers/incidents'
 
@@ -34,6 +34,15 @@ describe('Reducers/incidents', () => {
     })
   })
 
+  describe('listDraftIncidentsHandler', () => {
+    it('should update the draft incidents.', () => {
+      const draftIncident = { ...incident1, draft: true }
+      const state = incidentsReducer(undefined, listDraftIncidents([draftIncident]))
+      assert.deepEqual([draftIncident], state.draftIncidents)
+      assert(state.incidents.length === 0)
+    })
+  })
+
   describe('listIncidentUpdatesHandler', () => {
     it('should update the incident updates.', () => {
       const state = incidentsReducer({incidents: [incident1]},
@@ -67,6 +76,15 @@ describe('Reducers/incidents', () => {
       const state = incidentsReducer({incidents: [incident1]}, editIncident({incident: newIncident}))
       assert.deepEqual([newIncident], state.incidents)
     })
+
+    it('should move the published draft to the `incidents` state.', () => {
+      const draftIncident = { ...incident2, draft: true }
+      const publishedIncident = { ...incident2, draft: false }
+      const state = incidentsReducer({incidents: [incident1], draftIncidents: [draftIncident]},
+                                     editIncident({incident: publishedIncident}))
+      assert.deepEqual([publishedIncident, incident1], state.incidents)
+      assert(state.draftIncidents.length === 0)
+    })
   })
 
   describe('removeIncidentHandler', () => {
@@ -74,5 +92,10 @@ describe('Reducers/incidents', () => {
       const state = incidentsReducer({incidents: [incident1]}, removeIncident('1'))
       assert(state.incidents.length === 0)
     })
+
+    it('should delete the `draftIncidents` state.', () => {
+      const state = incidentsReducer({incidents: [], draftIncidents: [incident1]}, removeIncident('1'))
+      assert(state.draftIncidents.length === 0)
+    })
   })
 })
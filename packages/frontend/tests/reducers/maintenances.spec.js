@@ -58,6 +58,14 @@ describe('Reducers/maintenances', () => {
       const state = maintenancesReducer({maintenances: [maintenance1]}, addMaintenance({maintenance: maintenance2}))
       assert.deepEqual([maintenance2, maintenance1], state.maintenances)
     })
+
+    it('should add the occurrences of the recurring maintenance.', () => {
+      const series = { ...maintenance2, recurrence: {frequency: 'daily', interval: 1, until: '3'} }
+      const occurrences = [{ ...maintenance2, maintenanceID: '2-1', seriesID: '2' }]
+      const state = maintenancesReducer({maintenances: [maintenance1]},
+                                        addMaintenance({maintenance: series, occurrences}))
+      assert.deepEqual([occurrences[0], maintenance1], state.maintenances)
+    })
   })
 
   describe('editMaintenanceHandler', () => {
@@ -0,0 +1,52 @@
+import { listMetricGroups, addMetricGroup, editMetricGroup, removeMetricGroup } from 'actions/metricGroups'
+import metricGroupsReducer from 'reducers/metricGroups'
+
+describe('Reducers/metricGroups', () => {
+  const group = {
+    groupID: '1',
+    title: 'Latency',
+    description: '',
+    metricIDs: ['1', '2'],
+    status: 'Visible',
+    order: 0
+  }
+
+  describe('listMetricGroupsHandler', () => {
+    it('should update the `metricGroups` state.', () => {
+      const state = metricGroupsReducer(undefined, listMetricGroups([group]))
+      assert.deepEqual([group], state.metricGroups)
+    })
+  })
+
+  describe('addMetricGroupHandler', () => {
+    it('should add the new metric group to the store.', () => {
+      const state = metricGroupsReducer({metricGroups: [group]}, addMetricGroup({...group, groupID: '2'}))
+
+      assert(state.metricGroups.length === 2)
+      assert(state.metricGroups[1].groupID === '2')
+    })
+  })
+
+  describe('editMetricGroupHandler', () => {
+    it('should update the existing metric group.', () => {
+      const state = metricGroupsReducer({metricGroups: [group]}, editMetricGroup({...group, metricIDs: ['2']}))
+
+      assert(state.metricGroups.length === 1)
+      assert.deepEqual(state.metricGroups[0].metricIDs, ['2'])
+    })
+
+    it('should sort the metric groups using latest orders.', () => {
+      const groups = [group, {...group, groupID: '2'}]
+      const state = metricGroupsReducer({metricGroups: groups}, editMetricGroup({...group, order: 1}))
+
+      assert(state.metricGroups[0].groupID === '2')
+    })
+  })
+
+  describe('removeMetricGroupHandler', () => {
+    it('should delete the metric group.', () => {
+      const state = metricGroupsReducer({metricGroups: [group]}, removeMetricGroup('1'))
+      assert(state.metricGroups.length === 0)
+    })
+  })
+})
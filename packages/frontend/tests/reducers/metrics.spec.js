@@ -1,4 +1,4 @@
-import { listMetrics, listExternalMetrics, listMetricsData, addMetric, editMetric,
+import { listMetrics, listExternalMetrics, listMetricsData, listMetricsRollup, addMetric, editMetric,
          removeMetric } from 'actions/metrics'
 import metricsReducer from 'reducers/metrics'
 
@@ -34,6 +34,16 @@ describe('Reducers/metrics', () => {
     })
   })
 
+  describe('listMetricsRollupHandler', () => {
+    it('should add the rollup.', () => {
+      const rollup = [{timestamp: '2017-06-27T01:00:00.000Z', min: 0, avg: 0, max: 0, count: 2}]
+      const state = metricsReducer({metrics: [{...metrics[0], rollups: {'3hourly': []}}]},
+                                   listMetricsRollup(metrics[0].metricID, 'hourly', rollup))
+      assert.deepEqual(state.metrics[0].rollups.hourly, rollup)
+      assert.deepEqual(state.metrics[0].rollups['3hourly'], [])
+    })
+  })
+
   describe('listExternalMetricsHandler', () => {
     it('should update the metrics.', () => {
       const type = 'type'
@@ -0,0 +1,11 @@
+import { setSystemStatus } from 'actions/systemStatus'
+import systemStatusReducer from 'reducers/systemStatus'
+
+describe('Reducers/systemStatus', () => {
+  describe('setSystemStatusHandler', () => {
+    it('should update the `status` state.', () => {
+      const state = systemStatusReducer(undefined, setSystemStatus({status: 'Major Outage'}))
+      assert(state.status === 'Major Outage')
+    })
+  })
+})
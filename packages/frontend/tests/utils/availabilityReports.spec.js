@@ -0,0 +1,57 @@
+import { listPeriods, formatAvailability, formatDuration, buildReportCSV,
+  buildReportHTML } from 'utils/availabilityReports'
+
+describe('utils/availabilityReports', () => {
+  const report = {
+    period: '2017-01',
+    startAt: '2017-01-01T00:00:00.000Z',
+    endAt: '2017-02-01T00:00:00.000Z',
+    excludeMaintenances: true,
+    components: [
+      {componentID: '1', name: 'API, v2', availability: 0.99, downtime: 5400, incidents: [
+        {incidentID: 'i1', name: '<Outage>', downtime: 5400}
+      ]},
+      {componentID: '2', name: 'Blog', availability: null, downtime: 0, incidents: []}
+    ]
+  }
+
+  describe('listPeriods', () => {
+    it('should list the months and the quarters from the latest.', () => {
+      const periods = listPeriods(new Date('2017-02-15T00:00:00.000Z'), 3, 2)
+      assert.deepEqual(periods, ['2017-02', '2017-01', '2016-12', '2017-Q1', '2016-Q4'])
+    })
+  })
+
+  describe('formatAvailability', () => {
+    it('should format the availability as the percentage.', () => {
+      assert(formatAvailability(0.99995) === '99.995%')
+      assert(formatAvailability(null) === 'N/A')
+    })
+  })
+
+  describe('formatDuration', () => {
+    it('should format the seconds.', () => {
+      assert(formatDuration(59) === '0m')
+      assert(formatDuration(5400) === '1h 30m')
+      assert(formatDuration(90000) === '1d 1h 0m')
+    })
+  })
+
+  describe('buildReportCSV', () => {
+    it('should return one row per component.', () => {
+      const lines = buildReportCSV(report).trim().split('\n')
+      assert(lines.length === 3)
+      assert(lines[1] === '"API, v2",99.000,5400,<Outage> (1h 30m)')
+      assert(lines[2] === 'Blog,,0,')
+    })
+  })
+
+  describe('buildReportHTML', () => {
+    it('should escape the names.', () => {
+      const html = buildReportHTML(report, 'Lamb')
+      assert(html.indexOf('Lamb Availability Report: 2017-01') >= 0)
+      assert(html.indexOf('&lt;Outage&gt;') >= 0)
+      assert(html.indexOf('<Outage>') < 0)
+    })
+  })
+})
@@ -0,0 +1,49 @@
+import { getAffectedVia, getDownstreamSuggestions } from 'utils/dependencies'
+
+describe('utils/dependencies', () => {
+  const genComponents = () => {
+    return [
+      {componentID: 'db', name: 'Database', status: 'Operational', dependencies: []},
+      {componentID: 'pay', name: 'Payments API', status: 'Operational', dependencies: ['db']},
+      {componentID: 'checkout', name: 'Checkout', status: 'Operational', dependencies: ['pay', 'db']},
+      {componentID: 'blog', name: 'Blog', status: 'Operational'}
+    ]
+  }
+
+  describe('getAffectedVia', () => {
+    it('should return the degraded dependencies of the components.', () => {
+      const components = genComponents()
+      components[0].status = 'Partial Outage'
+      assert.deepEqual(getAffectedVia(components), {pay: ['Database'], checkout: ['Database']})
+    })
+
+    it('should ignore the dependencies under maintenance.', () => {
+      const components = genComponents()
+      components[0].status = 'Under Maintenance'
+      assert.deepEqual(getAffectedVia(components), {})
+    })
+  })
+
+  describe('getDownstreamSuggestions', () => {
+    it('should suggest the downstream components with the worst status of the dependencies.', () => {
+      const components = genComponents()
+      components[0].status = 'Major Outage'
+      const suggestions = getDownstreamSuggestions(components)
+      assert.deepEqual(suggestions, [
+        {componentID: 'pay', name: 'Payments API', status: 'Major Outage', via: ['Database']},
+        {componentID: 'checkout', name: 'Checkout', status: 'Major Outage', via: ['Payments API', 'Database']}
+      ])
+    })
+
+    it('should not suggest the component whose status is already changed.', () => {
+      const components = genComponents()
+      components[1].status = 'Degraded Performance'
+      components[2].status = 'Partial Outage'
+      assert.deepEqual(getDownstreamSuggestions(components), [])
+    })
+
+    it('should return nothing if all the components are operational.', () => {
+      assert.deepEqual(getDownstreamSuggestions(genComponents()), [])
+    })
+  })
+})
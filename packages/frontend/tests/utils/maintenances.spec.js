@@ -0,0 +1,16 @@
+import { hideLaterOccurrences } from 'utils/maintenances'
+
+describe('utils/maintenances', () => {
+  describe('hideLaterOccurrences', () => {
+    it('should keep only the next scheduled occurrence of the series.', () => {
+      const maintenances = [
+        {maintenanceID: '1', status: 'Scheduled', startAt: '2017-01-01T00:00:00.000Z'},
+        {maintenanceID: 's-3', seriesID: 's', status: 'Scheduled', startAt: '2017-01-15T00:00:00.000Z'},
+        {maintenanceID: 's-2', seriesID: 's', status: 'Scheduled', startAt: '2017-01-08T00:00:00.000Z'},
+        {maintenanceID: 's-1', seriesID: 's', status: 'Completed', startAt: '2017-01-01T00:00:00.000Z'}
+      ]
+      assert.deepEqual(hideLaterOccurrences(maintenances).map(maintenance => maintenance.maintenanceID),
+                       ['1', 's-2', 's-1'])
+    })
+  })
+})
@@ -0,0 +1,49 @@
+import { defaultDisplayOptions, getUnitScale, formatValue, getDisplayOptions } from 'utils/metricDisplay'
+
+describe('utils/metricDisplay', () => {
+  describe('getUnitScale', () => {
+    it('should return the largest unit in which the value is 1 or more.', () => {
+      assert.deepEqual(getUnitScale('ms', 999), {unit: 'ms', divisor: 1})
+      assert.deepEqual(getUnitScale('ms', 1500), {unit: 's', divisor: 1000})
+      assert.deepEqual(getUnitScale('ms', 2 * 60 * 60 * 1000), {unit: 'h', divisor: 60 * 60 * 1000})
+      assert.deepEqual(getUnitScale('s', 90), {unit: 'min', divisor: 60})
+      assert.deepEqual(getUnitScale('bytes', 3 * 1024 * 1024), {unit: 'MB', divisor: 1024 * 1024})
+      assert.deepEqual(getUnitScale('KB', 2048), {unit: 'MB', divisor: 1024})
+    })
+
+    it('should scale the negative value by its absolute value.', () => {
+      assert.deepEqual(getUnitScale('ms', -1500), {unit: 's', divisor: 1000})
+    })
+
+    it('should not scale the unknown unit.', () => {
+      assert.deepEqual(getUnitScale('%', 1000), {unit: '%', divisor: 1})
+      assert.deepEqual(getUnitScale('', 1000), {unit: '', divisor: 1})
+    })
+
+    it('should not scale the invalid value.', () => {
+      assert.deepEqual(getUnitScale('ms', undefined), {unit: 'ms', divisor: 1})
+    })
+  })
+
+  describe('formatValue', () => {
+    it('should format the value with the decimal places.', () => {
+      assert(formatValue(1.26, 1) === '1.3')
+      assert(formatValue(2, 2) === '2.00')
+      assert(formatValue(2.6) === '3')
+    })
+  })
+
+  describe('getDisplayOptions', () => {
+    it('should fill in the options the metric lacks.', () => {
+      assert.deepEqual(getDisplayOptions({}), defaultDisplayOptions)
+      assert.deepEqual(getDisplayOptions({displayOptions: {chartType: 'bar'}}),
+                       Object.assign({}, defaultDisplayOptions, {chartType: 'bar'}))
+    })
+
+    it('should prefer the overrides.', () => {
+      const metric = {displayOptions: {chartType: 'bar', decimals: 2}}
+      assert.deepEqual(getDisplayOptions(metric, {chartType: 'area'}),
+                       Object.assign({}, defaultDisplayOptions, {chartType: 'area', decimals: 2}))
+    })
+  })
+})
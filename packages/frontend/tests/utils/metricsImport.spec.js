@@ -0,0 +1,76 @@
+import { parseCSV, parseJSON, parseDatapoints } from 'utils/metricsImport'
+
+describe('utils/metricsImport', () => {
+  describe('parseCSV', () => {
+    it('should parse the rows.', () => {
+      const text = 'timestamp,value\n2017-07-03T00:00:00.000Z,1\r\n\n2017-07-03T09:01:00+09:00, 2.5\n'
+      const datapoints = parseCSV(text)
+      assert.deepEqual(datapoints, [
+        {timestamp: '2017-07-03T00:00:00.000Z', value: 1},
+        {timestamp: '2017-07-03T00:01:00.000Z', value: 2.5}
+      ])
+    })
+
+    it('should leave the future timestamp to the API.', () => {
+      const timestamp = new Date(new Date().getTime() + 60 * 60 * 1000).toISOString()
+      assert.deepEqual(parseCSV(`${timestamp},1`), [{timestamp, value: 1}])
+    })
+
+    it('should throw the error with the line number if the row is invalid.', () => {
+      const invalidTexts = [
+        ['2017-07-03T00:00:00.000Z,1\n2017-07-03T00:01:00.000Z', /line 2/],
+        ['2017-07-03T00:00:00.000Z,1\ninvalid,1', /timestamp at line 2/],
+        ['2017-07-03T00:00:00.000Z,a', /value at line 1/],
+        ['2017-07-03T00:00:00.000Z,', /value at line 1/]
+      ]
+      invalidTexts.forEach(([text, expected]) => {
+        let error
+        try {
+          parseCSV(text)
+        } catch (e) {
+          error = e
+        }
+        assert(error.message.match(expected))
+      })
+    })
+  })
+
+  describe('parseJSON', () => {
+    it('should parse the array of datapoints.', () => {
+      const datapoints = parseJSON('[{"timestamp": "2017-07-03T00:00:00.000Z", "value": 1}]')
+      assert.deepEqual(datapoints, [{timestamp: '2017-07-03T00:00:00.000Z', value: 1}])
+    })
+
+    it('should throw the error if the JSON is invalid.', () => {
+      const invalidTexts = ['{', '{}', '[1]', '[{"timestamp": "2017-07-03T00:00:00.000Z", "value": "1"}]']
+      invalidTexts.forEach(text => {
+        let error
+        try {
+          parseJSON(text)
+        } catch (e) {
+          error = e
+        }
+        assert(error !== undefined)
+      })
+    })
+  })
+
+  describe('parseDatapoints', () => {
+    it('should parse the file by the extension and sort the datapoints.', () => {
+      const csv = '2017-07-03T00:01:00.000Z,2\n2017-07-03T00:00:00.000Z,1'
+      const datapoints = parseDatapoints('data.CSV', csv)
+      assert(datapoints[0].timestamp === '2017-07-03T00:00:00.000Z')
+      assert(datapoints[1].timestamp === '2017-07-03T00:01:00.000Z')
+    })
+
+    it('should throw the error if the file is neither CSV nor JSON.', () => {
+      let error
+      try {
+        parseDatapoints('data.txt', '')
+      } catch (e) {
+        error = e
+      }
+      assert(error.message.match(/CSV or JSON/))
+    })
+  })
+})
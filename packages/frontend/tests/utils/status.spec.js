@@ -1,4 +1,5 @@
-import { componentStatuses, getComponentColor, incidentStatuses, getIncidentColor, metricStatuses,
+import { componentStatuses, getComponentColor, getWorstComponentStatus, getAverageAvailability, incidentStatuses,
+         getIncidentColor, incidentImpacts, getIncidentImpactColor, systemStatuses, getSystemStatusColor, metricStatuses,
          getMetricColor, maintenanceStatuses, getMaintenanceColor, getXAxisFormat, getTooltipTitleFormat,
          getIncrementTimestampFunc, timeframeDay, timeframeWeek } from 'utils/status'
 
@@ -12,6 +13,27 @@ describe('utils/status', () => {
     })
   })
 
+  describe('getAverageAvailability', () => {
+    it('should return the average of the dates with data.', () => {
+      const uptimes = [{availability: null}, {availability: 1}, {availability: 0.5}]
+      assert(getAverageAvailability(uptimes) === 0.75)
+    })
+
+    it('should return null if no date has data.', () => {
+      assert(getAverageAvailability([{availability: null}]) === null)
+    })
+  })
+
+  describe('getWorstComponentStatus', () => {
+    it('should return the most severe status.', () => {
+      assert(getWorstComponentStatus(['Operational', 'Partial Outage', 'Degraded Performance']) === 'Partial Outage')
+    })
+
+    it('should return the operational status if no status is given.', () => {
+      assert(getWorstComponentStatus([]) === 'Operational')
+    })
+  })
+
   describe('getIncidentColor', () => {
     const unknownColor = '#9e9e9e'
     it('should return a color other than the unknown color.', () => {
@@ -21,6 +43,24 @@ describe('utils/status', () => {
     })
   })
 
+  describe('getIncidentImpactColor', () => {
+    const unknownColor = '#9e9e9e'
+    it('should return a color other than the unknown color.', () => {
+      incidentImpacts.forEach(impact => {
+        assert(getIncidentImpactColor(impact) !== unknownColor)
+      })
+    })
+  })
+
+  describe('getSystemStatusColor', () => {
+    const unknownColor = '#9e9e9e'
+    it('should return a color other than the unknown color.', () => {
+      systemStatuses.forEach(status => {
+        assert(getSystemStatusColor(status) !== unknownColor)
+      })
+    })
+  })
+
   describe('getMetricColor', () => {
     const unknownColor = '#9e9e9e'
     it('should return a metric color other than the unknown color.', () => {
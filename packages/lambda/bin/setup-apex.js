@@ -50,5 +50,8 @@ const createFunctionJSON = (role, timeout, memory, targetDirs) => {
 }
 createFunctionJSON(lambdaRoleArn, 60, 512, [
   buildDir + '/functions/CollectMetricsData',
+  buildDir + '/functions/RunHTTPChecks',
+  buildDir + '/functions/PruneMetricsData',
+  buildDir + '/functions/ImportMetricsData',
   buildDir + '/functions/GetExternalMetrics'
 ])
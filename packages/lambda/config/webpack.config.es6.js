@@ -21,6 +21,26 @@ export default {
       'babel-polyfill',
       './src/api/deleteComponents/index.js'
     ],
+    GetComponentHistory: [
+      'babel-polyfill',
+      './src/api/getComponentHistory/index.js'
+    ],
+    GetComponentGroups: [
+      'babel-polyfill',
+      './src/api/getComponentGroups/index.js'
+    ],
+    PostComponentGroups: [
+      'babel-polyfill',
+      './src/api/postComponentGroups/index.js'
+    ],
+    PatchComponentGroups: [
+      'babel-polyfill',
+      './src/api/patchComponentGroups/index.js'
+    ],
+    DeleteComponentGroups: [
+      'babel-polyfill',
+      './src/api/deleteComponentGroups/index.js'
+    ],
     GetIncidents: [
       'babel-polyfill',
       './src/api/getIncidents/index.js'
@@ -61,10 +81,26 @@ export default {
       'babel-polyfill',
       './src/api/deleteMaintenances/index.js'
     ],
+    AdvanceMaintenances: [
+      'babel-polyfill',
+      './src/api/advanceMaintenances/index.js'
+    ],
     CollectMetricsData: [
       'babel-polyfill',
       './src/api/collectMetricsData/index.js'
     ],
+    RunHTTPChecks: [
+      'babel-polyfill',
+      './src/api/runHTTPChecks/index.js'
+    ],
+    PruneMetricsData: [
+      'babel-polyfill',
+      './src/api/pruneMetricsData/index.js'
+    ],
+    UpdateComponentUptimes: [
+      'babel-polyfill',
+      './src/api/updateComponentUptimes/index.js'
+    ],
     GetExternalMetrics: [
       'babel-polyfill',
       './src/api/getExternalMetrics/index.js'
@@ -85,6 +121,14 @@ export default {
       'babel-polyfill',
       './src/api/postMetricsData/index.js'
     ],
+    ImportMetricsData: [
+      'babel-polyfill',
+      './src/api/importMetricsData/index.js'
+    ],
+    GetMetricsData: [
+      'babel-polyfill',
+      './src/api/getMetricsData/index.js'
+    ],
     PatchMetrics: [
       'babel-polyfill',
       './src/api/patchMetrics/index.js'
@@ -93,6 +137,38 @@ export default {
       'babel-polyfill',
       './src/api/deleteMetrics/index.js'
     ],
+    GetSystemStatus: [
+      'babel-polyfill',
+      './src/api/getSystemStatus/index.js'
+    ],
+    GetAvailabilityReports: [
+      'babel-polyfill',
+      './src/api/getAvailabilityReports/index.js'
+    ],
+    GetDraftIncidents: [
+      'babel-polyfill',
+      './src/api/getDraftIncidents/index.js'
+    ],
+    GetPublicMetricGroups: [
+      'babel-polyfill',
+      './src/api/getPublicMetricGroups/index.js'
+    ],
+    GetMetricGroups: [
+      'babel-polyfill',
+      './src/api/getMetricGroups/index.js'
+    ],
+    PostMetricGroups: [
+      'babel-polyfill',
+      './src/api/postMetricGroups/index.js'
+    ],
+    PatchMetricGroups: [
+      'babel-polyfill',
+      './src/api/patchMetricGroups/index.js'
+    ],
+    DeleteMetricGroups: [
+      'babel-polyfill',
+      './src/api/deleteMetricGroups/index.js'
+    ],
     S3PutObject: [
       'babel-polyfill',
       './src/api/s3PutObjects/index.js'
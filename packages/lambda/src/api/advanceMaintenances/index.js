@@ -0,0 +1,24 @@
+import { Maintenances } from 'model/maintenances'
+import { Settings } from 'model/settings'
+import SNS from 'aws/sns'
+
+// Recorded as the actor of the component status changes.
+const actor = 'Maintenance scheduler'
+
+export async function handle (event, context, callback) {
+  try {
+    const settings = new Settings()
+    const startMessage = await settings.getMaintenanceStartMessage()
+    const endMessage = await settings.getMaintenanceEndMessage()
+    const maintenances = await new Maintenances().advance(startMessage, endMessage, actor)
+    for (let i = 0; i < maintenances.length; i++) {
+      await new SNS().notifyIncident(maintenances[i])
+    }
+    console.log(`advanced ${maintenances.length} maintenances`)
+    callback(null)
+  } catch (error) {
+    console.log(error.message)
+    console.log(error.stack)
+    callback('Error: failed to advance the maintenances')
+  }
+}
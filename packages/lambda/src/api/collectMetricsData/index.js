@@ -1,12 +1,29 @@
-import { Metrics, MetricsData } from 'model/metrics'
+import { Metrics } from 'model/metrics'
+import { buildCollectionStages } from 'monitoringServices/composite'
 
 export async function handle (event, context, callback) {
   try {
+    const now = new Date()
     const metrics = await new Metrics().list()
-    await Promise.all(metrics.map(async (metric) => {
-      const metricsData = new MetricsData(metric.metricID, metric.type, metric.props, event.StatusPageS3BucketName)
-      await metricsData.collect()
-    }))
+    // The composite metrics are collected after the metrics they reference, so that they see the latest data.
+    const dueMetrics = metrics.filter(metric => !metric.recordsOwnData() && metric.isCollectionDue(now))
+    const stages = buildCollectionStages(dueMetrics)
+    for (let i = 0; i < stages.length; i++) {
+      await Promise.all(stages[i].map(async (metric) => {
+        metric.bucketName = event.StatusPageS3BucketName
+        try {
+          await metric.collect()
+        } catch (error) {
+          // The failure of one metric should not stop the collection of the others.
+          console.log(`failed to collect the metric data (metricID: ${metric.metricID})`)
+          console.log(error.message)
+          console.log(error.stack)
+          await metric.recordCollectionError(now, error)
+          return
+        }
+        await metric.recordCollectionSuccess(now)
+      }))
+    }
     callback(null)
   } catch (error) {
     console.log(error.message)
@@ -0,0 +1,24 @@
+import { ComponentGroups } from 'model/componentGroups'
+import { Components } from 'model/components'
+
+export async function handle (event, context, callback) {
+  try {
+    const groups = new ComponentGroups()
+    const group = await groups.lookup(event.params.componentgroupid)
+    await group.delete()
+    await new Components().removeGroup(group.groupID)
+  } catch (error) {
+    console.log(error.message)
+    console.log(error.stack)
+    switch (error.name) {
+      case 'ValidationError':
+        callback('Error: ' + error.message)
+        break
+      case 'NotFoundError':
+        callback('Error: an item not found')
+        break
+      default:
+        callback('Error: failed to delete the component group')
+    }
+  }
+}
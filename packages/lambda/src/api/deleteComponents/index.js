@@ -5,6 +5,7 @@ export async function handle (event, context, callback) {
     const components = new Components()
     const component = await components.lookup(event.params.componentid)
     await component.delete()
+    await components.removeDependency(component.componentID)
   } catch (error) {
     console.log(error.message)
     console.log(error.stack)
@@ -0,0 +1,22 @@
+import { MetricGroups } from 'model/metricGroups'
+
+export async function handle (event, context, callback) {
+  try {
+    const groups = new MetricGroups()
+    const group = await groups.lookup(event.params.metricgroupid)
+    await group.delete()
+  } catch (error) {
+    console.log(error.message)
+    console.log(error.stack)
+    switch (error.name) {
+      case 'ValidationError':
+        callback('Error: ' + error.message)
+        break
+      case 'NotFoundError':
+        callback('Error: an item not found')
+        break
+      default:
+        callback('Error: failed to delete the metric group')
+    }
+  }
+}
@@ -1,10 +1,13 @@
 import { Metrics } from 'model/metrics'
+import { MetricGroups } from 'model/metricGroups'
 
 export async function handle (event, context, callback) {
   try {
     const metrics = new Metrics()
     const metric = await metrics.lookup(event.params.metricid)
     await metric.delete()
+    await new MetricGroups().removeMetric(metric.metricID)
+    callback(null)
   } catch (error) {
     console.log(error.message)
     console.log(error.stack)
@@ -0,0 +1,18 @@
+import { buildAvailabilityReport } from 'model/availabilityReports'
+
+export async function handle (event, context, callback) {
+  try {
+    const report = await buildAvailabilityReport(event.period, event.excludeMaintenances === 'true')
+    callback(null, report)
+  } catch (error) {
+    console.log(error.message)
+    console.log(error.stack)
+    switch (error.name) {
+      case 'ValidationError':
+        callback('Error: ' + error.message)
+        break
+      default:
+        callback('Error: failed to build the availability report')
+    }
+  }
+}
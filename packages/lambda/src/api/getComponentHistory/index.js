@@ -0,0 +1,19 @@
+import { Components } from 'model/components'
+
+export async function handle (event, context, callback) {
+  try {
+    const comp = await new Components().lookup(event.params.componentid)
+    const history = await comp.getStatusHistory()
+    callback(null, history)
+  } catch (error) {
+    console.log(error.message)
+    console.log(error.stack)
+    switch (error.name) {
+      case 'NotFoundError':
+        callback('Error: an item not found')
+        break
+      default:
+        callback('Error: failed to get the component history')
+    }
+  }
+}
@@ -0,0 +1,18 @@
+import { Incidents } from 'model/incidents'
+
+// Returns the draft incidents with their updates, which only the admin can see.
+export async function handle (event, context, callback) {
+  try {
+    const incidents = await new Incidents().drafts()
+    const drafts = await Promise.all(incidents.map(async incident => {
+      const obj = incident.objectify()
+      obj.incidentUpdates = await incident.getIncidentUpdates()
+      return obj
+    }))
+    callback(null, drafts)
+  } catch (error) {
+    console.log(error.message)
+    console.log(error.stack)
+    callback('Error: failed to get draft incidents list')
+  }
+}
@@ -7,6 +7,12 @@ export async function handle (event, context, callback) {
   } catch (error) {
     console.log(error.message)
     console.log(error.stack)
-    callback('Error: failed to get external metrics list')
+    switch (error.name) {
+      case 'ValidationError':
+        callback('Error: ' + error.message)
+        break
+      default:
+        callback('Error: failed to get external metrics list')
+    }
   }
 }
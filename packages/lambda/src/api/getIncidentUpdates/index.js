@@ -1,9 +1,14 @@
 import { Incidents } from 'model/incidents'
+import { NotFoundError } from 'utils/errors'
 
 export async function handle (event, context, callback) {
   try {
     const incidents = new Incidents()
     const incident = await incidents.lookup(event.params.incidentid)
+    // The updates of the draft are returned with the draft to the admin. See getDraftIncidents.
+    if (incident.draft) {
+      throw new NotFoundError('no matched item')
+    }
     const incidentUpdates = await incident.getIncidentUpdates()
     callback(null, incidentUpdates)
   } catch (error) {
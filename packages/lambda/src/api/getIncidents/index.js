@@ -2,7 +2,7 @@ import { Incidents } from 'model/incidents'
 
 export async function handle (event, context, callback) {
   try {
-    const incidents = await new Incidents().all()
+    const incidents = await new Incidents().published()
     callback(null, incidents.map(incident => incident.objectify()))
   } catch (error) {
     console.log(error.message)
@@ -4,7 +4,13 @@ export async function handle (event, context, callback) {
   try {
     let metrics = await new Metrics().list()
     metrics = metrics.sort((a, b) => a.order - b.order)
-    callback(null, metrics.map(metric => metric.objectify()))
+    // The alert rules and the collection status are only for admins, so they are not a part of `objectify`.
+    callback(null, metrics.map(metric => {
+      return Object.assign(metric.objectify(), {
+        alertRules: metric.alertRules.map(rule => rule.objectify()),
+        collectionStatus: metric.collectionStatus
+      })
+    }))
   } catch (error) {
     console.log(error.message)
     console.log(error.stack)
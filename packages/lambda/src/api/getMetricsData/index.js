@@ -0,0 +1,45 @@
+import { Metrics } from 'model/metrics'
+
+const defaultRange = 24 * 60 * 60 * 1000
+const defaultStep = 60
+const defaultAggregation = 'avg'
+
+// The query strings are given as empty strings if they are omitted.
+const parseDate = (value, defaultValue) => value === '' || value === undefined ? defaultValue : new Date(value)
+const parseStep = (value) => {
+  if (value === '' || value === undefined) return defaultStep
+  return /^[0-9]+$/.test(value) ? parseInt(value, 10) : value
+}
+
+export async function handle (event, context, callback) {
+  try {
+    const end = parseDate(event.end, new Date())
+    const start = parseDate(event.start, new Date(end.getTime() - defaultRange))
+    const step = parseStep(event.step)
+    const aggregation = event.agg || defaultAggregation
+
+    const metric = await new Metrics().lookup(event.params.metricid)
+    const datapoints = await metric.queryDatapoints(start, end, step, aggregation)
+    callback(null, {
+      metricID: metric.metricID,
+      start: start.toISOString(),
+      end: end.toISOString(),
+      step,
+      agg: aggregation,
+      datapoints
+    })
+  } catch (error) {
+    console.log(error.message)
+    console.log(error.stack)
+    switch (error.name) {
+      case 'ValidationError':
+        callback('Error: ' + error.message)
+        break
+      case 'NotFoundError':
+        callback('Error: an item not found')
+        break
+      default:
+        callback('Error: failed to get the metrics data')
+    }
+  }
+}
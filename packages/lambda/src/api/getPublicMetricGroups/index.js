@@ -0,0 +1,13 @@
+import { MetricGroups } from 'model/metricGroups'
+
+export async function handle (event, context, callback) {
+  try {
+    let groups = await new MetricGroups().listPublic()
+    groups = groups.sort((a, b) => a.order - b.order)
+    callback(null, groups.map(group => group.objectify()))
+  } catch (error) {
+    console.log(error.message)
+    console.log(error.stack)
+    callback('Error: failed to get metric groups list')
+  }
+}
@@ -5,7 +5,8 @@ export async function handle (event, context, callback) {
     const settings = new Settings()
     const serviceName = await settings.getServiceName()
     const statusPageURL = await settings.getStatusPageURL()
-    callback(null, {serviceName, statusPageURL})
+    const showAffectedVia = await settings.getShowAffectedVia()
+    callback(null, {serviceName, statusPageURL, showAffectedVia})
   } catch (error) {
     console.log(error.message)
     console.log(error.stack)
@@ -6,8 +6,21 @@ export async function handle (event, context, callback) {
     const serviceName = await settings.getServiceName()
     const adminPageURL = await settings.getAdminPageURL()
     const statusPageURL = await settings.getStatusPageURL()
+    const metricsRetentionDays = await settings.getMetricsRetentionDays()
+    const showAffectedVia = await settings.getShowAffectedVia()
+    const maintenanceStartMessage = await settings.getMaintenanceStartMessage()
+    const maintenanceEndMessage = await settings.getMaintenanceEndMessage()
     const apiKeys = await settings.allApiKeys()
-    callback(null, {serviceName, adminPageURL, statusPageURL, apiKeys})
+    callback(null, {
+      serviceName,
+      adminPageURL,
+      statusPageURL,
+      metricsRetentionDays,
+      showAffectedVia,
+      maintenanceStartMessage,
+      maintenanceEndMessage,
+      apiKeys
+    })
   } catch (error) {
     console.log(error.message)
     console.log(error.stack)
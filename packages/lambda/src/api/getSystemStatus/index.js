@@ -0,0 +1,12 @@
+import { getSystemStatus } from 'model/systemStatus'
+
+export async function handle (event, context, callback) {
+  try {
+    const status = await getSystemStatus()
+    callback(null, {status})
+  } catch (error) {
+    console.log(error.message)
+    console.log(error.stack)
+    callback('Error: failed to get the system status')
+  }
+}
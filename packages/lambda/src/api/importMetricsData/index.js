@@ -0,0 +1,30 @@
+import { Metrics } from 'model/metrics'
+import { ValidationError } from 'utils/errors'
+
+// The admin page splits the file into the chunks so that one request can be processed within the timeout.
+const maxDatapoints = 5000
+
+export async function handle (event, context, callback) {
+  try {
+    const { datapoints } = event.body
+    if (Array.isArray(datapoints) && datapoints.length > maxDatapoints) {
+      throw new ValidationError(`too many datapoints (max: ${maxDatapoints})`)
+    }
+    const metric = await new Metrics().lookup(event.params.metricid)
+    const insertedDatapoints = await metric.insertDatapoints(datapoints)
+    callback(null, insertedDatapoints)
+  } catch (error) {
+    console.log(error.message)
+    console.log(error.stack)
+    switch (error.name) {
+      case 'ValidationError':
+        callback('Error: ' + error.message)
+        break
+      case 'NotFoundError':
+        callback('Error: an item not found')
+        break
+      default:
+        callback('Error: failed to import the metrics data')
+    }
+  }
+}
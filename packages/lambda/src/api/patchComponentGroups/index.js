@@ -0,0 +1,24 @@
+import { ComponentGroup } from 'model/componentGroups'
+
+export async function handle (event, context, callback) {
+  try {
+    const group = new ComponentGroup(event.params.componentgroupid, event.body.name, event.body.description,
+                                     event.body.order)
+    await group.validate()
+    await group.save()
+    callback(null, group.objectify())
+  } catch (error) {
+    console.log(error.message)
+    console.log(error.stack)
+    switch (error.name) {
+      case 'ValidationError':
+        callback('Error: ' + error.message)
+        break
+      case 'NotFoundError':
+        callback('Error: an item not found')
+        break
+      default:
+        callback('Error: failed to update the component group')
+    }
+  }
+}
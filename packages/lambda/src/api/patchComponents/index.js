@@ -3,9 +3,10 @@ import { Component } from 'model/components'
 export async function handle (event, context, callback) {
   try {
     const comp = new Component(event.params.componentid, event.body.name,
-                               event.body.description, event.body.status, event.body.order)
+                               event.body.description, event.body.status, event.body.order, event.body.groupID,
+                               event.body.dependencies)
     await comp.validate()
-    await comp.save()
+    await comp.save(event.actor)
     callback(null, comp.objectify())
   } catch (error) {
     console.log(error.message)
@@ -4,9 +4,9 @@ import SNS from 'aws/sns'
 export async function handle (event, context, callback) {
   try {
     const incident = new Incident(event.params.incidentid, event.body.name, event.body.incidentStatus,
-                                  event.body.message, event.body.components)
+                                  event.body.impact, event.body.message, event.body.components)
     await incident.validate()
-    await incident.save()
+    await incident.save(event.actor)
 
     await new SNS().notifyIncident(incident)
 
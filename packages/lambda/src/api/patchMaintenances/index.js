@@ -5,9 +5,10 @@ export async function handle (event, context, callback) {
   try {
     const maintenance = new Maintenance(event.params.maintenanceid, event.body.name, event.body.maintenanceStatus,
                                         event.body.startAt, event.body.endAt, event.body.message,
-                                        event.body.components)
+                                        event.body.components, undefined, [], event.body.componentIDs,
+                                        event.body.recurrence)
     await maintenance.validate()
-    await maintenance.save()
+    await maintenance.save(event.actor)
 
     await new SNS().notifyIncident(maintenance)
 
@@ -0,0 +1,24 @@
+import { MetricGroup } from 'model/metricGroups'
+
+export async function handle (event, context, callback) {
+  try {
+    const group = new MetricGroup(event.params.metricgroupid, event.body.title, event.body.description,
+                                  event.body.metricIDs, event.body.status, event.body.order)
+    await group.validate()
+    await group.save()
+    callback(null, group.objectify())
+  } catch (error) {
+    console.log(error.message)
+    console.log(error.stack)
+    switch (error.name) {
+      case 'ValidationError':
+        callback('Error: ' + error.message)
+        break
+      case 'NotFoundError':
+        callback('Error: an item not found')
+        break
+      default:
+        callback('Error: failed to update the metric group')
+    }
+  }
+}
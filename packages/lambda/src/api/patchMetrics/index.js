@@ -3,10 +3,11 @@ import { Metric } from 'model/metrics'
 export async function handle (event, context, callback) {
   try {
     const metric = new Metric(event.params.metricid, event.body.type, event.body.title, event.body.unit,
-                              event.body.description, event.body.status, event.body.order, event.body.props)
+                              event.body.description, event.body.status, event.body.order, event.body.props,
+                              event.body.collectionInterval, event.body.alertRules, event.body.displayOptions)
     await metric.validate()
     await metric.save()
-    callback(null, metric.objectify())
+    callback(null, Object.assign(metric.objectify(), {alertRules: metric.alertRules.map(rule => rule.objectify())}))
   } catch (error) {
     console.log(error.message)
     console.log(error.stack)
@@ -4,7 +4,11 @@ export async function handle (event, context, callback) {
   const {
     serviceName,
     adminPageURL,
-    statusPageURL
+    statusPageURL,
+    metricsRetentionDays,
+    showAffectedVia,
+    maintenanceStartMessage,
+    maintenanceEndMessage
   } = event.body
   try {
     const settings = new Settings()
@@ -17,7 +21,28 @@ export async function handle (event, context, callback) {
     if (statusPageURL !== undefined && statusPageURL !== await settings.getStatusPageURL()) {
       await settings.setStatusPageURL(statusPageURL)
     }
-    callback(null, {serviceName, adminPageURL, statusPageURL})
+    if (metricsRetentionDays !== undefined && metricsRetentionDays !== await settings.getMetricsRetentionDays()) {
+      await settings.setMetricsRetentionDays(metricsRetentionDays)
+    }
+    if (showAffectedVia !== undefined && showAffectedVia !== await settings.getShowAffectedVia()) {
+      await settings.setShowAffectedVia(showAffectedVia)
+    }
+    if (maintenanceStartMessage !== undefined &&
+        maintenanceStartMessage !== await settings.getMaintenanceStartMessage()) {
+      await settings.setMaintenanceStartMessage(maintenanceStartMessage)
+    }
+    if (maintenanceEndMessage !== undefined && maintenanceEndMessage !== await settings.getMaintenanceEndMessage()) {
+      await settings.setMaintenanceEndMessage(maintenanceEndMessage)
+    }
+    callback(null, {
+      serviceName,
+      adminPageURL,
+      statusPageURL,
+      metricsRetentionDays,
+      showAffectedVia,
+      maintenanceStartMessage,
+      maintenanceEndMessage
+    })
   } catch (error) {
     console.log(error.message)
     console.log(error.stack)
@@ -0,0 +1,20 @@
+import { ComponentGroup } from 'model/componentGroups'
+
+export async function handle (event, context, callback) {
+  try {
+    const group = new ComponentGroup(undefined, event.name, event.description, event.order)
+    await group.validate()
+    await group.save()
+    callback(null, group.objectify())
+  } catch (error) {
+    console.log(error.message)
+    console.log(error.stack)
+    switch (error.name) {
+      case 'ValidationError':
+        callback('Error: ' + error.message)
+        break
+      default:
+        callback('Error: failed to create a new component group')
+    }
+  }
+}
@@ -3,10 +3,10 @@ import SNS from 'aws/sns'
 
 export async function handle (event, context, callback) {
   try {
-    const incident = new Incident(undefined, event.name, event.incidentStatus, event.message,
-                                  event.components)
+    const incident = new Incident(undefined, event.body.name, event.body.incidentStatus, event.body.impact,
+                                  event.body.message, event.body.components)
     await incident.validate()
-    await incident.save()
+    await incident.save(event.actor)
 
     await new SNS().notifyIncident(incident)
 
@@ -3,19 +3,24 @@ import SNS from 'aws/sns'
 
 export async function handle (event, context, callback) {
   try {
-    const maintenance = new Maintenance(undefined, event.name, event.maintenanceStatus, event.startAt,
-                                        event.endAt, event.message, event.components)
+    const maintenance = new Maintenance(undefined, event.body.name, event.body.maintenanceStatus,
+                                        event.body.startAt, event.body.endAt, event.body.message,
+                                        event.body.components, undefined, [], event.body.componentIDs,
+                                        event.body.recurrence)
     await maintenance.validate()
-    await maintenance.save()
+    await maintenance.save(event.actor)
 
     await new SNS().notifyIncident(maintenance)
 
     const obj = maintenance.objectify()
     const comps = obj.components
     delete obj.components
+    // The recurring maintenance is listed as its occurrences.
+    const occurrences = maintenance.recurrence ? maintenance.expandOccurrences([]) : []
     callback(null, {
       maintenance: obj,
-      components: comps
+      components: comps,
+      occurrences: occurrences.map(occurrence => occurrence.objectify())
     })
   } catch (error) {
     console.log(error.message)
@@ -0,0 +1,21 @@
+import { MetricGroup } from 'model/metricGroups'
+
+export async function handle (event, context, callback) {
+  try {
+    const group = new MetricGroup(undefined, event.title, event.description, event.metricIDs, event.status,
+                                  event.order)
+    await group.validate()
+    await group.save()
+    callback(null, group.objectify())
+  } catch (error) {
+    console.log(error.message)
+    console.log(error.stack)
+    switch (error.name) {
+      case 'ValidationError':
+        callback('Error: ' + error.message)
+        break
+      default:
+        callback('Error: failed to create a new metric group')
+    }
+  }
+}
@@ -3,10 +3,11 @@ import { Metric } from 'model/metrics'
 export async function handle (event, context, callback) {
   try {
     const metric = new Metric(undefined, event.type, event.title, event.unit,
-                              event.description, event.status, event.order, event.props)
+                              event.description, event.status, event.order, event.props,
+                              event.collectionInterval, event.alertRules, event.displayOptions)
     await metric.validate()
     await metric.save()
-    callback(null, metric.objectify())
+    callback(null, Object.assign(metric.objectify(), {alertRules: metric.alertRules.map(rule => rule.objectify())}))
   } catch (error) {
     console.log(error.message)
     console.log(error.stack)
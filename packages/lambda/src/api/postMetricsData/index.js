@@ -1,30 +1,46 @@
 import { Metrics } from 'model/metrics'
 
+// The response lists the accepted (inserted) and rejected datapoints per metric. The invalid datapoints don't
+// prevent the others from being inserted. Returns the errors only if no datapoint is accepted.
 export async function handle (event, context, callback) {
   const metrics = new Metrics()
   const resp = {}
   const errorResp = []
+  let numAcceptedDatapoints = 0
   const keys = Object.keys(event)
   for (let i = 0; i < keys.length; i++) {
     const metricID = keys[i]
     const data = event[metricID]
     try {
       const metric = await metrics.lookup(metricID)
-      resp[metricID] = await metric.insertDatapoints(data)
+      const { valid, invalid } = metric.partitionDatapoints(data)
+      const accepted = valid.length > 0 ? await metric.insertDatapoints(valid) : []
+      const rejected = invalid.map(({index, datapoint, message}) => {
+        errorResp.push({message: `Error: ${message} (metricID: ${metricID}, index: ${index})`})
+        return {index, datapoint, message}
+      })
+      resp[metricID] = {accepted, rejected}
+      numAcceptedDatapoints += accepted.length
     } catch (error) {
       console.log(error.message)
       console.log(error.stack)
+      let message
       switch (error.name) {
         case 'NotFoundError':
-          errorResp.push({message: `Error: the metric ${metricID} not found`})
+          message = `Error: the metric ${metricID} not found`
+          break
+        case 'ValidationError':
+          message = `Error: ${error.message} (metricID: ${metricID})`
           break
         default:
-          errorResp.push({message: 'Error: failed to post the metric'})
+          message = 'Error: failed to post the metric'
       }
+      errorResp.push({message})
+      resp[metricID] = {accepted: [], rejected: [], error: message}
     }
   }
 
-  if (errorResp.length > 0) {
+  if (numAcceptedDatapoints === 0 && errorResp.length > 0) {
     callback(errorResp)
     return
   }
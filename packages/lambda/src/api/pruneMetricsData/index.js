@@ -0,0 +1,19 @@
+import { Metrics } from 'model/metrics'
+import { Settings } from 'model/settings'
+
+export async function handle (event, context, callback) {
+  try {
+    const retentionDays = await new Settings().getMetricsRetentionDays()
+    if (retentionDays === 0) {
+      callback(null)
+      return
+    }
+    const prunedObjectNames = await new Metrics().pruneDatapoints(event.StatusPageS3BucketName, retentionDays)
+    console.log(`pruned ${prunedObjectNames.length} objects (retention days: ${retentionDays})`)
+    callback(null)
+  } catch (error) {
+    console.log(error.message)
+    console.log(error.stack)
+    callback('Error: failed to prune metrics data')
+  }
+}
@@ -0,0 +1,30 @@
+import { Metrics } from 'model/metrics'
+import HTTPCheck from 'monitoringServices/httpCheck'
+
+export async function handle (event, context, callback) {
+  try {
+    const now = new Date()
+    const metrics = await new Metrics().list()
+    const httpCheck = new HTTPCheck()
+    // The collection status is recorded here, as CollectMetricsData function skips the http checks.
+    const dueMetrics = metrics.filter(metric => metric.type === 'HTTPCheck' && metric.isCollectionDue(now))
+    await Promise.all(dueMetrics.map(async (metric) => {
+      try {
+        await httpCheck.run(metric)
+      } catch (error) {
+        // Keep running the other checks.
+        console.log(`failed to run the http check (metricID: ${metric.metricID})`)
+        console.log(error.message)
+        console.log(error.stack)
+        await metric.recordCollectionError(now, error)
+        return
+      }
+      await metric.recordCollectionSuccess(now)
+    }))
+    callback(null)
+  } catch (error) {
+    console.log(error.message)
+    console.log(error.stack)
+    callback('Error: failed to run http checks')
+  }
+}
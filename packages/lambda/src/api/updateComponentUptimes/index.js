@@ -0,0 +1,13 @@
+import { updateComponentUptimes } from 'model/componentUptimes'
+
+export async function handle (event, context, callback) {
+  try {
+    const uptimes = await updateComponentUptimes(event.StatusPageS3BucketName)
+    console.log(`updated the uptimes of ${Object.keys(uptimes).length} components`)
+    callback(null)
+  } catch (error) {
+    console.log(error.message)
+    console.log(error.stack)
+    callback('Error: failed to update the component uptimes')
+  }
+}
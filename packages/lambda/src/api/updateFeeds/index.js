@@ -2,6 +2,7 @@ import Feed from 'feed'
 import { Settings } from 'model/settings'
 import { Incidents } from 'model/incidents'
 import { Maintenances } from 'model/maintenances'
+import { getSystemStatus } from 'model/systemStatus'
 import S3 from 'aws/s3'
 import CloudFormation from 'aws/cloudFormation'
 import { stackName } from 'utils/const'
@@ -12,16 +13,18 @@ export async function handle (event, context, callback) {
     const settings = new Settings()
     const statusPageURL = await settings.getStatusPageURL()
     const serviceName = await settings.getServiceName()
+    const systemStatus = await getSystemStatus()
     const feed = new Feed({
       id: `tag:${statusPageURL},2017:/history`,
       link: statusPageURL,
       title: `${serviceName} Status - Incident History`,
+      description: `Current status: ${systemStatus}`,
       author: {
         name: serviceName
       }
     })
 
-    let events = (await new Incidents().all()).concat(await new Maintenances().all())
+    let events = (await new Incidents().published()).concat(await new Maintenances().all())
     events.sort(latestToOldest)
     const maxItems = 25
     for (let i = 0; i < Math.min(events.length, maxItems); i++) {
@@ -54,12 +57,14 @@ const buildItem = async (event, statusPageURL) => {
   }
 
   let id, link, eventUpdates
+  let summary = ''
   if (event.hasOwnProperty('incidentID')) {
     const incidentUpdates = await event.getIncidentUpdates()
     incidentUpdates.sort(latestToOldest)
 
     id = `tag:${statusPageURL},2017:Incident/${event.incidentID}`
     link = `${url}/incidents/${event.incidentID}`
+    summary = `<p>Impact: <strong>${event.impact}</strong></p>`
     eventUpdates = incidentUpdates.map(update => {
       update.status = update.incidentStatus
       return update
@@ -78,7 +83,7 @@ const buildItem = async (event, statusPageURL) => {
     throw new Error('Unknown event: ', event)
   }
 
-  const content = eventUpdates.map(update => {
+  const content = summary + eventUpdates.map(update => {
     return `<p><small>${getDateTimeFormat(update.updatedAt)}</small><br><strong>${update.status}</strong> - ${update.message}</p>`
   }).join('')
   return {
@@ -1,4 +1,27 @@
 import AWS from 'aws-sdk'
+import { ValidationError } from 'utils/errors'
+
+export const statistics = ['Average', 'Sum', 'Minimum', 'Maximum', 'SampleCount']
+const defaultStatistic = 'Average'
+// The data of one day is fetched by one request, which can return up to 1,440 datapoints.
+// So the period must be 60 seconds or longer.
+const minPeriod = 60
+const maxPeriod = 86400
+// CloudWatch keeps the datapoints of the shorter period for the shorter days, e.g. the period of less than 300 seconds
+// is available only for 15 days. The dates older than that are not backfilled. See Metric.calculateUncollectedDates.
+const retentionDaysByPeriod = [
+  {minPeriod: 3600, days: 455},
+  {minPeriod: 300, days: 63},
+  {minPeriod: 60, days: 15}
+]
+
+// Percentile statistics such as p99 and p99.9 are given as the extended statistics.
+export const isPercentileStatistic = (statistic) => {
+  const matched = /^p(\d{1,3}(\.\d{1,2})?)$/.exec(statistic)
+  if (!matched) return false
+  const percentile = parseFloat(matched[1])
+  return percentile > 0 && percentile <= 100
+}
 
 export default class CloudWatch {
   listMetrics (nextToken = undefined, filters = {}) {
@@ -30,15 +53,18 @@ export default class CloudWatch {
       Namespace: namespace,
       MetricName: metricName,
       Dimensions: dimensions,
-      Region: region
+      Region: region,
+      Statistic: statistic = defaultStatistic,
+      Period: period = minPeriod
     } = props
-    let period = 60
-    let twoWeeksBefore = new Date()
-    twoWeeksBefore.setDate(twoWeeksBefore.getDate() - 14)
-    if (startTime <= twoWeeksBefore) {
-      // Data points with a period of 60 seconds are not available
-      period = 300
+    const retentionDays = this.getRetentionDays(props)
+    const retentionStart = new Date()
+    retentionStart.setDate(retentionStart.getDate() - retentionDays)
+    if (startTime <= retentionStart) {
+      return Promise.reject(new Error(`the datapoints of the period of ${period} seconds are available ` +
+                                      `only for ${retentionDays} days`))
     }
+    const isPercentile = isPercentileStatistic(statistic)
 
     const cloudWatch = new AWS.CloudWatch({region})
     return new Promise((resolve, reject) => {
@@ -48,8 +74,12 @@ export default class CloudWatch {
         Dimensions: dimensions,
         EndTime: endTime,
         StartTime: startTime,
-        Period: period,
-        Statistics: ['Average']
+        Period: period
+      }
+      if (isPercentile) {
+        params.ExtendedStatistics = [statistic]
+      } else {
+        params.Statistics = [statistic]
       }
       cloudWatch.getMetricStatistics(params, (err, result) => {
         if (err) {
@@ -59,7 +89,7 @@ export default class CloudWatch {
         const datapoints = result.Datapoints.map((datapoint) => {
           return {
             timestamp: datapoint.Timestamp.toISOString(),
-            value: datapoint.Average
+            value: isPercentile ? datapoint.ExtendedStatistics[statistic] : datapoint[statistic]
           }
         })
         datapoints.sort((a, b) => {
@@ -71,4 +101,59 @@ export default class CloudWatch {
       })
     })
   }
+
+  getRetentionDays (props) {
+    const { Period: period = minPeriod } = props
+    return retentionDaysByPeriod.find(retention => period >= retention.minPeriod).days
+  }
+
+  getDatapointInterval (props) {
+    const { Period: period = minPeriod } = props
+    return period / 60
+  }
+
+  validateProps (props) {
+    const {
+      Namespace: namespace,
+      MetricName: metricName,
+      Dimensions: dimensions,
+      Region: region,
+      Statistic: statistic,
+      Period: period
+    } = props
+    if (typeof namespace !== 'string' || namespace === '') {
+      throw new ValidationError('invalid Namespace property')
+    }
+
+    if (typeof metricName !== 'string' || metricName === '') {
+      throw new ValidationError('invalid MetricName property')
+    }
+
+    if (!Array.isArray(dimensions)) {
+      throw new ValidationError('invalid Dimensions property')
+    }
+    dimensions.forEach(dimension => {
+      if (dimension === null || typeof dimension !== 'object' || typeof dimension.Name !== 'string' ||
+          typeof dimension.Value !== 'string') {
+        throw new ValidationError('invalid Dimensions property')
+      }
+    })
+
+    if (region !== undefined && (typeof region !== 'string' || region === '')) {
+      throw new ValidationError('invalid Region property')
+    }
+
+    if (statistic !== undefined && statistics.indexOf(statistic) < 0 && !isPercentileStatistic(statistic)) {
+      throw new ValidationError('invalid Statistic property')
+    }
+
+    if (period !== undefined &&
+        (!Number.isInteger(period) || period < minPeriod || period > maxPeriod || period % minPeriod !== 0)) {
+      throw new ValidationError('invalid Period property')
+    }
+    // The datapoints are collected by date, so the period across the dates can't be collected.
+    if (period !== undefined && maxPeriod % period !== 0) {
+      throw new ValidationError('Period must divide a day')
+    }
+  }
 }
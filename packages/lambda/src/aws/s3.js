@@ -18,13 +18,14 @@ export default class S3 {
     })
   }
 
+  // The body other than a string or a buffer (e.g. the array of datapoints) is stored as JSON.
   putObject (region, bucketName, objectName, body) {
     const awsS3 = new AWS.S3({ region })
     return new Promise((resolve, reject) => {
       const contentType = mime.lookup(objectName)
       const params = {
         Bucket: bucketName,
-        Body: body,
+        Body: (typeof body === 'string' || Buffer.isBuffer(body)) ? body : JSON.stringify(body),
         Key: objectName,
         ContentType: contentType
       }
@@ -37,19 +38,64 @@ export default class S3 {
     })
   }
 
-  // can't list more than 1000 keys
-  listObjects (region, bucketName, path) {
+  // S3 returns up to 1000 keys at a time. Follows the continuation tokens to list all the keys.
+  async listObjects (region, bucketName, path) {
+    let objects = []
+    let continuationToken
+    do {
+      const result = await this.listObjectsPage(region, bucketName, path, continuationToken)
+      objects = objects.concat(result.Contents)
+      continuationToken = result.IsTruncated ? result.NextContinuationToken : undefined
+    } while (continuationToken)
+    return objects
+  }
+
+  listObjectsPage (region, bucketName, path, continuationToken) {
     const awsS3 = new AWS.S3({ region })
     return new Promise((resolve, reject) => {
       const params = {
         Bucket: bucketName,
         Prefix: path
       }
+      if (continuationToken) {
+        params.ContinuationToken = continuationToken
+      }
       awsS3.listObjectsV2(params, (err, result) => {
         if (err) {
           return reject(err)
         }
-        return resolve(result.Contents)
+        return resolve(result)
+      })
+    })
+  }
+
+  // S3 deletes up to 1000 keys at a time. The keys are split into the chunks.
+  async deleteObjects (region, bucketName, objectNames) {
+    const maxKeys = 1000
+    for (let i = 0; i < objectNames.length; i += maxKeys) {
+      await this.deleteObjectsChunk(region, bucketName, objectNames.slice(i, i + maxKeys))
+    }
+  }
+
+  deleteObjectsChunk (region, bucketName, objectNames) {
+    const awsS3 = new AWS.S3({ region })
+    return new Promise((resolve, reject) => {
+      const params = {
+        Bucket: bucketName,
+        Delete: {
+          Objects: objectNames.map(objectName => { return {Key: objectName} }),
+          Quiet: true
+        }
+      }
+      awsS3.deleteObjects(params, (err, result) => {
+        if (err) {
+          return reject(err)
+        }
+        if (result.Errors && result.Errors.length > 0) {
+          const { Key: key, Message: message } = result.Errors[0]
+          return reject(new Error(`failed to delete ${result.Errors.length} objects (${key}: ${message})`))
+        }
+        resolve()
       })
     })
   }
@@ -0,0 +1,97 @@
+import AWS from 'aws-sdk'
+import VError from 'verror'
+import { ComponentStatusChangeTable } from 'utils/const'
+import { buildUpdateExpression, fillInsufficientProps } from './utils'
+
+export default class ComponentStatusChangesStore {
+  constructor () {
+    const { AWS_REGION: region } = process.env
+    this.awsDynamoDb = new AWS.DynamoDB.DocumentClient({ region })
+  }
+
+  // Returns the changes at or after `since`, sorted from oldest to latest. All the changes are returned if `since` is
+  // not given.
+  async getByComponentID (componentID, since) {
+    const params = this.buildQueryParams(componentID)
+    if (since !== undefined) {
+      params.KeyConditionExpression += ' and changedAt >= :since'
+      params.ExpressionAttributeValues[':since'] = since
+    }
+    // The query returns 1 MB of the items at most.
+    let changes = []
+    do {
+      const queryResult = await this.query(params)
+      changes = changes.concat(queryResult.Items)
+      params.ExclusiveStartKey = queryResult.LastEvaluatedKey
+    } while (params.ExclusiveStartKey !== undefined)
+    return changes
+  }
+
+  // Returns the latest `limit` changes before `before`, sorted from latest to oldest. The latest changes are returned
+  // if `before` is not given.
+  async getLatestByComponentID (componentID, limit, before) {
+    const params = this.buildQueryParams(componentID)
+    params.ScanIndexForward = false
+    params.Limit = limit
+    if (before !== undefined) {
+      params.KeyConditionExpression += ' and changedAt < :before'
+      params.ExpressionAttributeValues[':before'] = before
+    }
+    const queryResult = await this.query(params)
+    return queryResult.Items
+  }
+
+  buildQueryParams (componentID) {
+    return {
+      TableName: ComponentStatusChangeTable,
+      KeyConditionExpression: 'componentID = :hkey',
+      ExpressionAttributeValues: {
+        ':hkey': componentID
+      },
+      ProjectionExpression: 'componentID, changedAt, previousStatus, #st, actor, cause, causeID',
+      ExpressionAttributeNames: {
+        '#st': 'status'
+      }
+    }
+  }
+
+  query (params) {
+    return new Promise((resolve, reject) => {
+      this.awsDynamoDb.query(params, (err, queryResult) => {
+        if (err) {
+          return reject(new VError(err, 'DynamoDB'))
+        }
+        queryResult.Items.forEach(item => {
+          fillInsufficientProps({previousStatus: '', actor: '', cause: '', causeID: ''}, item)
+        })
+        resolve(queryResult)
+      })
+    })
+  }
+
+  // `previousStatus` is the empty string when the component is created. `actor` is who changed the status and
+  // `cause` is one of `componentStatusChangeCauses`. `causeID` is the ID of the incident, the maintenance or
+  // the metric.
+  update (componentID, changedAt, previousStatus, status, actor, cause, causeID) {
+    return new Promise((resolve, reject) => {
+      const [updateExp, attrNames, attrValues] = buildUpdateExpression({
+        previousStatus, status, actor, cause, causeID
+      })
+      const params = {
+        Key: { componentID, changedAt },
+        UpdateExpression: updateExp,
+        ExpressionAttributeNames: attrNames,
+        ExpressionAttributeValues: attrValues,
+        TableName: ComponentStatusChangeTable,
+        ReturnValues: 'ALL_NEW'
+      }
+      this.awsDynamoDb.update(params, (err, data) => {
+        if (err) {
+          return reject(new VError(err, 'DynamoDB'))
+        }
+        fillInsufficientProps({previousStatus: '', actor: '', cause: '', causeID: ''}, data.Attributes)
+        resolve(data.Attributes)
+      })
+    })
+  }
+}
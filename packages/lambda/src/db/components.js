@@ -1,8 +1,23 @@
 import AWS from 'aws-sdk'
 import VError from 'verror'
 import { ServiceComponentTable } from 'utils/const'
+import ComponentStatusChangesStore from './componentStatusChanges'
 import { buildUpdateExpression, fillInsufficientProps } from './utils'
 
+// Returns the attributes after the update. The empty string removes the attribute as buildUpdateExpression does.
+const mergeAttributes = (id, oldAttributes, values) => {
+  const attributes = Object.assign({}, oldAttributes, { componentID: id })
+  Object.keys(values).forEach(key => {
+    if (values[key] === undefined) return
+    if (values[key] === '') {
+      delete attributes[key]
+    } else {
+      attributes[key] = values[key]
+    }
+  })
+  return attributes
+}
+
 export default class ComponentsStore {
   constructor () {
     const { AWS_REGION: region } = process.env
@@ -13,7 +28,7 @@ export default class ComponentsStore {
     return new Promise((resolve, reject) => {
       const params = {
         TableName: ServiceComponentTable,
-        ProjectionExpression: 'componentID, description, #nm, #st, #or',
+        ProjectionExpression: 'componentID, description, #nm, #st, #or, groupID, dependencies',
         ExpressionAttributeNames: {
           '#nm': 'name',
           '#st': 'status',
@@ -25,7 +40,7 @@ export default class ComponentsStore {
           return reject(new VError(err, 'DynamoDB'))
         }
         scanResult.Items.forEach(item => {
-          fillInsufficientProps({description: ''}, item)
+          fillInsufficientProps({description: '', groupID: '', dependencies: []}, item)
         })
 
         resolve(scanResult.Items)
@@ -41,7 +56,7 @@ export default class ComponentsStore {
         ExpressionAttributeValues: {
           ':hkey': componentID
         },
-        ProjectionExpression: 'componentID, description, #nm, #st, #or',
+        ProjectionExpression: 'componentID, description, #nm, #st, #or, groupID, dependencies',
         ExpressionAttributeNames: {
           '#nm': 'name',
           '#st': 'status',
@@ -54,7 +69,7 @@ export default class ComponentsStore {
         }
 
         queryResult.Items.forEach(item => {
-          fillInsufficientProps({description: ''}, item)
+          fillInsufficientProps({description: '', groupID: '', dependencies: []}, item)
         })
 
         resolve(queryResult.Items)
@@ -62,50 +77,50 @@ export default class ComponentsStore {
     })
   }
 
-  update (id, name, description, status, order) {
+  // `statusChange` is {actor, cause, causeID} recorded with the status change. See ComponentStatusChangesStore.
+  async update (id, name, description, status, order, groupID, dependencies, statusChange = {}) {
+    const values = { name, description, status, order, groupID, dependencies }
+    const oldAttributes = await this.updateItem(id, values)
+    const attributes = mergeAttributes(id, oldAttributes, values)
+    fillInsufficientProps({description: '', groupID: '', dependencies: []}, attributes)
+    await this.recordStatusChange(id, oldAttributes.status, attributes.status, statusChange)
+    return attributes
+  }
+
+  async updateStatus (id, status, statusChange = {}) {
+    const oldAttributes = await this.updateItem(id, { status })
+    const attributes = mergeAttributes(id, oldAttributes, { status })
+    fillInsufficientProps({description: '', groupID: '', dependencies: []}, attributes)
+    await this.recordStatusChange(id, oldAttributes.status, attributes.status, statusChange)
+    return attributes
+  }
+
+  // Returns the attributes before the update, which tell whether the status is changed.
+  updateItem (id, values) {
     return new Promise((resolve, reject) => {
-      const [updateExp, attrNames, attrValues] = buildUpdateExpression({
-        name, description, status, order
-      })
+      const [updateExp, attrNames, attrValues] = buildUpdateExpression(values)
       const params = {
         Key: { componentID: id },
         UpdateExpression: updateExp,
         ExpressionAttributeNames: attrNames,
         ExpressionAttributeValues: attrValues,
         TableName: ServiceComponentTable,
-        ReturnValues: 'ALL_NEW'
+        ReturnValues: 'ALL_OLD'
       }
       this.awsDynamoDb.update(params, (err, data) => {
         if (err) {
           return reject(new VError(err, 'DynamoDB'))
         }
-        fillInsufficientProps({description}, data.Attributes)
-        resolve(data.Attributes)
+        // The attributes are not returned if the component is created.
+        resolve(data.Attributes || {})
       })
     })
   }
 
-  updateStatus (id, status) {
-    return new Promise((resolve, reject) => {
-      const [updateExp, attrNames, attrValues] = buildUpdateExpression({ status })
-      const params = {
-        Key: {
-          componentID: id
-        },
-        UpdateExpression: updateExp,
-        ExpressionAttributeNames: attrNames,
-        ExpressionAttributeValues: attrValues,
-        TableName: ServiceComponentTable,
-        ReturnValues: 'ALL_NEW'
-      }
-      this.awsDynamoDb.update(params, (err, data) => {
-        if (err) {
-          return reject(new VError(err, 'DynamoDB'))
-        }
-        fillInsufficientProps({description: ''}, data.Attributes)
-        resolve(data.Attributes)
-      })
-    })
+  async recordStatusChange (id, previousStatus = '', status, { actor = '', cause = '', causeID = '' } = {}) {
+    if (!status || previousStatus === status) return
+    await new ComponentStatusChangesStore().update(id, new Date().toISOString(), previousStatus, status, actor, cause,
+                                                   causeID)
   }
 
   delete (id) {
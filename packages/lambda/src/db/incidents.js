@@ -1,6 +1,7 @@
 import AWS from 'aws-sdk'
 import VError from 'verror'
 import { IncidentTable } from 'utils/const'
+import { fillInsufficientProps } from './utils'
 
 export default class IncidentsStore {
   constructor () {
@@ -12,7 +13,7 @@ export default class IncidentsStore {
     return new Promise((resolve, reject) => {
       const params = {
         TableName: IncidentTable,
-        ProjectionExpression: 'incidentID, #nm, #st, updatedAt',
+        ProjectionExpression: 'incidentID, #nm, #st, impact, updatedAt, affectedComponents, draft, draftComponents',
         ExpressionAttributeNames: {
           '#nm': 'name',
           '#st': 'status'
@@ -26,6 +27,9 @@ export default class IncidentsStore {
         if (err) {
           return reject(new VError(err, 'DynamoDB'))
         }
+        scanResult.Items.forEach(item => {
+          fillInsufficientProps({impact: 'none', affectedComponents: [], draft: false, draftComponents: []}, item)
+        })
 
         resolve(scanResult.Items)
       })
@@ -40,7 +44,7 @@ export default class IncidentsStore {
         ExpressionAttributeValues: {
           ':hkey': incidentID
         },
-        ProjectionExpression: 'incidentID, #nm, #st, updatedAt',
+        ProjectionExpression: 'incidentID, #nm, #st, impact, updatedAt, affectedComponents, draft, draftComponents',
         ExpressionAttributeNames: {
           '#nm': 'name',
           '#st': 'status'
@@ -50,19 +54,24 @@ export default class IncidentsStore {
         if (err) {
           return reject(new VError(err, 'DynamoDB'))
         }
+        queryResult.Items.forEach(item => {
+          fillInsufficientProps({impact: 'none', affectedComponents: [], draft: false, draftComponents: []}, item)
+        })
 
         resolve(queryResult.Items)
       })
     })
   }
 
-  update (id, name, status, updatedAt, updating) {
+  // The draft incident is not published yet. See model/incidents.
+  update (id, name, status, impact, updatedAt, updating, draft = false) {
     return new Promise((resolve, reject) => {
       const params = {
         Key: {
           incidentID: id
         },
-        UpdateExpression: 'set #n = :n, #s = :s, updatedAt = :updatedAt, updating = :updating',
+        UpdateExpression: 'set #n = :n, #s = :s, impact = :impact, updatedAt = :updatedAt, updating = :updating, ' +
+          'draft = :draft',
         ExpressionAttributeNames: {
           '#n': 'name',
           '#s': 'status'
@@ -70,8 +79,10 @@ export default class IncidentsStore {
         ExpressionAttributeValues: {
           ':n': name,
           ':s': status,
+          ':impact': impact,
           ':updatedAt': updatedAt,
-          ':updating': updating
+          ':updating': updating,
+          ':draft': draft
         },
         TableName: IncidentTable,
         ReturnValues: 'ALL_NEW'
@@ -85,6 +96,51 @@ export default class IncidentsStore {
     })
   }
 
+  // Updates only the affected components. See model/affectedComponents for the format.
+  updateAffectedComponents (id, affectedComponents) {
+    return new Promise((resolve, reject) => {
+      const params = {
+        Key: {
+          incidentID: id
+        },
+        UpdateExpression: 'set affectedComponents = :affectedComponents',
+        ExpressionAttributeValues: {
+          ':affectedComponents': affectedComponents
+        },
+        TableName: IncidentTable
+      }
+      this.awsDynamoDb.update(params, (err) => {
+        if (err) {
+          return reject(new VError(err, 'DynamoDB'))
+        }
+        resolve()
+      })
+    })
+  }
+
+  // Updates only the statuses the draft incident sets to the components when it is published, as the list of
+  // {componentID, status}.
+  updateDraftComponents (id, draftComponents) {
+    return new Promise((resolve, reject) => {
+      const params = {
+        Key: {
+          incidentID: id
+        },
+        UpdateExpression: 'set draftComponents = :draftComponents',
+        ExpressionAttributeValues: {
+          ':draftComponents': draftComponents
+        },
+        TableName: IncidentTable
+      }
+      this.awsDynamoDb.update(params, (err) => {
+        if (err) {
+          return reject(new VError(err, 'DynamoDB'))
+        }
+        resolve()
+      })
+    })
+  }
+
   delete (id) {
     return new Promise((resolve, reject) => {
       const params = {
@@ -1,6 +1,18 @@
 import AWS from 'aws-sdk'
 import VError from 'verror'
 import { MaintenanceTable } from 'utils/const'
+import { fillInsufficientProps } from './utils'
+
+const genDefaultProps = () => {
+  return {
+    affectedComponents: [],
+    componentIDs: [],
+    recurrence: null,
+    seriesID: '',
+    occurrenceAt: '',
+    cancelledOccurrences: []
+  }
+}
 
 export default class MaintenanceStore {
   constructor () {
@@ -12,7 +24,8 @@ export default class MaintenanceStore {
     return new Promise((resolve, reject) => {
       const params = {
         TableName: MaintenanceTable,
-        ProjectionExpression: 'maintenanceID, #nm, #st, startAt, endAt, updatedAt',
+        ProjectionExpression: 'maintenanceID, #nm, #st, startAt, endAt, updatedAt, affectedComponents, componentIDs, ' +
+          'recurrence, seriesID, occurrenceAt, cancelledOccurrences',
         ExpressionAttributeNames: {
           '#nm': 'name',
           '#st': 'status'
@@ -26,6 +39,9 @@ export default class MaintenanceStore {
         if (err) {
           return reject(new VError(err, 'DynamoDB'))
         }
+        scanResult.Items.forEach(item => {
+          fillInsufficientProps(genDefaultProps(), item)
+        })
 
         resolve(scanResult.Items)
       })
@@ -40,7 +56,8 @@ export default class MaintenanceStore {
         ExpressionAttributeValues: {
           ':hkey': maintenanceID
         },
-        ProjectionExpression: 'maintenanceID, #nm, #st, startAt, endAt, updatedAt',
+        ProjectionExpression: 'maintenanceID, #nm, #st, startAt, endAt, updatedAt, affectedComponents, componentIDs, ' +
+          'recurrence, seriesID, occurrenceAt, cancelledOccurrences',
         ExpressionAttributeNames: {
           '#nm': 'name',
           '#st': 'status'
@@ -50,19 +67,25 @@ export default class MaintenanceStore {
         if (err) {
           return reject(new VError(err, 'DynamoDB'))
         }
+        queryResult.Items.forEach(item => {
+          fillInsufficientProps(genDefaultProps(), item)
+        })
 
         resolve(queryResult.Items)
       })
     })
   }
 
-  update (id, name, status, startAt, endAt, updatedAt, updating) {
+  // `componentIDs` is the components the maintenance is planned for. `recurrence` is set to the recurring maintenance,
+  // and `seriesID` and `occurrenceAt` are set to its occurrence. See model/recurrences.
+  update (id, name, status, startAt, endAt, updatedAt, updating, componentIDs = [], recurrence = null, seriesID = '',
+          occurrenceAt = '') {
     return new Promise((resolve, reject) => {
       const params = {
         Key: {
           maintenanceID: id
         },
-        UpdateExpression: `set #n = :n, #s = :s, startAt = :startAt, endAt = :endAt, updatedAt = :updatedAt, updating = :updating`,
+        UpdateExpression: `set #n = :n, #s = :s, startAt = :startAt, endAt = :endAt, updatedAt = :updatedAt, updating = :updating, componentIDs = :componentIDs, recurrence = :recurrence, seriesID = :seriesID, occurrenceAt = :occurrenceAt`,
         ExpressionAttributeNames: {
           '#n': 'name',
           '#s': 'status'
@@ -73,7 +96,11 @@ export default class MaintenanceStore {
           ':startAt': startAt,
           ':endAt': endAt,
           ':updatedAt': updatedAt,
-          ':updating': updating
+          ':updating': updating,
+          ':componentIDs': componentIDs,
+          ':recurrence': recurrence,
+          ':seriesID': seriesID,
+          ':occurrenceAt': occurrenceAt
         },
         TableName: MaintenanceTable,
         ReturnValues: 'ALL_NEW'
@@ -87,6 +114,51 @@ export default class MaintenanceStore {
     })
   }
 
+  // Updates only the affected components. See model/affectedComponents for the format.
+  updateAffectedComponents (id, affectedComponents) {
+    return new Promise((resolve, reject) => {
+      const params = {
+        Key: {
+          maintenanceID: id
+        },
+        UpdateExpression: 'set affectedComponents = :affectedComponents',
+        ExpressionAttributeValues: {
+          ':affectedComponents': affectedComponents
+        },
+        TableName: MaintenanceTable
+      }
+      this.awsDynamoDb.update(params, (err) => {
+        if (err) {
+          return reject(new VError(err, 'DynamoDB'))
+        }
+        resolve()
+      })
+    })
+  }
+
+  // Appends the start of the cancelled occurrence to the recurring maintenance.
+  addCancelledOccurrence (id, occurrenceAt) {
+    return new Promise((resolve, reject) => {
+      const params = {
+        Key: {
+          maintenanceID: id
+        },
+        UpdateExpression: 'set cancelledOccurrences = list_append(if_not_exists(cancelledOccurrences, :empty), :o)',
+        ExpressionAttributeValues: {
+          ':empty': [],
+          ':o': [occurrenceAt]
+        },
+        TableName: MaintenanceTable
+      }
+      this.awsDynamoDb.update(params, (err) => {
+        if (err) {
+          return reject(new VError(err, 'DynamoDB'))
+        }
+        resolve()
+      })
+    })
+  }
+
   delete (id) {
     return new Promise((resolve, reject) => {
       const params = {
@@ -0,0 +1,103 @@
+import AWS from 'aws-sdk'
+import VError from 'verror'
+import { MetricGroupTable } from 'utils/const'
+import { buildUpdateExpression, fillInsufficientProps } from './utils'
+
+export default class MetricGroupsStore {
+  constructor () {
+    const { AWS_REGION: region } = process.env
+    this.awsDynamoDb = new AWS.DynamoDB.DocumentClient({ region })
+  }
+
+  getAll () {
+    return new Promise((resolve, reject) => {
+      const params = {
+        TableName: MetricGroupTable,
+        ProjectionExpression: 'groupID, title, description, metricIDs, #s, #or',
+        ExpressionAttributeNames: {
+          '#s': 'status',
+          '#or': 'order'
+        }
+      }
+      this.awsDynamoDb.scan(params, (err, scanResult) => {
+        if (err) {
+          return reject(new VError(err, 'DynamoDB'))
+        }
+        scanResult.Items.forEach(item => {
+          fillInsufficientProps({description: '', metricIDs: []}, item)
+        })
+
+        resolve(scanResult.Items)
+      })
+    })
+  }
+
+  getByID (groupID) {
+    return new Promise((resolve, reject) => {
+      const params = {
+        TableName: MetricGroupTable,
+        KeyConditionExpression: 'groupID = :hkey',
+        ExpressionAttributeValues: {
+          ':hkey': groupID
+        },
+        ProjectionExpression: 'groupID, title, description, metricIDs, #s, #or',
+        ExpressionAttributeNames: {
+          '#s': 'status',
+          '#or': 'order'
+        }
+      }
+      this.awsDynamoDb.query(params, (err, queryResult) => {
+        if (err) {
+          return reject(new VError(err, 'DynamoDB'))
+        }
+
+        queryResult.Items.forEach(item => {
+          fillInsufficientProps({description: '', metricIDs: []}, item)
+        })
+
+        resolve(queryResult.Items)
+      })
+    })
+  }
+
+  update (id, title, description, metricIDs, status, order) {
+    return new Promise((resolve, reject) => {
+      const [updateExp, attrNames, attrValues] = buildUpdateExpression({
+        title, description, metricIDs, status, order
+      })
+      const params = {
+        Key: { groupID: id },
+        UpdateExpression: updateExp,
+        ExpressionAttributeNames: attrNames,
+        ExpressionAttributeValues: attrValues,
+        TableName: MetricGroupTable,
+        ReturnValues: 'ALL_NEW'
+      }
+      this.awsDynamoDb.update(params, (err, data) => {
+        if (err) {
+          return reject(new VError(err, 'DynamoDB'))
+        }
+        fillInsufficientProps({description}, data.Attributes)
+        resolve(data.Attributes)
+      })
+    })
+  }
+
+  delete (id) {
+    return new Promise((resolve, reject) => {
+      const params = {
+        Key: {
+          groupID: id
+        },
+        TableName: MetricGroupTable,
+        ReturnValues: 'NONE'
+      }
+      this.awsDynamoDb.delete(params, (err) => {
+        if (err) {
+          return reject(new VError(err, 'DynamoDB'))
+        }
+        resolve()
+      })
+    })
+  }
+}
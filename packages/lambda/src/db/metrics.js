@@ -14,7 +14,8 @@ export default class MetricsStore {
     return new Promise((resolve, reject) => {
       const params = {
         TableName: MetricsTable,
-        ProjectionExpression: 'metricID, #t, title, #u, description, #s, #or, props',
+        ProjectionExpression: 'metricID, #t, title, #u, description, #s, #or, props, collectionInterval, ' +
+          'alertRules, displayOptions, lastSuccessAt, lastErrorAt, lastError',
         ExpressionAttributeNames: {
           '#t': 'type',
           '#u': 'unit',
@@ -28,8 +29,10 @@ export default class MetricsStore {
         }
         let metrics = []
         scanResult.Items.forEach((metric) => {
-          fillInsufficientProps({unit: '', description: ''}, metric)
+          fillInsufficientProps({unit: '', description: '', alertRules: '[]', displayOptions: '{}'}, metric)
           metric['props'] = JSON.parse(metric['props'])
+          metric['alertRules'] = JSON.parse(metric['alertRules'])
+          metric['displayOptions'] = JSON.parse(metric['displayOptions'])
           metrics.push(metric)
         })
 
@@ -46,7 +49,8 @@ export default class MetricsStore {
         ExpressionAttributeValues: {
           ':hkey': metricID
         },
-        ProjectionExpression: 'metricID, #t, title, #u, description, #s, #or, props',
+        ProjectionExpression: 'metricID, #t, title, #u, description, #s, #or, props, collectionInterval, ' +
+          'alertRules, displayOptions, lastSuccessAt, lastErrorAt, lastError',
         ExpressionAttributeNames: {
           '#t': 'type',
           '#u': 'unit',
@@ -64,8 +68,10 @@ export default class MetricsStore {
         }
 
         queryResult.Items.forEach(item => {
-          fillInsufficientProps({unit: '', description: ''}, item)
+          fillInsufficientProps({unit: '', description: '', alertRules: '[]', displayOptions: '{}'}, item)
           item['props'] = JSON.parse(item['props'])
+          item['alertRules'] = JSON.parse(item['alertRules'])
+          item['displayOptions'] = JSON.parse(item['displayOptions'])
         })
 
         resolve(queryResult.Items)
@@ -73,9 +79,21 @@ export default class MetricsStore {
     })
   }
 
-  update (id, type, title, unit, description, status, order, props) {
+  // If `currentAlertRules` is given, the metric is written only if its alert rules are still `currentAlertRules`, like
+  // updateAlertRules. Resolves null if they are changed.
+  update (id, type, title, unit, description, status, order, props, collectionInterval, alertRules, displayOptions,
+          currentAlertRules) {
     const [updateExp, attrNames, attrValues] = buildUpdateExpression({
-      type, title, unit, description, status, order, props: JSON.stringify(props)
+      type,
+      title,
+      unit,
+      description,
+      status,
+      order,
+      props: JSON.stringify(props),
+      collectionInterval,
+      alertRules: JSON.stringify(alertRules),
+      displayOptions: JSON.stringify(displayOptions)
     })
     return new Promise((resolve, reject) => {
       const params = {
@@ -88,17 +106,128 @@ export default class MetricsStore {
         TableName: MetricsTable,
         ReturnValues: 'ALL_NEW'
       }
+      if (currentAlertRules !== undefined) {
+        // The metric stored before the alert rules are introduced has no attribute.
+        params.ConditionExpression = 'attribute_not_exists(#alertRules) OR #alertRules = :currentAlertRules'
+        params.ExpressionAttributeValues[':currentAlertRules'] = JSON.stringify(currentAlertRules)
+      }
       this.awsDynamoDb.update(params, (err, data) => {
         if (err) {
+          if (err.code === 'ConditionalCheckFailedException') {
+            return resolve(null)
+          }
           return reject(new VError(err, 'DynamoDB'))
         }
         fillInsufficientProps({unit, description}, data.Attributes)
         data.Attributes['props'] = props  // string -> object
+        data.Attributes['alertRules'] = alertRules
+        data.Attributes['displayOptions'] = displayOptions
         resolve(data.Attributes)
       })
     })
   }
 
+  // `collectionStatus` has some of lastSuccessAt, lastErrorAt and lastError. An empty string removes the attribute.
+  updateCollectionStatus (id, collectionStatus) {
+    const [updateExp, attrNames, attrValues] = buildUpdateExpression(collectionStatus)
+    return new Promise((resolve, reject) => {
+      const params = {
+        Key: {
+          metricID: id
+        },
+        UpdateExpression: updateExp,
+        ExpressionAttributeNames: attrNames,
+        ExpressionAttributeValues: attrValues,
+        TableName: MetricsTable
+      }
+      this.awsDynamoDb.update(params, (err, data) => {
+        if (err) {
+          return reject(new VError(err, 'DynamoDB'))
+        }
+        resolve()
+      })
+    })
+  }
+
+  // Updates only the alert rules so that the state of the rules doesn't overwrite the other attributes.
+  // The rules are written only if they are still `currentAlertRules`, so that the rules edited in the meantime are not
+  // overwritten. Resolves false if they are changed.
+  updateAlertRules (id, alertRules, currentAlertRules) {
+    return new Promise((resolve, reject) => {
+      const params = {
+        Key: {
+          metricID: id
+        },
+        UpdateExpression: 'SET alertRules = :alertRules',
+        ConditionExpression: 'alertRules = :currentAlertRules',
+        ExpressionAttributeValues: {
+          ':alertRules': JSON.stringify(alertRules),
+          ':currentAlertRules': JSON.stringify(currentAlertRules)
+        },
+        TableName: MetricsTable
+      }
+      this.awsDynamoDb.update(params, (err, data) => {
+        if (err) {
+          if (err.code === 'ConditionalCheckFailedException') {
+            return resolve(false)
+          }
+          return reject(new VError(err, 'DynamoDB'))
+        }
+        resolve(true)
+      })
+    })
+  }
+
+  // Returns the number of consecutive failures after the increment.
+  incrementConsecutiveFailures (id) {
+    return new Promise((resolve, reject) => {
+      const params = {
+        Key: {
+          metricID: id
+        },
+        UpdateExpression: 'ADD consecutiveFailures :one',
+        ExpressionAttributeValues: {
+          ':one': 1
+        },
+        TableName: MetricsTable,
+        ReturnValues: 'UPDATED_NEW'
+      }
+      this.awsDynamoDb.update(params, (err, data) => {
+        if (err) {
+          return reject(new VError(err, 'DynamoDB'))
+        }
+        resolve(data.Attributes.consecutiveFailures)
+      })
+    })
+  }
+
+  // Returns the number of consecutive failures before the reset.
+  resetConsecutiveFailures (id) {
+    return new Promise((resolve, reject) => {
+      const params = {
+        Key: {
+          metricID: id
+        },
+        UpdateExpression: 'SET consecutiveFailures = :zero',
+        ExpressionAttributeValues: {
+          ':zero': 0
+        },
+        TableName: MetricsTable,
+        ReturnValues: 'UPDATED_OLD'
+      }
+      this.awsDynamoDb.update(params, (err, data) => {
+        if (err) {
+          return reject(new VError(err, 'DynamoDB'))
+        }
+        if (data.Attributes === undefined || data.Attributes.consecutiveFailures === undefined) {
+          resolve(0)
+          return
+        }
+        resolve(data.Attributes.consecutiveFailures)
+      })
+    })
+  }
+
   delete (id) {
     return new Promise((resolve, reject) => {
       const params = {
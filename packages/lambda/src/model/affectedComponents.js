@@ -0,0 +1,83 @@
+import ComponentsStore from 'db/components'
+import IncidentsStore from 'db/incidents'
+import MaintenancesStore from 'db/maintenances'
+import { componentStatuses } from 'utils/const'
+
+// The incidents and the maintenances record the components whose status they changed as the list of
+// {componentID, previousStatus, status}. `previousStatus` is the status before any active incident or maintenance
+// affected the component, so that the component goes back to it when nothing affects it anymore.
+
+const resolvedIncidentStatus = 'Resolved'
+const activeMaintenanceStatus = 'In Progress'
+
+// Returns the most severe status. `componentStatuses` is sorted by the severity.
+export const getWorstStatus = (statuses) => {
+  return statuses.reduce((worst, status) => {
+    return componentStatuses.indexOf(status) > componentStatuses.indexOf(worst) ? status : worst
+  })
+}
+
+// Returns the map from the component ID to the current status.
+export const getCurrentStatuses = async () => {
+  const components = await new ComponentsStore().getAll()
+  const statuses = {}
+  components.forEach(component => {
+    statuses[component.componentID] = component.status
+  })
+  return statuses
+}
+
+// Returns the components affected by the open incidents and the in-progress maintenances. The incident or the
+// maintenance of `excludedID` is excluded, because it is the one being updated.
+export const listActiveAffectedComponents = async (excludedID) => {
+  const incidents = await new IncidentsStore().getAll()
+  const maintenances = await new MaintenancesStore().getAll()
+  const active = [].concat(
+    incidents.filter(incident => incident.incidentID !== excludedID && incident.status !== resolvedIncidentStatus),
+    maintenances.filter(maintenance => {
+      return maintenance.maintenanceID !== excludedID && maintenance.status === activeMaintenanceStatus
+    })
+  )
+  return [].concat(...active.map(item => item.affectedComponents))
+}
+
+// Returns the IDs of the components affected by the in-progress maintenances. The status of such a component is left
+// to the maintenance, which restores it on completion.
+export const listMaintainedComponentIDs = async () => {
+  const maintenances = await new MaintenancesStore().getAll()
+  const active = maintenances.filter(maintenance => maintenance.status === activeMaintenanceStatus)
+  return [].concat(...active.map(maintenance => maintenance.affectedComponents)).map(affected => affected.componentID)
+}
+
+// Returns `affectedComponents` updated by the new statuses of `components`. The component is recorded when its
+// status is changed for the first time.
+export const recordAffectedComponents = (affectedComponents, components, currentStatuses, activeAffectedComponents) => {
+  const recorded = affectedComponents.map(affected => Object.assign({}, affected))
+  components.forEach(({ componentID, status }) => {
+    const affected = recorded.find(affected => affected.componentID === componentID)
+    if (affected) {
+      affected.status = status
+      return
+    }
+    const currentStatus = currentStatuses[componentID]
+    if (status === currentStatus) return
+
+    // The component already affected by the others shares the status before them.
+    const other = activeAffectedComponents.find(affected => affected.componentID === componentID)
+    const previousStatus = other ? other.previousStatus : currentStatus
+    recorded.push({componentID, previousStatus, status})
+  })
+  return recorded
+}
+
+// Returns the status of the component when the incident or the maintenance affecting it ends. The worst status wins
+// if the other incidents or maintenances still affect the component.
+export const getRestoredStatus = (affectedComponent, activeAffectedComponents) => {
+  const statuses = activeAffectedComponents
+    .filter(affected => affected.componentID === affectedComponent.componentID)
+    .map(affected => affected.status)
+  if (statuses.length === 0) {
+    return affectedComponent.previousStatus
+  }
+  return getWorstStatus(statuses)
+}
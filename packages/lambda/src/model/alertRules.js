@@ -0,0 +1,211 @@
+import SNS from 'aws/sns'
+import { Components } from 'model/components'
+import { Incident, Incidents } from 'model/incidents'
+import generateID from 'utils/generateID'
+import { componentStatuses } from 'utils/const'
+import { ValidationError } from 'utils/errors'
+
+export const comparators = {
+  '>': (value, threshold) => value > threshold,
+  '>=': (value, threshold) => value >= threshold,
+  '<': (value, threshold) => value < threshold,
+  '<=': (value, threshold) => value <= threshold
+}
+// `resolve` resolves the incident, which restores the components to the status before the incident.
+// `update` only posts the update and leaves the rest to the admin.
+export const recoveryActions = ['resolve', 'update']
+const maxDuration = 1440
+const openedIncidentStatus = 'Investigating'
+// The impact of the opened incident follows the status the rule sets to the components.
+const incidentImpactsByComponentStatus = {
+  'Degraded Performance': 'minor',
+  'Partial Outage': 'major',
+  'Major Outage': 'critical'
+}
+
+// AlertRule opens the incident when the datapoints of the metric keep crossing the threshold for `duration` minutes,
+// and recovers it when they keep not crossing for `duration` minutes.
+// `incidentID` is the incident opened by the rule and not recovered yet.
+// The draft incident is hidden from the status page and the subscribers, and doesn't change the components until
+// the admin publishes it. See model/incidents.
+export class AlertRule {
+  constructor (ruleID, comparator, threshold, duration, componentIDs, componentStatus, incidentName, draft,
+               recoveryAction, incidentID) {
+    if (!ruleID) {
+      this.ruleID = generateID()
+    } else {
+      this.ruleID = ruleID
+    }
+    this.comparator = comparator
+    this.threshold = threshold
+    this.duration = duration
+    this.componentIDs = componentIDs
+    this.componentStatus = componentStatus
+    this.incidentName = incidentName
+    this.draft = draft
+    this.recoveryAction = recoveryAction
+    this.incidentID = incidentID
+  }
+
+  async validate () {
+    if (!comparators.hasOwnProperty(this.comparator)) {
+      throw new ValidationError('invalid comparator parameter')
+    }
+
+    if (typeof this.threshold !== 'number' || !isFinite(this.threshold)) {
+      throw new ValidationError('invalid threshold parameter')
+    }
+
+    if (!Number.isInteger(this.duration) || this.duration <= 0 || this.duration > maxDuration) {
+      throw new ValidationError('invalid duration parameter')
+    }
+
+    if (!Array.isArray(this.componentIDs) || this.componentIDs.some(id => typeof id !== 'string' || id === '')) {
+      throw new ValidationError('invalid componentIDs parameter')
+    }
+    // throws NotFoundError if the component does not exist.
+    await Promise.all(this.componentIDs.map(async (componentID) => {
+      await new Components().lookup(componentID)
+    }))
+
+    if (componentStatuses.indexOf(this.componentStatus) < 0) {
+      throw new ValidationError('invalid componentStatus parameter')
+    }
+
+    if (typeof this.incidentName !== 'string' || this.incidentName === '') {
+      throw new ValidationError('invalid incidentName parameter')
+    }
+
+    if (typeof this.draft !== 'boolean') {
+      throw new ValidationError('invalid draft parameter')
+    }
+
+    if (recoveryActions.indexOf(this.recoveryAction) < 0) {
+      throw new ValidationError('invalid recoveryAction parameter')
+    }
+
+    if (this.incidentID !== undefined && this.incidentID !== null && typeof this.incidentID !== 'string') {
+      throw new ValidationError('invalid incidentID parameter')
+    }
+  }
+
+  isCrossing (datapoint) {
+    return comparators[this.comparator](datapoint.value, this.threshold)
+  }
+
+  // Returns the timestamp of the oldest datapoint since which the datapoints keep satisfying `predicate` until the
+  // latest one, or undefined if the latest one doesn't. The datapoints more than `interval` minutes apart break it,
+  // as the metric didn't report in between.
+  getHoldingSince (datapoints, predicate, interval) {
+    let since
+    for (let i = datapoints.length - 1; i >= 0; i--) {
+      if (!predicate(datapoints[i])) break
+      const timestamp = new Date(datapoints[i].timestamp).getTime()
+      if (since !== undefined && since - timestamp > interval * 60 * 1000) break
+      since = timestamp
+    }
+    return since
+  }
+
+  // Returns true if the datapoints satisfy `predicate` for `duration` minutes until the latest one. Each datapoint
+  // stands for `interval` minutes, so the datapoint at `latestAt - (duration - interval)` is the oldest one needed.
+  // The datapoints must be sorted by the timestamp.
+  holdsForDuration (datapoints, predicate, interval) {
+    if (datapoints.length === 0) return false
+
+    const latestAt = new Date(datapoints[datapoints.length - 1].timestamp).getTime()
+    const since = this.getHoldingSince(datapoints, predicate, interval)
+    return since !== undefined && since <= latestAt - (this.duration - interval) * 60 * 1000
+  }
+
+  // `interval` is the minutes between the datapoints of the metric.
+  isFiring (datapoints, interval = 1) {
+    return this.holdsForDuration(datapoints, datapoint => this.isCrossing(datapoint), interval)
+  }
+
+  isRecovered (datapoints, interval = 1) {
+    return this.holdsForDuration(datapoints, datapoint => !this.isCrossing(datapoint), interval)
+  }
+
+  // Returns true if the state of the rule is changed.
+  async evaluate (metric, datapoints) {
+    const interval = metric.getDatapointInterval()
+    if (!this.incidentID && this.isFiring(datapoints, interval)) {
+      await this.openIncident(metric)
+      return true
+    }
+    if (this.incidentID && this.isRecovered(datapoints, interval)) {
+      await this.closeIncident(metric)
+      return true
+    }
+    return false
+  }
+
+  async openIncident (metric) {
+    const components = await Promise.all(this.componentIDs.map(async (componentID) => {
+      const component = await new Components().lookup(componentID)
+      component.status = this.componentStatus
+      return component
+    }))
+    const message = `${metric.title} has been ${this.comparator} ${this.threshold}${metric.unit} ` +
+      `for ${this.duration} minutes.`
+    const impact = incidentImpactsByComponentStatus[this.componentStatus] || 'none'
+    const incident = new Incident(undefined, this.incidentName, openedIncidentStatus, impact, message, components,
+                                  undefined, [], this.draft)
+    await incident.save('Alert rule')
+    if (!this.draft) {
+      await new SNS().notifyIncident(incident)
+    }
+    this.incidentID = incident.incidentID
+  }
+
+  async closeIncident (metric) {
+    let incident
+    try {
+      incident = await new Incidents().lookup(this.incidentID)
+    } catch (error) {
+      if (error.name === 'NotFoundError') {
+        // The admin deleted the incident.
+        this.incidentID = undefined
+        return
+      }
+      throw error
+    }
+    if (incident.status === 'Resolved') {
+      // The admin resolved the incident already. Respect it.
+      this.incidentID = undefined
+      return
+    }
+
+    const message = `${metric.title} has recovered.`
+    const status = this.recoveryAction === 'resolve' ? 'Resolved' : 'Monitoring'
+    // The draft stays the draft, even if the rule is changed since the incident is opened.
+    const update = new Incident(this.incidentID, incident.name, status, incident.impact, message, [], undefined, [],
+                                incident.draft)
+    await update.save()
+    if (!update.draft) {
+      await new SNS().notifyIncident(update)
+    }
+    this.incidentID = undefined
+  }
+
+  objectify () {
+    return {
+      ruleID: this.ruleID,
+      comparator: this.comparator,
+      threshold: this.threshold,
+      duration: this.duration,
+      componentIDs: this.componentIDs,
+      componentStatus: this.componentStatus,
+      incidentName: this.incidentName,
+      draft: this.draft,
+      recoveryAction: this.recoveryAction,
+      incidentID: this.incidentID
+    }
+  }
+}
+
+export const buildAlertRule = (rule) => {
+  return new AlertRule(rule.ruleID, rule.comparator, rule.threshold, rule.duration, rule.componentIDs,
+                       rule.componentStatus, rule.incidentName, rule.draft, rule.recoveryAction, rule.incidentID)
+}
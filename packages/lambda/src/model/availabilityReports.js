@@ -0,0 +1,129 @@
+import ComponentStatusChangesStore from 'db/componentStatusChanges'
+import IncidentsStore from 'db/incidents'
+import { Components } from 'model/components'
+import { downStatuses } from 'model/componentUptimes'
+import { ValidationError } from 'utils/errors'
+
+// The period is the month like '2017-01' or the quarter like '2017-Q1'.
+const monthPattern = /^(\d{4})-(0[1-9]|1[0-2])$/
+const quarterPattern = /^(\d{4})-Q([1-4])$/
+
+// Returns the start and the end of the period in milliseconds. The end is exclusive.
+export const parsePeriod = (period) => {
+  let matched = monthPattern.exec(period)
+  if (matched) {
+    const [year, month] = [parseInt(matched[1]), parseInt(matched[2]) - 1]
+    return {start: Date.UTC(year, month, 1), end: Date.UTC(year, month + 1, 1)}
+  }
+  matched = quarterPattern.exec(period)
+  if (matched) {
+    const [year, quarter] = [parseInt(matched[1]), parseInt(matched[2]) - 1]
+    return {start: Date.UTC(year, quarter * 3, 1), end: Date.UTC(year, quarter * 3 + 3, 1)}
+  }
+  throw new ValidationError('invalid period')
+}
+
+// The time in the status is counted as neither uptime nor downtime when the maintenances are excluded.
+const maintenanceStatus = 'Under Maintenance'
+
+// Returns true if the period is in the status set by the maintenance.
+const isUnderMaintenance = (period) => {
+  return period.cause === 'maintenance' && period.status === maintenanceStatus
+}
+
+// Returns {availability, downtime, incidentDowntimes} of the component in [start, end).
+// `availability` is the ratio of the uptime and null if the component didn't exist in the period. `downtime` is in
+// seconds. `incidentDowntimes` is the map from the incident ID to the downtime since the incident changed the status.
+// `lastChangeBefore` is the last status change before `start`, or null if there is none. `changes` is the status
+// changes at or after `start`, sorted from oldest to latest. The component has been in `currentStatus` if there is no
+// change.
+export const computeAvailability = (lastChangeBefore, changes, currentStatus, start, end,
+                                    excludeMaintenances = false) => {
+  const changesIn = changes.filter(change => new Date(change.changedAt).getTime() < end)
+
+  let initial
+  if (lastChangeBefore) {
+    initial = lastChangeBefore
+  } else if (changes.length > 0) {
+    // The component is created at the change without the previous status.
+    initial = {status: changes[0].previousStatus || null}
+  } else {
+    initial = {status: currentStatus}
+  }
+  const periods = [Object.assign({}, initial, {start})].concat(changesIn.map(change => {
+    return Object.assign({}, change, {start: new Date(change.changedAt).getTime()})
+  }))
+
+  let knownTime = 0
+  let downtime = 0
+  const incidentDowntimes = {}
+  periods.forEach((period, i) => {
+    const periodEnd = i + 1 < periods.length ? periods[i + 1].start : end
+    if (period.status === null) return
+    if (excludeMaintenances && isUnderMaintenance(period)) return
+
+    const time = periodEnd - period.start
+    knownTime += time
+    if (downStatuses.indexOf(period.status) < 0) return
+
+    downtime += time
+    if (period.cause === 'incident' && period.causeID) {
+      incidentDowntimes[period.causeID] = (incidentDowntimes[period.causeID] || 0) + time
+    }
+  })
+
+  const toSeconds = (ms) => Math.round(ms / 1000)
+  Object.keys(incidentDowntimes).forEach(incidentID => {
+    incidentDowntimes[incidentID] = toSeconds(incidentDowntimes[incidentID])
+  })
+  return {
+    availability: knownTime > 0 ? Math.round((knownTime - downtime) / knownTime * 1000000) / 1000000 : null,
+    downtime: toSeconds(downtime),
+    incidentDowntimes
+  }
+}
+
+// Returns the availability of all the components in the period. The period in the future is cut at `now`.
+export const buildAvailabilityReport = async (period, excludeMaintenances, now = new Date()) => {
+  const { start, end: periodEnd } = parsePeriod(period)
+  if (start > now.getTime()) {
+    throw new ValidationError('the period is in the future')
+  }
+  const end = Math.min(periodEnd, now.getTime())
+
+  const components = await new Components().all()
+  components.sort((a, b) => a.order - b.order)
+  const incidents = await new IncidentsStore().getAll()
+  const store = new ComponentStatusChangesStore()
+  const startAt = new Date(start).toISOString()
+
+  const reports = []
+  for (let i = 0; i < components.length; i++) {
+    const component = components[i]
+    const [lastChangeBefore = null] = await store.getLatestByComponentID(component.componentID, 1, startAt)
+    const changes = await store.getByComponentID(component.componentID, startAt)
+    const { availability, downtime, incidentDowntimes } = computeAvailability(lastChangeBefore, changes,
+                                                                              component.status, start, end,
+                                                                              excludeMaintenances)
+    const contributingIncidents = Object.keys(incidentDowntimes).map(incidentID => {
+      const incident = incidents.find(incident => incident.incidentID === incidentID)
+      return {incidentID, name: incident ? incident.name : '', downtime: incidentDowntimes[incidentID]}
+    }).sort((a, b) => b.downtime - a.downtime)
+
+    reports.push({
+      componentID: component.componentID,
+      name: component.name,
+      availability,
+      downtime,
+      incidents: contributingIncidents
+    })
+  }
+
+  return {
+    period,
+    startAt,
+    endAt: new Date(end).toISOString(),
+    excludeMaintenances,
+    components: reports
+  }
+}
@@ -0,0 +1,90 @@
+import ComponentGroupsStore from 'db/componentGroups'
+import generateID from 'utils/generateID'
+import { NotFoundError, ValidationError } from 'utils/errors'
+
+// ComponentGroup is the ordered section of the components. The component joins the group by its `groupID`.
+export class ComponentGroup {
+  constructor (groupID, name, description, order) {
+    if (!groupID) {
+      this.groupID = generateID()
+      this.needIDValidation = false
+    } else {
+      // If the user specifies the group ID, the ID must be already existed.
+      this.groupID = groupID
+      this.needIDValidation = true
+    }
+    this.name = name
+    this.description = description
+    if (!order) {
+      this.order = Math.floor(new Date().getTime() / 1000)
+    } else {
+      this.order = order
+    }
+  }
+
+  async validate () {
+    if (this.groupID === undefined || this.groupID === '') {
+      throw new ValidationError('invalid groupID parameter')
+    }
+
+    if (this.needIDValidation) {
+      const groups = new ComponentGroups()
+      await groups.lookup(this.groupID)
+    }
+
+    if (this.name === undefined || this.name === '') {
+      throw new ValidationError('invalid name parameter')
+    }
+
+    if (this.description === undefined) {
+      throw new ValidationError('invalid description parameter')
+    }
+
+    if (this.order === undefined || (typeof this.order !== 'number') || Math.floor(this.order) !== this.order) {
+      throw new ValidationError('invalid order parameter')
+    }
+  }
+
+  async save () {
+    const store = new ComponentGroupsStore()
+    await store.update(this.groupID, this.name, this.description, this.order)
+  }
+
+  async delete () {
+    const store = new ComponentGroupsStore()
+    await store.delete(this.groupID)
+  }
+
+  objectify () {
+    return {
+      groupID: this.groupID,
+      name: this.name,
+      description: this.description,
+      order: this.order
+    }
+  }
+}
+
+const buildComponentGroup = (item) => {
+  return new ComponentGroup(item.groupID, item.name, item.description, item.order)
+}
+
+export class ComponentGroups {
+  async all () {
+    const store = new ComponentGroupsStore()
+    const groups = await store.getAll()
+    return groups.map(buildComponentGroup)
+  }
+
+  async lookup (groupID) {
+    const store = new ComponentGroupsStore()
+    const groups = await store.getByID(groupID)
+    if (groups.length === 0) {
+      throw new NotFoundError('no matched item')
+    } else if (groups.length === 1) {
+      return buildComponentGroup(groups[0])
+    } else {
+      throw new Error('matched too many items')
+    }
+  }
+}
@@ -0,0 +1,76 @@
+import ComponentStatusChangesStore from 'db/componentStatusChanges'
+import { Components } from 'model/components'
+import { getWorstStatus } from 'model/affectedComponents'
+import S3 from 'aws/s3'
+
+export const uptimeDays = 90
+export const uptimesObjectName = 'components/uptimes.json'
+
+// The component is down while it has one of these statuses. Degraded performance and maintenance count as uptime.
+export const downStatuses = ['Partial Outage', 'Major Outage']
+const dayInMs = 24 * 60 * 60 * 1000
+
+const getWindowStart = (numDays, now) => {
+  const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())
+  return today - (numDays - 1) * dayInMs
+}
+
+// Returns the list of {date, availability, status} of the last `numDays` dates in UTC, from the oldest to today.
+// `availability` is the ratio of the uptime and `status` is the worst status of the date. Both are null if the
+// component didn't exist on the date.
+// `changes` is the status changes in the dates, sorted from oldest to latest. The component has been in
+// `currentStatus` through the dates if there is no change.
+export const computeDailyUptimes = (changes, currentStatus, numDays, now = new Date()) => {
+  const windowStart = getWindowStart(numDays, now)
+  const end = now.getTime()
+  // The first change tells the status before it. The component is created at the change without the previous status.
+  const initialStatus = changes.length > 0 ? (changes[0].previousStatus || null) : currentStatus
+  const periods = [{start: windowStart, status: initialStatus}].concat(changes.map(change => {
+    return {start: new Date(change.changedAt).getTime(), status: change.status}
+  }))
+
+  const uptimes = []
+  for (let dayStart = windowStart; dayStart < end; dayStart += dayInMs) {
+    const dayEnd = Math.min(dayStart + dayInMs, end)
+    let uptime = 0
+    let knownTime = 0
+    const statuses = []
+    periods.forEach((period, i) => {
+      const periodEnd = i + 1 < periods.length ? periods[i + 1].start : end
+      const from = Math.max(period.start, dayStart)
+      const to = Math.min(periodEnd, dayEnd)
+      if (from >= to || period.status === null) return
+
+      knownTime += to - from
+      statuses.push(period.status)
+      if (downStatuses.indexOf(period.status) < 0) {
+        uptime += to - from
+      }
+    })
+
+    uptimes.push({
+      date: new Date(dayStart).toISOString().substr(0, 10),
+      availability: knownTime > 0 ? Math.round(uptime / knownTime * 10000) / 10000 : null,
+      status: statuses.length > 0 ? getWorstStatus(statuses) : null
+    })
+  }
+  return uptimes
+}
+
+// Writes the daily uptimes of all the components to the status page bucket, as the map from the component ID to
+// the list returned by computeDailyUptimes.
+export const updateComponentUptimes = async (bucketName, now = new Date()) => {
+  const since = new Date(getWindowStart(uptimeDays, now)).toISOString()
+  const components = await new Components().all()
+  const store = new ComponentStatusChangesStore()
+  const uptimes = {}
+  for (let i = 0; i < components.length; i++) {
+    const component = components[i]
+    const changes = await store.getByComponentID(component.componentID, since)
+    uptimes[component.componentID] = computeDailyUptimes(changes, component.status, uptimeDays, now)
+  }
+
+  const { AWS_REGION: region } = process.env
+  await new S3().putObject(region, bucketName, uptimesObjectName, uptimes)
+  return uptimes
+}
@@ -1,10 +1,34 @@
 import ComponentsStore from 'db/components'
+import ComponentStatusChangesStore from 'db/componentStatusChanges'
+import { ComponentGroups } from 'model/componentGroups'
 import generateID from 'utils/generateID'
 import { componentStatuses } from 'utils/const'
 import { NotFoundError, ValidationError } from 'utils/errors'
 
+// The history shows the latest changes only, as the changes keep growing.
+const maxStatusHistory = 100
+
+// Returns true if the dependencies have a cycle. `dependencyMap` is the map from the component ID to the IDs of the
+// components it depends on.
+export const hasDependencyCycle = (dependencyMap) => {
+  const visiting = {}
+  const visited = {}
+  const visit = (componentID) => {
+    if (visiting[componentID]) return true
+    if (visited[componentID]) return false
+    visiting[componentID] = true
+    const found = (dependencyMap[componentID] || []).some(visit)
+    visiting[componentID] = false
+    visited[componentID] = true
+    return found
+  }
+  return Object.keys(dependencyMap).some(visit)
+}
+
 export class Component {
-  constructor (componentID, name, description, status, order) {
+  // `groupID` is the group the component belongs to. The empty string means the component is not in any group.
+  // `dependencies` is the list of the IDs of the components this component depends on.
+  constructor (componentID, name, description, status, order, groupID = '', dependencies = []) {
     if (!componentID) {
       this.componentID = generateID()
       this.needIDValidation = false
@@ -21,6 +45,8 @@ export class Component {
     } else {
       this.order = order
     }
+    this.groupID = groupID
+    this.dependencies = dependencies
   }
 
   async validate () {
@@ -48,11 +74,63 @@ export class Component {
     if (this.order === undefined || (typeof this.order !== 'number') || Math.floor(this.order) !== this.order) {
       throw new ValidationError('invalid order parameter')
     }
+
+    if (typeof this.groupID !== 'string') {
+      throw new ValidationError('invalid groupID parameter')
+    }
+
+    if (this.groupID !== '') {
+      try {
+        await new ComponentGroups().lookup(this.groupID)
+      } catch (error) {
+        if (error.name === 'NotFoundError') {
+          throw new ValidationError(`the group ${this.groupID} not found`)
+        }
+        throw error
+      }
+    }
+
+    if (!Array.isArray(this.dependencies) || this.dependencies.some(id => typeof id !== 'string')) {
+      throw new ValidationError('invalid dependencies parameter')
+    }
+
+    if (this.dependencies.length > 0) {
+      await this.validateDependencies()
+    }
+  }
+
+  async validateDependencies () {
+    if (this.dependencies.indexOf(this.componentID) >= 0) {
+      throw new ValidationError('the component can not depend on itself')
+    }
+
+    const components = await new Components().all()
+    const dependencyMap = {}
+    components.forEach(comp => {
+      dependencyMap[comp.componentID] = comp.dependencies
+    })
+    this.dependencies.forEach(id => {
+      if (!dependencyMap.hasOwnProperty(id)) {
+        throw new ValidationError(`the component ${id} not found`)
+      }
+    })
+
+    dependencyMap[this.componentID] = this.dependencies
+    if (hasDependencyCycle(dependencyMap)) {
+      throw new ValidationError('the dependencies have a cycle')
+    }
   }
 
-  async save () {
+  // `actor` is who updates the component, which is recorded with the status change.
+  async save (actor = '') {
     const store = new ComponentsStore()
-    await store.update(this.componentID, this.name, this.description, this.status, this.order)
+    await store.update(this.componentID, this.name, this.description, this.status, this.order, this.groupID,
+                       this.dependencies, {actor, cause: 'manual'})
+  }
+
+  // Returns the latest status changes of the component, from latest to oldest.
+  async getStatusHistory () {
+    return new ComponentStatusChangesStore().getLatestByComponentID(this.componentID, maxStatusHistory)
   }
 
   async delete () {
@@ -66,7 +144,9 @@ export class Component {
       name: this.name,
       description: this.description,
       status: this.status,
-      order: this.order
+      order: this.order,
+      groupID: this.groupID,
+      dependencies: this.dependencies
     }
   }
 }
@@ -76,7 +156,8 @@ export class Components {
     const store = new ComponentsStore()
     const components = await store.getAll()
     return components.map(comp => {
-      return new Component(comp.componentID, comp.name, comp.description, comp.status, comp.order)
+      return new Component(comp.componentID, comp.name, comp.description, comp.status, comp.order, comp.groupID,
+                           comp.dependencies)
     })
   }
 
@@ -87,9 +168,35 @@ export class Components {
       throw new NotFoundError('no matched item')
     } else if (comps.length === 1) {
       const comp = comps[0]
-      return new Component(comp.componentID, comp.name, comp.description, comp.status, comp.order)
+      return new Component(comp.componentID, comp.name, comp.description, comp.status, comp.order, comp.groupID,
+                           comp.dependencies)
     } else {
       throw new Error('matched too many items')
     }
   }
+
+  // Removes the components from the deleted group. The components are kept outside of any group.
+  async removeGroup (groupID) {
+    const components = await this.all()
+    const store = new ComponentsStore()
+    for (let i = 0; i < components.length; i++) {
+      const comp = components[i]
+      if (comp.groupID !== groupID) continue
+      await store.update(comp.componentID, comp.name, comp.description, comp.status, comp.order, '',
+                         comp.dependencies)
+    }
+  }
+
+  // Removes the deleted component from the dependencies of the others.
+  async removeDependency (componentID) {
+    const components = await this.all()
+    const store = new ComponentsStore()
+    for (let i = 0; i < components.length; i++) {
+      const comp = components[i]
+      if (comp.dependencies.indexOf(componentID) < 0) continue
+      const dependencies = comp.dependencies.filter(id => id !== componentID)
+      await store.update(comp.componentID, comp.name, comp.description, comp.status, comp.order, comp.groupID,
+                         dependencies)
+    }
+  }
 }
@@ -1,13 +1,22 @@
 import ComponentsStore from 'db/components'
 import IncidentsStore from 'db/incidents'
 import IncidentUpdatesStore from 'db/incidentUpdates'
-import { Component } from 'model/components'
+import { Component, Components } from 'model/components'
+import { getCurrentStatuses, getRestoredStatus, listActiveAffectedComponents,
+         recordAffectedComponents } from 'model/affectedComponents'
 import generateID from 'utils/generateID'
-import { incidentStatuses } from 'utils/const'
+import { incidentImpacts, incidentStatuses } from 'utils/const'
 import { NotFoundError, ValidationError } from 'utils/errors'
 
+const resolvedStatus = 'Resolved'
+
 export class Incident {
-  constructor (incidentID, name, status, message, components, updatedAt) {
+  // `impact` is how bad the incident is, while `status` is how far the incident is handled.
+  // `affectedComponents` is the list of the components whose status the incident changed. See model/affectedComponents.
+  // The `draft` incident is hidden from the status page, the feeds and the subscribers, and keeps the statuses of the
+  // components in `draftComponents` instead of changing them. Any update by the admin publishes the draft.
+  constructor (incidentID, name, status, impact, message, components, updatedAt, affectedComponents = [],
+               draft = false, draftComponents = []) {
     if (!incidentID) {
       this.incidentID = generateID()
       this.needIDValidation = false
@@ -18,15 +27,20 @@ export class Incident {
     }
     this.name = name
     this.status = status
+    this.impact = impact
     this.message = message
     this.components = components.map(comp => {
-      return new Component(comp.componentID, comp.name, comp.description, comp.status, comp.order)
+      return new Component(comp.componentID, comp.name, comp.description, comp.status, comp.order,
+                           comp.groupID, comp.dependencies)
     })
     if (!updatedAt) {
       this.updatedAt = new Date().toISOString()
     } else {
       this.updatedAt = updatedAt
     }
+    this.affectedComponents = affectedComponents
+    this.draft = draft
+    this.draftComponents = draftComponents
   }
 
   async validate () {
@@ -36,7 +50,10 @@ export class Incident {
 
     if (this.needIDValidation) {
       const incidents = new Incidents()
-      await incidents.lookup(this.incidentID)
+      const incident = await incidents.lookup(this.incidentID)
+      if (this.draft && !incident.draft) {
+        throw new ValidationError('the published incident can not be a draft')
+      }
     }
 
     if (this.name === undefined || this.name === '') {
@@ -47,6 +64,10 @@ export class Incident {
       throw new ValidationError('invalid incident status parameter')
     }
 
+    if (incidentImpacts.indexOf(this.impact) < 0) {
+      throw new ValidationError('invalid impact parameter')
+    }
+
     if (this.message === undefined) {
       throw new ValidationError('invalid message parameter')
     }
@@ -65,17 +86,95 @@ export class Incident {
     return await incidentUpdatesStore.getByIncidentID(this.incidentID)
   }
 
-  async save () {
+  // `actor` is who updates the incident, which is recorded with the component status changes.
+  async save (actor = '') {
     // TODO: retry
     const incidentsStore = new IncidentsStore()
-    await incidentsStore.update(this.incidentID, this.name, this.status, this.updatedAt, false)
+    await incidentsStore.update(this.incidentID, this.name, this.status, this.impact, this.updatedAt, false,
+                                this.draft)
 
     const incidentUpdatesStore = new IncidentUpdatesStore()
     await incidentUpdatesStore.update(this.incidentID, this.status, this.message, this.updatedAt)
 
+    if (this.draft) {
+      await this.saveDraftComponents()
+    } else {
+      await this.saveComponentStatuses(actor)
+    }
+  }
+
+  // Records the statuses the draft sets to the components when it is published.
+  async saveDraftComponents () {
+    let draftComponents = this.draftComponents
+    if (this.needIDValidation) {
+      const incident = await new Incidents().lookup(this.incidentID)
+      draftComponents = incident.draftComponents
+    }
+    draftComponents = draftComponents.filter(draft => {
+      return !this.components.some(component => component.componentID === draft.componentID)
+    }).concat(this.components.map(({ componentID, status }) => ({componentID, status})))
+    this.draftComponents = draftComponents
+    await new IncidentsStore().updateDraftComponents(this.incidentID, this.draftComponents)
+  }
+
+  // Adds the statuses the published draft planned to `components`, unless this update explicitly changes them.
+  async applyDraftComponents (draftComponents, currentStatuses) {
+    for (let i = 0; i < draftComponents.length; i++) {
+      const { componentID, status } = draftComponents[i]
+      let component = this.components.find(component => component.componentID === componentID)
+      if (component && component.status !== currentStatuses[componentID]) continue
+      if (!component) {
+        try {
+          component = await new Components().lookup(componentID)
+        } catch (error) {
+          // The admin deleted the component.
+          if (error.name === 'NotFoundError') continue
+          throw error
+        }
+        this.components.push(component)
+      }
+      component.status = status
+    }
+    this.draftComponents = []
+    await new IncidentsStore().updateDraftComponents(this.incidentID, this.draftComponents)
+  }
+
+  // Records the components the incident affects and writes their statuses. When the incident is resolved, the affected
+  // components are restored unless this update explicitly changes their status.
+  async saveComponentStatuses (actor) {
+    const currentStatuses = await getCurrentStatuses()
+    const activeAffectedComponents = await listActiveAffectedComponents(this.incidentID)
+    let recorded = this.affectedComponents
+    if (this.needIDValidation) {
+      const incident = await new Incidents().lookup(this.incidentID)
+      recorded = incident.affectedComponents
+      if (incident.draftComponents.length > 0) {
+        await this.applyDraftComponents(incident.draftComponents, currentStatuses)
+      }
+    }
+    this.affectedComponents = recordAffectedComponents(recorded, this.components, currentStatuses,
+                                                       activeAffectedComponents)
+    await new IncidentsStore().updateAffectedComponents(this.incidentID, this.affectedComponents)
+
+    const statuses = {}
+    this.components.forEach(component => {
+      statuses[component.componentID] = component.status
+    })
+    if (this.status === resolvedStatus) {
+      this.affectedComponents.forEach(affected => {
+        const { componentID } = affected
+        if (statuses[componentID] !== undefined && statuses[componentID] !== currentStatuses[componentID]) return
+        statuses[componentID] = getRestoredStatus(affected, activeAffectedComponents)
+      })
+    }
+    this.components.forEach(component => {
+      component.status = statuses[component.componentID]
+    })
+
     const componentsStore = new ComponentsStore()
-    await Promise.all(this.components.map(async (component) => {
-      await componentsStore.updateStatus(component.componentID, component.status)
+    const statusChange = {actor, cause: 'incident', causeID: this.incidentID}
+    await Promise.all(Object.keys(statuses).map(async (componentID) => {
+      await componentsStore.updateStatus(componentID, statuses[componentID], statusChange)
     }))
   }
 
@@ -94,21 +193,37 @@ export class Incident {
       incidentID: this.incidentID,
       name: this.name,
       status: this.status,
+      impact: this.impact,
       message: this.message,
       components: this.components.map(comp => { return comp.objectify() }),
+      draft: this.draft,
       updatedAt: this.updatedAt
     }
   }
 }
 
+const buildIncident = (incident) => {
+  return new Incident(incident.incidentID, incident.name, incident.status, incident.impact, '', [],
+                      incident.updatedAt, incident.affectedComponents, incident.draft, incident.draftComponents)
+}
+
 export class Incidents {
+  // Returns the incidents including the drafts.
   async all () {
     const store = new IncidentsStore()
     const incidents = await store.getAll()
-    return incidents.map(incident => {
-      return new Incident(incident.incidentID, incident.name, incident.status, '', [],
-                          incident.updatedAt)
-    })
+    return incidents.map(buildIncident)
+  }
+
+  // Returns the incidents shown on the status page.
+  async published () {
+    const incidents = await this.all()
+    return incidents.filter(incident => !incident.draft)
+  }
+
+  async drafts () {
+    const incidents = await this.all()
+    return incidents.filter(incident => incident.draft)
   }
 
   async lookup (incidentID) {
@@ -117,9 +232,7 @@ export class Incidents {
     if (incidents.length === 0) {
       throw new NotFoundError('no matched item')
     } else if (incidents.length === 1) {
-      const incident = incidents[0]
-      return new Incident(incident.incidentID, incident.name, incident.status, '', [],
-                          incident.updatedAt)
+      return buildIncident(incidents[0])
     } else {
       throw new Error('matched too many items')
     }
@@ -1,13 +1,29 @@
 import ComponentsStore from 'db/components'
 import MaintenancesStore from 'db/maintenances'
 import MaintenanceUpdatesStore from 'db/maintenanceUpdates'
-import { Component } from 'model/components'
+import { Component, Components } from 'model/components'
+import { getCurrentStatuses, getRestoredStatus, listActiveAffectedComponents,
+         recordAffectedComponents } from 'model/affectedComponents'
+import { buildOccurrenceID, listOccurrences, parseOccurrenceID, validateRecurrence } from 'model/recurrences'
 import generateID from 'utils/generateID'
 import { maintenanceStatuses } from 'utils/const'
 import { NotFoundError, ValidationError } from 'utils/errors'
 
+const scheduledStatus = 'Scheduled'
+const inProgressStatus = 'In Progress'
+const completedStatus = 'Completed'
+const underMaintenanceStatus = 'Under Maintenance'
+
 export class Maintenance {
-  constructor (maintenanceID, name, status, startAt, endAt, message, components, updatedAt) {
+  // `affectedComponents` is the list of the components whose status the maintenance changed.
+  // See model/affectedComponents.
+  // `componentIDs` is the components the maintenance is planned for. They are set under maintenance when the
+  // maintenance starts automatically.
+  // `recurrence` is set if the maintenance is recurring. The recurring maintenance is the template of its
+  // occurrences and is not listed by itself. The occurrence has the `seriesID` and the original start `occurrenceAt`.
+  // See model/recurrences.
+  constructor (maintenanceID, name, status, startAt, endAt, message, components, updatedAt, affectedComponents = [],
+               componentIDs = [], recurrence = null, seriesID = '', occurrenceAt = '', cancelledOccurrences = []) {
     if (!maintenanceID) {
       this.maintenanceID = generateID()
       this.needIDValidation = false
@@ -22,13 +38,20 @@ export class Maintenance {
     this.endAt = endAt
     this.message = message
     this.components = components.map(comp => {
-      return new Component(comp.componentID, comp.name, comp.description, comp.status, comp.order)
+      return new Component(comp.componentID, comp.name, comp.description, comp.status, comp.order,
+                           comp.groupID, comp.dependencies)
     })
     if (!updatedAt) {
       this.updatedAt = new Date().toISOString()
     } else {
       this.updatedAt = updatedAt
     }
+    this.affectedComponents = affectedComponents
+    this.componentIDs = componentIDs
+    this.recurrence = recurrence
+    this.seriesID = seriesID
+    this.occurrenceAt = occurrenceAt
+    this.cancelledOccurrences = cancelledOccurrences
   }
 
   async validate () {
@@ -38,7 +61,11 @@ export class Maintenance {
 
     if (this.needIDValidation) {
       const maintenances = new Maintenances()
-      await maintenances.lookup(this.maintenanceID)
+      const maintenance = await maintenances.lookup(this.maintenanceID)
+      // The occurrence keeps belonging to the series. The recurring maintenance keeps the recurrence unless given.
+      this.seriesID = maintenance.seriesID
+      this.occurrenceAt = maintenance.occurrenceAt
+      if (this.recurrence === null) this.recurrence = maintenance.recurrence
     }
 
     if (this.name === undefined || this.name === '') {
@@ -72,38 +99,126 @@ export class Maintenance {
     await Promise.all(this.components.map(async comp => {
       await comp.validate()
     }))
+
+    if (!Array.isArray(this.componentIDs) || this.componentIDs.some(id => typeof id !== 'string')) {
+      throw new ValidationError('invalid componentIDs parameter')
+    }
+
+    if (this.recurrence !== null) {
+      if (this.seriesID) {
+        throw new ValidationError('the occurrence can not recur')
+      }
+      if (this.status !== scheduledStatus) {
+        throw new ValidationError('the recurring maintenance must be scheduled')
+      }
+      validateRecurrence(this.recurrence, this.startAt)
+    }
   }
 
+  // The occurrence also has the updates of the recurring maintenance, such as the announcement.
   async getMaintenanceUpdates () {
     const maintenanceUpdatesStore = new MaintenanceUpdatesStore()
-    return await maintenanceUpdatesStore.getByMaintenanceID(this.maintenanceID)
+    const maintenanceUpdates = await maintenanceUpdatesStore.getByMaintenanceID(this.maintenanceID)
+    if (!this.seriesID) {
+      return maintenanceUpdates
+    }
+    return maintenanceUpdates.concat(await maintenanceUpdatesStore.getByMaintenanceID(this.seriesID))
   }
 
-  async save () {
+  // `actor` is who updates the maintenance, which is recorded with the component status changes.
+  async save (actor = '') {
     // TODO: retry
     const maintenancesStore = new MaintenancesStore()
     await maintenancesStore.update(this.maintenanceID, this.name, this.status, this.startAt, this.endAt,
-                                   this.updatedAt, false)
+                                   this.updatedAt, false, this.componentIDs, this.recurrence, this.seriesID,
+                                   this.occurrenceAt)
 
     const maintenanceUpdatesStore = new MaintenanceUpdatesStore()
     await maintenanceUpdatesStore.update(this.maintenanceID, this.status, this.message, this.updatedAt)
 
+    // The recurring maintenance itself never changes the components. Its occurrences do.
+    if (this.recurrence === null) {
+      await this.saveComponentStatuses(actor)
+    }
+  }
+
+  // Records the components the maintenance affects, so that the incidents resolved during the maintenance keep
+  // them under maintenance, and writes their statuses. When the maintenance is completed, the affected components
+  // are restored unless this update explicitly changes their status.
+  async saveComponentStatuses (actor) {
+    const currentStatuses = await getCurrentStatuses()
+    const activeAffectedComponents = await listActiveAffectedComponents(this.maintenanceID)
+    let recorded = this.affectedComponents
+    if (this.needIDValidation) {
+      const maintenance = await new Maintenances().lookup(this.maintenanceID)
+      recorded = maintenance.affectedComponents
+    }
+    this.affectedComponents = recordAffectedComponents(recorded, this.components, currentStatuses,
+                                                       activeAffectedComponents)
+    await new MaintenancesStore().updateAffectedComponents(this.maintenanceID, this.affectedComponents)
+
+    const restoredStatuses = {}
+    if (this.status === completedStatus) {
+      this.affectedComponents.forEach(affected => {
+        const { componentID } = affected
+        const component = this.components.find(component => component.componentID === componentID)
+        if (component && component.status !== currentStatuses[componentID]) return
+        restoredStatuses[componentID] = getRestoredStatus(affected, activeAffectedComponents)
+      })
+    }
+    this.components.forEach(component => {
+      if (restoredStatuses[component.componentID] !== undefined) {
+        component.status = restoredStatuses[component.componentID]
+        delete restoredStatuses[component.componentID]
+      }
+    })
+    const statuses = this.components.map(({ componentID, status }) => ({componentID, status}))
+      .concat(Object.keys(restoredStatuses).map(componentID => ({componentID, status: restoredStatuses[componentID]})))
+
     const componentsStore = new ComponentsStore()
-    await Promise.all(this.components.map(async (component) => {
-      await componentsStore.updateStatus(component.componentID, component.status)
+    const statusChange = {actor, cause: 'maintenance', causeID: this.maintenanceID}
+    await Promise.all(statuses.map(async ({ componentID, status }) => {
+      await componentsStore.updateStatus(componentID, status, statusChange)
     }))
   }
 
+  // Deleting the occurrence cancels only the occurrence. The other occurrences and the series are kept.
   async delete () {
     const maintenancesStore = new MaintenancesStore()
+    if (this.seriesID) {
+      await maintenancesStore.addCancelledOccurrence(this.seriesID, this.occurrenceAt)
+    }
     await maintenancesStore.delete(this.maintenanceID)
 
-    const maintenanceUpdates = await this.getMaintenanceUpdates()
+    // The updates of the recurring maintenance are not the occurrence's.
+    const maintenanceUpdatesStore = new MaintenanceUpdatesStore()
+    const maintenanceUpdates = await maintenanceUpdatesStore.getByMaintenanceID(this.maintenanceID)
+    if (maintenanceUpdates.length === 0) {
+      return
+    }
     const maintenanceUpdateIDs = maintenanceUpdates.map(maintenanceUpdate => maintenanceUpdate.maintenanceUpdateID)
-    const maintenanceUpdatesStore = new MaintenancesStore()
     await maintenanceUpdatesStore.delete(this.maintenanceID, maintenanceUpdateIDs)
   }
 
+  // Returns the occurrences of the recurring maintenance which are neither saved nor cancelled. The occurrence is
+  // saved as the maintenance once it is edited or started, so that the change doesn't affect the series.
+  // The occurrences ended before the recurring maintenance is saved are not expanded, as nobody was notified of them.
+  expandOccurrences (savedOccurrences) {
+    const savedAt = savedOccurrences
+      .filter(maintenance => maintenance.seriesID === this.maintenanceID)
+      .map(maintenance => maintenance.occurrenceAt)
+    const savedTime = new Date(this.updatedAt).getTime()
+    return listOccurrences(this.recurrence, this.startAt, this.endAt)
+      .filter(({ startAt, endAt }) => {
+        return new Date(endAt).getTime() > savedTime && savedAt.indexOf(startAt) < 0 &&
+          this.cancelledOccurrences.indexOf(startAt) < 0
+      })
+      .map(({ startAt, endAt }) => {
+        return new Maintenance(buildOccurrenceID(this.maintenanceID, startAt), this.name, scheduledStatus, startAt,
+                               endAt, '', [], this.updatedAt, [], this.componentIDs, null, this.maintenanceID, startAt)
+      })
+  }
+
   objectify () {
     return {
       maintenanceID: this.maintenanceID,
@@ -113,32 +228,97 @@ export class Maintenance {
       endAt: this.endAt,
       message: this.message,
       components: this.components.map(comp => { return comp.objectify() }),
+      componentIDs: this.componentIDs,
+      recurrence: this.recurrence,
+      seriesID: this.seriesID,
+      occurrenceAt: this.occurrenceAt,
       updatedAt: this.updatedAt
     }
   }
 }
 
+const buildMaintenance = (maintenance) => {
+  return new Maintenance(maintenance.maintenanceID, maintenance.name, maintenance.status, maintenance.startAt,
+                         maintenance.endAt, '', [], maintenance.updatedAt, maintenance.affectedComponents,
+                         maintenance.componentIDs, maintenance.recurrence, maintenance.seriesID,
+                         maintenance.occurrenceAt, maintenance.cancelledOccurrences)
+}
+
 export class Maintenances {
+  // Returns the maintenances and the occurrences of the recurring maintenances.
   async all () {
     const store = new MaintenancesStore()
-    const maintenances = await store.getAll()
-    return maintenances.map(maintenance => {
-      return new Maintenance(maintenance.maintenanceID, maintenance.name, maintenance.status, maintenance.startAt,
-                             maintenance.endAt, '', [], maintenance.updatedAt)
-    })
+    const maintenances = (await store.getAll()).map(buildMaintenance)
+    const occurrences = maintenances
+      .filter(maintenance => maintenance.recurrence)
+      .map(maintenance => maintenance.expandOccurrences(maintenances))
+    return [].concat(maintenances.filter(maintenance => !maintenance.recurrence), ...occurrences)
   }
 
   async lookup (maintenanceID) {
     const store = new MaintenancesStore()
     const maintenances = await store.getByID(maintenanceID)
     if (maintenances.length === 0) {
-      throw new NotFoundError('no matched item')
+      return await this.lookupOccurrence(maintenanceID)
     } else if (maintenances.length === 1) {
-      const maintenance = maintenances[0]
-      return new Maintenance(maintenance.maintenanceID, maintenance.name, maintenance.status, maintenance.startAt,
-                             maintenance.endAt, '', [], maintenance.updatedAt)
+      return buildMaintenance(maintenances[0])
     } else {
       throw new Error('matched too many items')
     }
   }
+
+  // Returns the occurrence not saved yet.
+  async lookupOccurrence (maintenanceID) {
+    const parsed = parseOccurrenceID(maintenanceID)
+    if (parsed === null) {
+      throw new NotFoundError('no matched item')
+    }
+    const series = await this.lookup(parsed.seriesID)
+    const occurrences = series.recurrence ? series.expandOccurrences([]) : []
+    const occurrence = occurrences.find(occurrence => occurrence.maintenanceID === maintenanceID)
+    if (occurrence === undefined) {
+      throw new NotFoundError('no matched item')
+    }
+    return occurrence
+  }
+
+  // Starts the scheduled maintenances whose window has started and completes the ones whose window has ended. The
+  // maintenance being verified is left to the admin. Returns the advanced maintenances.
+  async advance (startMessage, endMessage, actor, now = new Date()) {
+    const maintenances = await this.all()
+    const components = await new Components().all()
+    const advanced = []
+    for (let i = 0; i < maintenances.length; i++) {
+      const maintenance = maintenances[i]
+      const isStarted = new Date(maintenance.startAt).getTime() <= now.getTime()
+      const isEnded = new Date(maintenance.endAt).getTime() <= now.getTime()
+      if (isEnded && (maintenance.status === scheduledStatus || maintenance.status === inProgressStatus)) {
+        // The affected components are restored on complete.
+        maintenance.status = completedStatus
+        maintenance.message = endMessage
+      } else if (isStarted && maintenance.status === scheduledStatus) {
+        maintenance.status = inProgressStatus
+        maintenance.message = startMessage
+        maintenance.components = components
+          .filter(component => maintenance.componentIDs.indexOf(component.componentID) >= 0)
+          .map(component => {
+            component.status = underMaintenanceStatus
+            return component
+          })
+      } else {
+        continue
+      }
+      maintenance.updatedAt = now.toISOString()
+      try {
+        await maintenance.save(actor)
+        advanced.push(maintenance)
+      } catch (error) {
+        // Keep advancing the other maintenances. The failed one is retried next time.
+        console.log(`failed to advance the maintenance (maintenanceID: ${maintenance.maintenanceID})`)
+        console.log(error.message)
+        console.log(error.stack)
+      }
+    }
+    return advanced
+  }
 }
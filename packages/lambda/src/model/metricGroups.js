@@ -0,0 +1,144 @@
+import MetricGroupsStore from 'db/metricGroups'
+import { Metrics } from 'model/metrics'
+import generateID from 'utils/generateID'
+import { metricStatuses, metricStatusVisible } from 'utils/const'
+import { NotFoundError, ValidationError } from 'utils/errors'
+
+// MetricGroup is the ordered set of the metrics drawn as one graph. The metrics must share the unit.
+export class MetricGroup {
+  constructor (groupID, title, description, metricIDs, status, order) {
+    if (!groupID) {
+      this.groupID = generateID()
+      this.needIDValidation = false
+    } else {
+      // If the user specifies the group ID, the ID must be already existed.
+      this.groupID = groupID
+      this.needIDValidation = true
+    }
+    this.title = title
+    this.description = description
+    this.metricIDs = metricIDs
+    this.status = status
+    if (!order) {
+      this.order = Math.floor(new Date().getTime() / 1000)
+    } else {
+      this.order = order
+    }
+  }
+
+  async validate () {
+    if (this.groupID === undefined || this.groupID === '') {
+      throw new ValidationError('invalid groupID parameter')
+    }
+
+    if (this.needIDValidation) {
+      const groups = new MetricGroups()
+      await groups.lookup(this.groupID)
+    }
+
+    if (this.title === undefined || this.title === '') {
+      throw new ValidationError('invalid title parameter')
+    }
+
+    if (this.description === undefined) {
+      throw new ValidationError('invalid description parameter')
+    }
+
+    if (!Array.isArray(this.metricIDs) || this.metricIDs.length === 0 ||
+        this.metricIDs.some(metricID => typeof metricID !== 'string' || metricID === '') ||
+        new Set(this.metricIDs).size !== this.metricIDs.length) {
+      throw new ValidationError('invalid metricIDs parameter')
+    }
+
+    if (metricStatuses.indexOf(this.status) < 0) {
+      throw new ValidationError('invalid status parameter')
+    }
+
+    if (this.order === undefined || (typeof this.order !== 'number') || Math.floor(this.order) !== this.order) {
+      throw new ValidationError('invalid order parameter')
+    }
+
+    const metrics = new Metrics()
+    const units = new Set()
+    for (let i = 0; i < this.metricIDs.length; i++) {
+      let metric
+      try {
+        metric = await metrics.lookup(this.metricIDs[i])
+      } catch (error) {
+        if (error.name === 'NotFoundError') {
+          throw new ValidationError(`the metric ${this.metricIDs[i]} not found`)
+        }
+        throw error
+      }
+      units.add(metric.unit)
+    }
+    if (units.size !== 1) {
+      throw new ValidationError('the metrics in the group must have the same unit')
+    }
+  }
+
+  async save () {
+    const store = new MetricGroupsStore()
+    await store.update(this.groupID, this.title, this.description, this.metricIDs, this.status, this.order)
+  }
+
+  async delete () {
+    const store = new MetricGroupsStore()
+    await store.delete(this.groupID)
+  }
+
+  objectify () {
+    return {
+      groupID: this.groupID,
+      title: this.title,
+      description: this.description,
+      metricIDs: this.metricIDs,
+      status: this.status,
+      order: this.order
+    }
+  }
+}
+
+const buildMetricGroup = (item) => {
+  return new MetricGroup(item.groupID, item.title, item.description, item.metricIDs, item.status, item.order)
+}
+
+export class MetricGroups {
+  async all () {
+    const store = new MetricGroupsStore()
+    const groups = await store.getAll()
+    return groups.map(buildMetricGroup)
+  }
+
+  async listPublic () {
+    const groups = await this.all()
+    return groups.filter((group) => {
+      return group.status === metricStatusVisible
+    })
+  }
+
+  async lookup (groupID) {
+    const store = new MetricGroupsStore()
+    const groups = await store.getByID(groupID)
+    if (groups.length === 0) {
+      throw new NotFoundError('no matched item')
+    } else if (groups.length === 1) {
+      return buildMetricGroup(groups[0])
+    } else {
+      throw new Error('matched too many items')
+    }
+  }
+
+  // Removes the deleted metric from the groups. The group which has no metric left is kept so that the admin can
+  // fill it again.
+  async removeMetric (metricID) {
+    const groups = await this.all()
+    const store = new MetricGroupsStore()
+    for (let i = 0; i < groups.length; i++) {
+      const group = groups[i]
+      if (group.metricIDs.indexOf(metricID) < 0) continue
+      group.metricIDs = group.metricIDs.filter(id => id !== metricID)
+      await store.update(group.groupID, group.title, group.description, group.metricIDs, group.status, group.order)
+    }
+  }
+}
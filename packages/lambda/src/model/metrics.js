@@ -1,14 +1,52 @@
-import CloudWatch from 'aws/cloudWatch'
 import CloudFormation from 'aws/cloudFormation'
 import S3 from 'aws/s3'
 import MetricsStore from 'db/metrics'
+import { buildAlertRule } from 'model/alertRules'
+import { createMonitoringService, isMonitoringServiceType } from 'monitoringServices'
+import { listMetricReferences } from 'monitoringServices/composite'
 import generateID from 'utils/generateID'
 import { NotFoundError, ValidationError } from 'utils/errors'
-import { metricStatuses, metricStatusVisible, monitoringServices, region, stackName } from 'utils/const'
+import { metricStatuses, metricStatusVisible, region, stackName } from 'utils/const'
 import { getDateObject } from 'utils/datetime'
 
+const defaultCollectionInterval = 1
+const maxCollectionInterval = 1440
+const maxAlertRulesUpdateAttempts = 3
+// The datapoints slightly in the future are accepted to tolerate the clock skew of the clients.
+const maxClockSkew = 5 * 60 * 1000
+// The ISO 8601 date and time with the time zone, like '2017-07-03T00:00:00.000Z' or '2017-07-03T09:00+09:00'.
+const timestampPattern = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/
+
+// The options of how the status page draws the graph. `yMin` and `yMax` fix the range of the y-axis if not null.
+// `scaleUnit` converts the values into the larger unit, e.g. 1500 ms into 1.5 s.
+export const chartTypes = ['line', 'area', 'bar']
+export const defaultDisplayOptions = {chartType: 'line', decimals: 0, yMin: null, yMax: null, scaleUnit: false}
+const maxDecimals = 6
+
+// The rollups are the datapoints aggregated by the interval, which let the status page draw the graph of
+// the long timeframe by fetching one object. Each rollup keeps the buckets of the last `numDates` dates.
+export const rollups = [
+  {name: 'hourly', intervalInMinutes: 60, numDates: 8},
+  {name: '3hourly', intervalInMinutes: 180, numDates: 31}
+]
+
+// The aggregations to downsample the datapoints. `values` is not empty.
+export const aggregations = {
+  avg: (values) => values.reduce((sum, value) => sum + value, 0) / values.length,
+  min: (values) => values.reduce((min, value) => Math.min(min, value)),
+  max: (values) => values.reduce((max, value) => Math.max(max, value)),
+  last: (values) => values[values.length - 1]
+}
+const minQueryStep = 60
+const maxQueryStep = 86400
+const maxQueryRange = 31 * 24 * 60 * 60 * 1000
+
 export class Metric {
-  constructor (metricID, type, title, unit, description, status, order, props) {
+  // `collectionInterval` is in minutes. `alertRules` is the list of the objects built into AlertRule.
+  // `displayOptions` lacking some options is filled with the defaults.
+  // `collectionStatus` has lastSuccessAt, lastErrorAt and lastError if any.
+  constructor (metricID, type, title, unit, description, status, order, props, collectionInterval,
+               alertRules = [], displayOptions = {}, collectionStatus = {}) {
     if (!metricID) {
       this.metricID = generateID()
       this.needIDValidation = false
@@ -18,8 +56,6 @@ export class Metric {
       this.needIDValidation = true
     }
     this.type = type
-    // TODO: should be instantiated based on 'type'
-    this.monitoringService = new CloudWatch()
     this.title = title
     this.unit = unit
     this.description = description
@@ -30,6 +66,22 @@ export class Metric {
       this.order = order
     }
     this.props = props
+    if (collectionInterval === undefined) {
+      this.collectionInterval = defaultCollectionInterval
+    } else {
+      this.collectionInterval = collectionInterval
+    }
+    if (Array.isArray(alertRules)) {
+      this.alertRules = alertRules.map(buildAlertRule)
+    } else {
+      this.alertRules = alertRules
+    }
+    if (displayOptions !== null && typeof displayOptions === 'object' && !Array.isArray(displayOptions)) {
+      this.displayOptions = Object.assign({}, defaultDisplayOptions, displayOptions)
+    } else {
+      this.displayOptions = displayOptions
+    }
+    this.collectionStatus = collectionStatus
   }
 
   async validate () {
@@ -42,7 +94,7 @@ export class Metric {
       await metrics.lookup(this.metricID)
     }
 
-    if (monitoringServices.indexOf(this.type) < 0) {
+    if (!isMonitoringServiceType(this.type)) {
       throw new ValidationError('invalid type parameter')
     }
 
@@ -69,15 +121,132 @@ export class Metric {
     if (this.props === undefined || this.props === null || typeof this.props !== 'object') {
       throw new ValidationError('invalid metrics parameter')
     }
+
+    if (!Number.isInteger(this.collectionInterval) || this.collectionInterval <= 0 ||
+        this.collectionInterval > maxCollectionInterval) {
+      throw new ValidationError('invalid collectionInterval parameter')
+    }
+
+    if (!Array.isArray(this.alertRules)) {
+      throw new ValidationError('invalid alertRules parameter')
+    }
+    for (let i = 0; i < this.alertRules.length; i++) {
+      await this.alertRules[i].validate()
+    }
+
+    this.validateDisplayOptions()
+
+    await this.getMonitoringService().validateProps(this.props, this.metricID)
   }
 
+  validateDisplayOptions () {
+    if (this.displayOptions === null || typeof this.displayOptions !== 'object' ||
+        Array.isArray(this.displayOptions)) {
+      throw new ValidationError('invalid displayOptions parameter')
+    }
+    const { chartType, decimals, yMin, yMax, scaleUnit } = this.displayOptions
+    if (chartTypes.indexOf(chartType) < 0) {
+      throw new ValidationError('invalid chartType option')
+    }
+    if (!Number.isInteger(decimals) || decimals < 0 || decimals > maxDecimals) {
+      throw new ValidationError('invalid decimals option')
+    }
+    const isBound = (value) => value === null || (typeof value === 'number' && isFinite(value))
+    if (!isBound(yMin)) {
+      throw new ValidationError('invalid yMin option')
+    }
+    if (!isBound(yMax)) {
+      throw new ValidationError('invalid yMax option')
+    }
+    if (yMin !== null && yMax !== null && yMin >= yMax) {
+      throw new ValidationError('yMin must be less than yMax')
+    }
+    if (typeof scaleUnit !== 'boolean') {
+      throw new ValidationError('invalid scaleUnit option')
+    }
+  }
+
+  getMonitoringService () {
+    return createMonitoringService(this.type)
+  }
+
+  // Returns the minutes between the datapoints. The datapoints are as frequent as the monitoring service provides, but
+  // not more frequent than the collection.
+  getDatapointInterval () {
+    const service = this.getMonitoringService()
+    if (typeof service.getDatapointInterval !== 'function') {
+      return this.collectionInterval
+    }
+    return Math.max(this.collectionInterval, service.getDatapointInterval(this.props))
+  }
+
+  // Returns true if the monitoring service inserts the datapoints by itself instead of being collected.
+  recordsOwnData () {
+    return isMonitoringServiceType(this.type) && this.getMonitoringService().recordsOwnData === true
+  }
+
+  // The incident IDs of the rules are recorded by the evaluation of the rules, so they are copied from the stored rules
+  // instead of trusting the caller's copy, which may be stale. The write is conditional like saveIncidentIDs so that
+  // the incident opened or closed in the meantime is not lost.
   async save () {
     const store = new MetricsStore()
-    await store.update(this.metricID, this.type, this.title, this.unit, this.description, this.status,
-                       this.order, this.props)
+    for (let i = 0; i < maxAlertRulesUpdateAttempts; i++) {
+      let currentAlertRules
+      if (this.needIDValidation) {
+        const [item] = await store.getByID(this.metricID)
+        currentAlertRules = item.alertRules
+      }
+      this.alertRules.forEach(rule => {
+        const storedRule = (currentAlertRules || []).find(storedRule => storedRule.ruleID === rule.ruleID)
+        rule.incidentID = storedRule ? storedRule.incidentID : undefined
+      })
+
+      const item = await store.update(this.metricID, this.type, this.title, this.unit, this.description, this.status,
+                                      this.order, this.props, this.collectionInterval,
+                                      this.alertRules.map(rule => rule.objectify()), this.displayOptions,
+                                      currentAlertRules)
+      if (item !== null) return
+    }
+    throw new Error(`failed to update the metric as its alert rules are being updated (metricID: ${this.metricID})`)
   }
 
+  // Returns true if `collectionInterval` minutes have passed since the last collection.
+  isCollectionDue (now) {
+    const { lastSuccessAt, lastErrorAt } = this.collectionStatus
+    const lastAttempts = [lastSuccessAt, lastErrorAt].filter(timestamp => timestamp !== undefined)
+    if (lastAttempts.length === 0) {
+      return true
+    }
+    // The timestamps are ISO 8601 strings, so the lexicographical order is the chronological order.
+    const lastAttemptAt = getDateObject(lastAttempts.sort()[lastAttempts.length - 1])
+    // Compare by minutes because the scheduled event doesn't fire exactly every 60 seconds.
+    const toMinutes = (date) => Math.floor(date.getTime() / (60 * 1000))
+    return toMinutes(now) - toMinutes(lastAttemptAt) >= this.collectionInterval
+  }
+
+  async recordCollectionSuccess (date) {
+    this.collectionStatus.lastSuccessAt = date.toISOString()
+    await new MetricsStore().updateCollectionStatus(this.metricID, {lastSuccessAt: this.collectionStatus.lastSuccessAt})
+  }
+
+  async recordCollectionError (date, error) {
+    this.collectionStatus.lastErrorAt = date.toISOString()
+    this.collectionStatus.lastError = error.message || String(error)
+    await new MetricsStore().updateCollectionStatus(this.metricID, {
+      lastErrorAt: this.collectionStatus.lastErrorAt,
+      lastError: this.collectionStatus.lastError
+    })
+  }
+
+  // Throws ValidationError if the composite metric references the metric, as the composite can't be computed
+  // without it.
   async delete () {
+    const metrics = await new Metrics().list()
+    const referrers = metrics.filter(metric => listMetricReferences(metric).indexOf(this.metricID) >= 0)
+    if (referrers.length > 0) {
+      throw new ValidationError(`the metric is referenced by the composite metric ${referrers[0].title}`)
+    }
+
     const store = new MetricsStore()
     await store.delete(this.metricID)
   }
@@ -107,11 +276,214 @@ export class Metric {
     }
   }
 
+  // Returns the datapoints between `start` (inclusive) and `end` (exclusive) downsampled by `step` seconds.
+  // Each bucket starts at the multiple of the step since the epoch and has the aggregated value.
+  async queryDatapoints (start, end, step, aggregation) {
+    if (!(end instanceof Date) || isNaN(end.getTime())) {
+      throw new ValidationError('invalid end')
+    }
+    if (!(start instanceof Date) || isNaN(start.getTime())) {
+      throw new ValidationError('invalid start')
+    }
+    if (end <= start) {
+      throw new ValidationError('end must be after start')
+    }
+    if (end - start > maxQueryRange) {
+      throw new ValidationError('the range must be 31 days or less')
+    }
+    if (!Number.isInteger(step) || step < minQueryStep || step > maxQueryStep || step % minQueryStep !== 0) {
+      throw new ValidationError('invalid step')
+    }
+    if (!aggregations.hasOwnProperty(aggregation)) {
+      throw new ValidationError('invalid agg')
+    }
+
+    const dates = []
+    const firstDate = Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate())
+    for (let time = firstDate; time < end.getTime(); time += 24 * 60 * 60 * 1000) {
+      dates.push(new Date(time))
+    }
+    const datapointsByDate = await Promise.all(dates.map(date => this.getDatapoints(date)))
+
+    const startStr = start.toISOString()
+    const endStr = end.toISOString()
+    const stepInMillis = step * 1000
+    const buckets = []
+    datapointsByDate.forEach(datapoints => {
+      if (datapoints === null) return
+      datapoints.forEach(datapoint => {
+        if (datapoint.timestamp < startStr || endStr <= datapoint.timestamp) return
+        const bucketTime = Math.floor(Date.parse(datapoint.timestamp) / stepInMillis) * stepInMillis
+        const lastBucket = buckets[buckets.length - 1]
+        if (lastBucket && lastBucket.time === bucketTime) {
+          lastBucket.values.push(datapoint.value)
+        } else {
+          buckets.push({time: bucketTime, values: [datapoint.value]})
+        }
+      })
+    })
+    return buckets.map(bucket => {
+      return {
+        timestamp: new Date(bucket.time).toISOString(),
+        value: aggregations[aggregation](bucket.values)
+      }
+    })
+  }
+
+  buildRollupObjectName (metricID, rollupName) {
+    return `metrics/${metricID}/rollups/${rollupName}.json`
+  }
+
+  async getRollup (rollupName) {
+    const objectName = this.buildRollupObjectName(this.metricID, rollupName)
+    const bucketName = await this.getBucketName()
+    try {
+      const s3 = new S3()
+      const obj = await s3.getObject(region, bucketName, objectName)
+      return JSON.parse(obj.Body.toString())
+    } catch (error) {
+      // There will be no existing object at first.
+      return null
+    }
+  }
+
+  // Aggregates the sorted datapoints into the buckets of `intervalInMinutes`.
+  // The interval must divide one day so that the buckets don't cross the dates.
+  aggregateDatapoints (datapoints, intervalInMinutes) {
+    const buckets = []
+    datapoints.forEach(({timestamp, value}) => {
+      const date = getDateObject(timestamp)
+      const minutes = date.getUTCHours() * 60 + date.getUTCMinutes()
+      const bucketTimestamp = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), 0,
+                                                minutes - minutes % intervalInMinutes)).toISOString()
+      let bucket = buckets[buckets.length - 1]
+      if (bucket === undefined || bucket.timestamp !== bucketTimestamp) {
+        bucket = {timestamp: bucketTimestamp, min: value, max: value, sum: 0, count: 0}
+        buckets.push(bucket)
+      }
+      bucket.min = Math.min(bucket.min, value)
+      bucket.max = Math.max(bucket.max, value)
+      bucket.sum += value
+      bucket.count++
+    })
+    return buckets.map(({timestamp, min, max, sum, count}) => {
+      return {timestamp, min, avg: sum / count, max, count}
+    })
+  }
+
+  // Re-aggregates the buckets of the given dates ('YYYY-MM-DD') in each rollup.
+  // If the rollup doesn't exist yet, all the dates within the rollup are aggregated.
+  async updateRollups (dates) {
+    const bucketName = await this.getBucketName()
+    const s3 = new S3()
+    const now = new Date()
+    const datapointsByDate = {}
+    const getDatapointsOfDate = async (date) => {
+      if (!datapointsByDate.hasOwnProperty(date)) {
+        datapointsByDate[date] = await this.getDatapoints(getDateObject(date))
+      }
+      return datapointsByDate[date]
+    }
+
+    // The rollups are updated one by one because the object of each date is shared.
+    for (let i = 0; i < rollups.length; i++) {
+      const rollup = rollups[i]
+      const datesInRollup = []
+      for (let j = rollup.numDates - 1; j >= 0; j--) {
+        const date = new Date(now.getTime())
+        date.setUTCDate(date.getUTCDate() - j)
+        datesInRollup.push(date.toISOString().substr(0, 10))
+      }
+
+      let buckets = await this.getRollup(rollup.name)
+      let targetDates = dates.filter(date => datesInRollup.indexOf(date) >= 0)
+      if (buckets === null) {
+        buckets = []
+        targetDates = datesInRollup
+      }
+      if (targetDates.length === 0) {
+        continue
+      }
+
+      buckets = buckets.filter(bucket => {
+        const date = bucket.timestamp.substr(0, 10)
+        return datesInRollup.indexOf(date) >= 0 && targetDates.indexOf(date) < 0
+      })
+      for (let j = 0; j < targetDates.length; j++) {
+        const datapoints = await getDatapointsOfDate(targetDates[j])
+        if (datapoints !== null) {
+          buckets = buckets.concat(this.aggregateDatapoints(datapoints, rollup.intervalInMinutes))
+        }
+      }
+      buckets.sort((a, b) => {
+        if (a.timestamp < b.timestamp) return -1
+        if (a.timestamp > b.timestamp) return 1
+        return 0
+      })
+
+      await s3.putObject(region, bucketName, this.buildRollupObjectName(this.metricID, rollup.name), buckets)
+    }
+  }
+
+  // Returns the reason why the datapoint is invalid, or null if it is valid.
+  getDatapointError (datapoint, now = new Date()) {
+    if (datapoint === null || typeof datapoint !== 'object' || Array.isArray(datapoint)) {
+      return 'datapoint must be an object'
+    }
+    const { timestamp, value } = datapoint
+    if (timestamp === undefined) {
+      return 'timestamp is missing'
+    }
+    if (typeof timestamp !== 'string' || !timestampPattern.test(timestamp) || isNaN(Date.parse(timestamp))) {
+      return 'timestamp must be an ISO 8601 string'
+    }
+    if (Date.parse(timestamp) > now.getTime() + maxClockSkew) {
+      return 'timestamp is in the future'
+    }
+    if (value === undefined) {
+      return 'value is missing'
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      return 'value must be a finite number'
+    }
+    return null
+  }
+
+  // Splits the datapoints into the valid ones and the invalid ones with their indexes and reasons.
+  partitionDatapoints (datapoints, now = new Date()) {
+    if (!Array.isArray(datapoints)) {
+      throw new ValidationError('datapoints must be an array')
+    }
+    const valid = []
+    const invalid = []
+    datapoints.forEach((datapoint, index) => {
+      const message = this.getDatapointError(datapoint, now)
+      if (message === null) {
+        valid.push(datapoint)
+      } else {
+        invalid.push({index, datapoint, message})
+      }
+    })
+    return { valid, invalid }
+  }
+
+  validateDatapoints (datapoints) {
+    const { invalid } = this.partitionDatapoints(datapoints)
+    if (invalid.length > 0) {
+      throw new ValidationError(`invalid datapoint at index ${invalid[0].index}: ${invalid[0].message}`)
+    }
+  }
+
+  // The timestamps may have the time zone offset. They are converted to UTC and truncated to the minute.
   normalizeDatapoints (datapoints) {
     datapoints.forEach(datapoint => {
-      datapoint.timestamp = datapoint.timestamp.substr(0, 16) + ':00.000Z'
+      datapoint.timestamp = new Date(datapoint.timestamp).toISOString().substr(0, 16) + ':00.000Z'
+    })
+    datapoints.sort((a, b) => {
+      if (a.timestamp < b.timestamp) return -1
+      if (a.timestamp > b.timestamp) return 1
+      return 0
     })
-    datapoints.sort((a, b) => a.timestamp > b.timestamp)
   }
 
   async insertNormalizedDatapointsAtDate (datapoints, date) {
@@ -158,6 +530,7 @@ export class Metric {
   }
 
   async insertDatapoints (datapoints) {
+    this.validateDatapoints(datapoints)
     this.normalizeDatapoints(datapoints)
 
     const dates = {}
@@ -175,11 +548,20 @@ export class Metric {
       const result = await this.insertNormalizedDatapointsAtDate(data, getDateObject(data[0].timestamp))
       insertedDatapoints = insertedDatapoints.concat(result)
     }))
+    if (insertedDatapoints.length > 0) {
+      await this.updateRollups(Object.keys(dates))
+      await this.evaluateAlertRules()
+    }
     return insertedDatapoints
   }
 
   async calculateUncollectedDates (curr) {
-    const maxBackfillDates = 30
+    const monitoringService = this.getMonitoringService()
+    let maxBackfillDates = 30
+    if (typeof monitoringService.getRetentionDays === 'function') {
+      // The oldest date within the retention is partially lost, so it is not collected.
+      maxBackfillDates = Math.min(maxBackfillDates, monitoringService.getRetentionDays(this.props) - 1)
+    }
     for (let i = 0; i < maxBackfillDates; i++) {
       const data = await this.getDatapoints(curr)
       if (data) {
@@ -191,38 +573,104 @@ export class Metric {
   }
 
   async collect () {
+    const monitoringService = this.getMonitoringService()
     const now = new Date()
     const numUncollectedDates = await this.calculateUncollectedDates(new Date(now.getTime()))
     console.log(`collect the data for ${numUncollectedDates + 1} dates (metricID: ${this.metricID})`)
 
+    const updatedDates = []
     await Promise.all(Array.apply(null, {length: numUncollectedDates + 1}).map(async (value, i) => {
       const curr = new Date(now.getTime())
       curr.setDate(curr.getDate() - i)
 
       const existingDatapoints = await this.getDatapoints(curr)
-      let begin, lastTimestamp
+      const startOfDate = new Date(curr.getFullYear(), curr.getMonth(), curr.getDate())
+      let begin
       if (existingDatapoints && existingDatapoints.length > 0) {
-        lastTimestamp = existingDatapoints[existingDatapoints.length - 1].timestamp
-        begin = getDateObject(lastTimestamp)
+        begin = getDateObject(existingDatapoints[existingDatapoints.length - 1].timestamp)
+        const { recollectionWindow } = monitoringService
+        if (recollectionWindow) {
+          // The window is within the date, as the datapoints are stored per date.
+          begin = new Date(Math.max(begin.getTime() - recollectionWindow, startOfDate.getTime()))
+        }
       } else {
-        begin = new Date(curr.getFullYear(), curr.getMonth(), curr.getDate())
+        begin = startOfDate
       }
 
       const end = new Date(curr.getFullYear(), curr.getMonth(), curr.getDate())
       end.setDate(end.getDate() + 1)
 
-      let datapoints = await this.monitoringService.getMetricData(this.props, begin, end)
-      if (datapoints.length > 0 && lastTimestamp && datapoints[0].timestamp === lastTimestamp) {
-        datapoints = datapoints.slice(1)
+      let datapoints = await monitoringService.getMetricData(this.props, begin, end)
+      if (existingDatapoints) {
+        const existingTimestamps = new Set(existingDatapoints.map(datapoint => datapoint.timestamp))
+        datapoints = datapoints.filter(datapoint => !existingTimestamps.has(datapoint.timestamp))
       }
       console.log(`collected ${datapoints.length} datapoints (metricID: ${this.metricID}, i: ${i})`)
 
       if (datapoints.length > 0 || !existingDatapoints) {
+        const numNewDatapoints = datapoints.length
         datapoints = (existingDatapoints === null ? [] : existingDatapoints).concat(datapoints)
         this.normalizeDatapoints(datapoints)
         await this.insertNormalizedDatapointsAtDate(datapoints, begin)
+        if (numNewDatapoints > 0) {
+          updatedDates.push(datapoints[0].timestamp.substr(0, 10))
+        }
       }
     }))
+
+    if (updatedDates.length > 0) {
+      await this.updateRollups(updatedDates)
+      await this.evaluateAlertRules()
+    }
+  }
+
+  // Evaluates the alert rules against the latest datapoints and records the incidents opened or closed by them.
+  // The failure of one rule doesn't stop the others, nor fails the collection.
+  async evaluateAlertRules (now = new Date()) {
+    if (this.alertRules.length === 0) return
+
+    // The duration of the rule is one day at most, so the datapoints of today and yesterday are enough.
+    const yesterday = new Date(now.getTime())
+    yesterday.setDate(yesterday.getDate() - 1)
+    const datapoints = ((await this.getDatapoints(yesterday)) || []).concat((await this.getDatapoints(now)) || [])
+
+    // The map from the rule ID to the new incident ID of the rule.
+    const incidentIDs = {}
+    for (let i = 0; i < this.alertRules.length; i++) {
+      const rule = this.alertRules[i]
+      try {
+        if (await rule.evaluate(this, datapoints)) {
+          incidentIDs[rule.ruleID] = rule.incidentID
+        }
+      } catch (error) {
+        console.log(`failed to evaluate the alert rule (metricID: ${this.metricID}, ruleID: ${rule.ruleID})`)
+        console.log(error.message)
+        console.log(error.stack)
+      }
+    }
+    if (Object.keys(incidentIDs).length > 0) {
+      await this.saveIncidentIDs(incidentIDs)
+    }
+  }
+
+  // Records only the incident IDs of the rules, as the admin may edit the rules while they are evaluated.
+  // The stored rules are read again and written on condition that they are not changed in between.
+  async saveIncidentIDs (incidentIDs) {
+    const store = new MetricsStore()
+    for (let i = 0; i < maxAlertRulesUpdateAttempts; i++) {
+      const [item] = await store.getByID(this.metricID)
+      let changed = false
+      const alertRules = item.alertRules.map(rule => {
+        if (!incidentIDs.hasOwnProperty(rule.ruleID)) return rule
+        changed = true
+        return Object.assign({}, rule, {incidentID: incidentIDs[rule.ruleID]})
+      })
+      // The rules are deleted by the admin.
+      if (!changed) return
+
+      if (await store.updateAlertRules(this.metricID, alertRules, item.alertRules)) return
+    }
+    throw new Error(`failed to record the incidents of the alert rules (metricID: ${this.metricID})`)
   }
 
   objectify () {
@@ -234,15 +682,43 @@ export class Metric {
       description: this.description,
       status: this.status,
       order: this.order,
-      props: this.props
+      props: this.props,
+      collectionInterval: this.collectionInterval,
+      displayOptions: this.displayOptions
     }
   }
 }
 
+const buildMetric = (item) => {
+  const { lastSuccessAt, lastErrorAt, lastError } = item
+  return new Metric(item.metricID, item.type, item.title, item.unit, item.description, item.status, item.order,
+                    item.props, item.collectionInterval, item.alertRules, item.displayOptions,
+                    { lastSuccessAt, lastErrorAt, lastError })
+}
+
 export class Metrics {
+  // Deletes the daily objects whose datapoints are all older than `retentionDays` days.
+  // All the objects under `metrics/` are checked so that the objects of the deleted metrics are pruned too.
+  async pruneDatapoints (bucketName, retentionDays, now = new Date()) {
+    const limit = now.getTime() - retentionDays * 24 * 60 * 60 * 1000
+    const s3 = new S3()
+    const objects = await s3.listObjects(region, bucketName, 'metrics/')
+    const expiredObjectNames = objects.map(obj => obj.Key).filter(objectName => {
+      const matched = /^metrics\/[^/]+\/(\d{4})\/(\d{1,2})\/(\d{1,2})\.json$/.exec(objectName)
+      if (!matched) {
+        // e.g. rollups
+        return false
+      }
+      const [, year, month, date] = matched
+      const endOfDate = Date.UTC(parseInt(year, 10), parseInt(month, 10) - 1, parseInt(date, 10) + 1)
+      return endOfDate <= limit
+    })
+    await s3.deleteObjects(region, bucketName, expiredObjectNames)
+    return expiredObjectNames
+  }
+
   async listExternal (type, cursor, filters) {
-    // TODO: should be instantiated based on 'type'
-    return await new CloudWatch().listMetrics(cursor, filters)
+    return await createMonitoringService(type).listMetrics(cursor, filters)
   }
 
   async listPublic () {
@@ -254,10 +730,7 @@ export class Metrics {
 
   async list () {
     const metrics = await new MetricsStore().getAll()
-    return metrics.map(metric => {
-      return new Metric(metric.metricID, metric.type, metric.title, metric.unit, metric.description,
-                        metric.status, metric.order, metric.props)
-    })
+    return metrics.map(buildMetric)
   }
 
   async lookup (metricID) {
@@ -266,9 +739,7 @@ export class Metrics {
     if (metrics.length === 0) {
       throw new NotFoundError('no matched item')
     } else if (metrics.length === 1) {
-      const metric = metrics[0]
-      return new Metric(metric.metricID, metric.type, metric.title, metric.unit, metric.description,
-                        metric.status, metric.order, metric.props)
+      return buildMetric(metrics[0])
     } else {
       throw new Error('matched too many items')
     }
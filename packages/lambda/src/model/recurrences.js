@@ -0,0 +1,91 @@
+import { ValidationError } from 'utils/errors'
+
+// The recurrence is the subset of RRULE (RFC 5545) like {frequency: 'weekly', interval: 1, until: ISO 8601 string}.
+// The first occurrence is the window of the recurring maintenance and `until` is the latest start of the occurrences.
+export const recurrenceFrequencies = ['daily', 'weekly', 'monthly']
+
+// The series is bounded so that the short interval doesn't blow up the maintenances list.
+export const maxOccurrences = 500
+
+const dayInMSec = 24 * 60 * 60 * 1000
+
+// Returns the start of the `index`-th occurrence in milliseconds. The monthly occurrence keeps the day of the month
+// and is null if the month doesn't have the day, as RRULE skips such a month.
+const getOccurrenceStart = (recurrence, start, index) => {
+  const step = index * recurrence.interval
+  switch (recurrence.frequency) {
+    case 'daily':
+      return start.getTime() + step * dayInMSec
+    case 'weekly':
+      return start.getTime() + step * 7 * dayInMSec
+    case 'monthly':
+      const occurrence = new Date(start.getTime())
+      occurrence.setUTCDate(1)
+      occurrence.setUTCMonth(occurrence.getUTCMonth() + step)
+      occurrence.setUTCDate(start.getUTCDate())
+      return occurrence.getUTCDate() === start.getUTCDate() ? occurrence.getTime() : null
+    default:
+      throw new ValidationError('invalid recurrence frequency')
+  }
+}
+
+const expand = (recurrence, startAt, duration, limit) => {
+  const start = new Date(startAt)
+  const until = new Date(recurrence.until).getTime()
+  const occurrences = []
+  for (let i = 0; occurrences.length < limit; i++) {
+    const occurrenceStart = getOccurrenceStart(recurrence, start, i)
+    if (occurrenceStart === null) continue
+    if (occurrenceStart > until) break
+    occurrences.push({
+      startAt: new Date(occurrenceStart).toISOString(),
+      endAt: new Date(occurrenceStart + duration).toISOString()
+    })
+  }
+  return occurrences
+}
+
+export const validateRecurrence = (recurrence, startAt) => {
+  if (typeof recurrence !== 'object' || recurrence === null) {
+    throw new ValidationError('invalid recurrence parameter')
+  }
+  if (recurrenceFrequencies.indexOf(recurrence.frequency) < 0) {
+    throw new ValidationError('invalid recurrence frequency')
+  }
+  if (!Number.isInteger(recurrence.interval) || recurrence.interval < 1) {
+    throw new ValidationError('invalid recurrence interval')
+  }
+  const until = new Date(recurrence.until).getTime()
+  if (isNaN(until) || until < new Date(startAt).getTime()) {
+    throw new ValidationError('invalid recurrence until')
+  }
+  if (expand(recurrence, startAt, 0, maxOccurrences + 1).length > maxOccurrences) {
+    throw new ValidationError('too many occurrences')
+  }
+}
+
+// Returns the windows of the occurrences as the list of {startAt, endAt}. The duration of each occurrence is the
+// same as the first one.
+export const listOccurrences = (recurrence, startAt, endAt) => {
+  const duration = new Date(endAt).getTime() - new Date(startAt).getTime()
+  return expand(recurrence, startAt, duration, maxOccurrences)
+}
+
+// The occurrence ID is the ID of the recurring maintenance and the start of the occurrence in the basic format,
+// like 'abcdef123456-20170101T020000Z'. It is stable while the occurrence is not edited.
+const occurrenceIDPattern = /^([0-9a-zA-Z]+)-(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/
+
+export const buildOccurrenceID = (seriesID, occurrenceAt) => {
+  return `${seriesID}-${occurrenceAt.replace(/[-:]/g, '').replace(/\.\d+/, '')}`
+}
+
+// Returns {seriesID, occurrenceAt} or null if the ID is not the occurrence ID.
+export const parseOccurrenceID = (id) => {
+  const matched = occurrenceIDPattern.exec(id)
+  if (!matched) return null
+  const [year, month, day, hour, minute, second] = matched.slice(2)
+  return {
+    seriesID: matched[1],
+    occurrenceAt: `${year}-${month}-${day}T${hour}:${minute}:${second}.000Z`
+  }
+}
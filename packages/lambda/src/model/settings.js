@@ -10,6 +10,16 @@ const settingsKeyServiceName = 'ServiceName'
 const settingsKeyStatusPageURL = 'StatusPageURL'
 const settingsKeyAdminPageURL = 'AdminPageURL'
 const settingsKeyCognitoPoolID = 'CognitoPoolID'
+const settingsKeyMetricsRetentionDays = 'MetricsRetentionDays'
+// 0 means the metrics data is kept forever.
+const defaultMetricsRetentionDays = 0
+const maxMetricsRetentionDays = 3650
+const settingsKeyShowAffectedVia = 'ShowAffectedVia'
+// The messages of the maintenance updates added when the maintenance starts or completes automatically.
+const settingsKeyMaintenanceStartMessage = 'MaintenanceStartMessage'
+const settingsKeyMaintenanceEndMessage = 'MaintenanceEndMessage'
+const defaultMaintenanceStartMessage = 'The scheduled maintenance has started.'
+const defaultMaintenanceEndMessage = 'The scheduled maintenance has been completed.'
 
 // InvocationURL, UserPoolID, and ClientID are parts of S3 object (settings.json). Do not store them here.
 
@@ -95,6 +105,79 @@ export class Settings {
     await this.store.update(settingsKeyCognitoPoolID, value)
   }
 
+  async getMetricsRetentionDays () {
+    try {
+      return await this.store.get(settingsKeyMetricsRetentionDays)
+    } catch (err) {
+      if (err.name === NotFoundError.name) {
+        return defaultMetricsRetentionDays
+      }
+      throw err
+    }
+  }
+
+  async setMetricsRetentionDays (value) {
+    if (!Number.isInteger(value) || value < 0 || value > maxMetricsRetentionDays) {
+      throw new ValidationError('invalid metrics retention days')
+    }
+    await this.store.update(settingsKeyMetricsRetentionDays, value)
+  }
+
+  // Whether the status page shows which dependency affects the component.
+  async getShowAffectedVia () {
+    try {
+      return await this.store.get(settingsKeyShowAffectedVia)
+    } catch (err) {
+      if (err.name === NotFoundError.name) {
+        return false
+      }
+      throw err
+    }
+  }
+
+  async setShowAffectedVia (value) {
+    if (typeof value !== 'boolean') {
+      throw new ValidationError('invalid show affected via')
+    }
+    await this.store.update(settingsKeyShowAffectedVia, value)
+  }
+
+  async getMaintenanceStartMessage () {
+    try {
+      return await this.store.get(settingsKeyMaintenanceStartMessage)
+    } catch (err) {
+      if (err.name === NotFoundError.name) {
+        return defaultMaintenanceStartMessage
+      }
+      throw err
+    }
+  }
+
+  async setMaintenanceStartMessage (value) {
+    if (typeof value !== 'string' || value === '') {
+      throw new ValidationError('invalid maintenance start message')
+    }
+    await this.store.update(settingsKeyMaintenanceStartMessage, value)
+  }
+
+  async getMaintenanceEndMessage () {
+    try {
+      return await this.store.get(settingsKeyMaintenanceEndMessage)
+    } catch (err) {
+      if (err.name === NotFoundError.name) {
+        return defaultMaintenanceEndMessage
+      }
+      throw err
+    }
+  }
+
+  async setMaintenanceEndMessage (value) {
+    if (typeof value !== 'string' || value === '') {
+      throw new ValidationError('invalid maintenance end message')
+    }
+    await this.store.update(settingsKeyMaintenanceEndMessage, value)
+  }
+
   async updateUserPool () {
     const cognitoPoolID = await this.getCognitoPoolID()
     if (cognitoPoolID) {
@@ -0,0 +1,41 @@
+import { Components } from 'model/components'
+import { Incidents } from 'model/incidents'
+import { systemStatuses } from 'utils/const'
+
+// The system status summarizes the component statuses and the impacts of the open incidents. The worst one wins.
+
+const resolvedIncidentStatus = 'Resolved'
+
+const systemStatusesByComponentStatus = {
+  'Operational': 'All Systems Operational',
+  'Under Maintenance': 'Service Under Maintenance',
+  'Degraded Performance': 'Minor Service Outage',
+  'Partial Outage': 'Partial System Outage',
+  'Major Outage': 'Major Outage'
+}
+
+const systemStatusesByIncidentImpact = {
+  'none': 'All Systems Operational',
+  'minor': 'Minor Service Outage',
+  'major': 'Partial System Outage',
+  'critical': 'Major Outage'
+}
+
+// Returns the system status of the given components and incidents. The unknown statuses and impacts are ignored.
+export const computeSystemStatus = (components, incidents) => {
+  const statuses = [].concat(
+    components.map(component => systemStatusesByComponentStatus[component.status]),
+    incidents
+      .filter(incident => incident.status !== resolvedIncidentStatus)
+      .map(incident => systemStatusesByIncidentImpact[incident.impact])
+  )
+  return statuses.reduce((worst, status) => {
+    return systemStatuses.indexOf(status) > systemStatuses.indexOf(worst) ? status : worst
+  }, systemStatuses[0])
+}
+
+export const getSystemStatus = async () => {
+  const components = await new Components().all()
+  const incidents = await new Incidents().published()
+  return computeSystemStatus(components, incidents)
+}
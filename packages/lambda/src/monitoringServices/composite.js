@@ -0,0 +1,273 @@
+import { Metrics } from 'model/metrics'
+import { ValidationError } from 'utils/errors'
+
+const compositeType = 'Composite'
+const maxExpressionLength = 1024
+
+// The expression is the arithmetic of numbers and metric references, e.g. `{metricID1} / {metricID2} * 100`.
+// The operators are +, -, *, / and the parentheses.
+const tokenize = (expression) => {
+  const tokens = []
+  let rest = expression
+  while (!/^\s*$/.test(rest)) {
+    const matched = /^\s*(?:(\d+(?:\.\d+)?)|\{([^{}\s]+)\}|([-+*/()]))/.exec(rest)
+    if (!matched) {
+      throw new ValidationError(`unexpected character at ${expression.length - rest.length} in the expression`)
+    }
+    const [, number, metricID, operator] = matched
+    if (number !== undefined) {
+      tokens.push({type: 'number', value: parseFloat(number)})
+    } else if (metricID !== undefined) {
+      tokens.push({type: 'reference', metricID})
+    } else {
+      tokens.push({type: 'operator', value: operator})
+    }
+    rest = rest.slice(matched[0].length)
+  }
+  return tokens
+}
+
+// Parses the expression into the tree of {type: 'number', value}, {type: 'reference', metricID},
+// {type: 'negation', operand} and {type: 'binary', operator, left, right}.
+export const parseExpression = (expression) => {
+  if (typeof expression !== 'string' || expression === '' || expression.length > maxExpressionLength) {
+    throw new ValidationError('invalid Expression property')
+  }
+  const tokens = tokenize(expression)
+  let pos = 0
+  const peekOperator = () => {
+    return pos < tokens.length && tokens[pos].type === 'operator' ? tokens[pos].value : undefined
+  }
+
+  const parseFactor = () => {
+    if (pos >= tokens.length) {
+      throw new ValidationError('unexpected end of the expression')
+    }
+    const token = tokens[pos++]
+    if (token.type === 'number' || token.type === 'reference') {
+      return token
+    }
+    if (token.value === '-') {
+      return {type: 'negation', operand: parseFactor()}
+    }
+    if (token.value === '(') {
+      const node = parseSum()
+      if (peekOperator() !== ')') {
+        throw new ValidationError('unbalanced parentheses in the expression')
+      }
+      pos++
+      return node
+    }
+    throw new ValidationError(`unexpected operator ${token.value} in the expression`)
+  }
+
+  const parseProduct = () => {
+    let node = parseFactor()
+    while (peekOperator() === '*' || peekOperator() === '/') {
+      const operator = tokens[pos++].value
+      node = {type: 'binary', operator, left: node, right: parseFactor()}
+    }
+    return node
+  }
+
+  const parseSum = () => {
+    let node = parseProduct()
+    while (peekOperator() === '+' || peekOperator() === '-') {
+      const operator = tokens[pos++].value
+      node = {type: 'binary', operator, left: node, right: parseProduct()}
+    }
+    return node
+  }
+
+  const tree = parseSum()
+  if (pos !== tokens.length) {
+    throw new ValidationError(`unexpected token at ${pos} in the expression`)
+  }
+  return tree
+}
+
+// Returns the unique metric IDs referenced by the tree.
+export const listReferences = (tree) => {
+  const metricIDs = new Set()
+  const visit = (node) => {
+    switch (node.type) {
+      case 'reference':
+        metricIDs.add(node.metricID)
+        break
+      case 'negation':
+        visit(node.operand)
+        break
+      case 'binary':
+        visit(node.left)
+        visit(node.right)
+        break
+    }
+  }
+  visit(tree)
+  return Array.from(metricIDs)
+}
+
+// `values` maps the metric ID to the value.
+export const evaluateExpression = (tree, values) => {
+  switch (tree.type) {
+    case 'number':
+      return tree.value
+    case 'reference':
+      return values[tree.metricID]
+    case 'negation':
+      return -evaluateExpression(tree.operand, values)
+    case 'binary': {
+      const left = evaluateExpression(tree.left, values)
+      const right = evaluateExpression(tree.right, values)
+      switch (tree.operator) {
+        case '+': return left + right
+        case '-': return left - right
+        case '*': return left * right
+        case '/': return left / right
+      }
+    }
+  }
+  throw new Error(`unknown node: ${tree.type}`)
+}
+
+// Returns the metric IDs which the metric references directly. The metric which is not composite, or whose expression
+// is broken, references nothing.
+export const listMetricReferences = (metric) => {
+  if (metric.type !== compositeType) return []
+  try {
+    return listReferences(parseExpression(metric.props.Expression))
+  } catch (error) {
+    if (error.name === 'ValidationError') return []
+    throw error
+  }
+}
+
+// Groups the metrics into the list of stages so that each composite metric comes after the metrics it references.
+export const buildCollectionStages = (metrics) => {
+  const metricsByID = {}
+  metrics.forEach(metric => { metricsByID[metric.metricID] = metric })
+
+  const depths = {}
+  const visiting = new Set()
+  const getDepth = (metric) => {
+    if (depths.hasOwnProperty(metric.metricID)) return depths[metric.metricID]
+    // The circular reference is rejected by `validateProps`, but stop here in case.
+    if (visiting.has(metric.metricID)) return 0
+    visiting.add(metric.metricID)
+
+    let depth = 0
+    listMetricReferences(metric).forEach(metricID => {
+      if (metricsByID.hasOwnProperty(metricID)) {
+        depth = Math.max(depth, getDepth(metricsByID[metricID]) + 1)
+      }
+    })
+    depths[metric.metricID] = depth
+    return depth
+  }
+
+  const stages = []
+  metrics.forEach(metric => {
+    const depth = getDepth(metric)
+    while (stages.length <= depth) stages.push([])
+    stages[depth].push(metric)
+  })
+  return stages.filter(stage => stage.length > 0)
+}
+
+// Composite is the metric computed from the datapoints of the other metrics. The datapoints are computed only at
+// the timestamps where all the referenced metrics have the datapoints.
+// The referenced metrics may receive the datapoints late (e.g. via the API), so the last hour is computed again on
+// every collection.
+export default class Composite {
+  constructor () {
+    this.recollectionWindow = 60 * 60 * 1000
+  }
+
+  listMetrics (nextToken = undefined, filters = {}) {
+    return {
+      metrics: [],
+      nextCursor: undefined
+    }
+  }
+
+  async getMetricData (props, startTime, endTime) {
+    const tree = parseExpression(props.Expression)
+    const metricIDs = listReferences(tree)
+    const metrics = new Metrics()
+    // `startTime` and `endTime` are within the same date when the metric is collected.
+    const datapointsList = await Promise.all(metricIDs.map(async (metricID) => {
+      let metric
+      try {
+        metric = await metrics.lookup(metricID)
+      } catch (error) {
+        if (error.name === 'NotFoundError') {
+          throw new Error(`the referenced metric ${metricID} not found`)
+        }
+        throw error
+      }
+      return (await metric.getDatapoints(startTime)) || []
+    }))
+
+    const valuesByTimestamp = {}
+    datapointsList.forEach((datapoints, i) => {
+      datapoints.forEach(datapoint => {
+        if (!valuesByTimestamp.hasOwnProperty(datapoint.timestamp)) {
+          valuesByTimestamp[datapoint.timestamp] = {}
+        }
+        valuesByTimestamp[datapoint.timestamp][metricIDs[i]] = datapoint.value
+      })
+    })
+
+    const begin = startTime.toISOString()
+    const end = endTime.toISOString()
+    const datapoints = []
+    Object.keys(valuesByTimestamp).sort().forEach(timestamp => {
+      const values = valuesByTimestamp[timestamp]
+      if (timestamp < begin || timestamp >= end || Object.keys(values).length !== metricIDs.length) {
+        return
+      }
+      const value = evaluateExpression(tree, values)
+      if (!isFinite(value)) {
+        // e.g. division by zero
+        return
+      }
+      datapoints.push({timestamp, value})
+    })
+    return datapoints
+  }
+
+  // Throws ValidationError if the expression is invalid, references the unknown metric or references the metric
+  // `metricID` directly or indirectly.
+  async validateProps (props, metricID) {
+    const tree = parseExpression(props.Expression)
+    if (listReferences(tree).length === 0) {
+      throw new ValidationError('the expression must reference at least one metric')
+    }
+    const metrics = new Metrics()
+    const visited = new Set()
+    const visit = async (metricIDs) => {
+      for (let i = 0; i < metricIDs.length; i++) {
+        const referencedID = metricIDs[i]
+        if (referencedID === metricID) {
+          throw new ValidationError(`circular reference to the metric ${metricID}`)
+        }
+        if (visited.has(referencedID)) continue
+        visited.add(referencedID)
+
+        let metric
+        try {
+          metric = await metrics.lookup(referencedID)
+        } catch (error) {
+          if (error.name === 'NotFoundError') {
+            throw new ValidationError(`the referenced metric ${referencedID} not found`)
+          }
+          throw error
+        }
+        if (metric.type === compositeType) {
+          await visit(listReferences(parseExpression(metric.props.Expression)))
+        }
+      }
+    }
+    await visit(listReferences(tree))
+  }
+}
@@ -0,0 +1,155 @@
+import { sendRequest, isValidHTTPURL } from 'utils/http'
+import { ValidationError } from 'utils/errors'
+import { componentStatuses } from 'utils/const'
+import ComponentsStore from 'db/components'
+import MetricsStore from 'db/metrics'
+import { listMaintainedComponentIDs } from 'model/affectedComponents'
+import { Components } from 'model/components'
+
+export const httpCheckMethods = ['GET', 'HEAD', 'POST']
+const defaultTimeout = 10000
+const maxTimeout = 25000
+const recoveredComponentStatus = 'Operational'
+
+// The status changes made by the check are recorded as the monitoring of the metric.
+const buildStatusChange = (metricID) => ({actor: 'HTTP check', cause: 'monitoring', causeID: metricID})
+
+// HTTPCheck is the metric which LambStatus measures by itself. The datapoints are not pulled by `getMetricData`.
+// Instead, RunHTTPChecks function sends the request every `collectionInterval` minutes and inserts the latency.
+export default class HTTPCheck {
+  constructor () {
+    this.recordsOwnData = true
+  }
+
+  listMetrics (nextToken = undefined, filters = {}) {
+    return {
+      metrics: [],
+      nextCursor: undefined
+    }
+  }
+
+  getMetricData (props, startTime, endTime) {
+    return []
+  }
+
+  async validateProps (props) {
+    const {
+      URL: url,
+      Method: method,
+      ExpectedStatus: expectedStatus,
+      BodyRegex: bodyRegex,
+      Timeout: timeout,
+      FailureThreshold: failureThreshold,
+      ComponentID: componentID,
+      ComponentStatus: componentStatus
+    } = props
+    if (!isValidHTTPURL(url)) {
+      throw new ValidationError('invalid URL property')
+    }
+
+    if (httpCheckMethods.indexOf(method) < 0) {
+      throw new ValidationError('invalid Method property')
+    }
+
+    if (!Number.isInteger(expectedStatus) || expectedStatus < 100 || expectedStatus > 599) {
+      throw new ValidationError('invalid ExpectedStatus property')
+    }
+
+    if (bodyRegex !== undefined && bodyRegex !== '') {
+      try {
+        RegExp(bodyRegex).test('')
+      } catch (error) {
+        throw new ValidationError('invalid BodyRegex property')
+      }
+    }
+
+    if (timeout !== undefined && (!Number.isInteger(timeout) || timeout <= 0 || timeout > maxTimeout)) {
+      throw new ValidationError('invalid Timeout property')
+    }
+
+    if (!Number.isInteger(failureThreshold) || failureThreshold <= 0) {
+      throw new ValidationError('invalid FailureThreshold property')
+    }
+
+    if (componentID !== undefined && componentID !== '') {
+      // throws NotFoundError if the component does not exist.
+      await new Components().lookup(componentID)
+
+      if (componentStatuses.indexOf(componentStatus) < 0) {
+        throw new ValidationError('invalid ComponentStatus property')
+      }
+    }
+  }
+
+  // Returns {success, latency, message}. The latency is in milliseconds.
+  async check (props) {
+    const {
+      URL: url,
+      Method: method,
+      ExpectedStatus: expectedStatus,
+      BodyRegex: bodyRegex,
+      Timeout: timeout = defaultTimeout
+    } = props
+    const begin = new Date()
+    let resp
+    try {
+      resp = await sendRequest(url, {method, timeout})
+    } catch (error) {
+      return { success: false, latency: new Date() - begin, message: error.message }
+    }
+    const latency = new Date() - begin
+
+    if (resp.statusCode !== expectedStatus) {
+      return { success: false, latency, message: `unexpected status code: ${resp.statusCode}` }
+    }
+    if (bodyRegex && !new RegExp(bodyRegex).test(resp.body)) {
+      return { success: false, latency, message: 'the body does not match the regex' }
+    }
+    return { success: true, latency, message: '' }
+  }
+
+  // Checks the endpoint of the `metric` and records the result.
+  // The latency is inserted as the datapoint only if the check succeeded.
+  async run (metric) {
+    const result = await this.check(metric.props)
+    const store = new MetricsStore()
+    if (result.success) {
+      await metric.insertDatapoints([{timestamp: new Date().toISOString(), value: result.latency}])
+      const numFailures = await store.resetConsecutiveFailures(metric.metricID)
+      if (numFailures >= metric.props.FailureThreshold) {
+        await this.recoverComponent(metric.props, metric.metricID)
+      }
+    } else {
+      console.log(`http check failed (metricID: ${metric.metricID}, message: ${result.message})`)
+      const numFailures = await store.incrementConsecutiveFailures(metric.metricID)
+      if (numFailures === metric.props.FailureThreshold) {
+        await this.degradeComponent(metric.props, metric.metricID)
+      }
+    }
+    return result
+  }
+
+  async degradeComponent ({ComponentID: componentID, ComponentStatus: componentStatus}, metricID) {
+    if (componentID === undefined || componentID === '') {
+      return
+    }
+    const maintainedComponentIDs = await listMaintainedComponentIDs()
+    if (maintainedComponentIDs.indexOf(componentID) >= 0) {
+      // The outage is expected during the maintenance.
+      return
+    }
+    await new ComponentsStore().updateStatus(componentID, componentStatus, buildStatusChange(metricID))
+  }
+
+  async recoverComponent ({ComponentID: componentID, ComponentStatus: componentStatus}, metricID) {
+    if (componentID === undefined || componentID === '') {
+      return
+    }
+    const component = await new Components().lookup(componentID)
+    if (component.status !== componentStatus) {
+      // Someone changed the status after the check failed. Respect it.
+      return
+    }
+    await new ComponentsStore().updateStatus(componentID, recoveredComponentStatus, buildStatusChange(metricID))
+  }
+}
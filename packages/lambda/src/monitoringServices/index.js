@@ -0,0 +1,36 @@
+import CloudWatch from 'aws/cloudWatch'
+import Composite from './composite'
+import HTTPCheck from './httpCheck'
+import Prometheus from './prometheus'
+import { ValidationError } from 'utils/errors'
+
+// The services which provide the metrics data, keyed by the `type` of the metric.
+// Each service must implement these methods:
+//   listMetrics (cursor, filters): returns {metrics, nextCursor}
+//   getMetricData (props, startTime, endTime): returns the datapoints ({timestamp, value}) in the order of timestamp
+//   validateProps (props, metricID): throws ValidationError if the props of the metric `metricID` are invalid
+// and may have these properties:
+//   recollectionWindow: the milliseconds before the last datapoint which are collected again, for the late data
+//   recordsOwnData: true if the service inserts the datapoints by itself, so that they are not collected
+// and may implement these methods:
+//   getDatapointInterval (props): returns the minutes between the datapoints if longer than one minute
+//   getRetentionDays (props): returns the days the service keeps the data for. The older dates are not backfilled
+const monitoringServices = {
+  CloudWatch,
+  Prometheus,
+  HTTPCheck,
+  Composite
+}
+
+export const monitoringServiceTypes = Object.keys(monitoringServices)
+
+export const isMonitoringServiceType = (type) => {
+  return monitoringServices.hasOwnProperty(type)
+}
+
+export const createMonitoringService = (type) => {
+  if (!isMonitoringServiceType(type)) {
+    throw new ValidationError(`unknown monitoring service: ${type}`)
+  }
+  return new monitoringServices[type]()
+}
@@ -0,0 +1,89 @@
+import querystring from 'querystring'
+import { sendRequest, isValidHTTPURL } from 'utils/http'
+import { ValidationError } from 'utils/errors'
+
+// The resolution of the collected datapoints. The datapoints are normalized to the minute anyway.
+const stepInSeconds = 60
+
+export default class Prometheus {
+  buildURL (serverURL, path, params) {
+    let baseURL = serverURL
+    if (baseURL.length > 0 && baseURL[baseURL.length - 1] === '/') {
+      baseURL = baseURL.slice(0, baseURL.length - 1)
+    }
+    return `${baseURL}${path}?${querystring.stringify(params)}`
+  }
+
+  async callAPI (serverURL, path, params = {}) {
+    const resp = await sendRequest(this.buildURL(serverURL, path, params))
+    let body
+    try {
+      body = JSON.parse(resp.body)
+    } catch (error) {
+      throw new Error(`unexpected response from prometheus (status code: ${resp.statusCode})`)
+    }
+    if (body.status !== 'success') {
+      throw new Error(`prometheus returned error: ${body.error}`)
+    }
+    return body.data
+  }
+
+  // Returns the series names. `filters.url` specifies the prometheus server.
+  async listMetrics (nextToken = undefined, filters = {}) {
+    if (!filters || !isValidHTTPURL(filters.url)) {
+      throw new ValidationError('invalid url filter')
+    }
+    const names = await this.callAPI(filters.url, '/api/v1/label/__name__/values')
+    return {
+      metrics: names,
+      nextCursor: undefined
+    }
+  }
+
+  async getMetricData (props, startTime, endTime) {
+    const {
+      URL: serverURL,
+      Query: query
+    } = props
+    const data = await this.callAPI(serverURL, '/api/v1/query_range', {
+      query,
+      start: startTime.getTime() / 1000,
+      end: endTime.getTime() / 1000,
+      step: stepInSeconds
+    })
+
+    if (data.result.length === 0) {
+      return []
+    } else if (data.result.length > 1) {
+      throw new Error(`the query returned ${data.result.length} series. Aggregate them into one series.`)
+    }
+
+    const datapoints = []
+    data.result[0].values.forEach(([timestamp, value]) => {
+      const floatValue = parseFloat(value)
+      if (!isFinite(floatValue)) {
+        // NaN and Inf can't be plotted.
+        return
+      }
+      datapoints.push({
+        timestamp: new Date(timestamp * 1000).toISOString(),
+        value: floatValue
+      })
+    })
+    return datapoints
+  }
+
+  validateProps (props) {
+    const {
+      URL: serverURL,
+      Query: query
+    } = props
+    if (!isValidHTTPURL(serverURL)) {
+      throw new ValidationError('invalid URL property')
+    }
+
+    if (typeof query !== 'string' || query === '') {
+      throw new ValidationError('invalid Query property')
+    }
+  }
+}
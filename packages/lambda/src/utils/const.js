@@ -1,8 +1,11 @@
 export const stackName = process.env.AWS_LAMBDA_FUNCTION_NAME.replace(/-[^-]*$/, '')
 export const ServiceComponentTable = `${stackName}-ServiceComponentTable`
+export const ComponentGroupTable = `${stackName}-ComponentGroupTable`
+export const ComponentStatusChangeTable = `${stackName}-ComponentStatusChangeTable`
 export const IncidentTable = `${stackName}-IncidentTable`
 export const IncidentUpdateTable = `${stackName}-IncidentUpdateTable`
 export const MetricsTable = `${stackName}-MetricsTable`
+export const MetricGroupTable = `${stackName}-MetricGroupTable`
 export const MetricsDataTable = `${stackName}-MetricsDataTable`
 export const MaintenanceTable = `${stackName}-MaintenanceTable`
 export const MaintenanceUpdateTable = `${stackName}-MaintenanceUpdateTable`
@@ -11,8 +14,14 @@ export const SettingsTable = `${stackName}-SettingsTable`
 export const componentStatuses = ['Operational', 'Under Maintenance', 'Degraded Performance', 'Partial Outage',
   'Major Outage']
 export const incidentStatuses = ['Investigating', 'Identified', 'Monitoring', 'Resolved']
+// Sorted by the severity.
+export const incidentImpacts = ['none', 'minor', 'major', 'critical']
+// What changed the status of the component. `monitoring` is the http checks.
+export const componentStatusChangeCauses = ['incident', 'maintenance', 'manual', 'monitoring']
+// Sorted by the severity.
+export const systemStatuses = ['All Systems Operational', 'Service Under Maintenance', 'Minor Service Outage',
+  'Partial System Outage', 'Major Outage']
 export const maintenanceStatuses = ['Scheduled', 'In Progress', 'Verifying', 'Completed']
-export const monitoringServices = ['CloudWatch']
 export const metricStatusVisible = 'Visible'
 export const metricStatusHidden = 'Hidden'
 export const metricStatuses = [metricStatusVisible, metricStatusHidden]
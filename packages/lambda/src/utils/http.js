@@ -0,0 +1,43 @@
+import http from 'http'
+import https from 'https'
+import url from 'url'
+
+// Sends the http(s) request and resolves the response regardless of its status code.
+export const sendRequest = (rawURL, {method = 'GET', headers = {}, body, timeout = 10000} = {}) => {
+  const options = url.parse(rawURL)
+  options.method = method
+  options.headers = headers
+
+  const client = options.protocol === 'https:' ? https : http
+  return new Promise((resolve, reject) => {
+    const req = client.request(options, (res) => {
+      const chunks = []
+      res.on('data', chunk => chunks.push(chunk))
+      res.on('end', () => {
+        resolve({
+          statusCode: res.statusCode,
+          headers: res.headers,
+          body: Buffer.concat(chunks).toString()
+        })
+      })
+      res.on('error', reject)
+    })
+    req.on('error', reject)
+    req.setTimeout(timeout, () => {
+      req.abort()
+      reject(new Error(`request timed out (url: ${rawURL})`))
+    })
+    if (body !== undefined) {
+      req.write(body)
+    }
+    req.end()
+  })
+}
+
+export const isValidHTTPURL = (rawURL) => {
+  if (typeof rawURL !== 'string') {
+    return false
+  }
+  const { protocol, hostname } = url.parse(rawURL)
+  return (protocol === 'http:' || protocol === 'https:') && !!hostname
+}
@@ -0,0 +1,43 @@
+import assert from 'assert'
+import sinon from 'sinon'
+import { handle } from 'api/advanceMaintenances'
+import { Maintenances, Maintenance } from 'model/maintenances'
+import { Settings } from 'model/settings'
+import SNS from 'aws/sns'
+
+describe('advanceMaintenances', () => {
+  beforeEach(() => {
+    sinon.stub(Settings.prototype, 'getMaintenanceStartMessage').returns('started')
+    sinon.stub(Settings.prototype, 'getMaintenanceEndMessage').returns('completed')
+  })
+
+  afterEach(() => {
+    Settings.prototype.getMaintenanceStartMessage.restore()
+    Settings.prototype.getMaintenanceEndMessage.restore()
+    Maintenances.prototype.advance.restore()
+    SNS.prototype.notifyIncident.restore()
+  })
+
+  it('should advance the maintenances and notify them', async () => {
+    const maintenance = new Maintenance('1', 'name', 'In Progress', '', '', 'started', [])
+    const advanceStub = sinon.stub(Maintenances.prototype, 'advance').returns([maintenance])
+    const snsStub = sinon.stub(SNS.prototype, 'notifyIncident').returns()
+
+    let err
+    await handle({}, null, (error) => { err = error })
+    assert(err === null)
+    assert(advanceStub.firstCall.args[0] === 'started')
+    assert(advanceStub.firstCall.args[1] === 'completed')
+    assert(snsStub.calledOnce)
+    assert(snsStub.firstCall.args[0] === maintenance)
+  })
+
+  it('should return error on exception thrown', async () => {
+    sinon.stub(Maintenances.prototype, 'advance').throws()
+    sinon.stub(SNS.prototype, 'notifyIncident').returns()
+
+    let err
+    await handle({}, null, (error) => { err = error })
+    assert(err.match(/Error/))
+  })
+})
@@ -0,0 +1,94 @@
+import assert from 'assert'
+import sinon from 'sinon'
+import { handle } from 'api/collectMetricsData'
+import { Metrics, Metric } from 'model/metrics'
+
+describe('collectMetricsData', () => {
+  afterEach(() => {
+    Metrics.prototype.list.restore()
+    Metric.prototype.collect.restore()
+    Metric.prototype.recordCollectionSuccess.restore()
+    Metric.prototype.recordCollectionError.restore()
+  })
+
+  const stubRecords = () => {
+    sinon.stub(Metric.prototype, 'recordCollectionSuccess').returns()
+    sinon.stub(Metric.prototype, 'recordCollectionError').returns()
+  }
+
+  it('should collect the data of the metrics', async () => {
+    sinon.stub(Metrics.prototype, 'list').returns([new Metric('1'), new Metric('2')])
+    const stub = sinon.stub(Metric.prototype, 'collect').returns()
+    stubRecords()
+
+    let err
+    await handle({StatusPageS3BucketName: 'bucket'}, null, (error) => { err = error })
+    assert(err === null)
+    assert(stub.calledTwice)
+    assert(stub.thisValues[0].bucketName === 'bucket')
+    assert(Metric.prototype.recordCollectionSuccess.calledTwice)
+  })
+
+  it('should collect the composite metrics after the metrics they reference', async () => {
+    sinon.stub(Metrics.prototype, 'list').returns([
+      new Metric('1', 'Composite', '', '', '', '', 1, {Expression: '{2} * 2'}),
+      new Metric('2', 'CloudWatch')
+    ])
+    const stub = sinon.stub(Metric.prototype, 'collect').returns()
+    stubRecords()
+
+    await handle({}, null, () => {})
+    assert(stub.calledTwice)
+    assert(stub.thisValues[0].metricID === '2')
+    assert(stub.thisValues[1].metricID === '1')
+  })
+
+  it('should skip the metrics whose interval has not passed', async () => {
+    const lastSuccessAt = new Date().toISOString()
+    sinon.stub(Metrics.prototype, 'list').returns([
+      new Metric('1', undefined, undefined, undefined, undefined, undefined, 1, undefined, 5, [], {}, {lastSuccessAt}),
+      new Metric('2')
+    ])
+    const stub = sinon.stub(Metric.prototype, 'collect').returns()
+    stubRecords()
+
+    await handle({}, null, () => {})
+    assert(stub.calledOnce)
+    assert(stub.thisValues[0].metricID === '2')
+  })
+
+  it('should skip the metrics which record their own data', async () => {
+    sinon.stub(Metrics.prototype, 'list').returns([new Metric('1', 'HTTPCheck'), new Metric('2', 'CloudWatch')])
+    const stub = sinon.stub(Metric.prototype, 'collect').returns()
+    stubRecords()
+
+    await handle({}, null, () => {})
+    assert(stub.calledOnce)
+    assert(stub.thisValues[0].metricID === '2')
+  })
+
+  it('should collect the rest of metrics even if one of them failed', async () => {
+    sinon.stub(Metrics.prototype, 'list').returns([new Metric('1'), new Metric('2')])
+    const stub = sinon.stub(Metric.prototype, 'collect')
+    stub.onCall(0).throws()
+    stub.onCall(1).returns()
+    stubRecords()
+
+    let err
+    await handle({}, null, (error) => { err = error })
+    assert(err === null)
+    assert(stub.calledTwice)
+    assert(Metric.prototype.recordCollectionError.calledOnce)
+    assert(Metric.prototype.recordCollectionSuccess.calledOnce)
+  })
+
+  it('should return error if the metrics can not be listed', async () => {
+    sinon.stub(Metrics.prototype, 'list').throws()
+    sinon.stub(Metric.prototype, 'collect').returns()
+    stubRecords()
+
+    let err
+    await handle({}, null, (error) => { err = error })
+    assert(err.match(/Error/))
+  })
+})
@@ -0,0 +1,35 @@
+import assert from 'assert'
+import sinon from 'sinon'
+import { handle } from 'api/deleteMetrics'
+import { Metrics, Metric } from 'model/metrics'
+import { MetricGroups } from 'model/metricGroups'
+
+describe('deleteMetrics', () => {
+  afterEach(() => {
+    Metrics.prototype.lookup.restore()
+    Metric.prototype.delete.restore()
+    MetricGroups.prototype.removeMetric.restore()
+  })
+
+  it('should delete the metric and remove it from the metric groups', async () => {
+    sinon.stub(Metrics.prototype, 'lookup').returns(new Metric('1', 'CloudWatch'))
+    const deleteStub = sinon.stub(Metric.prototype, 'delete').returns()
+    const removeMetricStub = sinon.stub(MetricGroups.prototype, 'removeMetric').returns()
+
+    let err
+    await handle({ params: { metricid: '1' } }, null, (error) => { err = error })
+    assert(err === null)
+    assert(deleteStub.calledOnce)
+    assert(removeMetricStub.calledWith('1'))
+  })
+
+  it('should return error on exception thrown', async () => {
+    sinon.stub(Metrics.prototype, 'lookup').throws()
+    sinon.stub(Metric.prototype, 'delete').returns()
+    sinon.stub(MetricGroups.prototype, 'removeMetric').returns()
+
+    let err
+    await handle({ params: { metricid: '1' } }, null, (error) => { err = error })
+    assert(err.match(/Error/))
+  })
+})
@@ -0,0 +1,32 @@
+import assert from 'assert'
+import sinon from 'sinon'
+import { handle } from 'api/getAvailabilityReports'
+import { Components } from 'model/components'
+import IncidentsStore from 'db/incidents'
+
+describe('getAvailabilityReports', () => {
+  afterEach(() => {
+    Components.prototype.all.restore()
+    IncidentsStore.prototype.getAll.restore()
+  })
+
+  it('should return the availability report', async () => {
+    sinon.stub(Components.prototype, 'all').returns([])
+    sinon.stub(IncidentsStore.prototype, 'getAll').returns([])
+
+    return await handle({ period: '2017-01', excludeMaintenances: 'false' }, null, (error, result) => {
+      assert(error === null)
+      assert(result.period === '2017-01')
+      assert(result.excludeMaintenances === false)
+      assert.deepEqual(result.components, [])
+    })
+  })
+
+  it('should return error on exception thrown', async () => {
+    sinon.stub(Components.prototype, 'all').throws()
+    sinon.stub(IncidentsStore.prototype, 'getAll').returns([])
+    return await handle({ period: '2017-01' }, null, (error, result) => {
+      assert(error.match(/Error/))
+    })
+  })
+})
@@ -0,0 +1,30 @@
+import assert from 'assert'
+import sinon from 'sinon'
+import { handle } from 'api/getComponentGroups'
+import { ComponentGroups, ComponentGroup } from 'model/componentGroups'
+
+describe('getComponentGroups', () => {
+  afterEach(() => {
+    ComponentGroups.prototype.all.restore()
+  })
+
+  it('should return a list of component groups sorted by the order', async () => {
+    const groups = [
+      new ComponentGroup('2', 'Dashboard', '', 2),
+      new ComponentGroup('1', 'API', '', 1)
+    ]
+    sinon.stub(ComponentGroups.prototype, 'all').returns(groups.slice(0))
+
+    return await handle({}, null, (error, result) => {
+      assert(error === null)
+      assert.deepEqual(result, [groups[1].objectify(), groups[0].objectify()])
+    })
+  })
+
+  it('should return error on exception thrown', async () => {
+    sinon.stub(ComponentGroups.prototype, 'all').throws()
+    return await handle({}, null, (error, result) => {
+      assert(error.match(/Error/))
+    })
+  })
+})
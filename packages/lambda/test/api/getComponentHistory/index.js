@@ -0,0 +1,30 @@
+import assert from 'assert'
+import sinon from 'sinon'
+import { handle } from 'api/getComponentHistory'
+import { Components, Component } from 'model/components'
+
+describe('getComponentHistory', () => {
+  afterEach(() => {
+    Components.prototype.lookup.restore()
+    Component.prototype.getStatusHistory.restore()
+  })
+
+  it('should return the status history of the component', async () => {
+    const history = [{ componentID: '1', changedAt: '2', previousStatus: 'Operational', status: 'Major Outage' }]
+    sinon.stub(Component.prototype, 'getStatusHistory').returns(history)
+    sinon.stub(Components.prototype, 'lookup').returns(new Component('1', 'name', '', 'Major Outage', 0))
+
+    return await handle({ params: { componentid: '1' } }, null, (error, result) => {
+      assert(error === null)
+      assert.deepEqual(result, history)
+    })
+  })
+
+  it('should return error on exception thrown', async () => {
+    sinon.stub(Component.prototype, 'getStatusHistory').throws()
+    sinon.stub(Components.prototype, 'lookup').throws()
+    return await handle({}, null, (error, result) => {
+      assert(error.match(/Error/))
+    })
+  })
+})
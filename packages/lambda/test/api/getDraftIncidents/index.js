@@ -0,0 +1,35 @@
+import assert from 'assert'
+import sinon from 'sinon'
+import { handle } from 'api/getDraftIncidents'
+import IncidentsStore from 'db/incidents'
+import IncidentUpdatesStore from 'db/incidentUpdates'
+
+describe('getDraftIncidents', () => {
+  afterEach(() => {
+    IncidentsStore.prototype.getAll.restore()
+  })
+
+  it('should return only the drafts with their updates', async () => {
+    sinon.stub(IncidentsStore.prototype, 'getAll').returns([
+      {incidentID: '1', name: 'published', status: 'Investigating', impact: 'minor', draft: false},
+      {incidentID: '2', name: 'draft', status: 'Investigating', impact: 'minor', draft: true}
+    ])
+    const updates = [{incidentID: '2', incidentUpdateID: '1', message: 'msg'}]
+    sinon.stub(IncidentUpdatesStore.prototype, 'getByIncidentID').returns(updates)
+
+    await handle({}, null, (error, result) => {
+      assert(error === null)
+      assert.deepEqual(result.map(incident => incident.incidentID), ['2'])
+      assert(result[0].draft === true)
+      assert.deepEqual(result[0].incidentUpdates, updates)
+    })
+    IncidentUpdatesStore.prototype.getByIncidentID.restore()
+  })
+
+  it('should return error on exception thrown', async () => {
+    sinon.stub(IncidentsStore.prototype, 'getAll').throws()
+    return await handle({}, null, (error, result) => {
+      assert(error.match(/Error/))
+    })
+  })
+})
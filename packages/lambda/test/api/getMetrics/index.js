@@ -17,7 +17,10 @@ describe('getMetrics', () => {
 
     return await handle({}, null, (error, result) => {
       assert(error === null)
-      assert.deepEqual(result, [metrics[1].objectify(), metrics[0].objectify()])
+      assert(result[0].metricID === '1')
+      assert(result[1].metricID === '2')
+      assert.deepEqual(result[0].alertRules, [])
+      assert.deepEqual(result[0].collectionStatus, {})
     })
   })
 
@@ -0,0 +1,70 @@
+import assert from 'assert'
+import sinon from 'sinon'
+import { handle } from 'api/getMetricsData'
+import { Metrics, Metric } from 'model/metrics'
+import { NotFoundError, ValidationError } from 'utils/errors'
+
+describe('getMetricsData', () => {
+  afterEach(() => {
+    Metrics.prototype.lookup.restore()
+    Metric.prototype.queryDatapoints.restore()
+  })
+
+  it('should return the downsampled datapoints', async () => {
+    const datapoints = [{timestamp: '2017-07-03T00:00:00.000Z', value: 1}]
+    sinon.stub(Metrics.prototype, 'lookup').returns(new Metric('1'))
+    const stub = sinon.stub(Metric.prototype, 'queryDatapoints').returns(datapoints)
+
+    const event = {
+      params: {metricid: '1'},
+      start: '2017-07-03T00:00:00.000Z',
+      end: '2017-07-04T00:00:00.000Z',
+      step: '300',
+      agg: 'max'
+    }
+    let err, result
+    await handle(event, null, (error, res) => {
+      err = error
+      result = res
+    })
+    assert(err === null)
+    assert.deepEqual(result, {
+      metricID: '1', start: event.start, end: event.end, step: 300, agg: 'max', datapoints
+    })
+    assert(stub.firstCall.args[0].toISOString() === event.start)
+    assert(stub.firstCall.args[1].toISOString() === event.end)
+    assert(stub.firstCall.args[2] === 300)
+    assert(stub.firstCall.args[3] === 'max')
+  })
+
+  it('should query the last day by the minute if the query strings are omitted', async () => {
+    sinon.stub(Metrics.prototype, 'lookup').returns(new Metric('1'))
+    const stub = sinon.stub(Metric.prototype, 'queryDatapoints').returns([])
+
+    let err
+    await handle({params: {metricid: '1'}, start: '', end: '', step: '', agg: ''}, null, (error) => { err = error })
+    assert(err === null)
+    const [start, end, step, agg] = stub.firstCall.args
+    assert(end - start === 24 * 60 * 60 * 1000)
+    assert(step === 60)
+    assert(agg === 'avg')
+  })
+
+  it('should return validation error if the query is invalid', async () => {
+    sinon.stub(Metrics.prototype, 'lookup').returns(new Metric('1'))
+    sinon.stub(Metric.prototype, 'queryDatapoints').throws(new ValidationError('invalid step'))
+
+    let err
+    await handle({params: {metricid: '1'}, step: 'a'}, null, (error) => { err = error })
+    assert(err === 'Error: invalid step')
+  })
+
+  it('should return not found error if the metric does not exist', async () => {
+    sinon.stub(Metrics.prototype, 'lookup').throws(new NotFoundError('no matched item'))
+    sinon.stub(Metric.prototype, 'queryDatapoints').returns([])
+
+    let err
+    await handle({params: {metricid: '1'}}, null, (error) => { err = error })
+    assert(err === 'Error: an item not found')
+  })
+})
@@ -0,0 +1,30 @@
+import assert from 'assert'
+import sinon from 'sinon'
+import { handle } from 'api/getPublicMetricGroups'
+import { MetricGroups, MetricGroup } from 'model/metricGroups'
+
+describe('getPublicMetricGroups', () => {
+  afterEach(() => {
+    MetricGroups.prototype.listPublic.restore()
+  })
+
+  it('should return a list of metric groups', async () => {
+    const groups = [
+      new MetricGroup('2', 'latency', '', ['1', '2'], 'Visible', 2),
+      new MetricGroup('1', 'availability', '', ['3'], 'Visible', 1)
+    ]
+    sinon.stub(MetricGroups.prototype, 'listPublic').returns(groups.slice(0))
+
+    return await handle({}, null, (error, result) => {
+      assert(error === null)
+      assert.deepEqual(result, [groups[1].objectify(), groups[0].objectify()])
+    })
+  })
+
+  it('should return error on exception thrown', async () => {
+    sinon.stub(MetricGroups.prototype, 'listPublic').throws()
+    return await handle({}, null, (error, result) => {
+      assert(error.match(/Error/))
+    })
+  })
+})
@@ -0,0 +1,30 @@
+import assert from 'assert'
+import sinon from 'sinon'
+import { handle } from 'api/getSystemStatus'
+import { Components } from 'model/components'
+import { Incidents } from 'model/incidents'
+
+describe('getSystemStatus', () => {
+  afterEach(() => {
+    Components.prototype.all.restore()
+    Incidents.prototype.all.restore()
+  })
+
+  it('should return the system status', async () => {
+    sinon.stub(Components.prototype, 'all').returns([{status: 'Major Outage'}])
+    sinon.stub(Incidents.prototype, 'all').returns([])
+
+    return await handle({}, null, (error, result) => {
+      assert(error === null)
+      assert.deepEqual(result, {status: 'Major Outage'})
+    })
+  })
+
+  it('should return error on exception thrown', async () => {
+    sinon.stub(Components.prototype, 'all').throws()
+    sinon.stub(Incidents.prototype, 'all').returns([])
+    return await handle({}, null, (error, result) => {
+      assert(error.match(/Error/))
+    })
+  })
+})
@@ -0,0 +1,59 @@
+import assert from 'assert'
+import sinon from 'sinon'
+import { handle } from 'api/importMetricsData'
+import { Metrics, Metric } from 'model/metrics'
+import { NotFoundError, ValidationError } from 'utils/errors'
+
+describe('importMetricsData', () => {
+  afterEach(() => {
+    Metrics.prototype.lookup.restore()
+    Metric.prototype.insertDatapoints.restore()
+  })
+
+  it('should import the datapoints and return inserted data', async () => {
+    const datapoints = [{timestamp: '2017-07-03T00:00:00.000Z', value: 1}]
+    const stub = sinon.stub(Metric.prototype, 'insertDatapoints').returns(datapoints)
+    const lookupStub = sinon.stub(Metrics.prototype, 'lookup').returns(new Metric('1'))
+
+    let err, result
+    await handle({params: {metricid: '1'}, body: {datapoints}}, null, (error, res) => {
+      err = error
+      result = res
+    })
+    assert(err === null)
+    assert.deepEqual(result, datapoints)
+    assert(lookupStub.firstCall.args[0] === '1')
+    assert(stub.firstCall.args[0] === datapoints)
+  })
+
+  it('should return validation error if too many datapoints are given', async () => {
+    const stub = sinon.stub(Metric.prototype, 'insertDatapoints').returns([])
+    sinon.stub(Metrics.prototype, 'lookup').returns(new Metric('1'))
+
+    const datapoints = Array.apply(null, {length: 5001}).map(() => {
+      return {timestamp: '2017-07-03T00:00:00.000Z', value: 1}
+    })
+    let err
+    await handle({params: {metricid: '1'}, body: {datapoints}}, null, (error) => { err = error })
+    assert(err.match(/too many datapoints/))
+    assert(stub.notCalled)
+  })
+
+  it('should return validation error if the datapoints are invalid', async () => {
+    sinon.stub(Metric.prototype, 'insertDatapoints').throws(new ValidationError('invalid value at index 0'))
+    sinon.stub(Metrics.prototype, 'lookup').returns(new Metric('1'))
+
+    let err
+    await handle({params: {metricid: '1'}, body: {datapoints: [{}]}}, null, (error) => { err = error })
+    assert(err === 'Error: invalid value at index 0')
+  })
+
+  it('should return not found error if the metric does not exist', async () => {
+    sinon.stub(Metric.prototype, 'insertDatapoints').returns([])
+    sinon.stub(Metrics.prototype, 'lookup').throws(new NotFoundError('no matched item'))
+
+    let err
+    await handle({params: {metricid: '1'}, body: {datapoints: []}}, null, (error) => { err = error })
+    assert(err === 'Error: an item not found')
+  })
+})
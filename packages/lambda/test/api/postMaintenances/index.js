@@ -16,7 +16,7 @@ describe('postMaintenances', () => {
     const saveStub = sinon.stub(Maintenance.prototype, 'save').returns('')
     const snsStub = sinon.stub(SNS.prototype, 'notifyIncident').returns()
 
-    await handle({ components: [] }, null, (error, result) => {
+    await handle({ body: { components: [] } }, null, (error, result) => {
       assert(error === null)
       assert(result.maintenance.maintenanceID.length === 12)
       assert.deepEqual(result.components, [])
@@ -26,12 +26,32 @@ describe('postMaintenances', () => {
     assert(snsStub.calledOnce)
   })
 
+  it('should return the occurrences of the recurring maintenance', async () => {
+    sinon.stub(Maintenance.prototype, 'validate').returns('')
+    sinon.stub(Maintenance.prototype, 'save').returns('')
+    sinon.stub(SNS.prototype, 'notifyIncident').returns()
+
+    const body = {
+      name: 'name',
+      components: [],
+      startAt: '2999-01-01T02:00:00.000Z',
+      endAt: '2999-01-01T04:00:00.000Z',
+      recurrence: {frequency: 'weekly', interval: 1, until: '2999-01-08T02:00:00.000Z'}
+    }
+    await handle({ body }, null, (error, result) => {
+      assert(error === null)
+      assert.deepEqual(result.occurrences.map(occurrence => occurrence.startAt),
+                       ['2999-01-01T02:00:00.000Z', '2999-01-08T02:00:00.000Z'])
+      assert(result.occurrences[0].seriesID === result.maintenance.maintenanceID)
+    })
+  })
+
   it('should return error on exception thrown', async () => {
     sinon.stub(Maintenance.prototype, 'validate').throws()
     sinon.stub(Maintenance.prototype, 'save').returns()
     sinon.stub(SNS.prototype, 'notifyIncident').returns()
 
-    return await handle({ components: [] }, null, (error, result) => {
+    return await handle({ body: { components: [] } }, null, (error, result) => {
       assert(error.match(/Error/))
     })
   })
@@ -19,8 +19,8 @@ describe('postMetricsData', () => {
 
     await handle(datapoints, null, (error, result) => {
       assert(error === null)
-      assert(result.length === datapoints.length)
-      assert.deepEqual(result[1], datapoints[1])
+      assert.deepEqual(result[1].accepted, datapoints[1])
+      assert.deepEqual(result[1].rejected, [])
     })
     assert(stub.calledOnce)
   })
@@ -37,13 +37,68 @@ describe('postMetricsData', () => {
 
     await handle(datapoints, null, (error, result) => {
       assert(error === null)
-      assert(result.length === datapoints.length)
-      assert.deepEqual(result[1], datapoints[1])
-      assert.deepEqual(result[2], datapoints[2])
+      assert.deepEqual(result[1].accepted, datapoints[1])
+      assert.deepEqual(result[2].accepted, datapoints[2])
     })
     assert(stub.calledTwice)
   })
 
+  it('should insert the valid datapoints and list the invalid ones', async () => {
+    const validDatapoint = {timestamp: '2017-07-03T00:00:00.000Z', value: 1}
+    const datapoints = {
+      1: [{value: 1}, validDatapoint, {timestamp: '2017-07-03T01:00:00.000Z', value: 'NaN'}]
+    }
+    const stub = sinon.stub(Metric.prototype, 'insertDatapoints').returns([validDatapoint])
+    sinon.stub(Metrics.prototype, 'lookup').returns(new Metric())
+
+    let err, result
+    await handle(datapoints, null, (error, res) => {
+      err = error
+      result = res
+    })
+    assert(err === null)
+    assert.deepEqual(stub.firstCall.args[0], [validDatapoint])
+    assert.deepEqual(result[1].accepted, [validDatapoint])
+    assert(result[1].rejected.length === 2)
+    assert(result[1].rejected[0].index === 0)
+    assert(result[1].rejected[0].message === 'timestamp is missing')
+    assert(result[1].rejected[1].index === 2)
+    assert(result[1].rejected[1].message === 'value must be a finite number')
+  })
+
+  it('should return the inserted data even if other metrics failed', async () => {
+    const datapoints = {
+      1: [{timestamp: '2017-07-03T00:00:00.000Z', value: 1}],
+      2: [{timestamp: '2017-07-03T00:00:00.000Z', value: 1}]
+    }
+    sinon.stub(Metric.prototype, 'insertDatapoints').returns(datapoints[1])
+    const stub = sinon.stub(Metrics.prototype, 'lookup')
+    stub.onCall(0).returns(new Metric())
+    stub.onCall(1).throws(new NotFoundError('no matched item'))
+
+    let err, result
+    await handle(datapoints, null, (error, res) => {
+      err = error
+      result = res
+    })
+    assert(err === null)
+    assert.deepEqual(result[1].accepted, datapoints[1])
+    assert.deepEqual(result[2].accepted, [])
+    assert(result[2].error.match(/not found/))
+  })
+
+  it('should return the errors if no datapoint is accepted', async () => {
+    const stub = sinon.stub(Metric.prototype, 'insertDatapoints').returns()
+    sinon.stub(Metrics.prototype, 'lookup').returns(new Metric())
+
+    const future = new Date(new Date().getTime() + 60 * 60 * 1000).toISOString()
+    let err
+    await handle({1: [{timestamp: future, value: 1}]}, null, (error, result) => { err = error })
+    assert(err.length === 1)
+    assert(err[0].message === 'Error: timestamp is in the future (metricID: 1, index: 0)')
+    assert(stub.notCalled)
+  })
+
   it('should return not found error if metric ID does not exist', async () => {
     sinon.stub(Metric.prototype, 'insertDatapoints').returns()
     sinon.stub(Metrics.prototype, 'lookup').throws(new NotFoundError('no matched item'))
@@ -55,6 +110,17 @@ describe('postMetricsData', () => {
     })
   })
 
+  it('should return validation error if the datapoints are not an array', async () => {
+    sinon.stub(Metric.prototype, 'insertDatapoints').returns()
+    sinon.stub(Metrics.prototype, 'lookup').returns(new Metric())
+
+    const id = 123
+    let err
+    await handle({[id]: {}}, null, (error, result) => { err = error })
+    assert(err.length === 1)
+    assert(err[0].message === `Error: datapoints must be an array (metricID: ${id})`)
+  })
+
   it('should return a list of errors if there are several errors', async () => {
     sinon.stub(Metric.prototype, 'insertDatapoints').returns()
     const stub = sinon.stub(Metrics.prototype, 'lookup')
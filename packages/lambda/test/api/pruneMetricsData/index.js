@@ -0,0 +1,43 @@
+import assert from 'assert'
+import sinon from 'sinon'
+import { handle } from 'api/pruneMetricsData'
+import { Metrics } from 'model/metrics'
+import { Settings } from 'model/settings'
+
+describe('pruneMetricsData', () => {
+  afterEach(() => {
+    Settings.prototype.getMetricsRetentionDays.restore()
+    Metrics.prototype.pruneDatapoints.restore()
+  })
+
+  it('should prune the metrics data', async () => {
+    sinon.stub(Settings.prototype, 'getMetricsRetentionDays').returns(30)
+    const stub = sinon.stub(Metrics.prototype, 'pruneDatapoints').returns([])
+
+    let err
+    await handle({StatusPageS3BucketName: 'bucket'}, null, (error) => { err = error })
+    assert(err === null)
+    assert(stub.calledOnce)
+    assert(stub.firstCall.args[0] === 'bucket')
+    assert(stub.firstCall.args[1] === 30)
+  })
+
+  it('should not prune the metrics data if the retention is not set', async () => {
+    sinon.stub(Settings.prototype, 'getMetricsRetentionDays').returns(0)
+    const stub = sinon.stub(Metrics.prototype, 'pruneDatapoints').returns([])
+
+    let err
+    await handle({StatusPageS3BucketName: 'bucket'}, null, (error) => { err = error })
+    assert(err === null)
+    assert(stub.notCalled)
+  })
+
+  it('should return error if the pruning failed', async () => {
+    sinon.stub(Settings.prototype, 'getMetricsRetentionDays').returns(30)
+    sinon.stub(Metrics.prototype, 'pruneDatapoints').throws()
+
+    let err
+    await handle({StatusPageS3BucketName: 'bucket'}, null, (error) => { err = error })
+    assert(err.match(/Error/))
+  })
+})
@@ -0,0 +1,69 @@
+import assert from 'assert'
+import sinon from 'sinon'
+import { handle } from 'api/runHTTPChecks'
+import HTTPCheck from 'monitoringServices/httpCheck'
+import { Metrics, Metric } from 'model/metrics'
+
+describe('runHTTPChecks', () => {
+  beforeEach(() => {
+    sinon.stub(Metric.prototype, 'recordCollectionSuccess').returns()
+    sinon.stub(Metric.prototype, 'recordCollectionError').returns()
+  })
+
+  afterEach(() => {
+    Metrics.prototype.list.restore()
+    HTTPCheck.prototype.run.restore()
+    Metric.prototype.recordCollectionSuccess.restore()
+    Metric.prototype.recordCollectionError.restore()
+  })
+
+  it('should run the http checks', async () => {
+    sinon.stub(Metrics.prototype, 'list').returns([
+      new Metric('1', 'HTTPCheck'), new Metric('2', 'CloudWatch'), new Metric('3', 'HTTPCheck')
+    ])
+    const stub = sinon.stub(HTTPCheck.prototype, 'run').returns()
+
+    let err
+    await handle({}, null, (error) => { err = error })
+    assert(err === null)
+    assert(stub.calledTwice)
+    assert(stub.args[0][0].metricID === '1')
+    assert(stub.args[1][0].metricID === '3')
+  })
+
+  it('should run only the checks whose interval has passed', async () => {
+    const checkedMetric = new Metric('1', 'HTTPCheck', '', '', '', 'Visible', 1, {}, 5)
+    checkedMetric.collectionStatus = {lastSuccessAt: new Date().toISOString()}
+    sinon.stub(Metrics.prototype, 'list').returns([checkedMetric, new Metric('2', 'HTTPCheck')])
+    const stub = sinon.stub(HTTPCheck.prototype, 'run').returns()
+
+    let err
+    await handle({}, null, (error) => { err = error })
+    assert(err === null)
+    assert(stub.calledOnce)
+    assert(stub.args[0][0].metricID === '2')
+  })
+
+  it('should run the rest of checks even if one of them failed', async () => {
+    sinon.stub(Metrics.prototype, 'list').returns([new Metric('1', 'HTTPCheck'), new Metric('2', 'HTTPCheck')])
+    const stub = sinon.stub(HTTPCheck.prototype, 'run')
+    stub.onCall(0).throws()
+    stub.onCall(1).returns()
+
+    let err
+    await handle({}, null, (error) => { err = error })
+    assert(err === null)
+    assert(stub.calledTwice)
+    assert(Metric.prototype.recordCollectionError.calledOnce)
+    assert(Metric.prototype.recordCollectionSuccess.calledOnce)
+  })
+
+  it('should return error if the metrics can not be listed', async () => {
+    sinon.stub(Metrics.prototype, 'list').throws()
+    sinon.stub(HTTPCheck.prototype, 'run').returns()
+
+    let err
+    await handle({}, null, (error) => { err = error })
+    assert(err.match(/Error/))
+  })
+})
@@ -106,20 +106,80 @@ describe('CloudWatch', () => {
       assert(actual[1].value === expect.Datapoints[0].Average)
     })
 
-    it('should set longer prioed if the start time is two weeks before', async () => {
-      const expect = {Datapoints: []}
+    it('should return error if the start time is older than the retention of the period', async () => {
+      AWS.mock('CloudWatch', 'getMetricStatistics', (params, callback) => {
+        callback(null, {Datapoints: []})
+      })
+
+      const curr = new Date()
+      curr.setDate(curr.getDate() - 16)
+      let error
+      try {
+        await new CloudWatch().getMetricData({Namespace: '', MetricName: ''}, curr, curr)
+      } catch (e) {
+        error = e
+      }
+      assert(error.message === 'the datapoints of the period of 60 seconds are available only for 15 days')
+    })
+
+    it('should keep the given period if the start time is within 15 days', async () => {
       let actual
       AWS.mock('CloudWatch', 'getMetricStatistics', (params, callback) => {
         actual = params
-        callback(null, expect)
+        callback(null, {Datapoints: []})
+      })
+
+      const curr = new Date()
+      curr.setDate(curr.getDate() - 14)
+      await new CloudWatch().getMetricData({Namespace: '', MetricName: ''}, curr, curr)
+
+      assert(actual.Period === 60)
+    })
+
+    it('should not shorten the given period if the start time is 15 days before', async () => {
+      let actual
+      AWS.mock('CloudWatch', 'getMetricStatistics', (params, callback) => {
+        actual = params
+        callback(null, {Datapoints: []})
       })
 
-      const cloudWatch = new CloudWatch()
       const curr = new Date()
       curr.setDate(curr.getDate() - 15)
-      await cloudWatch.getMetricData({Namespace: '', MetricName: ''}, curr, curr)
+      await new CloudWatch().getMetricData({Namespace: '', MetricName: '', Period: 3600}, curr, curr)
 
-      assert(actual.Period === 300)
+      assert(actual.Period === 3600)
+    })
+
+    it('should request the given statistic', async () => {
+      const curr = new Date()
+      let actual
+      AWS.mock('CloudWatch', 'getMetricStatistics', (params, callback) => {
+        actual = params
+        callback(null, {Datapoints: [{Timestamp: curr, Sum: 10}]})
+      })
+
+      const datapoints = await new CloudWatch().getMetricData({Namespace: '', MetricName: '', Statistic: 'Sum'},
+                                                              curr, curr)
+
+      assert.deepEqual(actual.Statistics, ['Sum'])
+      assert(actual.ExtendedStatistics === undefined)
+      assert(datapoints[0].value === 10)
+    })
+
+    it('should request the percentile statistic as the extended statistic', async () => {
+      const curr = new Date()
+      let actual
+      AWS.mock('CloudWatch', 'getMetricStatistics', (params, callback) => {
+        actual = params
+        callback(null, {Datapoints: [{Timestamp: curr, ExtendedStatistics: {'p99.9': 123}}]})
+      })
+
+      const datapoints = await new CloudWatch().getMetricData({Namespace: '', MetricName: '', Statistic: 'p99.9'},
+                                                              curr, curr)
+
+      assert.deepEqual(actual.ExtendedStatistics, ['p99.9'])
+      assert(actual.Statistics === undefined)
+      assert(datapoints[0].value === 123)
     })
 
     it('should throws the error if the API call failed', async () => {
@@ -138,4 +198,118 @@ describe('CloudWatch', () => {
       }
     })
   })
+
+  describe('getRetentionDays', () => {
+    it('should return the days by the period', () => {
+      const cloudWatch = new CloudWatch()
+      assert(cloudWatch.getRetentionDays({}) === 15)
+      assert(cloudWatch.getRetentionDays({Period: 120}) === 15)
+      assert(cloudWatch.getRetentionDays({Period: 300}) === 63)
+      assert(cloudWatch.getRetentionDays({Period: 86400}) === 455)
+    })
+  })
+
+  describe('getDatapointInterval', () => {
+    it('should return the period in minutes', () => {
+      assert(new CloudWatch().getDatapointInterval({Period: 300}) === 5)
+    })
+
+    it('should return one minute by default', () => {
+      assert(new CloudWatch().getDatapointInterval({}) === 1)
+    })
+  })
+
+  describe('validateProps', () => {
+    const generateProps = () => {
+      return {
+        Namespace: 'AWS/Lambda',
+        MetricName: 'Duration',
+        Dimensions: [{Name: 'FunctionName', Value: 'func'}],
+        Region: 'us-east-1'
+      }
+    }
+
+    const validate = (props) => {
+      try {
+        new CloudWatch().validateProps(props)
+      } catch (error) {
+        return error
+      }
+    }
+
+    it('should return no error when props are valid', () => {
+      assert(validate(generateProps()) === undefined)
+    })
+
+    it('should return no error when region is not given', () => {
+      const props = generateProps()
+      delete props.Region
+      assert(validate(props) === undefined)
+    })
+
+    it('should return error when namespace is invalid', () => {
+      const props = generateProps()
+      props.Namespace = ''
+      assert(validate(props).name === 'ValidationError')
+    })
+
+    it('should return error when metric name is invalid', () => {
+      const props = generateProps()
+      props.MetricName = undefined
+      assert(validate(props).name === 'ValidationError')
+    })
+
+    it('should return error when dimensions are invalid', () => {
+      const props = generateProps()
+      props.Dimensions = [{Name: 'FunctionName'}]
+      assert(validate(props).name === 'ValidationError')
+    })
+
+    it('should return error when region is invalid', () => {
+      const props = generateProps()
+      props.Region = 1
+      assert(validate(props).name === 'ValidationError')
+    })
+
+    it('should return no error when statistic and period are valid', () => {
+      const props = generateProps()
+      props.Statistic = 'Maximum'
+      props.Period = 300
+      assert(validate(props) === undefined)
+      props.Statistic = 'p99.9'
+      assert(validate(props) === undefined)
+    })
+
+    it('should return error when statistic is unknown', () => {
+      const props = generateProps()
+      props.Statistic = 'Median'
+      assert(validate(props).message === 'invalid Statistic property')
+    })
+
+    it('should return error when percentile is out of range', () => {
+      const props = generateProps()
+      props.Statistic = 'p100.5'
+      assert(validate(props).message === 'invalid Statistic property')
+      props.Statistic = 'p0'
+      assert(validate(props).message === 'invalid Statistic property')
+      props.Statistic = 'p99.999'
+      assert(validate(props).message === 'invalid Statistic property')
+    })
+
+    it('should return error when period does not divide a day', () => {
+      const props = generateProps()
+      props.Period = 420
+      assert(validate(props).message === 'Period must divide a day')
+      props.Period = 25200
+      assert(validate(props).message === 'Period must divide a day')
+    })
+
+    it('should return error when period is not a multiple of 60', () => {
+      const props = generateProps()
+      props.Period = 90
+      assert(validate(props).message === 'invalid Period property')
+      props.Period = 30
+      assert(validate(props).message === 'invalid Period property')
+    })
+  })
 })
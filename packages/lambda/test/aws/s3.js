@@ -0,0 +1,80 @@
+import assert from 'assert'
+import AWS from 'aws-sdk-mock'
+import S3 from 'aws/s3'
+
+describe('S3', () => {
+  afterEach(() => {
+    AWS.restore('S3')
+  })
+
+  describe('listObjects', () => {
+    it('should list all the objects across the pages', async () => {
+      const tokens = []
+      AWS.mock('S3', 'listObjectsV2', (params, callback) => {
+        tokens.push(params.ContinuationToken)
+        if (params.ContinuationToken === undefined) {
+          callback(null, {Contents: [{Key: 'a'}, {Key: 'b'}], IsTruncated: true, NextContinuationToken: 'token'})
+        } else {
+          callback(null, {Contents: [{Key: 'c'}], IsTruncated: false})
+        }
+      })
+
+      const objects = await new S3().listObjects('region', 'bucket', 'path')
+      assert.deepEqual(objects.map(obj => obj.Key), ['a', 'b', 'c'])
+      assert.deepEqual(tokens, [undefined, 'token'])
+    })
+
+    it('should throw the error if the API call failed', async () => {
+      AWS.mock('S3', 'listObjectsV2', (params, callback) => {
+        callback(new Error())
+      })
+
+      let error
+      try {
+        await new S3().listObjects('region', 'bucket', 'path')
+      } catch (e) {
+        error = e
+      }
+      assert(error !== undefined)
+    })
+  })
+
+  describe('deleteObjects', () => {
+    it('should delete the objects by up to 1000 keys', async () => {
+      const numKeys = []
+      AWS.mock('S3', 'deleteObjects', (params, callback) => {
+        numKeys.push(params.Delete.Objects.length)
+        callback(null, {Deleted: [], Errors: []})
+      })
+
+      const objectNames = Array.apply(null, {length: 1500}).map((value, i) => `key${i}`)
+      await new S3().deleteObjects('region', 'bucket', objectNames)
+      assert.deepEqual(numKeys, [1000, 500])
+    })
+
+    it('should not call the API if no objects given', async () => {
+      let called = false
+      AWS.mock('S3', 'deleteObjects', (params, callback) => {
+        called = true
+        callback(null, {})
+      })
+
+      await new S3().deleteObjects('region', 'bucket', [])
+      assert(!called)
+    })
+
+    it('should throw the error if some objects are not deleted', async () => {
+      AWS.mock('S3', 'deleteObjects', (params, callback) => {
+        callback(null, {Errors: [{Key: 'key', Code: 'AccessDenied', Message: 'Access Denied'}]})
+      })
+
+      let error
+      try {
+        await new S3().deleteObjects('region', 'bucket', ['key'])
+      } catch (e) {
+        error = e
+      }
+      assert(error.message.match(/Access Denied/))
+    })
+  })
+})
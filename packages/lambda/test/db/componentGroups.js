@@ -0,0 +1,94 @@
+import assert from 'assert'
+import AWS from 'aws-sdk-mock'
+import ComponentGroupsStore from 'db/componentGroups'
+
+describe('ComponentGroupsStore', () => {
+  describe('getAll', () => {
+    afterEach(() => {
+      AWS.restore('DynamoDB.DocumentClient')
+    })
+
+    it('should return a list of component groups', async () => {
+      AWS.mock('DynamoDB.DocumentClient', 'scan', (params, callback) => {
+        callback(null, {Items: [{groupID: '1', name: 'API', order: 1}]})
+      })
+      const groups = await new ComponentGroupsStore().getAll()
+      assert(groups.length === 1)
+      assert(groups[0].groupID === '1')
+      assert(groups[0].description === '')
+    })
+
+    it('should call reject on error', async () => {
+      AWS.mock('DynamoDB.DocumentClient', 'scan', (params, callback) => {
+        callback('Error')
+      })
+
+      let error
+      try {
+        await new ComponentGroupsStore().getAll()
+      } catch (e) {
+        error = e
+      }
+      assert(error.message.match(/Error/))
+    })
+  })
+
+  describe('getByID', () => {
+    afterEach(() => {
+      AWS.restore('DynamoDB.DocumentClient')
+    })
+
+    it('should return a component group', async () => {
+      AWS.mock('DynamoDB.DocumentClient', 'query', (params, callback) => {
+        callback(null, {Items: [{groupID: '1', name: 'API', description: 'desc', order: 1}]})
+      })
+      const groups = await new ComponentGroupsStore().getByID('1')
+      assert(groups.length === 1)
+      assert(groups[0].groupID === '1')
+      assert(groups[0].description === 'desc')
+    })
+
+    it('should call reject on error', async () => {
+      AWS.mock('DynamoDB.DocumentClient', 'query', (params, callback) => {
+        callback('Error')
+      })
+
+      let error
+      try {
+        await new ComponentGroupsStore().getByID()
+      } catch (e) {
+        error = e
+      }
+      assert(error.message.match(/Error/))
+    })
+  })
+
+  describe('update', () => {
+    afterEach(() => {
+      AWS.restore('DynamoDB.DocumentClient')
+    })
+
+    it('should update the component group', async () => {
+      AWS.mock('DynamoDB.DocumentClient', 'update', (params, callback) => {
+        callback(null, {Attributes: {groupID: '1', name: 'API', order: 1}})
+      })
+      const group = await new ComponentGroupsStore().update('1', 'API', '', 1)
+      assert(group.groupID === '1')
+      assert(group.description === '')
+    })
+
+    it('should return error on exception thrown', async () => {
+      AWS.mock('DynamoDB.DocumentClient', 'update', (params, callback) => {
+        callback('Error')
+      })
+
+      let error
+      try {
+        await new ComponentGroupsStore().update('1', 'API', '', 1)
+      } catch (e) {
+        error = e
+      }
+      assert(error.message.match(/Error/))
+    })
+  })
+})
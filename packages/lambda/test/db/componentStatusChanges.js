@@ -0,0 +1,93 @@
+import assert from 'assert'
+import AWS from 'aws-sdk-mock'
+import ComponentStatusChangesStore from 'db/componentStatusChanges'
+
+describe('ComponentStatusChangesStore', () => {
+  describe('getByComponentID', () => {
+    afterEach(() => {
+      AWS.restore('DynamoDB.DocumentClient')
+    })
+
+    it('should return the changes since the given time', async () => {
+      let params
+      AWS.mock('DynamoDB.DocumentClient', 'query', (p, callback) => {
+        params = p
+        callback(null, {Items: [{componentID: '1', changedAt: '2017-01-02T00:00:00.000Z', status: 'Operational'}]})
+      })
+      const changes = await new ComponentStatusChangesStore().getByComponentID('1', '2017-01-01T00:00:00.000Z')
+      assert(params.ExpressionAttributeValues[':since'] === '2017-01-01T00:00:00.000Z')
+      assert(changes.length === 1)
+      assert(changes[0].previousStatus === '')
+      assert(changes[0].actor === '')
+    })
+
+    it('should return all the changes if the time is not given', async () => {
+      let params
+      AWS.mock('DynamoDB.DocumentClient', 'query', (p, callback) => {
+        params = p
+        callback(null, {Items: []})
+      })
+      await new ComponentStatusChangesStore().getByComponentID('1')
+      assert(params.KeyConditionExpression === 'componentID = :hkey')
+      assert(params.ExpressionAttributeValues[':since'] === undefined)
+    })
+
+    it('should return the changes across the pages', async () => {
+      const startKeys = []
+      AWS.mock('DynamoDB.DocumentClient', 'query', (p, callback) => {
+        startKeys.push(p.ExclusiveStartKey)
+        if (p.ExclusiveStartKey === undefined) {
+          const item = {componentID: '1', changedAt: '2017-01-01T00:00:00.000Z'}
+          return callback(null, {Items: [item], LastEvaluatedKey: item})
+        }
+        callback(null, {Items: [{componentID: '1', changedAt: '2017-01-02T00:00:00.000Z'}]})
+      })
+      const changes = await new ComponentStatusChangesStore().getByComponentID('1')
+      assert(changes.length === 2)
+      assert(changes[1].changedAt === '2017-01-02T00:00:00.000Z')
+      assert(startKeys.length === 2)
+      assert(startKeys[1].changedAt === '2017-01-01T00:00:00.000Z')
+    })
+  })
+
+  describe('getLatestByComponentID', () => {
+    afterEach(() => {
+      AWS.restore('DynamoDB.DocumentClient')
+    })
+
+    it('should return the latest changes before the given time', async () => {
+      let params
+      AWS.mock('DynamoDB.DocumentClient', 'query', (p, callback) => {
+        params = p
+        callback(null, {Items: [{componentID: '1', changedAt: '2017-01-02T00:00:00.000Z', status: 'Operational'}]})
+      })
+      const changes = await new ComponentStatusChangesStore().getLatestByComponentID('1', 1,
+                                                                                      '2017-01-03T00:00:00.000Z')
+      assert(params.ScanIndexForward === false)
+      assert(params.Limit === 1)
+      assert(params.ExpressionAttributeValues[':before'] === '2017-01-03T00:00:00.000Z')
+      assert(changes.length === 1)
+      assert(changes[0].actor === '')
+    })
+  })
+
+  describe('update', () => {
+    afterEach(() => {
+      AWS.restore('DynamoDB.DocumentClient')
+    })
+
+    it('should record the change', async () => {
+      let params
+      AWS.mock('DynamoDB.DocumentClient', 'update', (p, callback) => {
+        params = p
+        callback(null, {Attributes: {componentID: '1', changedAt: '2017-01-01T00:00:00.000Z', status: 'Operational'}})
+      })
+      const change = await new ComponentStatusChangesStore().update('1', '2017-01-01T00:00:00.000Z', '', 'Operational',
+                                                                    'alice', 'incident', '2')
+      assert.deepEqual(params.Key, {componentID: '1', changedAt: '2017-01-01T00:00:00.000Z'})
+      assert(params.ExpressionAttributeValues[':cause'] === 'incident')
+      assert(params.ExpressionAttributeValues[':causeID'] === '2')
+      assert(change.previousStatus === '')
+    })
+  })
+})
@@ -1,6 +1,7 @@
 import assert from 'assert'
 import AWS from 'aws-sdk-mock'
 import ComponentsStore from 'db/components'
+import { ServiceComponentTable, ComponentStatusChangeTable } from 'utils/const'
 
 describe('ComponentsStore', () => {
   describe('getAll', () => {
@@ -16,6 +17,8 @@ describe('ComponentsStore', () => {
       assert(comps.length === 1)
       assert(comps[0].componentID === '1')
       assert(comps[0].description === '')
+      assert(comps[0].groupID === '')
+      assert.deepEqual(comps[0].dependencies, [])
     })
 
     it('should call reject on error', async () => {
@@ -70,13 +73,81 @@ describe('ComponentsStore', () => {
 
     it('should update the component', async () => {
       AWS.mock('DynamoDB.DocumentClient', 'update', (params, callback) => {
-        callback(null, {Attributes: {componentID: '1', name: '', description: '', status: '', order: 1}})
+        callback(null, {Attributes: {componentID: '1', name: 'old', description: 'old', status: '', order: 1}})
       })
-      const comp = await new ComponentsStore().update('1', '', '', '', 1)
+      const comp = await new ComponentsStore().update('1', 'new', '', '', 1)
       assert(comp.componentID === '1')
+      assert(comp.name === 'new')
       assert(comp.description === '')
     })
 
+    it('should update the group of the component', async () => {
+      let groupID
+      AWS.mock('DynamoDB.DocumentClient', 'update', (params, callback) => {
+        groupID = params.ExpressionAttributeValues[':groupID']
+        callback(null, {Attributes: {componentID: '1', name: 'a', status: '', order: 1}})
+      })
+      const comp = await new ComponentsStore().update('1', 'a', '', '', 1, 'g1')
+      assert(groupID === 'g1')
+      assert(comp.groupID === 'g1')
+    })
+
+    it('should update the dependencies of the component', async () => {
+      let dependencies
+      AWS.mock('DynamoDB.DocumentClient', 'update', (params, callback) => {
+        dependencies = params.ExpressionAttributeValues[':dependencies']
+        callback(null, {Attributes: {componentID: '1', name: 'a', status: '', order: 1}})
+      })
+      const comp = await new ComponentsStore().update('1', 'a', '', '', 1, '', ['2'])
+      assert.deepEqual(dependencies, ['2'])
+      assert.deepEqual(comp.dependencies, ['2'])
+    })
+
+    it('should record the status change', async () => {
+      const changes = []
+      AWS.mock('DynamoDB.DocumentClient', 'update', (params, callback) => {
+        if (params.TableName === ComponentStatusChangeTable) {
+          changes.push(params)
+          callback(null, {Attributes: {}})
+          return
+        }
+        callback(null, {Attributes: {componentID: '1', name: 'a', status: 'Operational', order: 1}})
+      })
+      await new ComponentsStore().update('1', 'a', '', 'Major Outage', 1, '', [], {actor: 'alice', cause: 'manual'})
+      assert(changes.length === 1)
+      assert(changes[0].Key.componentID === '1')
+      assert(changes[0].ExpressionAttributeValues[':previousStatus'] === 'Operational')
+      assert(changes[0].ExpressionAttributeValues[':status'] === 'Major Outage')
+      assert(changes[0].ExpressionAttributeValues[':actor'] === 'alice')
+      assert(changes[0].ExpressionAttributeValues[':cause'] === 'manual')
+    })
+
+    it('should record the status of the new component', async () => {
+      const changes = []
+      AWS.mock('DynamoDB.DocumentClient', 'update', (params, callback) => {
+        if (params.TableName === ComponentStatusChangeTable) {
+          changes.push(params)
+          callback(null, {Attributes: {}})
+          return
+        }
+        callback(null, {})
+      })
+      const comp = await new ComponentsStore().update('1', 'a', '', 'Operational', 1)
+      assert(comp.status === 'Operational')
+      assert(changes.length === 1)
+      assert(changes[0].ExpressionAttributeValues[':previousStatus'] === undefined)
+    })
+
+    it('should not record anything if the status is not changed', async () => {
+      const tables = []
+      AWS.mock('DynamoDB.DocumentClient', 'update', (params, callback) => {
+        tables.push(params.TableName)
+        callback(null, {Attributes: {componentID: '1', name: 'a', status: 'Operational', order: 1}})
+      })
+      await new ComponentsStore().update('1', 'b', '', 'Operational', 1)
+      assert.deepEqual(tables, [ServiceComponentTable])
+    })
+
     it('should return error on exception thrown', async () => {
       AWS.mock('DynamoDB.DocumentClient', 'update', (params, callback) => {
         callback('Error')
@@ -91,4 +162,22 @@ describe('ComponentsStore', () => {
       assert(error.message.match(/Error/))
     })
   })
+
+  describe('updateStatus', () => {
+    afterEach(() => {
+      AWS.restore('DynamoDB.DocumentClient')
+    })
+
+    it('should update the status and record the change', async () => {
+      const tables = []
+      AWS.mock('DynamoDB.DocumentClient', 'update', (params, callback) => {
+        tables.push(params.TableName)
+        callback(null, {Attributes: {componentID: '1', name: 'a', status: 'Operational', order: 1}})
+      })
+      const comp = await new ComponentsStore().updateStatus('1', 'Partial Outage')
+      assert(comp.name === 'a')
+      assert(comp.status === 'Partial Outage')
+      assert.deepEqual(tables, [ServiceComponentTable, ComponentStatusChangeTable])
+    })
+  })
 })
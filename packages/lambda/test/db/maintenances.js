@@ -15,6 +15,10 @@ describe('MaintenancesStore', () => {
       const maints = await new MaintenancesStore().getAll()
       assert(maints.length === 1)
       assert(maints[0].maintenanceID === '1')
+      assert.deepEqual(maints[0].affectedComponents, [])
+      assert.deepEqual(maints[0].componentIDs, [])
+      assert(maints[0].recurrence === null)
+      assert.deepEqual(maints[0].cancelledOccurrences, [])
     })
 
     it('should call reject on error', async () => {
@@ -75,10 +79,15 @@ describe('MaintenancesStore', () => {
           startAt: params.ExpressionAttributeValues[':startAt'],
           endAt: params.ExpressionAttributeValues[':endAt'],
           updatedAt: params.ExpressionAttributeValues[':updatedAt'],
-          updating: params.ExpressionAttributeValues[':updating']
+          updating: params.ExpressionAttributeValues[':updating'],
+          componentIDs: params.ExpressionAttributeValues[':componentIDs'],
+          recurrence: params.ExpressionAttributeValues[':recurrence'],
+          seriesID: params.ExpressionAttributeValues[':seriesID'],
+          occurrenceAt: params.ExpressionAttributeValues[':occurrenceAt']
         }})
       })
-      const maint = await new MaintenancesStore().update('1', 'name', 'status', 'startAt', 'endAt', 'updatedAt', false)
+      const maint = await new MaintenancesStore().update('1', 'name', 'status', 'startAt', 'endAt', 'updatedAt', false,
+                                                         ['c1'], null, 's1', 'occurrenceAt')
       assert(maint.maintenanceID === '1')
       assert(maint.name === 'name')
       assert(maint.status === 'status')
@@ -86,6 +95,10 @@ describe('MaintenancesStore', () => {
       assert(maint.endAt === 'endAt')
       assert(maint.updatedAt === 'updatedAt')
       assert(maint.updating === false)
+      assert.deepEqual(maint.componentIDs, ['c1'])
+      assert(maint.recurrence === null)
+      assert(maint.seriesID === 's1')
+      assert(maint.occurrenceAt === 'occurrenceAt')
     })
 
     it('should return error on exception thrown', async () => {
@@ -103,6 +116,69 @@ describe('MaintenancesStore', () => {
     })
   })
 
+  describe('updateAffectedComponents', () => {
+    afterEach(() => {
+      AWS.restore('DynamoDB.DocumentClient')
+    })
+
+    it('should update only the affected components', async () => {
+      let params
+      AWS.mock('DynamoDB.DocumentClient', 'update', (p, callback) => {
+        params = p
+        callback(null, {})
+      })
+      const affectedComponents = [{componentID: '1', previousStatus: 'Operational', status: 'Under Maintenance'}]
+      await new MaintenancesStore().updateAffectedComponents('1', affectedComponents)
+      assert(params.UpdateExpression === 'set affectedComponents = :affectedComponents')
+      assert.deepEqual(params.ExpressionAttributeValues[':affectedComponents'], affectedComponents)
+    })
+
+    it('should return error on exception thrown', async () => {
+      AWS.mock('DynamoDB.DocumentClient', 'update', (params, callback) => {
+        callback('Error')
+      })
+
+      let error
+      try {
+        await new MaintenancesStore().updateAffectedComponents('1', [])
+      } catch (e) {
+        error = e
+      }
+      assert(error.message.match(/Error/))
+    })
+  })
+
+  describe('addCancelledOccurrence', () => {
+    afterEach(() => {
+      AWS.restore('DynamoDB.DocumentClient')
+    })
+
+    it('should append the cancelled occurrence', async () => {
+      let params
+      AWS.mock('DynamoDB.DocumentClient', 'update', (p, callback) => {
+        params = p
+        callback(null, {})
+      })
+      await new MaintenancesStore().addCancelledOccurrence('1', '2017-01-01T02:00:00.000Z')
+      assert(params.Key.maintenanceID === '1')
+      assert.deepEqual(params.ExpressionAttributeValues[':o'], ['2017-01-01T02:00:00.000Z'])
+    })
+
+    it('should return error on exception thrown', async () => {
+      AWS.mock('DynamoDB.DocumentClient', 'update', (params, callback) => {
+        callback('Error')
+      })
+
+      let error
+      try {
+        await new MaintenancesStore().addCancelledOccurrence('1', '')
+      } catch (e) {
+        error = e
+      }
+      assert(error.message.match(/Error/))
+    })
+  })
+
   describe('delete', () => {
     afterEach(() => {
       AWS.restore('DynamoDB.DocumentClient')
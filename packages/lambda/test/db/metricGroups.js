@@ -0,0 +1,98 @@
+import assert from 'assert'
+import AWS from 'aws-sdk-mock'
+import MetricGroupsStore from 'db/metricGroups'
+
+describe('MetricGroupsStore', () => {
+  describe('getAll', () => {
+    afterEach(() => {
+      AWS.restore('DynamoDB.DocumentClient')
+    })
+
+    it('should return a list of metric groups', async () => {
+      AWS.mock('DynamoDB.DocumentClient', 'scan', (params, callback) => {
+        callback(null, {Items: [{groupID: '1', title: '', status: '', order: 1}]})
+      })
+      const groups = await new MetricGroupsStore().getAll()
+      assert(groups.length === 1)
+      assert(groups[0].groupID === '1')
+      assert(groups[0].description === '')
+      assert.deepEqual(groups[0].metricIDs, [])
+    })
+
+    it('should call reject on error', async () => {
+      AWS.mock('DynamoDB.DocumentClient', 'scan', (params, callback) => {
+        callback('Error')
+      })
+
+      let error
+      try {
+        await new MetricGroupsStore().getAll()
+      } catch (e) {
+        error = e
+      }
+      assert(error.message.match(/Error/))
+    })
+  })
+
+  describe('getByID', () => {
+    afterEach(() => {
+      AWS.restore('DynamoDB.DocumentClient')
+    })
+
+    it('should return a metric group', async () => {
+      AWS.mock('DynamoDB.DocumentClient', 'query', (params, callback) => {
+        callback(null, {Items: [{groupID: '1', title: '', metricIDs: ['1', '2'], status: '', order: 1}]})
+      })
+      const groups = await new MetricGroupsStore().getByID('1')
+      assert(groups.length === 1)
+      assert(groups[0].groupID === '1')
+      assert.deepEqual(groups[0].metricIDs, ['1', '2'])
+    })
+
+    it('should call reject on error', async () => {
+      AWS.mock('DynamoDB.DocumentClient', 'query', (params, callback) => {
+        callback('Error')
+      })
+
+      let error
+      try {
+        await new MetricGroupsStore().getByID()
+      } catch (e) {
+        error = e
+      }
+      assert(error.message.match(/Error/))
+    })
+  })
+
+  describe('update', () => {
+    afterEach(() => {
+      AWS.restore('DynamoDB.DocumentClient')
+    })
+
+    it('should update the metric group', async () => {
+      let metricIDs
+      AWS.mock('DynamoDB.DocumentClient', 'update', (params, callback) => {
+        metricIDs = params.ExpressionAttributeValues[':metricIDs']
+        callback(null, {Attributes: {groupID: '1', title: '', metricIDs: ['1'], status: '', order: 1}})
+      })
+      const group = await new MetricGroupsStore().update('1', '', '', ['1'], '', 1)
+      assert(group.groupID === '1')
+      assert(group.description === '')
+      assert.deepEqual(metricIDs, ['1'])
+    })
+
+    it('should return error on exception thrown', async () => {
+      AWS.mock('DynamoDB.DocumentClient', 'update', (params, callback) => {
+        callback('Error')
+      })
+
+      let error
+      try {
+        await new MetricGroupsStore().update('1', '', '', [], '', 1)
+      } catch (e) {
+        error = e
+      }
+      assert(error.message.match(/Error/))
+    })
+  })
+})
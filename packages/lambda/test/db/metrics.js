@@ -18,6 +18,8 @@ describe('MetricsStore', () => {
       assert(metrics[0].unit === '')
       assert(metrics[0].description === '')
       assert.deepEqual(metrics[0].props, {key: 'value'})
+      assert.deepEqual(metrics[0].alertRules, [])
+      assert.deepEqual(metrics[0].displayOptions, {})
     })
 
     it('should call reject on error', async () => {
@@ -99,6 +101,25 @@ describe('MetricsStore', () => {
       assert.deepEqual(metric.props, {key: 'value'})
     })
 
+    it('should update the metric if the alert rules are not changed', async () => {
+      AWS.mock('DynamoDB.DocumentClient', 'update', (params, callback) => {
+        assert(params.ExpressionAttributeValues[':currentAlertRules'] === '[]')
+        callback(null, {Attributes: {metricID: '1'}})
+      })
+      const metric = await new MetricsStore().update('1', undefined, undefined, undefined, undefined, undefined,
+                                                     undefined, {}, undefined, [{ruleID: '1'}], {}, [])
+      assert(metric.metricID === '1')
+    })
+
+    it('should return null if the alert rules are changed', async () => {
+      AWS.mock('DynamoDB.DocumentClient', 'update', (params, callback) => {
+        callback({code: 'ConditionalCheckFailedException'})
+      })
+      const metric = await new MetricsStore().update('1', undefined, undefined, undefined, undefined, undefined,
+                                                     undefined, {}, undefined, [{ruleID: '1'}], {}, [])
+      assert(metric === null)
+    })
+
     it('should return error on exception thrown', async () => {
       AWS.mock('DynamoDB.DocumentClient', 'update', (params, callback) => {
         callback('Error')
@@ -113,4 +134,123 @@ describe('MetricsStore', () => {
       assert(error.message.match(/Error/))
     })
   })
+
+  describe('updateCollectionStatus', () => {
+    afterEach(() => {
+      AWS.restore('DynamoDB.DocumentClient')
+    })
+
+    it('should update the collection status', async () => {
+      AWS.mock('DynamoDB.DocumentClient', 'update', (params, callback) => {
+        assert(params.UpdateExpression.match(/SET #lastSuccessAt = :lastSuccessAt/))
+        callback(null, {})
+      })
+      await new MetricsStore().updateCollectionStatus('1', {lastSuccessAt: '2017-07-03T00:00:00.000Z'})
+    })
+
+    it('should return error on exception thrown', async () => {
+      AWS.mock('DynamoDB.DocumentClient', 'update', (params, callback) => {
+        callback('Error')
+      })
+
+      let error
+      try {
+        await new MetricsStore().updateCollectionStatus('1', {lastSuccessAt: '2017-07-03T00:00:00.000Z'})
+      } catch (e) {
+        error = e
+      }
+      assert(error.message.match(/Error/))
+    })
+  })
+
+  describe('updateAlertRules', () => {
+    afterEach(() => {
+      AWS.restore('DynamoDB.DocumentClient')
+    })
+
+    it('should update the alert rules if they are not changed', async () => {
+      AWS.mock('DynamoDB.DocumentClient', 'update', (params, callback) => {
+        assert(params.UpdateExpression === 'SET alertRules = :alertRules')
+        assert(params.ConditionExpression === 'alertRules = :currentAlertRules')
+        assert(params.ExpressionAttributeValues[':alertRules'] === '[{"ruleID":"1","incidentID":"2"}]')
+        assert(params.ExpressionAttributeValues[':currentAlertRules'] === '[{"ruleID":"1"}]')
+        callback(null, {})
+      })
+      const updated = await new MetricsStore().updateAlertRules('1', [{ruleID: '1', incidentID: '2'}], [{ruleID: '1'}])
+      assert(updated === true)
+    })
+
+    it('should return false if the alert rules are changed', async () => {
+      AWS.mock('DynamoDB.DocumentClient', 'update', (params, callback) => {
+        callback({code: 'ConditionalCheckFailedException'})
+      })
+      const updated = await new MetricsStore().updateAlertRules('1', [], [{ruleID: '1'}])
+      assert(updated === false)
+    })
+
+    it('should return error on exception thrown', async () => {
+      AWS.mock('DynamoDB.DocumentClient', 'update', (params, callback) => {
+        callback('Error')
+      })
+
+      let error
+      try {
+        await new MetricsStore().updateAlertRules('1', [], [])
+      } catch (e) {
+        error = e
+      }
+      assert(error.message.match(/Error/))
+    })
+  })
+
+  describe('incrementConsecutiveFailures', () => {
+    afterEach(() => {
+      AWS.restore('DynamoDB.DocumentClient')
+    })
+
+    it('should return the number of failures after the increment', async () => {
+      AWS.mock('DynamoDB.DocumentClient', 'update', (params, callback) => {
+        assert(params.UpdateExpression === 'ADD consecutiveFailures :one')
+        callback(null, {Attributes: {consecutiveFailures: 3}})
+      })
+      const numFailures = await new MetricsStore().incrementConsecutiveFailures('1')
+      assert(numFailures === 3)
+    })
+
+    it('should return error on exception thrown', async () => {
+      AWS.mock('DynamoDB.DocumentClient', 'update', (params, callback) => {
+        callback('Error')
+      })
+
+      let error
+      try {
+        await new MetricsStore().incrementConsecutiveFailures('1')
+      } catch (e) {
+        error = e
+      }
+      assert(error.message.match(/Error/))
+    })
+  })
+
+  describe('resetConsecutiveFailures', () => {
+    afterEach(() => {
+      AWS.restore('DynamoDB.DocumentClient')
+    })
+
+    it('should return the number of failures before the reset', async () => {
+      AWS.mock('DynamoDB.DocumentClient', 'update', (params, callback) => {
+        callback(null, {Attributes: {consecutiveFailures: 3}})
+      })
+      const numFailures = await new MetricsStore().resetConsecutiveFailures('1')
+      assert(numFailures === 3)
+    })
+
+    it('should return 0 if the attribute does not exist yet', async () => {
+      AWS.mock('DynamoDB.DocumentClient', 'update', (params, callback) => {
+        callback(null, {})
+      })
+      const numFailures = await new MetricsStore().resetConsecutiveFailures('1')
+      assert(numFailures === 0)
+    })
+  })
 })
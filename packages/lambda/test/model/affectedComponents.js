@@ -0,0 +1,93 @@
+import assert from 'assert'
+import sinon from 'sinon'
+import IncidentsStore from 'db/incidents'
+import MaintenancesStore from 'db/maintenances'
+import { getWorstStatus, getRestoredStatus, listActiveAffectedComponents, listMaintainedComponentIDs,
+         recordAffectedComponents } from 'model/affectedComponents'
+
+describe('getWorstStatus', () => {
+  it('should return the most severe status', () => {
+    assert(getWorstStatus(['Operational', 'Major Outage', 'Degraded Performance']) === 'Major Outage')
+    assert(getWorstStatus(['Under Maintenance', 'Operational']) === 'Under Maintenance')
+  })
+})
+
+describe('listActiveAffectedComponents', () => {
+  afterEach(() => {
+    IncidentsStore.prototype.getAll.restore()
+    MaintenancesStore.prototype.getAll.restore()
+  })
+
+  it('should return the components of the open incidents and the in-progress maintenances', async () => {
+    const affected = (componentID) => [{componentID, previousStatus: 'Operational', status: 'Major Outage'}]
+    sinon.stub(IncidentsStore.prototype, 'getAll').returns([
+      {incidentID: '1', status: 'Investigating', affectedComponents: affected('a')},
+      {incidentID: '2', status: 'Resolved', affectedComponents: affected('b')},
+      {incidentID: '3', status: 'Monitoring', affectedComponents: affected('c')}
+    ])
+    sinon.stub(MaintenancesStore.prototype, 'getAll').returns([
+      {maintenanceID: '4', status: 'In Progress', affectedComponents: affected('d')},
+      {maintenanceID: '5', status: 'Scheduled', affectedComponents: affected('e')}
+    ])
+    const components = await listActiveAffectedComponents('3')
+    assert.deepEqual(components.map(component => component.componentID), ['a', 'd'])
+  })
+})
+
+describe('listMaintainedComponentIDs', () => {
+  afterEach(() => {
+    MaintenancesStore.prototype.getAll.restore()
+  })
+
+  it('should return the components of the in-progress maintenances', async () => {
+    const affected = (componentID) => [{componentID, previousStatus: 'Operational', status: 'Under Maintenance'}]
+    sinon.stub(MaintenancesStore.prototype, 'getAll').returns([
+      {maintenanceID: '1', status: 'In Progress', affectedComponents: affected('a')},
+      {maintenanceID: '2', status: 'Scheduled', affectedComponents: affected('b')},
+      {maintenanceID: '3', status: 'Completed', affectedComponents: affected('c')}
+    ])
+    assert.deepEqual(await listMaintainedComponentIDs(), ['a'])
+  })
+})
+
+describe('recordAffectedComponents', () => {
+  const currentStatuses = {'1': 'Operational', '2': 'Degraded Performance', '3': 'Operational'}
+
+  it('should record the components whose status is changed', () => {
+    const components = [{componentID: '1', status: 'Major Outage'}, {componentID: '2', status: 'Degraded Performance'}]
+    const recorded = recordAffectedComponents([], components, currentStatuses, [])
+    assert.deepEqual(recorded, [{componentID: '1', previousStatus: 'Operational', status: 'Major Outage'}])
+  })
+
+  it('should keep the previous status of the recorded component', () => {
+    const affectedComponents = [{componentID: '2', previousStatus: 'Operational', status: 'Degraded Performance'}]
+    const components = [{componentID: '2', status: 'Partial Outage'}]
+    const recorded = recordAffectedComponents(affectedComponents, components, currentStatuses, [])
+    assert.deepEqual(recorded, [{componentID: '2', previousStatus: 'Operational', status: 'Partial Outage'}])
+    assert(affectedComponents[0].status === 'Degraded Performance')
+  })
+
+  it('should share the previous status with the others affecting the component', () => {
+    const active = [{componentID: '2', previousStatus: 'Operational', status: 'Degraded Performance'}]
+    const components = [{componentID: '2', status: 'Major Outage'}]
+    const recorded = recordAffectedComponents([], components, currentStatuses, active)
+    assert.deepEqual(recorded, [{componentID: '2', previousStatus: 'Operational', status: 'Major Outage'}])
+  })
+})
+
+describe('getRestoredStatus', () => {
+  const affectedComponent = {componentID: '1', previousStatus: 'Operational', status: 'Major Outage'}
+
+  it('should return the previous status if nothing else affects the component', () => {
+    const active = [{componentID: '2', previousStatus: 'Operational', status: 'Partial Outage'}]
+    assert(getRestoredStatus(affectedComponent, active) === 'Operational')
+  })
+
+  it('should return the worst status of the others affecting the component', () => {
+    const active = [
+      {componentID: '1', previousStatus: 'Operational', status: 'Under Maintenance'},
+      {componentID: '1', previousStatus: 'Operational', status: 'Degraded Performance'}
+    ]
+    assert(getRestoredStatus(affectedComponent, active) === 'Degraded Performance')
+  })
+})
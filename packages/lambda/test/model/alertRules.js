@@ -0,0 +1,284 @@
+import assert from 'assert'
+import sinon from 'sinon'
+import SNS from 'aws/sns'
+import { AlertRule, buildAlertRule } from 'model/alertRules'
+import { Components, Component } from 'model/components'
+import { Incident, Incidents } from 'model/incidents'
+
+describe('AlertRule', () => {
+  const genMock = () => new AlertRule(undefined, '>', 100, 3, ['1'], 'Partial Outage', 'High latency', false,
+                                      'resolve')
+  const genDatapoints = (values) => {
+    return values.map((value, i) => {
+      return {timestamp: new Date(Date.UTC(2017, 6, 3, 0, i)).toISOString(), value}
+    })
+  }
+  const metric = {title: 'Latency', unit: 'ms', getDatapointInterval: () => 1}
+
+  describe('constructor', () => {
+    it('should construct a new instance', () => {
+      const rule = buildAlertRule({ruleID: '1', comparator: '<', threshold: 1, incidentID: '2'})
+      assert(rule.ruleID === '1')
+      assert(rule.comparator === '<')
+      assert(rule.threshold === 1)
+      assert(rule.incidentID === '2')
+    })
+
+    it('should fill in the rule ID', () => {
+      assert(genMock().ruleID.length === 12)
+    })
+  })
+
+  describe('validate', () => {
+    afterEach(() => {
+      Components.prototype.lookup.restore()
+    })
+
+    it('should return no error when input is valid', async () => {
+      sinon.stub(Components.prototype, 'lookup').returns(new Component('1'))
+      let error
+      try {
+        await genMock().validate()
+      } catch (e) {
+        error = e
+      }
+      assert(error === undefined)
+    })
+
+    const invalidValues = {
+      comparator: '==',
+      threshold: '100',
+      duration: 0,
+      componentIDs: [''],
+      componentStatus: 'Operational?',
+      incidentName: '',
+      draft: 'false',
+      recoveryAction: 'ignore',
+      incidentID: 1
+    }
+    Object.keys(invalidValues).forEach((key) => {
+      it(`should return error when ${key} is invalid`, async () => {
+        sinon.stub(Components.prototype, 'lookup').returns(new Component('1'))
+        const rule = genMock()
+        rule[key] = invalidValues[key]
+        let error
+        try {
+          await rule.validate()
+        } catch (e) {
+          error = e
+        }
+        assert(error.name === 'ValidationError')
+      })
+    })
+
+    it('should return error when duration is longer than one day', async () => {
+      sinon.stub(Components.prototype, 'lookup').returns(new Component('1'))
+      const rule = genMock()
+      rule.duration = 1441
+      let error
+      try {
+        await rule.validate()
+      } catch (e) {
+        error = e
+      }
+      assert(error.name === 'ValidationError')
+    })
+
+    it('should return error when the component does not exist', async () => {
+      const notFoundError = new Error()
+      notFoundError.name = 'NotFoundError'
+      sinon.stub(Components.prototype, 'lookup').throws(notFoundError)
+      let error
+      try {
+        await genMock().validate()
+      } catch (e) {
+        error = e
+      }
+      assert(error.name === 'NotFoundError')
+    })
+  })
+
+  describe('isFiring', () => {
+    it('should return true if the datapoints cross the threshold for the duration', () => {
+      assert(genMock().isFiring(genDatapoints([1, 101, 102, 103])))
+    })
+
+    it('should return false if the datapoints cross the threshold shorter than the duration', () => {
+      assert(!genMock().isFiring(genDatapoints([1, 1, 102, 103])))
+    })
+
+    it('should return false if the latest datapoint does not cross the threshold', () => {
+      assert(!genMock().isFiring(genDatapoints([101, 102, 103, 1])))
+    })
+
+    it('should return false if the datapoints have a gap within the duration', () => {
+      const datapoints = genDatapoints([101, 102, 103, 104])
+      assert(!genMock().isFiring([datapoints[0], datapoints[2], datapoints[3]]))
+      assert(!genMock().isFiring([datapoints[0], datapoints[3]]))
+    })
+
+    it('should allow the datapoints apart by the interval', () => {
+      const datapoints = genDatapoints([101, 102, 103, 104, 105])
+      assert(genMock().isFiring([datapoints[0], datapoints[2]], 2))
+      assert(!genMock().isFiring([datapoints[0], datapoints[4]], 2))
+    })
+
+    it('should return false if there is no datapoint', () => {
+      assert(!genMock().isFiring([]))
+    })
+  })
+
+  describe('isRecovered', () => {
+    it('should return true if the datapoints do not cross the threshold for the duration', () => {
+      assert(genMock().isRecovered(genDatapoints([101, 1, 1, 1])))
+    })
+
+    it('should return false if the datapoints do not cross the threshold shorter than the duration', () => {
+      assert(!genMock().isRecovered(genDatapoints([101, 101, 1, 1])))
+    })
+
+    it('should return false if the latest datapoint crosses the threshold', () => {
+      assert(!genMock().isRecovered(genDatapoints([1, 1, 1, 101])))
+    })
+
+    it('should return false if the datapoints have a gap within the duration', () => {
+      const datapoints = genDatapoints([101, 1, 1, 1])
+      assert(!genMock().isRecovered([datapoints[0], datapoints[1], datapoints[3]]))
+    })
+
+    it('should return false if there is no datapoint', () => {
+      assert(!genMock().isRecovered([]))
+    })
+  })
+
+  describe('evaluate', () => {
+    beforeEach(() => {
+      sinon.stub(Components.prototype, 'lookup', (componentID) => {
+        return new Component(componentID, 'name', '', 'Operational', 1)
+      })
+      sinon.stub(Incident.prototype, 'save').returns()
+      sinon.stub(SNS.prototype, 'notifyIncident').returns()
+    })
+
+    afterEach(() => {
+      Components.prototype.lookup.restore()
+      Incident.prototype.save.restore()
+      SNS.prototype.notifyIncident.restore()
+    })
+
+    it('should open the incident and change the components if the rule is firing', async () => {
+      const rule = genMock()
+      const changed = await rule.evaluate(metric, genDatapoints([101, 102, 103]))
+      assert(changed)
+      assert(Incident.prototype.save.calledOnce)
+      const incident = Incident.prototype.save.thisValues[0]
+      assert(incident.name === 'High latency')
+      assert(incident.status === 'Investigating')
+      assert(incident.impact === 'major')
+      assert(incident.message === 'Latency has been > 100ms for 3 minutes.')
+      assert(incident.components.length === 1)
+      assert(incident.components[0].status === 'Partial Outage')
+      assert(rule.incidentID === incident.incidentID)
+      assert(SNS.prototype.notifyIncident.calledOnce)
+    })
+
+    it('should open the draft incident without the notification', async () => {
+      const rule = genMock()
+      rule.draft = true
+      await rule.evaluate(metric, genDatapoints([101, 102, 103]))
+      assert(Incident.prototype.save.calledOnce)
+      assert(Incident.prototype.save.thisValues[0].draft === true)
+      assert(SNS.prototype.notifyIncident.notCalled)
+    })
+
+    it('should keep the draft incident on recovery', async () => {
+      const opened = new Incident('1', 'High latency', 'Investigating', 'major', '', [], undefined, [], true)
+      sinon.stub(Incidents.prototype, 'lookup').returns(opened)
+      const rule = genMock()
+      rule.incidentID = '1'
+      await rule.evaluate(metric, genDatapoints([101, 1, 1, 1]))
+      Incidents.prototype.lookup.restore()
+
+      assert(Incident.prototype.save.thisValues[0].draft === true)
+      assert(SNS.prototype.notifyIncident.notCalled)
+    })
+
+    it('should evaluate the datapoints by the interval of the metric', async () => {
+      const rule = genMock()
+      const datapoints = genDatapoints([101, 102, 103, 104, 105])
+      const changed = await rule.evaluate(Object.assign({}, metric, {getDatapointInterval: () => 2}),
+                                          [datapoints[0], datapoints[2]])
+      assert(changed)
+      assert(Incident.prototype.save.calledOnce)
+    })
+
+    it('should not open another incident while the incident is open', async () => {
+      const rule = genMock()
+      rule.incidentID = '1'
+      const changed = await rule.evaluate(metric, genDatapoints([101, 102, 103]))
+      assert(!changed)
+      assert(Incident.prototype.save.notCalled)
+    })
+
+    it('should resolve the incident if the metric recovers', async () => {
+      const opened = new Incident('1', 'High latency', 'Identified', 'major', '', [])
+      sinon.stub(Incidents.prototype, 'lookup').returns(opened)
+      const rule = genMock()
+      rule.incidentID = '1'
+      const changed = await rule.evaluate(metric, genDatapoints([101, 1, 1, 1]))
+      Incidents.prototype.lookup.restore()
+
+      assert(changed)
+      assert(rule.incidentID === undefined)
+      const incident = Incident.prototype.save.thisValues[0]
+      assert(incident.incidentID === '1')
+      assert(incident.status === 'Resolved')
+      assert(incident.impact === 'major')
+      // The resolved incident restores the components by itself.
+      assert(incident.components.length === 0)
+      assert(SNS.prototype.notifyIncident.calledOnce)
+    })
+
+    it('should post the update if the recovery action is update', async () => {
+      const opened = new Incident('1', 'High latency', 'Identified', 'major', '', [])
+      sinon.stub(Incidents.prototype, 'lookup').returns(opened)
+      const rule = genMock()
+      rule.incidentID = '1'
+      rule.recoveryAction = 'update'
+      await rule.evaluate(metric, genDatapoints([101, 1, 1, 1]))
+      Incidents.prototype.lookup.restore()
+
+      const incident = Incident.prototype.save.thisValues[0]
+      assert(incident.status === 'Monitoring')
+      assert(incident.message === 'Latency has recovered.')
+      assert(incident.components.length === 0)
+    })
+
+    it('should not update the incident resolved by the admin', async () => {
+      const opened = new Incident('1', 'High latency', 'Resolved', 'major', '', [])
+      sinon.stub(Incidents.prototype, 'lookup').returns(opened)
+      const rule = genMock()
+      rule.incidentID = '1'
+      const changed = await rule.evaluate(metric, genDatapoints([101, 1, 1, 1]))
+      Incidents.prototype.lookup.restore()
+
+      assert(changed)
+      assert(rule.incidentID === undefined)
+      assert(Incident.prototype.save.notCalled)
+    })
+
+    it('should forget the incident deleted by the admin', async () => {
+      const notFoundError = new Error()
+      notFoundError.name = 'NotFoundError'
+      sinon.stub(Incidents.prototype, 'lookup').throws(notFoundError)
+      const rule = genMock()
+      rule.incidentID = '1'
+      const changed = await rule.evaluate(metric, genDatapoints([101, 1, 1, 1]))
+      Incidents.prototype.lookup.restore()
+
+      assert(changed)
+      assert(rule.incidentID === undefined)
+      assert(Incident.prototype.save.notCalled)
+    })
+  })
+})
@@ -0,0 +1,148 @@
+import assert from 'assert'
+import sinon from 'sinon'
+import ComponentStatusChangesStore from 'db/componentStatusChanges'
+import IncidentsStore from 'db/incidents'
+import { Components, Component } from 'model/components'
+import { parsePeriod, computeAvailability, buildAvailabilityReport } from 'model/availabilityReports'
+
+describe('parsePeriod', () => {
+  it('should return the range of the month', () => {
+    assert.deepEqual(parsePeriod('2017-12'), {
+      start: Date.parse('2017-12-01T00:00:00.000Z'), end: Date.parse('2018-01-01T00:00:00.000Z')
+    })
+  })
+
+  it('should return the range of the quarter', () => {
+    assert.deepEqual(parsePeriod('2017-Q2'), {
+      start: Date.parse('2017-04-01T00:00:00.000Z'), end: Date.parse('2017-07-01T00:00:00.000Z')
+    })
+  })
+
+  it('should return error when the period is invalid', () => {
+    let error
+    try {
+      parsePeriod('2017-13')
+    } catch (e) {
+      error = e
+    }
+    assert(error.name === 'ValidationError')
+  })
+})
+
+const genChange = (changedAt, previousStatus, status, incidentID) => {
+  if (incidentID) {
+    return {changedAt, previousStatus, status, cause: 'incident', causeID: incidentID}
+  }
+  return {changedAt, previousStatus, status, cause: 'manual', causeID: ''}
+}
+
+const genMaintenanceChange = (changedAt, previousStatus, status, maintenanceID) => {
+  return {changedAt, previousStatus, status, cause: 'maintenance', causeID: maintenanceID}
+}
+
+describe('computeAvailability', () => {
+  const { start, end } = parsePeriod('2017-02')
+  const created = genChange('2017-01-01T00:00:00.000Z', '', 'Operational')
+  const changes = [
+    genChange('2017-02-10T00:00:00.000Z', 'Operational', 'Major Outage', '1'),
+    genChange('2017-02-10T06:00:00.000Z', 'Major Outage', 'Operational', '1')
+  ]
+
+  it('should return the full availability if there is no change', () => {
+    const result = computeAvailability(null, [], 'Operational', start, end)
+    assert.deepEqual(result, {availability: 1, downtime: 0, incidentDowntimes: {}})
+  })
+
+  it('should compute the downtime caused by the incidents', () => {
+    const result = computeAvailability(created, changes, 'Operational', start, end)
+    assert(result.downtime === 6 * 60 * 60)
+    assert(result.availability === 0.991071)
+    assert.deepEqual(result.incidentDowntimes, {'1': 6 * 60 * 60})
+  })
+
+  it('should count the downtime continued from the previous period', () => {
+    const result = computeAvailability(changes[0], [], 'Major Outage', parsePeriod('2017-03').start,
+                                       parsePeriod('2017-03').end)
+    assert(result.availability === 0)
+    assert.deepEqual(Object.keys(result.incidentDowntimes), ['1'])
+  })
+
+  it('should ignore the changes after the period', () => {
+    const result = computeAvailability(created, changes, 'Operational', parsePeriod('2017-01').start,
+                                       parsePeriod('2017-01').end)
+    assert(result.availability === 1)
+  })
+
+  it('should exclude the time under the maintenances', () => {
+    const maintenanceChanges = [
+      genMaintenanceChange('2017-02-09T21:00:00.000Z', 'Operational', 'Under Maintenance', 'm1'),
+      genMaintenanceChange('2017-02-10T00:00:00.000Z', 'Under Maintenance', 'Operational', 'm1')
+    ].concat(changes)
+    const result = computeAvailability(created, maintenanceChanges, 'Operational', start, end, true)
+    assert(result.downtime === 6 * 60 * 60)
+    assert(result.availability === Math.round((1 - 6 / (28 * 24 - 3)) * 1000000) / 1000000)
+  })
+
+  it('should return null if the component did not exist in the period', () => {
+    const result = computeAvailability(null, [created].concat(changes), 'Operational', parsePeriod('2016-12').start,
+                                       parsePeriod('2016-12').end)
+    assert(result.availability === null)
+  })
+})
+
+describe('buildAvailabilityReport', () => {
+  const now = new Date('2017-02-15T00:00:00.000Z')
+
+  beforeEach(() => {
+    sinon.stub(Components.prototype, 'all').returns([new Component('c1', 'API', '', 'Operational', 0)])
+    sinon.stub(IncidentsStore.prototype, 'getAll').returns([{incidentID: '1', name: 'API is down'}])
+    sinon.stub(ComponentStatusChangesStore.prototype, 'getLatestByComponentID').returns([
+      genChange('2017-01-01T00:00:00.000Z', '', 'Operational')
+    ])
+    sinon.stub(ComponentStatusChangesStore.prototype, 'getByComponentID').returns([
+      genMaintenanceChange('2017-02-09T21:00:00.000Z', 'Operational', 'Under Maintenance', 'm1'),
+      genChange('2017-02-10T00:00:00.000Z', 'Under Maintenance', 'Partial Outage', '1'),
+      genChange('2017-02-10T06:00:00.000Z', 'Partial Outage', 'Operational', '1')
+    ])
+  })
+
+  afterEach(() => {
+    Components.prototype.all.restore()
+    IncidentsStore.prototype.getAll.restore()
+    ComponentStatusChangesStore.prototype.getLatestByComponentID.restore()
+    ComponentStatusChangesStore.prototype.getByComponentID.restore()
+  })
+
+  it('should list the incidents contributed to the downtime', async () => {
+    const report = await buildAvailabilityReport('2017-02', false, now)
+    assert(report.endAt === now.toISOString())
+    assert(report.components.length === 1)
+    assert(report.components[0].downtime === 6 * 60 * 60)
+    assert.deepEqual(report.components[0].incidents, [{incidentID: '1', name: 'API is down', downtime: 6 * 60 * 60}])
+  })
+
+  it('should query the changes since the start of the period', async () => {
+    await buildAvailabilityReport('2017-02', false, now)
+    const getLatestStub = ComponentStatusChangesStore.prototype.getLatestByComponentID
+    assert.deepEqual(getLatestStub.args[0], ['c1', 1, '2017-02-01T00:00:00.000Z'])
+    assert.deepEqual(ComponentStatusChangesStore.prototype.getByComponentID.args[0],
+                     ['c1', '2017-02-01T00:00:00.000Z'])
+  })
+
+  it('should exclude the time under the maintenances', async () => {
+    const included = await buildAvailabilityReport('2017-02', false, now)
+    const excluded = await buildAvailabilityReport('2017-02', true, now)
+    assert(excluded.components[0].downtime === 6 * 60 * 60)
+    assert(excluded.components[0].availability < included.components[0].availability)
+  })
+
+  it('should return error when the period is in the future', async () => {
+    let error
+    try {
+      await buildAvailabilityReport('2017-03', false, now)
+    } catch (e) {
+      error = e
+    }
+    assert(error.name === 'ValidationError')
+  })
+})
@@ -0,0 +1,73 @@
+import assert from 'assert'
+import sinon from 'sinon'
+import { ComponentGroups, ComponentGroup } from 'model/componentGroups'
+import ComponentGroupsStore from 'db/componentGroups'
+
+describe('ComponentGroup', () => {
+  describe('validate', () => {
+    const genMock = () => new ComponentGroup(undefined, 'API', '', 1)
+
+    it('should return no error when input is valid', async () => {
+      await genMock().validate()
+    })
+
+    const invalidValues = {
+      groupID: '',
+      name: '',
+      description: undefined,
+      order: 1.5
+    }
+    Object.keys(invalidValues).forEach((key) => {
+      it(`should return error when ${key} is invalid`, async () => {
+        const group = genMock()
+        group[key] = invalidValues[key]
+        let error
+        try {
+          await group.validate()
+        } catch (e) {
+          error = e
+        }
+        assert(error.name === 'ValidationError')
+      })
+    })
+
+    it('should return error when groupID does not exist', async () => {
+      sinon.stub(ComponentGroupsStore.prototype, 'getByID').returns([])
+      const group = new ComponentGroup('1', 'API', '', 1)
+      let error
+      try {
+        await group.validate()
+      } catch (e) {
+        error = e
+      }
+      ComponentGroupsStore.prototype.getByID.restore()
+      assert(error.name === 'NotFoundError')
+    })
+  })
+})
+
+describe('ComponentGroups', () => {
+  describe('lookup', () => {
+    afterEach(() => {
+      ComponentGroupsStore.prototype.getByID.restore()
+    })
+
+    it('should return one group', async () => {
+      sinon.stub(ComponentGroupsStore.prototype, 'getByID').returns([{groupID: '1', name: 'API', order: 1}])
+      const group = await new ComponentGroups().lookup('1')
+      assert(group.groupID === '1')
+      assert(group.name === 'API')
+    })
+
+    it('should return error when matched no group', async () => {
+      sinon.stub(ComponentGroupsStore.prototype, 'getByID').returns([])
+      let error
+      try {
+        await new ComponentGroups().lookup('1')
+      } catch (e) {
+        error = e
+      }
+      assert(error.name === 'NotFoundError')
+    })
+  })
+})
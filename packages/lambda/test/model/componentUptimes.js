@@ -0,0 +1,63 @@
+import assert from 'assert'
+import sinon from 'sinon'
+import ComponentsStore from 'db/components'
+import ComponentStatusChangesStore from 'db/componentStatusChanges'
+import S3 from 'aws/s3'
+import { computeDailyUptimes, updateComponentUptimes, uptimeDays, uptimesObjectName } from 'model/componentUptimes'
+
+describe('computeDailyUptimes', () => {
+  const now = new Date('2017-01-03T12:00:00.000Z')
+
+  it('should return the current status through the dates if there is no change', () => {
+    const uptimes = computeDailyUptimes([], 'Operational', 3, now)
+    assert.deepEqual(uptimes, [
+      {date: '2017-01-01', availability: 1, status: 'Operational'},
+      {date: '2017-01-02', availability: 1, status: 'Operational'},
+      {date: '2017-01-03', availability: 1, status: 'Operational'}
+    ])
+  })
+
+  it('should compute the availability and the worst status of each date', () => {
+    const changes = [
+      {changedAt: '2017-01-02T06:00:00.000Z', previousStatus: 'Operational', status: 'Major Outage'},
+      {changedAt: '2017-01-02T12:00:00.000Z', previousStatus: 'Major Outage', status: 'Degraded Performance'},
+      {changedAt: '2017-01-03T06:00:00.000Z', previousStatus: 'Degraded Performance', status: 'Operational'}
+    ]
+    const uptimes = computeDailyUptimes(changes, 'Operational', 3, now)
+    assert.deepEqual(uptimes, [
+      {date: '2017-01-01', availability: 1, status: 'Operational'},
+      {date: '2017-01-02', availability: 0.75, status: 'Major Outage'},
+      {date: '2017-01-03', availability: 1, status: 'Degraded Performance'}
+    ])
+  })
+
+  it('should return null before the component is created', () => {
+    const changes = [{changedAt: '2017-01-02T12:00:00.000Z', previousStatus: '', status: 'Partial Outage'}]
+    const uptimes = computeDailyUptimes(changes, 'Partial Outage', 3, now)
+    assert.deepEqual(uptimes[0], {date: '2017-01-01', availability: null, status: null})
+    assert.deepEqual(uptimes[1], {date: '2017-01-02', availability: 0, status: 'Partial Outage'})
+  })
+})
+
+describe('updateComponentUptimes', () => {
+  afterEach(() => {
+    ComponentsStore.prototype.getAll.restore()
+    ComponentStatusChangesStore.prototype.getByComponentID.restore()
+    S3.prototype.putObject.restore()
+  })
+
+  it('should write the uptimes of all the components', async () => {
+    sinon.stub(ComponentsStore.prototype, 'getAll').returns([
+      {componentID: '1', status: 'Operational'}, {componentID: '2', status: 'Major Outage'}
+    ])
+    sinon.stub(ComponentStatusChangesStore.prototype, 'getByComponentID').returns([])
+    sinon.stub(S3.prototype, 'putObject').returns()
+
+    await updateComponentUptimes('bucket', new Date('2017-06-01T00:00:01.000Z'))
+    const [, bucketName, objectName, uptimes] = S3.prototype.putObject.firstCall.args
+    assert(bucketName === 'bucket')
+    assert(objectName === uptimesObjectName)
+    assert(uptimes['1'].length === uptimeDays)
+    assert(uptimes['2'][uptimeDays - 1].availability === 0)
+  })
+})
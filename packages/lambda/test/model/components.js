@@ -1,7 +1,9 @@
 import assert from 'assert'
 import sinon from 'sinon'
-import { Components, Component } from 'model/components'
+import { Components, Component, hasDependencyCycle } from 'model/components'
 import ComponentsStore from 'db/components'
+import ComponentGroupsStore from 'db/componentGroups'
+import ComponentStatusChangesStore from 'db/componentStatusChanges'
 
 describe('Components', () => {
   describe('all', () => {
@@ -67,6 +69,56 @@ describe('Components', () => {
   })
 })
 
+describe('Components.removeGroup', () => {
+  afterEach(() => {
+    ComponentsStore.prototype.getAll.restore()
+    ComponentsStore.prototype.update.restore()
+  })
+
+  it('should remove the group from the components in it', async () => {
+    sinon.stub(ComponentsStore.prototype, 'getAll').returns([
+      {componentID: '1', name: 'a', description: '', status: 'Operational', order: 1, groupID: 'g1'},
+      {componentID: '2', name: 'b', description: '', status: 'Operational', order: 2, groupID: 'g2'}
+    ])
+    sinon.stub(ComponentsStore.prototype, 'update').returns()
+
+    await new Components().removeGroup('g1')
+    assert(ComponentsStore.prototype.update.calledOnce)
+    assert(ComponentsStore.prototype.update.firstCall.args[0] === '1')
+    assert(ComponentsStore.prototype.update.firstCall.args[5] === '')
+  })
+})
+
+describe('Components.removeDependency', () => {
+  afterEach(() => {
+    ComponentsStore.prototype.getAll.restore()
+    ComponentsStore.prototype.update.restore()
+  })
+
+  it('should remove the deleted component from the dependencies', async () => {
+    sinon.stub(ComponentsStore.prototype, 'getAll').returns([
+      {componentID: '1', name: 'a', description: '', status: 'Operational', order: 1, dependencies: ['2', '3']},
+      {componentID: '2', name: 'b', description: '', status: 'Operational', order: 2, dependencies: ['3']}
+    ])
+    sinon.stub(ComponentsStore.prototype, 'update').returns()
+
+    await new Components().removeDependency('2')
+    assert(ComponentsStore.prototype.update.calledOnce)
+    assert(ComponentsStore.prototype.update.firstCall.args[0] === '1')
+    assert.deepEqual(ComponentsStore.prototype.update.firstCall.args[6], ['3'])
+  })
+})
+
+describe('hasDependencyCycle', () => {
+  it('should return false when the dependencies have no cycle', () => {
+    assert(!hasDependencyCycle({'1': ['2', '3'], '2': ['3'], '3': []}))
+  })
+
+  it('should return true when the dependencies have a cycle', () => {
+    assert(hasDependencyCycle({'1': ['2'], '2': ['3'], '3': ['1']}))
+  })
+})
+
 describe('Component', () => {
   describe('constructor', () => {
     it('should construct a new instance', () => {
@@ -194,5 +246,127 @@ describe('Component', () => {
       }
       assert(error.name === 'ValidationError')
     })
+
+    it('should return no error when the group exists', async () => {
+      sinon.stub(ComponentGroupsStore.prototype, 'getByID').returns([{groupID: 'g1'}])
+      const comp = genMock()
+      comp.groupID = 'g1'
+      let error
+      try {
+        await comp.validate()
+      } catch (e) {
+        error = e
+      }
+      ComponentGroupsStore.prototype.getByID.restore()
+      assert(error === undefined)
+    })
+
+    it('should return error when the group does not exist', async () => {
+      sinon.stub(ComponentGroupsStore.prototype, 'getByID').returns([])
+      const comp = genMock()
+      comp.groupID = 'g1'
+      let error
+      try {
+        await comp.validate()
+      } catch (e) {
+        error = e
+      }
+      ComponentGroupsStore.prototype.getByID.restore()
+      assert(error.name === 'ValidationError')
+    })
+
+    describe('dependencies', () => {
+      beforeEach(() => {
+        sinon.stub(ComponentsStore.prototype, 'getAll').returns([
+          {componentID: '1', dependencies: []},
+          {componentID: '2', dependencies: ['1']}
+        ])
+        sinon.stub(ComponentsStore.prototype, 'getByID').returns([{componentID: '1'}])
+      })
+
+      afterEach(() => {
+        ComponentsStore.prototype.getAll.restore()
+        ComponentsStore.prototype.getByID.restore()
+      })
+
+      it('should return no error when the dependencies exist', async () => {
+        const comp = genMock()
+        comp.dependencies = ['1', '2']
+        let error
+        try {
+          await comp.validate()
+        } catch (e) {
+          error = e
+        }
+        assert(error === undefined)
+      })
+
+      it('should return error when the dependency does not exist', async () => {
+        const comp = genMock()
+        comp.dependencies = ['3']
+        let error
+        try {
+          await comp.validate()
+        } catch (e) {
+          error = e
+        }
+        assert(error.name === 'ValidationError')
+      })
+
+      it('should return error when the component depends on itself', async () => {
+        const comp = new Component('1', 'name', 'desc', 'Operational', 1, '', ['1'])
+        let error
+        try {
+          await comp.validate()
+        } catch (e) {
+          error = e
+        }
+        assert(error.name === 'ValidationError')
+      })
+
+      it('should return error when the dependencies have a cycle', async () => {
+        const comp = new Component('1', 'name', 'desc', 'Operational', 1, '', ['2'])
+        let error
+        try {
+          await comp.validate()
+        } catch (e) {
+          error = e
+        }
+        assert(error.name === 'ValidationError')
+        assert(error.message === 'the dependencies have a cycle')
+      })
+    })
+  })
+
+  describe('save', () => {
+    afterEach(() => {
+      ComponentsStore.prototype.update.restore()
+    })
+
+    it('should record the actor as the manual change', async () => {
+      sinon.stub(ComponentsStore.prototype, 'update').returns({})
+      const comp = new Component('1', 'name', '', 'Operational', 0)
+      await comp.save('alice')
+      assert.deepEqual(ComponentsStore.prototype.update.firstCall.args[7], {actor: 'alice', cause: 'manual'})
+    })
+  })
+
+  describe('getStatusHistory', () => {
+    afterEach(() => {
+      ComponentStatusChangesStore.prototype.getLatestByComponentID.restore()
+    })
+
+    it('should return the latest status changes', async () => {
+      const changes = [
+        {componentID: '1', changedAt: '2017-01-02T00:00:00.000Z', status: 'Major Outage'},
+        {componentID: '1', changedAt: '2017-01-01T00:00:00.000Z', status: 'Operational'}
+      ]
+      const stub = sinon.stub(ComponentStatusChangesStore.prototype, 'getLatestByComponentID').returns(changes)
+      const comp = new Component('1', 'name', '', 'Major Outage', 0)
+      const history = await comp.getStatusHistory()
+      assert.deepEqual(history, changes)
+      assert(stub.args[0][0] === '1')
+      assert(stub.args[0][1] === 100)
+    })
   })
 })
@@ -0,0 +1,180 @@
+import assert from 'assert'
+import sinon from 'sinon'
+import { Incident, Incidents } from 'model/incidents'
+import { Components, Component } from 'model/components'
+import IncidentsStore from 'db/incidents'
+import IncidentUpdatesStore from 'db/incidentUpdates'
+import MaintenancesStore from 'db/maintenances'
+import ComponentsStore from 'db/components'
+
+describe('Incident', () => {
+  describe('validate', () => {
+    const genMock = () => new Incident(undefined, 'name', 'Investigating', 'minor', 'msg', [])
+
+    it('should return no error when input is valid', async () => {
+      const incident = genMock()
+      let error
+      try {
+        await incident.validate()
+      } catch (e) {
+        error = e
+      }
+      assert(error === undefined)
+    })
+
+    it('should return error when impact is invalid', async () => {
+      const incident = genMock()
+      incident.impact = 'unknown'
+      let error
+      try {
+        await incident.validate()
+      } catch (e) {
+        error = e
+      }
+      assert(error.name === 'ValidationError')
+    })
+  })
+
+  describe('save', () => {
+    let componentStatuses
+    const affectedComponents = [
+      {componentID: '1', previousStatus: 'Operational', status: 'Major Outage'},
+      {componentID: '2', previousStatus: 'Degraded Performance', status: 'Partial Outage'}
+    ]
+
+    beforeEach(() => {
+      componentStatuses = {}
+      sinon.stub(IncidentsStore.prototype, 'update').returns({})
+      sinon.stub(IncidentsStore.prototype, 'updateAffectedComponents').returns()
+      sinon.stub(IncidentUpdatesStore.prototype, 'update').returns({})
+      sinon.stub(MaintenancesStore.prototype, 'getAll').returns([])
+      sinon.stub(ComponentsStore.prototype, 'getAll').returns([
+        {componentID: '1', status: 'Major Outage'},
+        {componentID: '2', status: 'Partial Outage'},
+        {componentID: '3', status: 'Operational'}
+      ])
+      sinon.stub(ComponentsStore.prototype, 'updateStatus', (componentID, status) => {
+        componentStatuses[componentID] = status
+      })
+    })
+
+    afterEach(() => {
+      IncidentsStore.prototype.update.restore()
+      IncidentsStore.prototype.updateAffectedComponents.restore()
+      IncidentsStore.prototype.getAll.restore()
+      IncidentsStore.prototype.getByID.restore()
+      IncidentUpdatesStore.prototype.update.restore()
+      MaintenancesStore.prototype.getAll.restore()
+      ComponentsStore.prototype.getAll.restore()
+      ComponentsStore.prototype.updateStatus.restore()
+    })
+
+    it('should record the status before the incident', async () => {
+      sinon.stub(IncidentsStore.prototype, 'getAll').returns([])
+      sinon.stub(IncidentsStore.prototype, 'getByID').returns([])
+      const incident = new Incident(undefined, 'name', 'Investigating', 'major', 'msg', [
+        {componentID: '2', status: 'Major Outage'}, {componentID: '3', status: 'Operational'}
+      ])
+      await incident.save()
+
+      assert.deepEqual(incident.affectedComponents, [
+        {componentID: '2', previousStatus: 'Partial Outage', status: 'Major Outage'}
+      ])
+      assert(IncidentsStore.prototype.updateAffectedComponents.calledOnce)
+      assert(IncidentsStore.prototype.update.firstCall.args[3] === 'major')
+      assert.deepEqual(componentStatuses, {'2': 'Major Outage', '3': 'Operational'})
+    })
+
+    it('should restore the components when the incident is resolved', async () => {
+      sinon.stub(IncidentsStore.prototype, 'getAll').returns([])
+      sinon.stub(IncidentsStore.prototype, 'getByID').returns([{incidentID: '1', affectedComponents}])
+      const incident = new Incident('1', 'name', 'Resolved', 'major', 'msg', [
+        {componentID: '1', status: 'Major Outage'}, {componentID: '3', status: 'Operational'}
+      ])
+      await incident.save()
+
+      assert.deepEqual(componentStatuses, {'1': 'Operational', '2': 'Degraded Performance', '3': 'Operational'})
+      assert(incident.components[0].status === 'Operational')
+    })
+
+    it('should keep the status explicitly changed on resolve', async () => {
+      sinon.stub(IncidentsStore.prototype, 'getAll').returns([])
+      sinon.stub(IncidentsStore.prototype, 'getByID').returns([{incidentID: '1', affectedComponents}])
+      const incident = new Incident('1', 'name', 'Resolved', 'major', 'msg', [
+        {componentID: '1', status: 'Degraded Performance'}
+      ])
+      await incident.save()
+
+      assert(componentStatuses['1'] === 'Degraded Performance')
+      assert(componentStatuses['2'] === 'Degraded Performance')
+    })
+
+    it('should keep the statuses of the components while the incident is a draft', async () => {
+      sinon.stub(IncidentsStore.prototype, 'getAll').returns([])
+      sinon.stub(IncidentsStore.prototype, 'getByID').returns([])
+      sinon.stub(IncidentsStore.prototype, 'updateDraftComponents').returns()
+      const incident = new Incident(undefined, 'name', 'Investigating', 'major', 'msg', [
+        {componentID: '1', status: 'Major Outage'}
+      ], undefined, [], true)
+      await incident.save()
+      const args = IncidentsStore.prototype.updateDraftComponents.firstCall.args
+      IncidentsStore.prototype.updateDraftComponents.restore()
+
+      assert(IncidentsStore.prototype.update.firstCall.args[6] === true)
+      assert.deepEqual(args, [incident.incidentID, [{componentID: '1', status: 'Major Outage'}]])
+      assert(ComponentsStore.prototype.updateStatus.notCalled)
+    })
+
+    it('should apply the statuses of the draft when it is published', async () => {
+      sinon.stub(IncidentsStore.prototype, 'getAll').returns([])
+      sinon.stub(IncidentsStore.prototype, 'getByID').returns([{
+        incidentID: '1',
+        draft: true,
+        affectedComponents: [],
+        draftComponents: [{componentID: '3', status: 'Major Outage'}, {componentID: '2', status: 'Major Outage'}]
+      }])
+      sinon.stub(IncidentsStore.prototype, 'updateDraftComponents').returns()
+      sinon.stub(Components.prototype, 'lookup').returns(new Component('3', 'name', '', 'Operational', 1))
+      // The admin doesn't change the component 2, but changes the component 1.
+      const incident = new Incident('1', 'name', 'Identified', 'major', 'msg', [
+        {componentID: '1', status: 'Degraded Performance'}, {componentID: '2', status: 'Partial Outage'}
+      ])
+      await incident.save()
+      const args = IncidentsStore.prototype.updateDraftComponents.firstCall.args
+      IncidentsStore.prototype.updateDraftComponents.restore()
+      Components.prototype.lookup.restore()
+
+      assert(IncidentsStore.prototype.update.firstCall.args[6] === false)
+      assert.deepEqual(componentStatuses, {'1': 'Degraded Performance', '2': 'Major Outage', '3': 'Major Outage'})
+      assert.deepEqual(args, ['1', []])
+    })
+
+    it('should set the worst status of the other open incidents on resolve', async () => {
+      const affected = (status) => [{componentID: '1', previousStatus: 'Operational', status}]
+      sinon.stub(IncidentsStore.prototype, 'getAll').returns([
+        {incidentID: '2', status: 'Identified', affectedComponents: affected('Degraded Performance')},
+        {incidentID: '3', status: 'Monitoring', affectedComponents: affected('Partial Outage')}
+      ])
+      sinon.stub(IncidentsStore.prototype, 'getByID').returns([{incidentID: '1', affectedComponents}])
+      const incident = new Incident('1', 'name', 'Resolved', 'major', 'msg', [])
+      await incident.save()
+
+      assert(componentStatuses['1'] === 'Partial Outage')
+      assert(componentStatuses['2'] === 'Degraded Performance')
+    })
+  })
+})
+
+describe('Incidents', () => {
+  describe('published', () => {
+    it('should not return the drafts', async () => {
+      sinon.stub(Incidents.prototype, 'all').returns([
+        new Incident('1', 'published', 'Investigating', 'minor', '', []),
+        new Incident('2', 'draft', 'Investigating', 'minor', '', [], undefined, [], true)
+      ])
+      const incidents = await new Incidents().published()
+      Incidents.prototype.all.restore()
+      assert.deepEqual(incidents.map(incident => incident.incidentID), ['1'])
+    })
+  })
+})
@@ -1,10 +1,11 @@
 import assert from 'assert'
 import sinon from 'sinon'
 import { Maintenances, Maintenance } from 'model/maintenances'
-import { Component } from 'model/components'
+import { Components, Component } from 'model/components'
 import MaintenancesStore from 'db/maintenances'
 import MaintenanceUpdatesStore from 'db/maintenanceUpdates'
 import ComponentsStore from 'db/components'
+import IncidentsStore from 'db/incidents'
 
 describe('Maintenance', () => {
   describe('constructor', () => {
@@ -149,11 +150,72 @@ describe('Maintenance', () => {
     })
   })
 
+  describe('validate the recurring maintenance', () => {
+    const recurrence = {frequency: 'weekly', interval: 1, until: '2017-02-01T00:00:00.000Z'}
+    const genMock = () => {
+      return new Maintenance(undefined, 'name', 'Scheduled', '2017-01-01T02:00:00.000Z', '2017-01-01T04:00:00.000Z',
+                             'msg', [], undefined, [], [], recurrence)
+    }
+
+    const getError = async (maint) => {
+      try {
+        await maint.validate()
+      } catch (e) {
+        return e
+      }
+    }
+
+    afterEach(() => {
+      if (MaintenancesStore.prototype.getByID.restore) MaintenancesStore.prototype.getByID.restore()
+    })
+
+    it('should return no error when the recurrence is valid', async () => {
+      assert(await getError(genMock()) === undefined)
+    })
+
+    it('should return error when the recurring maintenance is not scheduled', async () => {
+      const maint = genMock()
+      maint.status = 'In Progress'
+      assert((await getError(maint)).name === 'ValidationError')
+    })
+
+    it('should keep the occurrence in the series', async () => {
+      sinon.stub(MaintenancesStore.prototype, 'getByID').returns([
+        {maintenanceID: 'o1', seriesID: 's1', occurrenceAt: '2017-01-08T02:00:00.000Z'}
+      ])
+      const maint = new Maintenance('o1', 'name', 'Completed', '1', '2', 'msg', [])
+      assert(await getError(maint) === undefined)
+      assert(maint.seriesID === 's1')
+      assert(maint.occurrenceAt === '2017-01-08T02:00:00.000Z')
+    })
+
+    it('should return error when the occurrence is going to recur', async () => {
+      sinon.stub(MaintenancesStore.prototype, 'getByID').returns([
+        {maintenanceID: 'o1', seriesID: 's1', occurrenceAt: '2017-01-08T02:00:00.000Z'}
+      ])
+      const maint = genMock()
+      maint.maintenanceID = 'o1'
+      maint.needIDValidation = true
+      assert((await getError(maint)).name === 'ValidationError')
+    })
+  })
+
   describe('save', () => {
+    beforeEach(() => {
+      sinon.stub(ComponentsStore.prototype, 'getAll').returns([{componentID: '1', status: 'Operational'}])
+      sinon.stub(IncidentsStore.prototype, 'getAll').returns([])
+      sinon.stub(MaintenancesStore.prototype, 'getAll').returns([])
+      sinon.stub(MaintenancesStore.prototype, 'updateAffectedComponents').returns()
+    })
+
     afterEach(() => {
       MaintenancesStore.prototype.update.restore()
       MaintenanceUpdatesStore.prototype.update.restore()
       ComponentsStore.prototype.updateStatus.restore()
+      ComponentsStore.prototype.getAll.restore()
+      IncidentsStore.prototype.getAll.restore()
+      MaintenancesStore.prototype.getAll.restore()
+      MaintenancesStore.prototype.updateAffectedComponents.restore()
     })
 
     it('should updates maitenance, maintenaceUpdate, and components', async () => {
@@ -168,6 +230,48 @@ describe('Maintenance', () => {
       assert(compStoreStub.calledTwice)
     })
 
+    it('should record the components whose status is changed', async () => {
+      sinon.stub(MaintenancesStore.prototype, 'update').returns({})
+      sinon.stub(MaintenanceUpdatesStore.prototype, 'update').returns({})
+      sinon.stub(ComponentsStore.prototype, 'updateStatus').returns({})
+
+      const components = [{componentID: '1', status: 'Under Maintenance'}]
+      const maint = new Maintenance(undefined, '', 'In Progress', '', '', '', components)
+      await maint.save()
+      const expected = [{componentID: '1', previousStatus: 'Operational', status: 'Under Maintenance'}]
+      const args = MaintenancesStore.prototype.updateAffectedComponents.firstCall.args
+      assert.deepEqual(args, [maint.maintenanceID, expected])
+    })
+
+    it('should restore the components when the maintenance is completed', async () => {
+      sinon.stub(MaintenancesStore.prototype, 'update').returns({})
+      sinon.stub(MaintenanceUpdatesStore.prototype, 'update').returns({})
+      sinon.stub(ComponentsStore.prototype, 'updateStatus').returns({})
+      sinon.stub(MaintenancesStore.prototype, 'getByID').returns([{
+        maintenanceID: '1',
+        affectedComponents: [{componentID: '1', previousStatus: 'Operational', status: 'Under Maintenance'}]
+      }])
+
+      const maint = new Maintenance('1', 'name', 'Completed', '', '', '', [])
+      await maint.save()
+      MaintenancesStore.prototype.getByID.restore()
+      assert.deepEqual(ComponentsStore.prototype.updateStatus.firstCall.args[0], '1')
+      assert.deepEqual(ComponentsStore.prototype.updateStatus.firstCall.args[1], 'Operational')
+    })
+
+    it('should not change the components by the recurring maintenance', async () => {
+      sinon.stub(MaintenancesStore.prototype, 'update').returns({})
+      sinon.stub(MaintenanceUpdatesStore.prototype, 'update').returns({})
+      sinon.stub(ComponentsStore.prototype, 'updateStatus').returns({})
+
+      const recurrence = {frequency: 'daily', interval: 1, until: '2017-01-10T00:00:00.000Z'}
+      const maint = new Maintenance(undefined, 'name', 'Scheduled', '2017-01-01T02:00:00.000Z',
+                                    '2017-01-01T04:00:00.000Z', 'msg', [{}], undefined, [], [], recurrence)
+      await maint.save()
+      assert.deepEqual(MaintenancesStore.prototype.update.firstCall.args[8], recurrence)
+      assert(ComponentsStore.prototype.updateStatus.notCalled)
+    })
+
     it('should throw error when updateStatus throws error', async () => {
       const maintStoreStub = sinon.stub(MaintenancesStore.prototype, 'update').returns({})
       const maintUpdateStoreStub = sinon.stub(MaintenanceUpdatesStore.prototype, 'update').returns({})
@@ -185,6 +289,54 @@ describe('Maintenance', () => {
       assert(error.message.match(/Error/))
     })
   })
+  describe('getMaintenanceUpdates', () => {
+    afterEach(() => {
+      MaintenanceUpdatesStore.prototype.getByMaintenanceID.restore()
+    })
+
+    it('should return the updates of the occurrence and the recurring maintenance', async () => {
+      sinon.stub(MaintenanceUpdatesStore.prototype, 'getByMaintenanceID', (maintenanceID) => {
+        return [{maintenanceID, maintenanceUpdateID: maintenanceID + '-1'}]
+      })
+      const maint = new Maintenance('o1', 'name', 'Scheduled', '1', '2', '', [], undefined, [], [], null, 's1', '1')
+      const updates = await maint.getMaintenanceUpdates()
+      assert.deepEqual(updates.map(update => update.maintenanceUpdateID), ['o1-1', 's1-1'])
+    })
+  })
+
+  describe('delete', () => {
+    beforeEach(() => {
+      sinon.stub(MaintenancesStore.prototype, 'delete').returns()
+      sinon.stub(MaintenancesStore.prototype, 'addCancelledOccurrence').returns()
+      sinon.stub(MaintenanceUpdatesStore.prototype, 'getByMaintenanceID').returns([])
+      sinon.stub(MaintenanceUpdatesStore.prototype, 'delete').returns()
+    })
+
+    afterEach(() => {
+      MaintenancesStore.prototype.delete.restore()
+      MaintenancesStore.prototype.addCancelledOccurrence.restore()
+      MaintenanceUpdatesStore.prototype.getByMaintenanceID.restore()
+      MaintenanceUpdatesStore.prototype.delete.restore()
+    })
+
+    it('should cancel only the occurrence', async () => {
+      const occurrenceAt = '2017-01-08T02:00:00.000Z'
+      const maint = new Maintenance('o1', 'name', 'Scheduled', '1', '2', '', [], undefined, [], [], null, 's1',
+                                    occurrenceAt)
+      await maint.delete()
+      assert.deepEqual(MaintenancesStore.prototype.addCancelledOccurrence.firstCall.args, ['s1', occurrenceAt])
+      assert(MaintenancesStore.prototype.delete.calledWith('o1'))
+      assert(MaintenanceUpdatesStore.prototype.delete.notCalled)
+    })
+
+    it('should delete the maintenance and its updates', async () => {
+      MaintenanceUpdatesStore.prototype.getByMaintenanceID.returns([{maintenanceID: '1', maintenanceUpdateID: 'u1'}])
+      const maint = new Maintenance('1', 'name', 'Scheduled', '1', '2', '', [])
+      await maint.delete()
+      assert(MaintenancesStore.prototype.addCancelledOccurrence.notCalled)
+      assert.deepEqual(MaintenanceUpdatesStore.prototype.delete.firstCall.args, ['1', ['u1']])
+    })
+  })
 })
 
 describe('Maintenances', () => {
@@ -215,6 +367,99 @@ describe('Maintenances', () => {
     })
   })
 
+  describe('all the recurring maintenances', () => {
+    const recurrence = {frequency: 'weekly', interval: 1, until: '2017-01-22T02:00:00.000Z'}
+    const series = {
+      maintenanceID: 's1',
+      name: 'patch',
+      status: 'Scheduled',
+      startAt: '2017-01-01T02:00:00.000Z',
+      endAt: '2017-01-01T04:00:00.000Z',
+      updatedAt: '2016-12-31T00:00:00.000Z',
+      componentIDs: ['c1'],
+      recurrence,
+      cancelledOccurrences: ['2017-01-15T02:00:00.000Z']
+    }
+
+    afterEach(() => {
+      MaintenancesStore.prototype.getAll.restore()
+    })
+
+    it('should expand the occurrences neither saved nor cancelled', async () => {
+      const saved = {
+        maintenanceID: 's1-20170108T020000Z',
+        name: 'patch (extended)',
+        status: 'Scheduled',
+        startAt: '2017-01-08T01:00:00.000Z',
+        endAt: '2017-01-08T05:00:00.000Z',
+        seriesID: 's1',
+        occurrenceAt: '2017-01-08T02:00:00.000Z'
+      }
+      sinon.stub(MaintenancesStore.prototype, 'getAll').returns([series, saved])
+
+      const maints = await new Maintenances().all()
+      assert.deepEqual(maints.map(maint => [maint.maintenanceID, maint.startAt]), [
+        ['s1-20170108T020000Z', '2017-01-08T01:00:00.000Z'],
+        ['s1-20170101T020000Z', '2017-01-01T02:00:00.000Z'],
+        ['s1-20170122T020000Z', '2017-01-22T02:00:00.000Z']
+      ])
+      assert(maints[1].name === 'patch')
+      assert(maints[1].status === 'Scheduled')
+      assert(maints[1].endAt === '2017-01-01T04:00:00.000Z')
+      assert(maints[1].seriesID === 's1')
+      assert.deepEqual(maints[1].componentIDs, ['c1'])
+    })
+
+    it('should not expand the occurrences ended before the recurring maintenance is saved', async () => {
+      sinon.stub(MaintenancesStore.prototype, 'getAll').returns([
+        Object.assign({}, series, {updatedAt: '2017-01-10T00:00:00.000Z'})
+      ])
+
+      const maints = await new Maintenances().all()
+      assert.deepEqual(maints.map(maint => maint.maintenanceID), ['s1-20170122T020000Z'])
+    })
+  })
+
+  describe('lookup the occurrence', () => {
+    const series = {
+      maintenanceID: 's1',
+      name: 'patch',
+      status: 'Scheduled',
+      startAt: '2017-01-01T02:00:00.000Z',
+      endAt: '2017-01-01T04:00:00.000Z',
+      updatedAt: '2016-12-31T00:00:00.000Z',
+      recurrence: {frequency: 'daily', interval: 1, until: '2017-01-03T02:00:00.000Z'},
+      cancelledOccurrences: ['2017-01-03T02:00:00.000Z']
+    }
+
+    beforeEach(() => {
+      sinon.stub(MaintenancesStore.prototype, 'getByID', (maintenanceID) => {
+        return maintenanceID === 's1' ? [series] : []
+      })
+    })
+
+    afterEach(() => {
+      MaintenancesStore.prototype.getByID.restore()
+    })
+
+    it('should return the occurrence not saved yet', async () => {
+      const maint = await new Maintenances().lookup('s1-20170102T020000Z')
+      assert(maint.maintenanceID === 's1-20170102T020000Z')
+      assert(maint.startAt === '2017-01-02T02:00:00.000Z')
+      assert(maint.seriesID === 's1')
+    })
+
+    it('should return error when the occurrence is cancelled', async () => {
+      let error
+      try {
+        await new Maintenances().lookup('s1-20170103T020000Z')
+      } catch (e) {
+        error = e
+      }
+      assert(error.name === 'NotFoundError')
+    })
+  })
+
   describe('lookup', () => {
     afterEach(() => {
       MaintenancesStore.prototype.getByID.restore()
@@ -249,5 +494,78 @@ describe('Maintenances', () => {
       assert(error.name === 'Error')
     })
   })
-})
 
+  describe('advance', () => {
+    const now = new Date('2017-01-01T12:00:00.000Z')
+    const genMaintenance = (maintenanceID, status, startAt, endAt) => {
+      return {maintenanceID, name: maintenanceID, status, startAt, endAt, affectedComponents: [], componentIDs: ['c1']}
+    }
+
+    beforeEach(() => {
+      sinon.stub(Components.prototype, 'all').returns([
+        new Component('c1', 'API', '', 'Operational', 0), new Component('c2', 'Blog', '', 'Operational', 1)
+      ])
+      sinon.stub(Maintenance.prototype, 'save').returns()
+    })
+
+    afterEach(() => {
+      MaintenancesStore.prototype.getAll.restore()
+      Components.prototype.all.restore()
+      Maintenance.prototype.save.restore()
+    })
+
+    it('should start the maintenance whose window has started', async () => {
+      sinon.stub(MaintenancesStore.prototype, 'getAll').returns([
+        genMaintenance('1', 'Scheduled', '2017-01-01T11:00:00.000Z', '2017-01-01T13:00:00.000Z'),
+        genMaintenance('2', 'Scheduled', '2017-01-01T13:00:00.000Z', '2017-01-01T14:00:00.000Z')
+      ])
+      const advanced = await new Maintenances().advance('started', 'completed', 'scheduler', now)
+      assert(advanced.length === 1)
+      assert(advanced[0].status === 'In Progress')
+      assert(advanced[0].message === 'started')
+      assert(advanced[0].updatedAt === now.toISOString())
+      assert.deepEqual(advanced[0].components.map(comp => [comp.componentID, comp.status]),
+                       [['c1', 'Under Maintenance']])
+      assert(Maintenance.prototype.save.firstCall.args[0] === 'scheduler')
+    })
+
+    it('should complete the maintenance whose window has ended', async () => {
+      sinon.stub(MaintenancesStore.prototype, 'getAll').returns([
+        genMaintenance('1', 'In Progress', '2017-01-01T10:00:00.000Z', '2017-01-01T11:00:00.000Z'),
+        genMaintenance('2', 'Scheduled', '2017-01-01T10:00:00.000Z', '2017-01-01T11:00:00.000Z'),
+        genMaintenance('3', 'Verifying', '2017-01-01T10:00:00.000Z', '2017-01-01T11:00:00.000Z'),
+        genMaintenance('4', 'Completed', '2017-01-01T10:00:00.000Z', '2017-01-01T11:00:00.000Z')
+      ])
+      const advanced = await new Maintenances().advance('started', 'completed', 'scheduler', now)
+      assert.deepEqual(advanced.map(maint => maint.maintenanceID), ['1', '2'])
+      assert(advanced.every(maint => maint.status === 'Completed' && maint.message === 'completed'))
+      assert.deepEqual(advanced[0].components, [])
+    })
+
+    it('should start the occurrence of the recurring maintenance', async () => {
+      const series = genMaintenance('s1', 'Scheduled', '2016-12-31T11:00:00.000Z', '2016-12-31T13:00:00.000Z')
+      series.updatedAt = '2016-12-01T00:00:00.000Z'
+      series.recurrence = {frequency: 'daily', interval: 1, until: '2017-01-02T11:00:00.000Z'}
+      sinon.stub(MaintenancesStore.prototype, 'getAll').returns([
+        series,
+        Object.assign(genMaintenance('s1-20161231T110000Z', 'Completed', series.startAt, series.endAt), {
+          seriesID: 's1',
+          occurrenceAt: series.startAt
+        })
+      ])
+      const advanced = await new Maintenances().advance('started', 'completed', 'scheduler', now)
+      assert.deepEqual(advanced.map(maint => [maint.maintenanceID, maint.seriesID, maint.status]),
+                       [['s1-20170101T110000Z', 's1', 'In Progress']])
+    })
+
+    it('should keep advancing the others if one of them failed', async () => {
+      sinon.stub(MaintenancesStore.prototype, 'getAll').returns([
+        genMaintenance('1', 'In Progress', '2017-01-01T10:00:00.000Z', '2017-01-01T11:00:00.000Z'),
+        genMaintenance('2', 'In Progress', '2017-01-01T10:00:00.000Z', '2017-01-01T11:00:00.000Z')
+      ])
+      Maintenance.prototype.save.onCall(0).throws()
+      const advanced = await new Maintenances().advance('started', 'completed', 'scheduler', now)
+      assert.deepEqual(advanced.map(maint => maint.maintenanceID), ['2'])
+    })
+  })
+})
@@ -0,0 +1,156 @@
+import assert from 'assert'
+import sinon from 'sinon'
+import { MetricGroups, MetricGroup } from 'model/metricGroups'
+import { Metrics, Metric } from 'model/metrics'
+import MetricGroupsStore from 'db/metricGroups'
+
+describe('MetricGroup', () => {
+  describe('validate', () => {
+    const metrics = {
+      p50: new Metric('p50', 'CloudWatch', 'p50', 'ms'),
+      p99: new Metric('p99', 'CloudWatch', 'p99', 'ms'),
+      errors: new Metric('errors', 'CloudWatch', 'errors', '%')
+    }
+    const genMock = () => new MetricGroup(undefined, 'Latency', '', ['p50', 'p99'], 'Visible', 1)
+
+    beforeEach(() => {
+      sinon.stub(Metrics.prototype, 'lookup', (metricID) => {
+        if (metrics.hasOwnProperty(metricID)) {
+          return metrics[metricID]
+        }
+        const error = new Error()
+        error.name = 'NotFoundError'
+        throw error
+      })
+    })
+
+    afterEach(() => {
+      Metrics.prototype.lookup.restore()
+    })
+
+    it('should return no error when input is valid', async () => {
+      await genMock().validate()
+    })
+
+    const invalidValues = {
+      title: '',
+      description: undefined,
+      metricIDs: [],
+      status: 'Unknown',
+      order: 1.5
+    }
+    Object.keys(invalidValues).forEach((key) => {
+      it(`should return error when ${key} is invalid`, async () => {
+        const group = genMock()
+        group[key] = invalidValues[key]
+        let error
+        try {
+          await group.validate()
+        } catch (e) {
+          error = e
+        }
+        assert(error.name === 'ValidationError')
+      })
+    })
+
+    it('should return error when the metric is duplicated', async () => {
+      const group = genMock()
+      group.metricIDs = ['p50', 'p50']
+      let error
+      try {
+        await group.validate()
+      } catch (e) {
+        error = e
+      }
+      assert(error.name === 'ValidationError')
+    })
+
+    it('should return error when the metric does not exist', async () => {
+      const group = genMock()
+      group.metricIDs = ['p50', 'unknown']
+      let error
+      try {
+        await group.validate()
+      } catch (e) {
+        error = e
+      }
+      assert(error.name === 'ValidationError')
+      assert(error.message === 'the metric unknown not found')
+    })
+
+    it('should return error when the units are different', async () => {
+      const group = genMock()
+      group.metricIDs = ['p50', 'errors']
+      let error
+      try {
+        await group.validate()
+      } catch (e) {
+        error = e
+      }
+      assert(error.name === 'ValidationError')
+    })
+  })
+})
+
+describe('MetricGroups', () => {
+  describe('listPublic', () => {
+    afterEach(() => {
+      MetricGroupsStore.prototype.getAll.restore()
+    })
+
+    it('should return only the visible groups', async () => {
+      sinon.stub(MetricGroupsStore.prototype, 'getAll').returns([
+        {groupID: '1', metricIDs: [], status: 'Visible'},
+        {groupID: '2', metricIDs: [], status: 'Hidden'}
+      ])
+
+      const groups = await new MetricGroups().listPublic()
+      assert(groups.length === 1)
+      assert(groups[0].groupID === '1')
+    })
+  })
+
+  describe('lookup', () => {
+    afterEach(() => {
+      MetricGroupsStore.prototype.getByID.restore()
+    })
+
+    it('should return one group', async () => {
+      sinon.stub(MetricGroupsStore.prototype, 'getByID').returns([{groupID: '1', metricIDs: []}])
+
+      const group = await new MetricGroups().lookup('1')
+      assert(group.groupID === '1')
+    })
+
+    it('should return error when matched no group', async () => {
+      sinon.stub(MetricGroupsStore.prototype, 'getByID').returns([])
+      let error
+      try {
+        await new MetricGroups().lookup('1')
+      } catch (e) {
+        error = e
+      }
+      assert(error.name === 'NotFoundError')
+    })
+  })
+
+  describe('removeMetric', () => {
+    afterEach(() => {
+      MetricGroupsStore.prototype.getAll.restore()
+      MetricGroupsStore.prototype.update.restore()
+    })
+
+    it('should remove the metric from the groups which have it', async () => {
+      sinon.stub(MetricGroupsStore.prototype, 'getAll').returns([
+        {groupID: '1', title: 'a', description: '', metricIDs: ['1', '2'], status: 'Visible', order: 1},
+        {groupID: '2', title: 'b', description: '', metricIDs: ['3'], status: 'Visible', order: 2}
+      ])
+      sinon.stub(MetricGroupsStore.prototype, 'update').returns()
+
+      await new MetricGroups().removeMetric('2')
+      assert(MetricGroupsStore.prototype.update.calledOnce)
+      assert(MetricGroupsStore.prototype.update.firstCall.args[0] === '1')
+      assert.deepEqual(MetricGroupsStore.prototype.update.firstCall.args[3], ['1'])
+    })
+  })
+})
@@ -3,9 +3,12 @@ import sinon from 'sinon'
 import CloudWatch from 'aws/cloudWatch'
 import CloudFormation from 'aws/cloudFormation'
 import S3 from 'aws/s3'
-import { Metrics, Metric } from 'model/metrics'
+import { Metrics, Metric, defaultDisplayOptions, rollups } from 'model/metrics'
+import { AlertRule } from 'model/alertRules'
 import MetricsStore from 'db/metrics'
-import { monitoringServices, metricStatusVisible, metricStatusHidden } from 'utils/const'
+import { monitoringServiceTypes } from 'monitoringServices'
+import Composite from 'monitoringServices/composite'
+import { metricStatusVisible, metricStatusHidden } from 'utils/const'
 
 describe('Metrics', () => {
   describe('listExternal', () => {
@@ -17,7 +20,7 @@ describe('Metrics', () => {
       const metrics = [{metricID: 1}, {metricID: 2}]
       sinon.stub(CloudWatch.prototype, 'listMetrics').returns(metrics)
 
-      const comps = await new Metrics().listExternal()
+      const comps = await new Metrics().listExternal('CloudWatch')
       assert(comps.length === 2)
       assert(comps[0].metricID === 1)
       assert(comps[1].metricID === 2)
@@ -27,12 +30,23 @@ describe('Metrics', () => {
       sinon.stub(CloudWatch.prototype, 'listMetrics').throws()
       let error
       try {
-        await new Metrics().listExternal()
+        await new Metrics().listExternal('CloudWatch')
       } catch (e) {
         error = e
       }
       assert(error.message.match(/Error/))
     })
+
+    it('should return error when the type is unknown', async () => {
+      sinon.stub(CloudWatch.prototype, 'listMetrics').returns([])
+      let error
+      try {
+        await new Metrics().listExternal('unknown')
+      } catch (e) {
+        error = e
+      }
+      assert(error.name === 'ValidationError')
+    })
   })
 
   describe('listPublic', () => {
@@ -76,6 +90,16 @@ describe('Metrics', () => {
       assert(comps[1].metricID === 2)
     })
 
+    it('should build the collection status', async () => {
+      const metrics = [{metricID: 1, collectionInterval: 5, lastSuccessAt: '2017-07-03T00:00:00.000Z'}]
+      sinon.stub(MetricsStore.prototype, 'getAll').returns(metrics)
+
+      const comps = await new Metrics().list()
+      assert(comps[0].collectionInterval === 5)
+      assert(comps[0].collectionStatus.lastSuccessAt === '2017-07-03T00:00:00.000Z')
+      assert(comps[0].collectionStatus.lastErrorAt === undefined)
+    })
+
     it('should return error when the store throws exception', async () => {
       sinon.stub(MetricsStore.prototype, 'getAll').throws()
       let error
@@ -122,11 +146,37 @@ describe('Metrics', () => {
       assert(error.name === 'Error')
     })
   })
+
+  describe('pruneDatapoints', () => {
+    afterEach(() => {
+      S3.prototype.listObjects.restore()
+      S3.prototype.deleteObjects.restore()
+    })
+
+    it('should delete the daily objects older than the retention days', async () => {
+      sinon.stub(S3.prototype, 'listObjects').returns([
+        {Key: 'metrics/1/2017/1/1.json'},
+        {Key: 'metrics/1/2017/1/9.json'},
+        {Key: 'metrics/1/2017/1/10.json'},
+        {Key: 'metrics/1/rollups/hourly.json'},
+        {Key: 'metrics/2/2016/12/31.json'}
+      ])
+      const deleteStub = sinon.stub(S3.prototype, 'deleteObjects').returns()
+
+      const now = new Date(Date.UTC(2017, 0, 11, 12))
+      const actual = await new Metrics().pruneDatapoints('bucket', 2, now)
+      const expected = ['metrics/1/2017/1/1.json', 'metrics/2/2016/12/31.json']
+      assert.deepEqual(actual, expected)
+      assert(deleteStub.firstCall.args[1] === 'bucket')
+      assert.deepEqual(deleteStub.firstCall.args[2], expected)
+    })
+  })
 })
 
 describe('Metric', () => {
-  const genMock = () => new Metric(undefined, monitoringServices[0], 'title', 'unit', 'description',
-                                   metricStatusVisible, 1, {})
+  const cloudWatchProps = {Namespace: 'AWS/Lambda', MetricName: 'Duration', Dimensions: [], Region: 'us-east-1'}
+  const genMock = () => new Metric(undefined, monitoringServiceTypes[0], 'title', 'unit', 'description',
+                                   metricStatusVisible, 1, Object.assign({}, cloudWatchProps))
 
   describe('constructor', () => {
     it('should construct a new instance', () => {
@@ -145,6 +195,15 @@ describe('Metric', () => {
       const comp = new Metric(undefined, 'type', 'title', 'unit', 'description', 'status', undefined, {})
       assert(comp.metricID.length === 12)
       assert(typeof comp.order === 'number')
+      assert(comp.collectionInterval === 1)
+      assert.deepEqual(comp.displayOptions, defaultDisplayOptions)
+      assert.deepEqual(comp.collectionStatus, {})
+    })
+
+    it('should fill in the display options lacking some options', () => {
+      const comp = new Metric(undefined, 'type', 'title', 'unit', 'description', 'status', undefined, {}, 1, [],
+                              {chartType: 'bar', yMin: 0})
+      assert.deepEqual(comp.displayOptions, Object.assign({}, defaultDisplayOptions, {chartType: 'bar', yMin: 0}))
     })
   })
 
@@ -174,8 +233,8 @@ describe('Metric', () => {
 
     it('should return error when metricID does not exist', async () => {
       sinon.stub(MetricsStore.prototype, 'getByID').returns([])
-      const comp = new Metric('1', monitoringServices[0], 'title', 'unit', 'description',
-                              metricStatusVisible, 1, {})
+      const comp = new Metric('1', monitoringServiceTypes[0], 'title', 'unit', 'description',
+                              metricStatusVisible, 1, cloudWatchProps)
       let error
       try {
         await comp.validate()
@@ -305,6 +364,187 @@ describe('Metric', () => {
       }
       assert(error.name === 'ValidationError')
     })
+
+    it('should return error when collectionInterval is not an integer', async () => {
+      const comp = genMock()
+      comp.collectionInterval = 1.5
+      let error
+      try {
+        await comp.validate()
+      } catch (e) {
+        error = e
+      }
+      assert(error.name === 'ValidationError')
+    })
+
+    it('should return error when collectionInterval is too long', async () => {
+      const comp = genMock()
+      comp.collectionInterval = 1441
+      let error
+      try {
+        await comp.validate()
+      } catch (e) {
+        error = e
+      }
+      assert(error.name === 'ValidationError')
+    })
+
+    it('should return error when the monitoring service rejects props', async () => {
+      const comp = genMock()
+      comp.props = {}
+      let error
+      try {
+        await comp.validate()
+      } catch (e) {
+        error = e
+      }
+      assert(error.name === 'ValidationError')
+    })
+
+    it('should return error when the composite metric references itself', async () => {
+      sinon.stub(MetricsStore.prototype, 'getByID').returns([{metricID: '1', type: 'Composite', props: {}}])
+      const comp = new Metric('1', 'Composite', 'title', 'unit', 'description', metricStatusVisible, 1,
+                              {Expression: '{1} * 2'})
+      let error
+      try {
+        await comp.validate()
+      } catch (e) {
+        error = e
+      }
+      MetricsStore.prototype.getByID.restore()
+      assert(error.name === 'ValidationError')
+      assert(error.message === 'circular reference to the metric 1')
+    })
+
+    it('should return error when alertRules is not an array', async () => {
+      const comp = genMock()
+      comp.alertRules = {}
+      let error
+      try {
+        await comp.validate()
+      } catch (e) {
+        error = e
+      }
+      assert(error.name === 'ValidationError')
+    })
+
+    it('should return error when the alert rule is invalid', async () => {
+      const comp = new Metric(undefined, monitoringServiceTypes[0], 'title', 'unit', 'description',
+                              metricStatusVisible, 1, cloudWatchProps, 1, [{comparator: '=='}])
+      let error
+      try {
+        await comp.validate()
+      } catch (e) {
+        error = e
+      }
+      assert(error.name === 'ValidationError')
+      assert(error.message === 'invalid comparator parameter')
+    })
+
+    it('should return error when displayOptions is not an object', async () => {
+      const comp = genMock()
+      comp.displayOptions = 'line'
+      let error
+      try {
+        await comp.validate()
+      } catch (e) {
+        error = e
+      }
+      assert(error.name === 'ValidationError')
+      assert(error.message === 'invalid displayOptions parameter')
+    })
+
+    it('should return error when the display option is invalid', async () => {
+      const invalidOptions = [
+        [{chartType: 'pie'}, 'invalid chartType option'],
+        [{decimals: 1.5}, 'invalid decimals option'],
+        [{decimals: 7}, 'invalid decimals option'],
+        [{yMin: '0'}, 'invalid yMin option'],
+        [{yMax: Infinity}, 'invalid yMax option'],
+        [{yMin: 100, yMax: 100}, 'yMin must be less than yMax'],
+        [{scaleUnit: 'true'}, 'invalid scaleUnit option']
+      ]
+      for (let i = 0; i < invalidOptions.length; i++) {
+        const [options, message] = invalidOptions[i]
+        const comp = genMock()
+        comp.displayOptions = Object.assign({}, defaultDisplayOptions, options)
+        let error
+        try {
+          await comp.validate()
+        } catch (e) {
+          error = e
+        }
+        assert(error.name === 'ValidationError')
+        assert(error.message === message)
+      }
+    })
+  })
+
+  describe('isCollectionDue', () => {
+    it('should return true if the metric has never been collected', () => {
+      const metric = genMock()
+      assert(metric.isCollectionDue(new Date()))
+    })
+
+    it('should return true if the interval has passed since the last collection', () => {
+      const metric = genMock()
+      metric.collectionInterval = 5
+      metric.collectionStatus = {lastSuccessAt: '2017-07-03T00:00:59.000Z'}
+      assert(metric.isCollectionDue(new Date('2017-07-03T00:05:00.000Z')))
+    })
+
+    it('should return false if the interval has not passed since the last collection', () => {
+      const metric = genMock()
+      metric.collectionInterval = 5
+      metric.collectionStatus = {lastSuccessAt: '2017-07-03T00:00:00.000Z', lastErrorAt: '2017-07-03T00:03:00.000Z'}
+      assert(!metric.isCollectionDue(new Date('2017-07-03T00:07:00.000Z')))
+    })
+  })
+
+  describe('getDatapointInterval', () => {
+    it('should return the period of the monitoring service', () => {
+      const metric = genMock()
+      metric.props.Period = 300
+      assert(metric.getDatapointInterval() === 5)
+    })
+
+    it('should return the collection interval if it is longer', () => {
+      const metric = genMock()
+      metric.collectionInterval = 10
+      assert(metric.getDatapointInterval() === 10)
+    })
+
+    it('should return the collection interval if the monitoring service has no interval', () => {
+      const metric = new Metric(undefined, 'HTTPCheck', 'title', 'ms', '', metricStatusVisible, 1, {}, 5)
+      assert(metric.getDatapointInterval() === 5)
+    })
+  })
+
+  describe('recordCollectionSuccess', () => {
+    afterEach(() => {
+      MetricsStore.prototype.updateCollectionStatus.restore()
+    })
+
+    it('should update the last success timestamp', async () => {
+      const stub = sinon.stub(MetricsStore.prototype, 'updateCollectionStatus').returns()
+      const metric = genMock()
+      await metric.recordCollectionSuccess(new Date('2017-07-03T00:00:00.000Z'))
+      assert(metric.collectionStatus.lastSuccessAt === '2017-07-03T00:00:00.000Z')
+      assert.deepEqual(stub.args[0][1], {lastSuccessAt: '2017-07-03T00:00:00.000Z'})
+    })
+  })
+
+  describe('recordCollectionError', () => {
+    afterEach(() => {
+      MetricsStore.prototype.updateCollectionStatus.restore()
+    })
+
+    it('should update the last error timestamp and message', async () => {
+      const stub = sinon.stub(MetricsStore.prototype, 'updateCollectionStatus').returns()
+      const metric = genMock()
+      await metric.recordCollectionError(new Date('2017-07-03T00:00:00.000Z'), new Error('throttled'))
+      assert.deepEqual(stub.args[0][1], {lastErrorAt: '2017-07-03T00:00:00.000Z', lastError: 'throttled'})
+    })
   })
 
   describe('getBucketName', () => {
@@ -370,6 +610,271 @@ describe('Metric', () => {
     })
   })
 
+  describe('queryDatapoints', () => {
+    afterEach(() => {
+      Metric.prototype.getDatapoints.restore()
+    })
+
+    const datapointsByDate = {
+      '2017-07-02': [
+        {timestamp: '2017-07-02T23:58:00.000Z', value: 9},
+        {timestamp: '2017-07-02T23:59:00.000Z', value: 1}
+      ],
+      '2017-07-03': [
+        {timestamp: '2017-07-03T00:00:00.000Z', value: 2},
+        {timestamp: '2017-07-03T00:04:00.000Z', value: 6},
+        {timestamp: '2017-07-03T00:05:00.000Z', value: 3},
+        {timestamp: '2017-07-03T00:10:00.000Z', value: 9}
+      ]
+    }
+    const stubGetDatapoints = () => {
+      return sinon.stub(Metric.prototype, 'getDatapoints', (date) => {
+        return datapointsByDate[date.toISOString().substr(0, 10)] || null
+      })
+    }
+
+    it('should downsample the datapoints within the range', async () => {
+      const stub = stubGetDatapoints()
+      const start = new Date('2017-07-02T23:59:00.000Z')
+      const end = new Date('2017-07-03T00:10:00.000Z')
+      const actual = await genMock().queryDatapoints(start, end, 300, 'avg')
+
+      assert(stub.calledTwice)
+      assert.deepEqual(actual, [
+        {timestamp: '2017-07-02T23:55:00.000Z', value: 1},
+        {timestamp: '2017-07-03T00:00:00.000Z', value: 4},
+        {timestamp: '2017-07-03T00:05:00.000Z', value: 3}
+      ])
+    })
+
+    it('should aggregate the datapoints by the given aggregation', async () => {
+      stubGetDatapoints()
+      const start = new Date('2017-07-03T00:00:00.000Z')
+      const end = new Date('2017-07-03T01:00:00.000Z')
+      const metric = genMock()
+      const aggregate = async (agg) => (await metric.queryDatapoints(start, end, 3600, agg))[0].value
+
+      assert(await aggregate('avg') === 5)
+      assert(await aggregate('min') === 2)
+      assert(await aggregate('max') === 9)
+      assert(await aggregate('last') === 9)
+    })
+
+    it('should throw the validation error if the query is invalid', async () => {
+      const stub = stubGetDatapoints()
+      const start = new Date('2017-07-03T00:00:00.000Z')
+      const end = new Date('2017-07-03T01:00:00.000Z')
+      const invalidQueries = [
+        [new Date('invalid'), end, 60, 'avg'],
+        [start, new Date('invalid'), 60, 'avg'],
+        [end, start, 60, 'avg'],
+        [new Date('2017-06-01T00:00:00.000Z'), end, 60, 'avg'],
+        [start, end, 30, 'avg'],
+        [start, end, 90, 'avg'],
+        [start, end, '60', 'avg'],
+        [start, end, 60, 'sum']
+      ]
+      for (const query of invalidQueries) {
+        let error
+        try {
+          await genMock().queryDatapoints(...query)
+        } catch (e) {
+          error = e
+        }
+        assert(error.name === 'ValidationError')
+      }
+      assert(stub.notCalled)
+    })
+  })
+
+  describe('aggregateDatapoints', () => {
+    it('should aggregate the datapoints by the interval', () => {
+      const metric = genMock()
+      const datapoints = [
+        {timestamp: '2017-07-03T00:00:00.000Z', value: 1},
+        {timestamp: '2017-07-03T00:59:00.000Z', value: 3},
+        {timestamp: '2017-07-03T02:30:00.000Z', value: 5}
+      ]
+      const buckets = metric.aggregateDatapoints(datapoints, 60)
+      assert.deepEqual(buckets, [
+        {timestamp: '2017-07-03T00:00:00.000Z', min: 1, avg: 2, max: 3, count: 2},
+        {timestamp: '2017-07-03T02:00:00.000Z', min: 5, avg: 5, max: 5, count: 1}
+      ])
+    })
+
+    it('should align the buckets to the beginning of the date', () => {
+      const metric = genMock()
+      const datapoints = [{timestamp: '2017-07-03T05:10:00.000Z', value: 1}]
+      const buckets = metric.aggregateDatapoints(datapoints, 180)
+      assert(buckets[0].timestamp === '2017-07-03T03:00:00.000Z')
+    })
+  })
+
+  describe('updateRollups', () => {
+    afterEach(() => {
+      Metric.prototype.getRollup.restore()
+      Metric.prototype.getDatapoints.restore()
+      S3.prototype.putObject.restore()
+      CloudFormation.prototype.getStatusPageBucketName.restore()
+    })
+
+    const today = () => new Date().toISOString().substr(0, 10)
+    const daysAgo = (n) => {
+      const date = new Date()
+      date.setUTCDate(date.getUTCDate() - n)
+      return date.toISOString().substr(0, 10)
+    }
+
+    it('should replace the buckets of the given dates', async () => {
+      const existingBuckets = [
+        {timestamp: `${daysAgo(1)}T00:00:00.000Z`, min: 1, avg: 1, max: 1, count: 1},
+        {timestamp: `${today()}T00:00:00.000Z`, min: 1, avg: 1, max: 1, count: 1}
+      ]
+      sinon.stub(Metric.prototype, 'getRollup').returns(existingBuckets)
+      const getStub = sinon.stub(Metric.prototype, 'getDatapoints').returns([
+        {timestamp: `${today()}T00:00:00.000Z`, value: 2}, {timestamp: `${today()}T00:10:00.000Z`, value: 4}
+      ])
+      const putStub = sinon.stub(S3.prototype, 'putObject').returns()
+      sinon.stub(CloudFormation.prototype, 'getStatusPageBucketName').returns('bucket')
+
+      const metric = genMock()
+      await metric.updateRollups([today()])
+
+      assert(getStub.calledOnce)
+      assert(putStub.callCount === rollups.length)
+      assert(putStub.args[0][2] === `metrics/${metric.metricID}/rollups/hourly.json`)
+      const buckets = putStub.args[0][3]
+      assert(buckets.length === 2)
+      assert.deepEqual(buckets[0], existingBuckets[0])
+      assert(buckets[1].avg === 3)
+    })
+
+    it('should drop the buckets out of the rollup', async () => {
+      sinon.stub(Metric.prototype, 'getRollup').returns([
+        {timestamp: `${daysAgo(40)}T00:00:00.000Z`, min: 1, avg: 1, max: 1, count: 1}
+      ])
+      sinon.stub(Metric.prototype, 'getDatapoints').returns([{timestamp: `${today()}T00:00:00.000Z`, value: 2}])
+      const putStub = sinon.stub(S3.prototype, 'putObject').returns()
+      sinon.stub(CloudFormation.prototype, 'getStatusPageBucketName').returns('bucket')
+
+      await genMock().updateRollups([today()])
+
+      putStub.args.forEach(args => {
+        assert(args[3].length === 1)
+        assert(args[3][0].timestamp.substr(0, 10) === today())
+      })
+    })
+
+    it('should aggregate all the dates if the rollup does not exist', async () => {
+      sinon.stub(Metric.prototype, 'getRollup').returns(null)
+      const getStub = sinon.stub(Metric.prototype, 'getDatapoints').returns(null)
+      const putStub = sinon.stub(S3.prototype, 'putObject').returns()
+      sinon.stub(CloudFormation.prototype, 'getStatusPageBucketName').returns('bucket')
+
+      await genMock().updateRollups([today()])
+
+      const maxNumDates = Math.max(...rollups.map(rollup => rollup.numDates))
+      assert(getStub.callCount === maxNumDates)
+      assert(putStub.callCount === rollups.length)
+    })
+
+    it('should not update the rollups if the dates are out of the rollups', async () => {
+      sinon.stub(Metric.prototype, 'getRollup').returns([])
+      sinon.stub(Metric.prototype, 'getDatapoints').returns(null)
+      const putStub = sinon.stub(S3.prototype, 'putObject').returns()
+      sinon.stub(CloudFormation.prototype, 'getStatusPageBucketName').returns('bucket')
+
+      await genMock().updateRollups(['2017-07-03'])
+
+      assert(putStub.notCalled)
+    })
+  })
+
+  describe('partitionDatapoints', () => {
+    it('should split the datapoints into the valid and invalid ones', () => {
+      const now = new Date('2017-07-03T00:00:00.000Z')
+      const datapoints = [
+        {timestamp: '2017-07-03T00:00:00.000Z', value: 1},
+        {timestamp: '2017-07-03T09:01:00+09:00', value: -0.5},
+        null,
+        {value: 1},
+        {timestamp: 'invalid', value: 1},
+        {timestamp: '2017-07-03T01:00:00.000Z', value: 1},
+        {timestamp: '2017-07-03T00:00:00.000Z'},
+        {timestamp: '2017-07-03T00:00:00.000Z', value: '1'},
+        {timestamp: '2017-07-03T00:00:00.000Z', value: Infinity}
+      ]
+      const { valid, invalid } = genMock().partitionDatapoints(datapoints, now)
+      assert.deepEqual(valid, datapoints.slice(0, 2))
+      assert.deepEqual(invalid.map(item => item.index), [2, 3, 4, 5, 6, 7, 8])
+      assert.deepEqual(invalid.map(item => item.message), [
+        'datapoint must be an object', 'timestamp is missing', 'timestamp must be an ISO 8601 string',
+        'timestamp is in the future', 'value is missing', 'value must be a finite number',
+        'value must be a finite number'
+      ])
+    })
+
+    it('should reject the timestamp which is not ISO 8601', () => {
+      const now = new Date('2017-07-03T00:00:00.000Z')
+      const timestamps = ['Jul 2 2017', '2017/07/02 00:00:00', '2017-07-02', '2017-07-02T00:00:00', '2017-13-02T00:00Z']
+      const { valid, invalid } = genMock().partitionDatapoints(timestamps.map(timestamp => ({timestamp, value: 1})),
+                                                               now)
+      assert(valid.length === 0)
+      assert(invalid.every(item => item.message === 'timestamp must be an ISO 8601 string'))
+    })
+
+    it('should accept the timestamp slightly in the future', () => {
+      const now = new Date('2017-07-03T00:00:00.000Z')
+      const { valid } = genMock().partitionDatapoints([{timestamp: '2017-07-03T00:01:00.000Z', value: 1}], now)
+      assert(valid.length === 1)
+    })
+
+    it('should throw error if the datapoints are not an array', () => {
+      let error
+      try {
+        genMock().partitionDatapoints({})
+      } catch (e) {
+        error = e
+      }
+      assert(error.name === 'ValidationError')
+    })
+  })
+
+  describe('validateDatapoints', () => {
+    it('should not throw error if the datapoints are valid', () => {
+      genMock().validateDatapoints([{timestamp: '2017-07-03T00:00:00.000Z', value: 1}])
+    })
+
+    it('should throw error with the index if any datapoint is invalid', () => {
+      let error
+      try {
+        genMock().validateDatapoints([{timestamp: '2017-07-03T00:00:00.000Z', value: 1}, {value: 1}])
+      } catch (e) {
+        error = e
+      }
+      assert(error.name === 'ValidationError')
+      assert(error.message === 'invalid datapoint at index 1: timestamp is missing')
+    })
+  })
+
+  describe('normalizeDatapoints', () => {
+    it('should convert the timestamps to UTC and truncate them to the minute', () => {
+      const datapoints = [{timestamp: '2017-07-03T09:01:30+09:00', value: 1}]
+      genMock().normalizeDatapoints(datapoints)
+      assert(datapoints[0].timestamp === '2017-07-03T00:01:00.000Z')
+    })
+
+    it('should sort the datapoints by the timestamp', () => {
+      // The number of datapoints must be large enough not to be sorted by insertion sort.
+      const timestamps = Array.apply(null, {length: 30}).map((value, i) => {
+        return new Date(Date.UTC(2017, 6, 3, 0, (i * 7) % 30)).toISOString()
+      })
+      const datapoints = timestamps.map(timestamp => { return {timestamp, value: 1} })
+      genMock().normalizeDatapoints(datapoints)
+      assert.deepEqual(datapoints.map(datapoint => datapoint.timestamp), timestamps.slice().sort())
+    })
+  })
+
   describe('insertDatapoints', () => {
     afterEach(() => {
       S3.prototype.getObject.restore()
@@ -397,6 +902,21 @@ describe('Metric', () => {
       assert(argsOnFirstCall[3][1].timestamp === existingDatapoints[0].timestamp)
     })
 
+    it('should throw the validation error if the datapoints are invalid', async () => {
+      sinon.stub(S3.prototype, 'getObject').throws(new Error())
+      const stub = sinon.stub(S3.prototype, 'putObject').returns()
+      sinon.stub(CloudFormation.prototype, 'getStatusPageBucketName').returns('bucket')
+
+      let error
+      try {
+        await genMock().insertDatapoints([{timestamp: '2017-07-03T00:00:00.000Z', value: 'a'}])
+      } catch (e) {
+        error = e
+      }
+      assert(error.name === 'ValidationError')
+      assert(stub.notCalled)
+    })
+
     it('should create new S3 object if the object does not exist', async () => {
       sinon.stub(S3.prototype, 'getObject').throws(new Error())
       const stub = sinon.stub(S3.prototype, 'putObject').returns()
@@ -496,6 +1016,228 @@ describe('Metric', () => {
     })
   })
 
+  describe('evaluateAlertRules', () => {
+    afterEach(() => {
+      AlertRule.prototype.evaluate.restore()
+      Metric.prototype.saveIncidentIDs.restore()
+      Metric.prototype.getDatapoints.restore()
+    })
+
+    it('should evaluate the rules against the datapoints of today and yesterday', async () => {
+      const getDatapointsStub = sinon.stub(Metric.prototype, 'getDatapoints')
+      getDatapointsStub.onCall(0).returns([{timestamp: '2017-07-02T23:59:00.000Z', value: 1}])
+      getDatapointsStub.onCall(1).returns(null)
+      const evaluateStub = sinon.stub(AlertRule.prototype, 'evaluate', function () {
+        this.incidentID = 'incident' + this.ruleID
+        return true
+      })
+      const saveStub = sinon.stub(Metric.prototype, 'saveIncidentIDs').returns()
+
+      const metric = genMock()
+      metric.alertRules = [new AlertRule('1'), new AlertRule('2')]
+      await metric.evaluateAlertRules(new Date(Date.UTC(2017, 6, 3)))
+
+      assert(getDatapointsStub.args[0][0].toISOString() === '2017-07-02T00:00:00.000Z')
+      assert(getDatapointsStub.args[1][0].toISOString() === '2017-07-03T00:00:00.000Z')
+      assert(evaluateStub.callCount === 2)
+      assert(evaluateStub.args[0][1].length === 1)
+      assert(saveStub.calledOnce)
+      assert.deepEqual(saveStub.args[0][0], {'1': 'incident1', '2': 'incident2'})
+    })
+
+    it('should not record the rules if nothing is changed', async () => {
+      sinon.stub(Metric.prototype, 'getDatapoints').returns([])
+      sinon.stub(AlertRule.prototype, 'evaluate').returns(false)
+      const saveStub = sinon.stub(Metric.prototype, 'saveIncidentIDs').returns()
+
+      const metric = genMock()
+      metric.alertRules = [new AlertRule('1')]
+      await metric.evaluateAlertRules()
+
+      assert(saveStub.notCalled)
+    })
+
+    it('should keep evaluating the other rules if one of them fails', async () => {
+      sinon.stub(Metric.prototype, 'getDatapoints').returns([])
+      const evaluateStub = sinon.stub(AlertRule.prototype, 'evaluate')
+      evaluateStub.onCall(0).throws(new Error())
+      evaluateStub.onCall(1).returns(true)
+      const saveStub = sinon.stub(Metric.prototype, 'saveIncidentIDs').returns()
+
+      const metric = genMock()
+      metric.alertRules = [new AlertRule('1'), new AlertRule('2')]
+      await metric.evaluateAlertRules()
+
+      assert(evaluateStub.callCount === 2)
+      assert.deepEqual(Object.keys(saveStub.args[0][0]), ['2'])
+    })
+  })
+
+  describe('delete', () => {
+    afterEach(() => {
+      Metrics.prototype.list.restore()
+      MetricsStore.prototype.delete.restore()
+    })
+
+    it('should delete the metric', async () => {
+      sinon.stub(Metrics.prototype, 'list').returns([new Metric('1', 'CloudWatch')])
+      const deleteStub = sinon.stub(MetricsStore.prototype, 'delete').returns()
+
+      await new Metric('1', 'CloudWatch').delete()
+      assert(deleteStub.calledWith('1'))
+    })
+
+    it('should throw error if the composite metric references the metric', async () => {
+      sinon.stub(Metrics.prototype, 'list').returns([
+        new Metric('1', 'CloudWatch'),
+        new Metric('2', 'Composite', 'composite', '', '', '', 1, {Expression: '{1} * 2'})
+      ])
+      const deleteStub = sinon.stub(MetricsStore.prototype, 'delete').returns()
+
+      let error
+      try {
+        await new Metric('1', 'CloudWatch').delete()
+      } catch (e) {
+        error = e
+      }
+      assert(error.name === 'ValidationError')
+      assert(deleteStub.notCalled)
+    })
+  })
+
+  describe('save', () => {
+    const rule = {
+      ruleID: '1',
+      comparator: '>',
+      threshold: 10,
+      duration: 5,
+      componentIDs: [],
+      componentStatus: 'Major Outage',
+      incidentName: 'name',
+      draft: false,
+      recoveryAction: 'resolve'
+    }
+    const genExistingMock = (alertRules) => new Metric('1', monitoringServiceTypes[0], 'title', 'unit', 'description',
+                                                       metricStatusVisible, 1, Object.assign({}, cloudWatchProps), 1,
+                                                       alertRules)
+
+    afterEach(() => {
+      MetricsStore.prototype.getByID.restore()
+      MetricsStore.prototype.update.restore()
+    })
+
+    it('should copy the incident IDs from the stored rules', async () => {
+      const storedRules = [Object.assign({}, rule, {incidentID: 'incident1'})]
+      sinon.stub(MetricsStore.prototype, 'getByID').returns([{metricID: '1', alertRules: storedRules}])
+      const updateStub = sinon.stub(MetricsStore.prototype, 'update').returns({metricID: '1'})
+
+      const newRule = Object.assign({}, rule, {ruleID: '2', incidentID: 'incident2'})
+      const metric = genExistingMock([Object.assign({}, rule, {incidentID: undefined}), newRule])
+      await metric.save()
+
+      assert(updateStub.calledOnce)
+      assert.deepEqual(updateStub.args[0][9].map(rule => rule.incidentID), ['incident1', undefined])
+      assert(updateStub.args[0][11] === storedRules)
+    })
+
+    it('should retry if the rules are changed in the meantime', async () => {
+      const getByIDStub = sinon.stub(MetricsStore.prototype, 'getByID')
+      getByIDStub.onCall(0).returns([{metricID: '1', alertRules: [rule]}])
+      getByIDStub.onCall(1).returns([{metricID: '1', alertRules: [Object.assign({}, rule, {incidentID: 'incident1'})]}])
+      const updateStub = sinon.stub(MetricsStore.prototype, 'update')
+      updateStub.onCall(0).returns(null)
+      updateStub.onCall(1).returns({metricID: '1'})
+
+      const metric = genExistingMock([rule])
+      await metric.save()
+
+      assert(updateStub.calledTwice)
+      assert(updateStub.args[1][9][0].incidentID === 'incident1')
+    })
+
+    it('should not keep the incident IDs of the new metric', async () => {
+      sinon.stub(MetricsStore.prototype, 'getByID').returns([])
+      const updateStub = sinon.stub(MetricsStore.prototype, 'update').returns({metricID: '1'})
+
+      const metric = new Metric(undefined, monitoringServiceTypes[0], 'title', 'unit', 'description',
+                                metricStatusVisible, 1, Object.assign({}, cloudWatchProps), 1,
+                                [Object.assign({}, rule, {incidentID: 'incident1'})])
+      await metric.save()
+
+      assert(MetricsStore.prototype.getByID.notCalled)
+      assert(updateStub.args[0][9][0].incidentID === undefined)
+      assert(updateStub.args[0][11] === undefined)
+    })
+  })
+
+  describe('saveIncidentIDs', () => {
+    afterEach(() => {
+      MetricsStore.prototype.getByID.restore()
+      MetricsStore.prototype.updateAlertRules.restore()
+    })
+
+    it('should update only the incident IDs of the stored rules', async () => {
+      const storedRules = [{ruleID: '1', threshold: 10}, {ruleID: '2', threshold: 20, incidentID: 'incident2'}]
+      sinon.stub(MetricsStore.prototype, 'getByID').returns([{metricID: '1', alertRules: storedRules}])
+      const updateStub = sinon.stub(MetricsStore.prototype, 'updateAlertRules').returns(true)
+
+      const metric = genMock()
+      await metric.saveIncidentIDs({'1': 'incident1', '2': undefined})
+
+      assert(updateStub.calledOnce)
+      assert.deepEqual(updateStub.args[0][1], [
+        {ruleID: '1', threshold: 10, incidentID: 'incident1'},
+        {ruleID: '2', threshold: 20, incidentID: undefined}
+      ])
+      assert(updateStub.args[0][2] === storedRules)
+    })
+
+    it('should retry if the rules are changed in the meantime', async () => {
+      const getByIDStub = sinon.stub(MetricsStore.prototype, 'getByID')
+      getByIDStub.onCall(0).returns([{metricID: '1', alertRules: [{ruleID: '1'}]}])
+      getByIDStub.onCall(1).returns([{metricID: '1', alertRules: [{ruleID: '1', threshold: 20}]}])
+      const updateStub = sinon.stub(MetricsStore.prototype, 'updateAlertRules')
+      updateStub.onCall(0).returns(false)
+      updateStub.onCall(1).returns(true)
+
+      const metric = genMock()
+      await metric.saveIncidentIDs({'1': 'incident1'})
+
+      assert(updateStub.calledTwice)
+      assert.deepEqual(updateStub.args[1][1], [{ruleID: '1', threshold: 20, incidentID: 'incident1'}])
+    })
+
+    it('should not update the rules if the rule is deleted', async () => {
+      sinon.stub(MetricsStore.prototype, 'getByID').returns([{metricID: '1', alertRules: [{ruleID: '2'}]}])
+      const updateStub = sinon.stub(MetricsStore.prototype, 'updateAlertRules').returns(true)
+
+      const metric = genMock()
+      await metric.saveIncidentIDs({'1': 'incident1'})
+
+      assert(updateStub.notCalled)
+    })
+  })
+
+  describe('calculateUncollectedDates', () => {
+    afterEach(() => {
+      Metric.prototype.getDatapoints.restore()
+    })
+
+    it('should return the number of the dates since the last collected date', async () => {
+      const getDatapointsStub = sinon.stub(Metric.prototype, 'getDatapoints').returns(null)
+      getDatapointsStub.onCall(2).returns([])
+      assert(await genMock().calculateUncollectedDates(new Date()) === 2)
+    })
+
+    it('should not backfill the dates beyond the retention of the monitoring service', async () => {
+      sinon.stub(Metric.prototype, 'getDatapoints').returns(null)
+      const metric = genMock()
+      assert(await metric.calculateUncollectedDates(new Date()) === 14)
+      metric.props.Period = 300
+      assert(await metric.calculateUncollectedDates(new Date()) === 30)
+    })
+  })
+
   describe('collect', () => {
     afterEach(() => {
       S3.prototype.getObject.restore()
@@ -591,4 +1333,37 @@ describe('Metric', () => {
       assert(actualEnd.toISOString() > existingDatapoints[0].timestamp)
     })
   })
+
+  describe('collect the composite metric', () => {
+    afterEach(() => {
+      S3.prototype.getObject.restore()
+      S3.prototype.putObject.restore()
+      CloudFormation.prototype.getStatusPageBucketName.restore()
+      Composite.prototype.getMetricData.restore()
+    })
+
+    it('should collect the recent datapoints again and insert the missing ones', async () => {
+      const now = new Date()
+      const startOfDate = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime()
+      const buildTimestamp = (minutes) => new Date(startOfDate + minutes * 60 * 1000).toISOString()
+      const existingDatapoints = [{timestamp: buildTimestamp(60), value: 1}, {timestamp: buildTimestamp(120), value: 3}]
+      sinon.stub(S3.prototype, 'getObject').returns({Body: new Buffer(JSON.stringify(existingDatapoints))})
+      const putObjectStub = sinon.stub(S3.prototype, 'putObject').returns()
+      sinon.stub(CloudFormation.prototype, 'getStatusPageBucketName').returns('')
+      const getMetricDataStub = sinon.stub(Composite.prototype, 'getMetricData').returns([
+        {timestamp: buildTimestamp(60), value: 1},
+        {timestamp: buildTimestamp(90), value: 2},
+        {timestamp: buildTimestamp(120), value: 3}
+      ])
+
+      const metric = new Metric('1', 'Composite', 'title', 'unit', 'description', metricStatusVisible, 1,
+                                {Expression: '{a}'})
+      await metric.collect()
+
+      assert(getMetricDataStub.args[0][1].toISOString() === buildTimestamp(60))
+      // The rest of the calls are for the rollups.
+      assert(!putObjectStub.args[0][2].match(/rollups/))
+      assert.deepEqual(putObjectStub.args[0][3].map(datapoint => datapoint.value), [1, 2, 3])
+    })
+  })
 })
@@ -0,0 +1,86 @@
+import assert from 'assert'
+import { buildOccurrenceID, listOccurrences, parseOccurrenceID, validateRecurrence } from 'model/recurrences'
+
+describe('validateRecurrence', () => {
+  const startAt = '2017-01-01T02:00:00.000Z'
+  const genRecurrence = () => {
+    return {frequency: 'weekly', interval: 1, until: '2017-12-31T00:00:00.000Z'}
+  }
+
+  const getError = (recurrence) => {
+    try {
+      validateRecurrence(recurrence, startAt)
+    } catch (error) {
+      return error
+    }
+  }
+
+  it('should return no error when the recurrence is valid', () => {
+    assert(getError(genRecurrence()) === undefined)
+  })
+
+  it('should return error when the frequency is invalid', () => {
+    const recurrence = genRecurrence()
+    recurrence.frequency = 'yearly'
+    assert(getError(recurrence).name === 'ValidationError')
+  })
+
+  it('should return error when the interval is invalid', () => {
+    const recurrence = genRecurrence()
+    recurrence.interval = 0
+    assert(getError(recurrence).name === 'ValidationError')
+    recurrence.interval = 1.5
+    assert(getError(recurrence).name === 'ValidationError')
+  })
+
+  it('should return error when the until is before the start', () => {
+    const recurrence = genRecurrence()
+    recurrence.until = '2016-12-31T00:00:00.000Z'
+    assert(getError(recurrence).name === 'ValidationError')
+  })
+
+  it('should return error when the series has too many occurrences', () => {
+    const recurrence = genRecurrence()
+    recurrence.frequency = 'daily'
+    recurrence.until = '2027-01-01T00:00:00.000Z'
+    assert(getError(recurrence).message === 'too many occurrences')
+  })
+})
+
+describe('listOccurrences', () => {
+  it('should list the daily occurrences with the interval', () => {
+    const recurrence = {frequency: 'daily', interval: 2, until: '2017-01-05T02:00:00.000Z'}
+    const occurrences = listOccurrences(recurrence, '2017-01-01T02:00:00.000Z', '2017-01-01T04:00:00.000Z')
+    assert.deepEqual(occurrences, [
+      {startAt: '2017-01-01T02:00:00.000Z', endAt: '2017-01-01T04:00:00.000Z'},
+      {startAt: '2017-01-03T02:00:00.000Z', endAt: '2017-01-03T04:00:00.000Z'},
+      {startAt: '2017-01-05T02:00:00.000Z', endAt: '2017-01-05T04:00:00.000Z'}
+    ])
+  })
+
+  it('should list the weekly occurrences until the end date', () => {
+    const recurrence = {frequency: 'weekly', interval: 1, until: '2017-01-20T00:00:00.000Z'}
+    const occurrences = listOccurrences(recurrence, '2017-01-01T02:00:00.000Z', '2017-01-01T04:00:00.000Z')
+    assert.deepEqual(occurrences.map(occurrence => occurrence.startAt),
+                     ['2017-01-01T02:00:00.000Z', '2017-01-08T02:00:00.000Z', '2017-01-15T02:00:00.000Z'])
+  })
+
+  it('should skip the month which does not have the day', () => {
+    const recurrence = {frequency: 'monthly', interval: 1, until: '2017-05-31T00:00:00.000Z'}
+    const occurrences = listOccurrences(recurrence, '2017-01-31T02:00:00.000Z', '2017-01-31T04:00:00.000Z')
+    assert.deepEqual(occurrences.map(occurrence => occurrence.startAt),
+                     ['2017-01-31T02:00:00.000Z', '2017-03-31T02:00:00.000Z'])
+  })
+})
+
+describe('occurrence ID', () => {
+  it('should build the ID which can be parsed', () => {
+    const id = buildOccurrenceID('abcdef123456', '2017-01-01T02:00:00.000Z')
+    assert(id === 'abcdef123456-20170101T020000Z')
+    assert.deepEqual(parseOccurrenceID(id), {seriesID: 'abcdef123456', occurrenceAt: '2017-01-01T02:00:00.000Z'})
+  })
+
+  it('should return null if the ID is not the occurrence ID', () => {
+    assert(parseOccurrenceID('abcdef123456') === null)
+  })
+})
@@ -98,6 +98,125 @@ describe('Settings', () => {
     })
   })
 
+  describe('getMetricsRetentionDays', () => {
+    afterEach(() => {
+      SettingsStore.prototype.get.restore()
+    })
+
+    it('should return the retention days', async () => {
+      sinon.stub(SettingsStore.prototype, 'get').returns(30)
+      const actual = await new Settings().getMetricsRetentionDays()
+      assert(actual === 30)
+    })
+
+    it('should return 0 when the retention days are not set', async () => {
+      sinon.stub(SettingsStore.prototype, 'get').throws(new NotFoundError())
+      const actual = await new Settings().getMetricsRetentionDays()
+      assert(actual === 0)
+    })
+  })
+
+  describe('setMetricsRetentionDays', () => {
+    afterEach(() => {
+      SettingsStore.prototype.update.restore()
+    })
+
+    it('should update the retention days', async () => {
+      const updateStub = sinon.stub(SettingsStore.prototype, 'update')
+      await new Settings().setMetricsRetentionDays(30)
+      assert(updateStub.calledOnce)
+      assert(updateStub.firstCall.args[0] === 'MetricsRetentionDays')
+      assert(updateStub.firstCall.args[1] === 30)
+    })
+
+    it('should throw the validation error if the retention days are invalid', async () => {
+      const updateStub = sinon.stub(SettingsStore.prototype, 'update')
+      for (const value of [-1, 1.5, '30', 3651]) {
+        let error
+        try {
+          await new Settings().setMetricsRetentionDays(value)
+        } catch (e) {
+          error = e
+        }
+        assert(error.name === 'ValidationError')
+      }
+      assert(updateStub.notCalled)
+    })
+  })
+
+  describe('getShowAffectedVia', () => {
+    afterEach(() => {
+      SettingsStore.prototype.get.restore()
+    })
+
+    it('should return false when the option is not set', async () => {
+      sinon.stub(SettingsStore.prototype, 'get').throws(new NotFoundError())
+      const actual = await new Settings().getShowAffectedVia()
+      assert(actual === false)
+    })
+  })
+
+  describe('setShowAffectedVia', () => {
+    afterEach(() => {
+      SettingsStore.prototype.update.restore()
+    })
+
+    it('should update the option', async () => {
+      const updateStub = sinon.stub(SettingsStore.prototype, 'update')
+      await new Settings().setShowAffectedVia(true)
+      assert(updateStub.firstCall.args[0] === 'ShowAffectedVia')
+      assert(updateStub.firstCall.args[1] === true)
+    })
+
+    it('should throw the validation error if the option is not boolean', async () => {
+      const updateStub = sinon.stub(SettingsStore.prototype, 'update')
+      let error
+      try {
+        await new Settings().setShowAffectedVia('true')
+      } catch (e) {
+        error = e
+      }
+      assert(error.name === 'ValidationError')
+      assert(updateStub.notCalled)
+    })
+  })
+
+  describe('getMaintenanceStartMessage', () => {
+    afterEach(() => {
+      SettingsStore.prototype.get.restore()
+    })
+
+    it('should return the default message when the message is not set', async () => {
+      sinon.stub(SettingsStore.prototype, 'get').throws(new NotFoundError())
+      const actual = await new Settings().getMaintenanceStartMessage()
+      assert(actual === 'The scheduled maintenance has started.')
+    })
+  })
+
+  describe('setMaintenanceEndMessage', () => {
+    afterEach(() => {
+      SettingsStore.prototype.update.restore()
+    })
+
+    it('should update the message', async () => {
+      const updateStub = sinon.stub(SettingsStore.prototype, 'update')
+      await new Settings().setMaintenanceEndMessage('done')
+      assert.deepEqual(updateStub.firstCall.args, ['MaintenanceEndMessage', 'done'])
+    })
+
+    it('should throw the validation error if the message is empty', async () => {
+      const updateStub = sinon.stub(SettingsStore.prototype, 'update')
+      let error
+      try {
+        await new Settings().setMaintenanceEndMessage('')
+      } catch (e) {
+        error = e
+      }
+      assert(error.name === 'ValidationError')
+      assert(updateStub.notCalled)
+    })
+  })
+
   describe('allApiKeys', () => {
     afterEach(() => {
       APIGateway.prototype.getApiKeys.restore()
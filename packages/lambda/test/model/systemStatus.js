@@ -0,0 +1,37 @@
+import assert from 'assert'
+import sinon from 'sinon'
+import { computeSystemStatus, getSystemStatus } from 'model/systemStatus'
+import { Components } from 'model/components'
+import { Incidents } from 'model/incidents'
+
+describe('computeSystemStatus', () => {
+  it('should return the operational status if nothing is wrong', () => {
+    const components = [{status: 'Operational'}]
+    const incidents = [{status: 'Resolved', impact: 'critical'}]
+    assert(computeSystemStatus(components, incidents) === 'All Systems Operational')
+  })
+
+  it('should return the status of the worst component', () => {
+    const components = [{status: 'Degraded Performance'}, {status: 'Partial Outage'}, {status: 'Under Maintenance'}]
+    assert(computeSystemStatus(components, []) === 'Partial System Outage')
+  })
+
+  it('should return the status of the worst open incident', () => {
+    const components = [{status: 'Degraded Performance'}]
+    const incidents = [{status: 'Investigating', impact: 'critical'}, {status: 'Monitoring', impact: 'minor'}]
+    assert(computeSystemStatus(components, incidents) === 'Major Outage')
+  })
+})
+
+describe('getSystemStatus', () => {
+  afterEach(() => {
+    Components.prototype.all.restore()
+    Incidents.prototype.all.restore()
+  })
+
+  it('should compute the status from the stored components and incidents', async () => {
+    sinon.stub(Components.prototype, 'all').returns([{status: 'Operational'}])
+    sinon.stub(Incidents.prototype, 'all').returns([{status: 'Identified', impact: 'minor'}])
+    assert(await getSystemStatus() === 'Minor Service Outage')
+  })
+})
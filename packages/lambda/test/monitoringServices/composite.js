@@ -0,0 +1,211 @@
+import assert from 'assert'
+import sinon from 'sinon'
+import Composite, { parseExpression, listReferences, evaluateExpression, listMetricReferences,
+         buildCollectionStages } from 'monitoringServices/composite'
+import { Metrics, Metric } from 'model/metrics'
+
+describe('Composite', () => {
+  describe('parseExpression', () => {
+    it('should respect the precedence of the operators', () => {
+      const tree = parseExpression('1 + 2 * 3 - 4 / 2')
+      assert(evaluateExpression(tree, {}) === 5)
+    })
+
+    it('should respect the parentheses and the negation', () => {
+      const tree = parseExpression('-(1 + 2) * 3')
+      assert(evaluateExpression(tree, {}) === -9)
+    })
+
+    it('should parse the references', () => {
+      const tree = parseExpression('{errors} / {requests} * 100')
+      assert(evaluateExpression(tree, {errors: 5, requests: 200}) === 2.5)
+    })
+
+    const invalidExpressions = ['', '1 +', '(1 + 2', '1 + 2)', '1 2', '{a} % {b}', '{}', '* 1']
+    invalidExpressions.forEach((expression) => {
+      it(`should throw error if the expression is ${JSON.stringify(expression)}`, () => {
+        let error
+        try {
+          parseExpression(expression)
+        } catch (e) {
+          error = e
+        }
+        assert(error.name === 'ValidationError')
+      })
+    })
+  })
+
+  describe('listReferences', () => {
+    it('should return the unique metric IDs', () => {
+      const tree = parseExpression('({a} + {b}) / -{a}')
+      assert.deepEqual(listReferences(tree), ['a', 'b'])
+    })
+  })
+
+  describe('listMetricReferences', () => {
+    it('should return the metric IDs the composite metric references', () => {
+      const metric = new Metric('c', 'Composite', '', '', '', '', 1, {Expression: '{a} + {b}'})
+      assert.deepEqual(listMetricReferences(metric), ['a', 'b'])
+    })
+
+    it('should return nothing if the metric is not composite', () => {
+      assert.deepEqual(listMetricReferences(new Metric('a', 'CloudWatch')), [])
+    })
+  })
+
+  describe('buildCollectionStages', () => {
+    it('should put the composite metrics after the metrics they reference', () => {
+      const a = new Metric('a', 'CloudWatch')
+      const b = new Metric('b', 'Composite', '', '', '', '', 1, {Expression: '{a} * 2'})
+      const c = new Metric('c', 'Composite', '', '', '', '', 1, {Expression: '{b} + {a}'})
+      const d = new Metric('d', 'Composite', '', '', '', '', 1, {Expression: '{unknown}'})
+      const stages = buildCollectionStages([c, b, a, d])
+      assert.deepEqual(stages.map(stage => stage.map(metric => metric.metricID)), [['a', 'd'], ['b'], ['c']])
+    })
+  })
+
+  describe('getMetricData', () => {
+    afterEach(() => {
+      Metrics.prototype.lookup.restore()
+      Metric.prototype.getDatapoints.restore()
+    })
+
+    it('should compute the datapoints at the timestamps all the metrics have', async () => {
+      sinon.stub(Metrics.prototype, 'lookup', (metricID) => new Metric(metricID))
+      sinon.stub(Metric.prototype, 'getDatapoints', function () {
+        if (this.metricID === 'a') {
+          return [
+            {timestamp: '2017-07-03T00:00:00.000Z', value: 1},
+            {timestamp: '2017-07-03T00:01:00.000Z', value: 2},
+            {timestamp: '2017-07-03T00:02:00.000Z', value: 3}
+          ]
+        }
+        return [
+          {timestamp: '2017-07-03T00:01:00.000Z', value: 4},
+          {timestamp: '2017-07-03T00:02:00.000Z', value: 0}
+        ]
+      })
+
+      const datapoints = await new Composite().getMetricData({Expression: '{a} + {b}'},
+                                                             new Date('2017-07-03T00:00:00.000Z'),
+                                                             new Date('2017-07-04T00:00:00.000Z'))
+      assert.deepEqual(datapoints, [
+        {timestamp: '2017-07-03T00:01:00.000Z', value: 6},
+        {timestamp: '2017-07-03T00:02:00.000Z', value: 3}
+      ])
+    })
+
+    it('should skip the datapoints out of the range and the values which are not finite', async () => {
+      sinon.stub(Metrics.prototype, 'lookup', (metricID) => new Metric(metricID))
+      sinon.stub(Metric.prototype, 'getDatapoints', function () {
+        return [
+          {timestamp: '2017-07-03T00:00:00.000Z', value: 1},
+          {timestamp: '2017-07-03T00:01:00.000Z', value: 0},
+          {timestamp: '2017-07-03T00:02:00.000Z', value: 2}
+        ]
+      })
+
+      const datapoints = await new Composite().getMetricData({Expression: '1 / {a}'},
+                                                             new Date('2017-07-03T00:01:00.000Z'),
+                                                             new Date('2017-07-04T00:00:00.000Z'))
+      assert.deepEqual(datapoints, [{timestamp: '2017-07-03T00:02:00.000Z', value: 0.5}])
+    })
+
+    it('should return no datapoint if the referenced metric has no data', async () => {
+      sinon.stub(Metrics.prototype, 'lookup', (metricID) => new Metric(metricID))
+      sinon.stub(Metric.prototype, 'getDatapoints').returns(null)
+
+      const datapoints = await new Composite().getMetricData({Expression: '{a}'},
+                                                             new Date('2017-07-03T00:00:00.000Z'),
+                                                             new Date('2017-07-04T00:00:00.000Z'))
+      assert.deepEqual(datapoints, [])
+    })
+
+    it('should throw error if the referenced metric is deleted', async () => {
+      sinon.stub(Metrics.prototype, 'lookup', (metricID) => {
+        const error = new Error()
+        error.name = 'NotFoundError'
+        throw error
+      })
+      sinon.stub(Metric.prototype, 'getDatapoints').returns(null)
+
+      let error
+      try {
+        await new Composite().getMetricData({Expression: '{a}'}, new Date('2017-07-03T00:00:00.000Z'),
+                                            new Date('2017-07-04T00:00:00.000Z'))
+      } catch (e) {
+        error = e
+      }
+      assert(error.message === 'the referenced metric a not found')
+    })
+  })
+
+  describe('validateProps', () => {
+    const metrics = {
+      a: new Metric('a', 'CloudWatch'),
+      b: new Metric('b', 'Composite', '', '', '', '', 1, {Expression: '{a} * 2'}),
+      c: new Metric('c', 'Composite', '', '', '', '', 1, {Expression: '{b} + {d}'})
+    }
+
+    beforeEach(() => {
+      sinon.stub(Metrics.prototype, 'lookup', (metricID) => {
+        if (metrics.hasOwnProperty(metricID)) {
+          return metrics[metricID]
+        }
+        const error = new Error()
+        error.name = 'NotFoundError'
+        throw error
+      })
+    })
+
+    afterEach(() => {
+      Metrics.prototype.lookup.restore()
+    })
+
+    it('should not throw error if the references are valid', async () => {
+      await new Composite().validateProps({Expression: '{a} + {b}'}, 'd')
+    })
+
+    it('should throw error if the expression has no reference', async () => {
+      let error
+      try {
+        await new Composite().validateProps({Expression: '1 + 2'}, 'd')
+      } catch (e) {
+        error = e
+      }
+      assert(error.name === 'ValidationError')
+    })
+
+    it('should throw error if the referenced metric does not exist', async () => {
+      let error
+      try {
+        await new Composite().validateProps({Expression: '{a} + {unknown}'}, 'd')
+      } catch (e) {
+        error = e
+      }
+      assert(error.name === 'ValidationError')
+      assert(error.message === 'the referenced metric unknown not found')
+    })
+
+    it('should throw error if the metric references itself', async () => {
+      let error
+      try {
+        await new Composite().validateProps({Expression: '{d}'}, 'd')
+      } catch (e) {
+        error = e
+      }
+      assert(error.name === 'ValidationError')
+    })
+
+    it('should throw error if the metric references itself indirectly', async () => {
+      let error
+      try {
+        await new Composite().validateProps({Expression: '{c}'}, 'd')
+      } catch (e) {
+        error = e
+      }
+      assert(error.name === 'ValidationError')
+      assert(error.message === 'circular reference to the metric d')
+    })
+  })
+})
@@ -0,0 +1,181 @@
+import assert from 'assert'
+import sinon from 'sinon'
+import HTTPCheck from 'monitoringServices/httpCheck'
+import ComponentsStore from 'db/components'
+import MaintenancesStore from 'db/maintenances'
+import MetricsStore from 'db/metrics'
+import { Components, Component } from 'model/components'
+import { Metric } from 'model/metrics'
+import * as http from 'utils/http'
+
+describe('HTTPCheck', () => {
+  const genProps = () => {
+    return {
+      URL: 'https://example.com/health',
+      Method: 'GET',
+      ExpectedStatus: 200,
+      BodyRegex: 'ok',
+      Timeout: 5000,
+      FailureThreshold: 3,
+      ComponentID: '1',
+      ComponentStatus: 'Major Outage'
+    }
+  }
+
+  describe('validateProps', () => {
+    afterEach(() => {
+      Components.prototype.lookup.restore()
+    })
+
+    it('should not throw error if the props are valid', async () => {
+      sinon.stub(Components.prototype, 'lookup').returns(new Component('1'))
+      await new HTTPCheck().validateProps(genProps())
+    })
+
+    it('should not lookup the component if the component is not linked', async () => {
+      const stub = sinon.stub(Components.prototype, 'lookup')
+      const props = genProps()
+      delete props.ComponentID
+      delete props.ComponentStatus
+      await new HTTPCheck().validateProps(props)
+      assert(stub.notCalled)
+    })
+
+    const invalidCases = [
+      ['URL', 'ftp://example.com'],
+      ['Method', 'PUT'],
+      ['ExpectedStatus', '200'],
+      ['ExpectedStatus', 600],
+      ['BodyRegex', '('],
+      ['Timeout', 0],
+      ['FailureThreshold', 0],
+      ['ComponentStatus', 'Unknown']
+    ]
+    invalidCases.forEach(([key, value]) => {
+      it(`should throw error if the ${key} is ${JSON.stringify(value)}`, async () => {
+        sinon.stub(Components.prototype, 'lookup').returns(new Component('1'))
+        const props = genProps()
+        props[key] = value
+        let error
+        try {
+          await new HTTPCheck().validateProps(props)
+        } catch (e) {
+          error = e
+        }
+        assert(error.name === 'ValidationError')
+        assert(error.message === `invalid ${key} property`)
+      })
+    })
+  })
+
+  describe('check', () => {
+    afterEach(() => {
+      http.sendRequest.restore()
+    })
+
+    it('should succeed if the status code and the body are expected', async () => {
+      const stub = sinon.stub(http, 'sendRequest').returns({statusCode: 200, headers: {}, body: 'ok'})
+      const result = await new HTTPCheck().check(genProps())
+      assert(result.success)
+      assert(typeof result.latency === 'number')
+      assert(stub.args[0][0] === 'https://example.com/health')
+      assert.deepEqual(stub.args[0][1], {method: 'GET', timeout: 5000})
+    })
+
+    it('should fail if the status code is unexpected', async () => {
+      sinon.stub(http, 'sendRequest').returns({statusCode: 503, headers: {}, body: 'ok'})
+      const result = await new HTTPCheck().check(genProps())
+      assert(!result.success)
+      assert(result.message === 'unexpected status code: 503')
+    })
+
+    it('should fail if the body does not match the regex', async () => {
+      sinon.stub(http, 'sendRequest').returns({statusCode: 200, headers: {}, body: 'ng'})
+      const result = await new HTTPCheck().check(genProps())
+      assert(!result.success)
+    })
+
+    it('should fail if the request failed', async () => {
+      sinon.stub(http, 'sendRequest').throws(new Error('request timed out'))
+      const result = await new HTTPCheck().check(genProps())
+      assert(!result.success)
+      assert(result.message === 'request timed out')
+    })
+  })
+
+  describe('run', () => {
+    afterEach(() => {
+      HTTPCheck.prototype.check.restore()
+      Metric.prototype.insertDatapoints.restore()
+      MetricsStore.prototype.incrementConsecutiveFailures.restore()
+      MetricsStore.prototype.resetConsecutiveFailures.restore()
+      ComponentsStore.prototype.updateStatus.restore()
+      Components.prototype.lookup.restore()
+      MaintenancesStore.prototype.getAll.restore()
+    })
+
+    const stubAll = ({success, numFailures, componentStatus = 'Major Outage', maintenances = []}) => {
+      sinon.stub(HTTPCheck.prototype, 'check').returns({success, latency: 100, message: ''})
+      sinon.stub(Metric.prototype, 'insertDatapoints').returns([])
+      sinon.stub(MetricsStore.prototype, 'incrementConsecutiveFailures').returns(numFailures)
+      sinon.stub(MetricsStore.prototype, 'resetConsecutiveFailures').returns(numFailures)
+      sinon.stub(ComponentsStore.prototype, 'updateStatus').returns()
+      sinon.stub(Components.prototype, 'lookup').returns(new Component('1', '', '', componentStatus))
+      sinon.stub(MaintenancesStore.prototype, 'getAll').returns(maintenances)
+    }
+
+    const genMetric = () => {
+      return new Metric('1', 'HTTPCheck', '', '', '', 'Visible', 1, genProps())
+    }
+
+    it('should insert the latency if the check succeeded', async () => {
+      stubAll({success: true, numFailures: 0})
+      await new HTTPCheck().run(genMetric())
+      assert(Metric.prototype.insertDatapoints.calledOnce)
+      assert(Metric.prototype.insertDatapoints.args[0][0][0].value === 100)
+      assert(ComponentsStore.prototype.updateStatus.notCalled)
+    })
+
+    it('should not update the component until the failures reach the threshold', async () => {
+      stubAll({success: false, numFailures: 2})
+      await new HTTPCheck().run(genMetric())
+      assert(Metric.prototype.insertDatapoints.notCalled)
+      assert(ComponentsStore.prototype.updateStatus.notCalled)
+    })
+
+    it('should update the component when the failures reach the threshold', async () => {
+      stubAll({success: false, numFailures: 3})
+      await new HTTPCheck().run(genMetric())
+      assert(ComponentsStore.prototype.updateStatus.calledOnce)
+      assert.deepEqual(ComponentsStore.prototype.updateStatus.args[0], [
+        '1', 'Major Outage', {actor: 'HTTP check', cause: 'monitoring', causeID: '1'}
+      ])
+    })
+
+    it('should not update the component under maintenance', async () => {
+      const maintenances = [{
+        maintenanceID: '1',
+        status: 'In Progress',
+        affectedComponents: [{componentID: '1', previousStatus: 'Operational', status: 'Under Maintenance'}]
+      }]
+      stubAll({success: false, numFailures: 3, maintenances})
+      await new HTTPCheck().run(genMetric())
+      assert(ComponentsStore.prototype.updateStatus.notCalled)
+    })
+
+    it('should recover the component after the failures reached the threshold', async () => {
+      stubAll({success: true, numFailures: 5})
+      await new HTTPCheck().run(genMetric())
+      assert(ComponentsStore.prototype.updateStatus.calledOnce)
+      assert.deepEqual(ComponentsStore.prototype.updateStatus.args[0], [
+        '1', 'Operational', {actor: 'HTTP check', cause: 'monitoring', causeID: '1'}
+      ])
+    })
+
+    it('should not recover the component if its status was changed by others', async () => {
+      stubAll({success: true, numFailures: 5, componentStatus: 'Partial Outage'})
+      await new HTTPCheck().run(genMetric())
+      assert(ComponentsStore.prototype.updateStatus.notCalled)
+    })
+  })
+})
@@ -0,0 +1,39 @@
+import assert from 'assert'
+import CloudWatch from 'aws/cloudWatch'
+import { monitoringServiceTypes, isMonitoringServiceType, createMonitoringService } from 'monitoringServices'
+
+describe('monitoringServices', () => {
+  describe('monitoringServiceTypes', () => {
+    it('should contain CloudWatch', () => {
+      assert(monitoringServiceTypes.indexOf('CloudWatch') >= 0)
+    })
+  })
+
+  describe('isMonitoringServiceType', () => {
+    it('should return true if the type is registered', () => {
+      assert(isMonitoringServiceType('CloudWatch'))
+    })
+
+    it('should return false if the type is unknown', () => {
+      assert(!isMonitoringServiceType('unknown'))
+      assert(!isMonitoringServiceType(undefined))
+    })
+  })
+
+  describe('createMonitoringService', () => {
+    it('should return the instance of the registered service', () => {
+      const service = createMonitoringService('CloudWatch')
+      assert(service instanceof CloudWatch)
+    })
+
+    it('should throw error if the type is unknown', () => {
+      let error
+      try {
+        createMonitoringService('unknown')
+      } catch (e) {
+        error = e
+      }
+      assert(error.name === 'ValidationError')
+    })
+  })
+})
@@ -0,0 +1,141 @@
+import assert from 'assert'
+import sinon from 'sinon'
+import Prometheus from 'monitoringServices/prometheus'
+import * as http from 'utils/http'
+
+describe('Prometheus', () => {
+  const buildResponse = (data, status = 'success') => {
+    return {statusCode: 200, headers: {}, body: JSON.stringify({status, data})}
+  }
+
+  describe('listMetrics', () => {
+    afterEach(() => {
+      http.sendRequest.restore()
+    })
+
+    it('should return a list of series names', async () => {
+      const stub = sinon.stub(http, 'sendRequest').returns(buildResponse(['up', 'http_requests_total']))
+
+      const actual = await new Prometheus().listMetrics(undefined, {url: 'http://prometheus:9090/'})
+      assert.deepEqual(actual.metrics, ['up', 'http_requests_total'])
+      assert(actual.nextCursor === undefined)
+      assert(stub.args[0][0].match(/^http:\/\/prometheus:9090\/api\/v1\/label\/__name__\/values\?/))
+    })
+
+    it('should throw error if the url is not given', async () => {
+      sinon.stub(http, 'sendRequest').returns(buildResponse([]))
+      let error
+      try {
+        await new Prometheus().listMetrics(undefined, {})
+      } catch (e) {
+        error = e
+      }
+      assert(error.name === 'ValidationError')
+    })
+
+    it('should throw error if prometheus returns error', async () => {
+      sinon.stub(http, 'sendRequest').returns(buildResponse(undefined, 'error'))
+      let error
+      try {
+        await new Prometheus().listMetrics(undefined, {url: 'http://prometheus:9090'})
+      } catch (e) {
+        error = e
+      }
+      assert(error.message.match(/prometheus/))
+    })
+  })
+
+  describe('getMetricData', () => {
+    afterEach(() => {
+      http.sendRequest.restore()
+    })
+
+    const props = {URL: 'http://prometheus:9090', Query: 'avg(rate(http_request_duration_seconds_sum[5m]))'}
+
+    it('should return a list of datapoints', async () => {
+      const data = {
+        resultType: 'matrix',
+        result: [{metric: {}, values: [[1499040000, '1'], [1499040060, '2.5']]}]
+      }
+      const stub = sinon.stub(http, 'sendRequest').returns(buildResponse(data))
+
+      const begin = new Date('2017-07-03T00:00:00.000Z')
+      const end = new Date('2017-07-04T00:00:00.000Z')
+      const actual = await new Prometheus().getMetricData(props, begin, end)
+
+      assert.deepEqual(actual, [
+        {timestamp: '2017-07-03T00:00:00.000Z', value: 1},
+        {timestamp: '2017-07-03T00:01:00.000Z', value: 2.5}
+      ])
+      const url = stub.args[0][0]
+      assert(url.match(/\/api\/v1\/query_range\?/))
+      assert(url.match(/start=1499040000/))
+      assert(url.match(/end=1499126400/))
+      assert(url.match(new RegExp(`query=${encodeURIComponent(props.Query).replace(/[()]/g, '\\$&')}`)))
+    })
+
+    it('should skip the values which are not finite', async () => {
+      const data = {result: [{metric: {}, values: [[1499040000, 'NaN'], [1499040060, '+Inf'], [1499040120, '3']]}]}
+      sinon.stub(http, 'sendRequest').returns(buildResponse(data))
+
+      const actual = await new Prometheus().getMetricData(props, new Date(), new Date())
+      assert(actual.length === 1)
+      assert(actual[0].value === 3)
+    })
+
+    it('should return empty list if no series', async () => {
+      sinon.stub(http, 'sendRequest').returns(buildResponse({result: []}))
+
+      const actual = await new Prometheus().getMetricData(props, new Date(), new Date())
+      assert(actual.length === 0)
+    })
+
+    it('should throw error if multiple series are returned', async () => {
+      const data = {result: [{metric: {}, values: []}, {metric: {}, values: []}]}
+      sinon.stub(http, 'sendRequest').returns(buildResponse(data))
+
+      let error
+      try {
+        await new Prometheus().getMetricData(props, new Date(), new Date())
+      } catch (e) {
+        error = e
+      }
+      assert(error.message.match(/2 series/))
+    })
+
+    it('should throw error if the response is not json', async () => {
+      sinon.stub(http, 'sendRequest').returns({statusCode: 502, headers: {}, body: 'Bad Gateway'})
+
+      let error
+      try {
+        await new Prometheus().getMetricData(props, new Date(), new Date())
+      } catch (e) {
+        error = e
+      }
+      assert(error.message.match(/502/))
+    })
+  })
+
+  describe('validateProps', () => {
+    const validate = (props) => {
+      try {
+        new Prometheus().validateProps(props)
+      } catch (error) {
+        return error
+      }
+    }
+
+    it('should return no error when props are valid', () => {
+      assert(validate({URL: 'https://prometheus.example.com', Query: 'up'}) === undefined)
+    })
+
+    it('should return error when url is invalid', () => {
+      assert(validate({URL: 'prometheus', Query: 'up'}).name === 'ValidationError')
+      assert(validate({URL: 'ftp://prometheus', Query: 'up'}).name === 'ValidationError')
+    })
+
+    it('should return error when query is invalid', () => {
+      assert(validate({URL: 'https://prometheus.example.com', Query: ''}).name === 'ValidationError')
+    })
+  })
+})